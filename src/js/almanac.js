@@ -0,0 +1,551 @@
+/*******************************************************************************
+ *
+ *    GENERAL CONFIGURATION PARAMETERS
+ *
+ ******************************************************************************/
+
+// Earth's gravitational constant (m^3/s^2), as defined for GPS.
+const earthGravitationalConstant = 3.986005e14;
+
+// Earth's rotation rate (rad/s), as defined for GPS.
+const earthRotationRate = 7.2921151467e-5;
+
+// WGS84 ellipsoid semi-major axis (m) and first eccentricity squared.
+const wgs84SemiMajorAxis = 6378137.0;
+const wgs84EccentricitySquared = 6.69437999014e-3;
+
+// Start of GPS time (midnight from 1980-01-05 to 1980-01-06, UTC).
+const gpsTimeEpoch = Date.UTC(1980, 0, 6);
+
+// Number of seconds in a GPS week.
+const secondsPerGpsWeek = 604800;
+
+// Offset between GPS time and UTC (in seconds). It only changes when a leap
+// second is introduced, which is not relevant for simulating satellites.
+const gpsUtcLeapSeconds = 18;
+
+// Reference inclination (in semicircles) to which SEM almanacs add their
+// inclination offsets.
+const semReferenceInclination = 0.3;
+
+// Conversion factor between radians and degrees.
+const degreesPerRadian = 180.0 / Math.PI;
+
+// Maximum number of satellites used in a position fix (NMEA GSA sentences have
+// room for 12 satellites).
+const maxSatellitesInFix = 12;
+
+// Satellite systems an almanac can belong to, with the offsets added to the
+// satellite IDs to obtain the satellite numbers used on NMEA sentences and
+// their GNSS system IDs (NMEA 4.10 and later).
+const SatelliteSystemsEnum = {
+  GPS: { name: "GPS", prnOffset: 0, systemId: 1 },
+  GLONASS: { name: "GLONASS", prnOffset: 64, systemId: 2 },
+  GALILEO: { name: "Galileo", prnOffset: 300, systemId: 3 }
+};
+
+/*******************************************************************************
+ *
+ *    SATELLITE SYSTEM FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Returns the satellite system of a satellite.
+ *
+ * @param {Number} prn Satellite number (as used on NMEA sentences).
+ * @return {Object} Satellite system (from SatelliteSystemsEnum).
+ * @note Satellite numbers which do not belong to GLONASS or Galileo are
+ *       assumed to belong to GPS.
+ */
+function getSatelliteSystem(prn) {
+  if (prn > SatelliteSystemsEnum.GALILEO.prnOffset) {
+    return SatelliteSystemsEnum.GALILEO;
+  } else if (
+    prn > SatelliteSystemsEnum.GLONASS.prnOffset &&
+    prn <= SatelliteSystemsEnum.GLONASS.prnOffset + 32
+  ) {
+    return SatelliteSystemsEnum.GLONASS;
+  }
+  return SatelliteSystemsEnum.GPS;
+}
+
+/*******************************************************************************
+ *
+ *    ALMANAC PARSING FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Parses the contents of an almanac file in YUMA format.
+ *
+ * @param {String} almanacData Almanac file contents.
+ * @return {Object[]} Orbital parameters of the satellites in the almanac (see
+ *     propagateSatellite() for the meaning of each parameter).
+ * @note Satellite records missing any orbital parameter are ignored.
+ */
+function parseYumaAlmanac(almanacData) {
+  const fieldNames = {
+    id: "id",
+    health: "health",
+    eccentricity: "eccentricity",
+    "time of applicability": "toa",
+    "orbital inclination": "inclination",
+    "rate of right ascen": "rightAscensionRate",
+    "sqrt(a)": "sqrtA",
+    "right ascen at week": "rightAscension",
+    "argument of perigee": "argumentOfPerigee",
+    "mean anom": "meanAnomaly",
+    week: "week"
+  };
+  const satellites = [];
+  let satellite = null;
+
+  for (const line of almanacData.split(/\r?\n/)) {
+    const separatorIndex = line.indexOf(":");
+    if (line.startsWith("*")) {
+      satellite = {};
+      satellites.push(satellite);
+    } else if (satellite !== null && separatorIndex !== -1) {
+      // Field names contain their units (e.g. "SQRT(A)  (m 1/2):"), so only
+      // their beginning is compared.
+      const name = line.substring(0, separatorIndex).toLowerCase();
+      const value = parseFloat(line.substring(separatorIndex + 1));
+      for (const [prefix, field] of Object.entries(fieldNames)) {
+        if (name.startsWith(prefix)) {
+          satellite[field] = value;
+          break;
+        }
+      }
+    }
+  }
+
+  return satellites.filter(isAlmanacRecordComplete);
+}
+
+/**
+ * Parses the contents of an almanac file in SEM format.
+ *
+ * @param {String} almanacData Almanac file contents.
+ * @return {Object[]} Orbital parameters of the satellites in the almanac (see
+ *     propagateSatellite() for the meaning of each parameter).
+ * @note Angles are stored in semicircles on SEM almanacs; they are converted to
+ *       radians here. Incomplete satellite records are ignored.
+ */
+function parseSemAlmanac(almanacData) {
+  const lines = almanacData.split(/\r?\n/);
+  // The first line holds the number of records and the almanac name, the
+  // second one the week number and time of applicability.
+  const header = lines
+    .slice(1, 2)
+    .join()
+    .trim()
+    .split(/\s+/);
+  const tokens = lines
+    .slice(2)
+    .join(" ")
+    .trim()
+    .split(/\s+/)
+    .map(function(token) {
+      return parseFloat(token);
+    });
+  const week = parseFloat(header[0]);
+  const toa = parseFloat(header[1]);
+  const recordLength = 14;
+  const satellites = [];
+
+  for (let i = 0; i + recordLength <= tokens.length; i += recordLength) {
+    satellites.push({
+      id: tokens[i],
+      health: tokens[i + 12],
+      eccentricity: tokens[i + 3],
+      toa: toa,
+      inclination: Math.PI * (semReferenceInclination + tokens[i + 4]),
+      rightAscensionRate: Math.PI * tokens[i + 5],
+      sqrtA: tokens[i + 6],
+      rightAscension: Math.PI * tokens[i + 7],
+      argumentOfPerigee: Math.PI * tokens[i + 8],
+      meanAnomaly: Math.PI * tokens[i + 9],
+      week: week
+    });
+  }
+
+  return satellites.filter(isAlmanacRecordComplete);
+}
+
+/**
+ * Parses the contents of an almanac file in either YUMA or SEM format.
+ *
+ * @param {String} almanacData Almanac file contents.
+ * @return {Object} Almanac format ("YUMA" or "SEM") and orbital parameters of
+ *     the satellites in the almanac.
+ * @note YUMA almanacs are recognized by their "ID:" fields; any other file is
+ *       assumed to be a SEM almanac.
+ */
+function parseAlmanac(almanacData) {
+  if (/^\s*ID\s*:/im.test(almanacData)) {
+    return { format: "YUMA", satellites: parseYumaAlmanac(almanacData) };
+  }
+  return { format: "SEM", satellites: parseSemAlmanac(almanacData) };
+}
+
+/**
+ * Checks whether a satellite record from an almanac has all the orbital
+ * parameters required for computing the satellite position.
+ *
+ * @param {Object} satellite Satellite record.
+ * @return {Boolean} True if the satellite record is complete, false otherwise.
+ */
+function isAlmanacRecordComplete(satellite) {
+  const fields = [
+    "id",
+    "health",
+    "eccentricity",
+    "toa",
+    "inclination",
+    "rightAscensionRate",
+    "sqrtA",
+    "rightAscension",
+    "argumentOfPerigee",
+    "meanAnomaly",
+    "week"
+  ];
+  return fields.every(function(field) {
+    return field in satellite && !isNaN(satellite[field]);
+  });
+}
+
+/*******************************************************************************
+ *
+ *    ORBIT PROPAGATION FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Converts a time value to GPS time.
+ *
+ * @param {Date} time Time value.
+ * @return {Number} Seconds elapsed since the start of GPS time.
+ */
+function timeToGpsSeconds(time) {
+  return (time.getTime() - gpsTimeEpoch) / 1000.0 + gpsUtcLeapSeconds;
+}
+
+/**
+ * Computes the position of a satellite at a given time.
+ *
+ * @param {Object} satellite Orbital parameters of the satellite: eccentricity,
+ *     time of applicability (s), inclination (rad), rate of right ascension
+ *     (rad/s), square root of the semi-major axis (m^1/2), right ascension at
+ *     the start of the week (rad), argument of perigee (rad), mean anomaly at
+ *     the time of applicability (rad) and week number.
+ * @param {Number} gpsSeconds Seconds elapsed since the start of GPS time.
+ * @return {Number[]} Satellite position in ECEF coordinates (m).
+ * @note Almanacs store week numbers modulo 1024, so the week closest to the
+ *       given time is used.
+ */
+function propagateSatellite(satellite, gpsSeconds) {
+  const currentWeek = gpsSeconds / secondsPerGpsWeek;
+  const week =
+    satellite.week + 1024 * Math.round((currentWeek - satellite.week) / 1024);
+  const tk = gpsSeconds - (week * secondsPerGpsWeek + satellite.toa);
+
+  const a = satellite.sqrtA * satellite.sqrtA;
+  const e = satellite.eccentricity;
+  const meanMotion = Math.sqrt(earthGravitationalConstant / (a * a * a));
+  const meanAnomaly = satellite.meanAnomaly + meanMotion * tk;
+
+  // Solve Kepler's equation for the eccentric anomaly.
+  let eccentricAnomaly = meanAnomaly;
+  for (let i = 0; i < 10; ++i) {
+    eccentricAnomaly = meanAnomaly + e * Math.sin(eccentricAnomaly);
+  }
+
+  const trueAnomaly = Math.atan2(
+    Math.sqrt(1.0 - e * e) * Math.sin(eccentricAnomaly),
+    Math.cos(eccentricAnomaly) - e
+  );
+  const argumentOfLatitude = trueAnomaly + satellite.argumentOfPerigee;
+  const radius = a * (1.0 - e * Math.cos(eccentricAnomaly));
+  const xOrbit = radius * Math.cos(argumentOfLatitude);
+  const yOrbit = radius * Math.sin(argumentOfLatitude);
+  const rightAscension =
+    satellite.rightAscension +
+    (satellite.rightAscensionRate - earthRotationRate) * tk -
+    earthRotationRate * satellite.toa;
+  const cosInclination = Math.cos(satellite.inclination);
+
+  return [
+    xOrbit * Math.cos(rightAscension) -
+      yOrbit * cosInclination * Math.sin(rightAscension),
+    xOrbit * Math.sin(rightAscension) +
+      yOrbit * cosInclination * Math.cos(rightAscension),
+    yOrbit * Math.sin(satellite.inclination)
+  ];
+}
+
+/**
+ * Converts geodetic coordinates (on the WGS84 ellipsoid surface) to ECEF.
+ *
+ * @param {Number} latitude Latitude (rad).
+ * @param {Number} longitude Longitude (rad).
+ * @return {Number[]} ECEF coordinates (m).
+ */
+function geodeticToEcef(latitude, longitude) {
+  const sinLatitude = Math.sin(latitude);
+  const radius =
+    wgs84SemiMajorAxis /
+    Math.sqrt(1.0 - wgs84EccentricitySquared * sinLatitude * sinLatitude);
+  return [
+    radius * Math.cos(latitude) * Math.cos(longitude),
+    radius * Math.cos(latitude) * Math.sin(longitude),
+    radius * (1.0 - wgs84EccentricitySquared) * sinLatitude
+  ];
+}
+
+/**
+ * Computes the unit line-of-sight vector from a receiver to a satellite in the
+ * local East-North-Up frame of the receiver.
+ *
+ * @param {Number} latitude Receiver latitude (rad).
+ * @param {Number} longitude Receiver longitude (rad).
+ * @param {Number[]} receiverPosition Receiver ECEF coordinates (m).
+ * @param {Number[]} satellitePosition Satellite ECEF coordinates (m).
+ * @return {Number[]} Line-of-sight vector (east, north, up).
+ */
+function computeLineOfSight(
+  latitude,
+  longitude,
+  receiverPosition,
+  satellitePosition
+) {
+  const dx = satellitePosition[0] - receiverPosition[0];
+  const dy = satellitePosition[1] - receiverPosition[1];
+  const dz = satellitePosition[2] - receiverPosition[2];
+  const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const sinLatitude = Math.sin(latitude);
+  const cosLatitude = Math.cos(latitude);
+  const sinLongitude = Math.sin(longitude);
+  const cosLongitude = Math.cos(longitude);
+  return [
+    (-sinLongitude * dx + cosLongitude * dy) / range,
+    (-sinLatitude * cosLongitude * dx -
+      sinLatitude * sinLongitude * dy +
+      cosLatitude * dz) /
+      range,
+    (cosLatitude * cosLongitude * dx +
+      cosLatitude * sinLongitude * dy +
+      sinLatitude * dz) /
+      range
+  ];
+}
+
+/*******************************************************************************
+ *
+ *    DILUTION OF PRECISION FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Inverts a square matrix using Gauss-Jordan elimination.
+ *
+ * @param {Number[][]} matrix Matrix to invert (not modified).
+ * @return {Number[][] | null} Inverse matrix or null if the matrix is singular.
+ */
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const augmented = matrix.map(function(row, i) {
+    const identityRow = new Array(size).fill(0.0);
+    identityRow[i] = 1.0;
+    return row.concat(identityRow);
+  });
+
+  for (let column = 0; column < size; ++column) {
+    let pivot = column;
+    for (let row = column + 1; row < size; ++row) {
+      if (
+        Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])
+      ) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(augmented[pivot][column]) < 1e-12) {
+      return null;
+    }
+    [augmented[column], augmented[pivot]] = [
+      augmented[pivot],
+      augmented[column]
+    ];
+
+    const pivotValue = augmented[column][column];
+    for (let k = 0; k < 2 * size; ++k) {
+      augmented[column][k] /= pivotValue;
+    }
+    for (let row = 0; row < size; ++row) {
+      const factor = augmented[row][column];
+      if (row !== column && factor !== 0.0) {
+        for (let k = 0; k < 2 * size; ++k) {
+          augmented[row][k] -= factor * augmented[column][k];
+        }
+      }
+    }
+  }
+
+  return augmented.map(function(row) {
+    return row.slice(size);
+  });
+}
+
+/**
+ * Computes the dilution of precision of a position fix.
+ *
+ * @param {Object[]} satellites Satellites used in the fix (each one with its
+ *     line-of-sight vector in the East-North-Up frame and satellite system).
+ * @return {Object | null} PDOP, HDOP and VDOP (plus the horizontal part of
+ *     the unitless position covariance: east and north variances and their
+ *     covariance) or null if they cannot be computed (e.g. with less than 4
+ *     satellites).
+ * @note Each satellite system has its own receiver clock bias, so one unknown
+ *       is added per satellite system used in the fix.
+ */
+function computeDilutionOfPrecision(satellites) {
+  const systems = [];
+  for (const satellite of satellites) {
+    if (!systems.includes(satellite.system)) {
+      systems.push(satellite.system);
+    }
+  }
+
+  const numUnknowns = 3 + systems.length;
+  if (satellites.length < numUnknowns) {
+    return null;
+  }
+
+  // Compute the normal matrix G^T * G from the geometry matrix G.
+  const normalMatrix = [];
+  for (let i = 0; i < numUnknowns; ++i) {
+    normalMatrix.push(new Array(numUnknowns).fill(0.0));
+  }
+  for (const satellite of satellites) {
+    const geometryRow = new Array(numUnknowns).fill(0.0);
+    geometryRow[0] = -satellite.lineOfSight[0];
+    geometryRow[1] = -satellite.lineOfSight[1];
+    geometryRow[2] = -satellite.lineOfSight[2];
+    geometryRow[3 + systems.indexOf(satellite.system)] = 1.0;
+    for (let i = 0; i < numUnknowns; ++i) {
+      for (let j = 0; j < numUnknowns; ++j) {
+        normalMatrix[i][j] += geometryRow[i] * geometryRow[j];
+      }
+    }
+  }
+
+  const covariance = invertMatrix(normalMatrix);
+  if (covariance === null) {
+    return null;
+  }
+  return {
+    pdop: Math.sqrt(covariance[0][0] + covariance[1][1] + covariance[2][2]),
+    hdop: Math.sqrt(covariance[0][0] + covariance[1][1]),
+    vdop: Math.sqrt(covariance[2][2]),
+    horizontalCovariance: {
+      east: covariance[0][0],
+      north: covariance[1][1],
+      eastNorth: covariance[0][1]
+    }
+  };
+}
+
+/*******************************************************************************
+ *
+ *    CONSTELLATION FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Computes the satellites in view and the resulting position fix quality for
+ * a receiver at a given time and location.
+ *
+ * @param {Object[]} almanacs Loaded almanacs (each one with its satellite
+ *     system and the orbital parameters of its satellites).
+ * @param {Date} time Time at which the satellites are observed.
+ * @param {L.LatLng} coordinates Receiver location.
+ * @param {Number} elevationMask Minimum elevation (in degrees) at which a
+ *     satellite is considered to be in view.
+ * @return {Object} Fix quality data: fix mode, fix type (1 = no fix, 2 = 2D
+ *     fix, 3 = 3D fix), PRNs of the satellites used in the fix,
+ *     PDOP/HDOP/VDOP values, horizontal covariance (see
+ *     computeDilutionOfPrecision(), null without a 3D fix) and satellites in
+ *     view (PRN, elevation, azimuth and SNR).
+ * @note Unhealthy satellites are ignored. Only the (up to 12) satellites with
+ *       the highest elevation are used in the fix. Without a 3D fix, the DOP
+ *       values are set to 99.9.
+ */
+function computeConstellationQuality(
+  almanacs,
+  time,
+  coordinates,
+  elevationMask
+) {
+  const gpsSeconds = timeToGpsSeconds(time);
+  const latitude = coordinates.lat / degreesPerRadian;
+  const longitude = coordinates.lng / degreesPerRadian;
+  const receiverPosition = geodeticToEcef(latitude, longitude);
+  const satellitesInView = [];
+
+  for (const almanac of almanacs) {
+    for (const satellite of almanac.satellites) {
+      if (satellite.health !== 0) {
+        continue;
+      }
+      const lineOfSight = computeLineOfSight(
+        latitude,
+        longitude,
+        receiverPosition,
+        propagateSatellite(satellite, gpsSeconds)
+      );
+      const elevation = degreesPerRadian * Math.asin(lineOfSight[2]);
+      if (elevation < elevationMask) {
+        continue;
+      }
+      const azimuth =
+        (degreesPerRadian * Math.atan2(lineOfSight[0], lineOfSight[1]) +
+          360.0) %
+        360.0;
+      satellitesInView.push({
+        prn: satellite.id + almanac.system.prnOffset,
+        elevation: Math.round(elevation),
+        azimuth: Math.round(azimuth) % 360,
+        // Simple signal strength model: the higher the satellite, the better.
+        snr: Math.round(25.0 + 25.0 * Math.sin(elevation / degreesPerRadian)),
+        system: almanac.system,
+        lineOfSight: lineOfSight
+      });
+    }
+  }
+
+  satellitesInView.sort(function(first, second) {
+    return second.lineOfSight[2] - first.lineOfSight[2];
+  });
+  const satellitesInFix = satellitesInView.slice(0, maxSatellitesInFix);
+  const dop = computeDilutionOfPrecision(satellitesInFix);
+
+  return {
+    mode: "A",
+    fix: dop !== null ? 3 : satellitesInFix.length >= 3 ? 2 : 1,
+    prns: satellitesInFix.map(function(satellite) {
+      return satellite.prn;
+    }),
+    pdop: dop !== null ? dop.pdop : 99.9,
+    hdop: dop !== null ? dop.hdop : 99.9,
+    vdop: dop !== null ? dop.vdop : 99.9,
+    horizontalCovariance: dop !== null ? dop.horizontalCovariance : null,
+    satellites: satellitesInView.map(function(satellite) {
+      return {
+        prn: satellite.prn,
+        elevation: satellite.elevation,
+        azimuth: satellite.azimuth,
+        snr: satellite.snr
+      };
+    })
+  };
+}
@@ -68,6 +68,134 @@ const ToolsEnum = {
 // Number of satellites (for generating NMEA logs). Do not change!
 const numSatellites = 12;
 
+// Talker IDs which can be used for generating NMEA logs.
+const talkerIds = ["GP", "GL", "GA", "GB", "BD", "GN"];
+
+// GNSS system IDs (used on GSA sentences from NMEA 4.10 on) of the talker IDs
+// of single-constellation receivers.
+const talkerSystemIds = { GP: 1, GL: 2, GA: 3, GB: 4, BD: 4 };
+
+// Talker ID, signal ID (from NMEA 4.10 on) and PRN offset of the GSV sentences
+// of each GNSS system ID. GLONASS satellites keep their NMEA numbers (65-96),
+// whereas Galileo satellites are numbered within their own system (1-36).
+const gsvSystemParameters = {
+  1: { talkerId: "GP", signalId: 1, prnOffset: 0 },
+  2: { talkerId: "GL", signalId: 1, prnOffset: 0 },
+  3: { talkerId: "GA", signalId: 7, prnOffset: 300 }
+};
+
+// NMEA versions which can be used for generating NMEA logs (each one defines a
+// different field layout for some sentence types).
+const nmeaVersions = ["2.1", "2.3", "4.10", "4.11"];
+
+// Types of NMEA sentences which can be generated for each point. Proprietary
+// sentence types (e.g. "PUBX" for u-blox receivers) are written without a
+// talker ID.
+const nmeaSentenceTypes = [
+  "GGA",
+  "GSA",
+  "GSV",
+  "RMC",
+  "VTG",
+  "HDT",
+  "HDG",
+  "THS",
+  "GLL",
+  "ZDA",
+  "GST",
+  "PUBX",
+  "PGRME"
+];
+
+// Output profiles emulating common receivers: types of the sentences written
+// for each point (in order), talker ID, NMEA version and number of decimal
+// digits of the minutes of the coordinates and of the seconds of the times.
+// Multi-GNSS receivers ("GN" talker ID) write their GSV sentences with the
+// talker ID of each satellite system (e.g. "GP" for GPS).
+const receiverProfiles = {
+  Generic: {
+    sentenceTypes: ["GGA", "GSA", "RMC"],
+    talkerId: "GP",
+    nmeaVersion: "2.1",
+    coordinatePrecision: 3,
+    timePrecision: 3
+  },
+  "u-blox": {
+    sentenceTypes: ["RMC", "VTG", "GGA", "GSA", "GSV", "GLL"],
+    talkerId: "GN",
+    nmeaVersion: "4.10",
+    coordinatePrecision: 5,
+    timePrecision: 2
+  },
+  SiRF: {
+    sentenceTypes: ["GGA", "GSA", "GSV", "RMC"],
+    talkerId: "GP",
+    nmeaVersion: "2.3",
+    coordinatePrecision: 4,
+    timePrecision: 3
+  },
+  Garmin: {
+    sentenceTypes: ["RMC", "GGA", "GSA", "GSV", "PGRME"],
+    talkerId: "GP",
+    nmeaVersion: "2.3",
+    coordinatePrecision: 4,
+    timePrecision: 0
+  }
+};
+
+// UBX (u-blox binary) messages which can be generated for each point (in the
+// order in which they are written to generated UBX logs).
+const ubxMessageNames = ["NAV-PVT", "NAV-POSLLH", "NAV-VELNED", "NAV-SAT"];
+
+// GNSS identifiers of the satellite systems on UBX messages (indexed by the
+// name of the satellite system, see SatelliteSystemsEnum).
+const ubxGnssIds = {
+  GPS: ubx.GnssIds.GPS,
+  GLONASS: ubx.GnssIds.GLONASS,
+  Galileo: ubx.GnssIds.GALILEO
+};
+
+// Key of the receiver profiles saved by the user on the local storage.
+const customReceiverProfilesKey = "receiverProfiles";
+
+// Vessel classes of the simulated AIS transponder: class A vessels report
+// their position with message type 1 and their static data with message type
+// 5, whereas class B vessels use message types 18 and 24.
+const aisClasses = ["A", "B"];
+
+// Interval (in seconds) between consecutive AIS static data reports.
+const aisStaticDataInterval = 360;
+
+// Descriptions of the problems found in the sentences of a loaded NMEA file
+// (indexed by nmea.ErrorCodes) and maximum number of offending lines listed on
+// the status popup for each one of them.
+const nmeaErrorDescriptions = {
+  [nmea.ErrorCodes.UNKNOWN_ID]: "Unknown/unsupported sentence IDs",
+  [nmea.ErrorCodes.UNSUPPORTED_MESSAGE]: "Unsupported proprietary messages",
+  [nmea.ErrorCodes.BAD_CHECKSUM]: "Sentences with a bad checksum",
+  [nmea.ErrorCodes.TOO_FEW_FIELDS]: "Sentences with too few fields",
+  [nmea.ErrorCodes.MALFORMED_COORDINATE]:
+    "Sentences with malformed coordinates",
+  [nmea.ErrorCodes.MALFORMED_FIELD]: "Sentences with malformed fields",
+  [nmea.ErrorCodes.INVALID_SENTENCE]: "Invalid sentences",
+  [nmea.ErrorCodes.GARBAGE]: "Lines with text which is not a sentence",
+  [nmea.ErrorCodes.SENTENCE_TOO_LONG]: "Sentences longer than 82 characters",
+  [nmea.ErrorCodes.INVALID_CHARACTER]: "Sentences with invalid characters",
+  [nmea.ErrorCodes.TOO_MANY_FIELDS]: "Sentences with too many fields",
+  [nmea.ErrorCodes.MISSING_FIELD]: "Sentences with missing mandatory fields",
+  [nmea.ErrorCodes.OUT_OF_RANGE]: "Sentences with out of range values"
+};
+const maxNmeaErrorLinesShown = 3;
+
+// Media types of the downloaded files (indexed by file extension), files with
+// other extensions are downloaded as plain text or binary data.
+const fileMediaTypes = {
+  csv: "text/csv",
+  gpx: "application/gpx+xml",
+  kml: "application/vnd.google-earth.kml+xml",
+  kmz: "application/vnd.google-earth.kmz"
+};
+
 /*******************************************************************************
  *
  *    MAP CONFIGURATION PARAMETERS
@@ -148,6 +276,70 @@ let multiPointLineStepSize = null;
 // Time/date at which the first GPS position was obtained.
 let startDate = null;
 
+// Talker ID of the generated NMEA sentences (e.g. "GP" for GPS only, "GN" for
+// multi-GNSS output).
+let talkerId = null;
+
+// Types of NMEA sentences included in generated NMEA logs (in the order in
+// which they are written for each point).
+let outputSentenceTypes = null;
+
+// Number of decimal digits of the minutes of the coordinates and of the seconds
+// of the times of the generated NMEA sentences.
+let coordinatePrecision = null;
+let timePrecision = null;
+
+// Name of the last selected receiver profile (from receiverProfiles or from the
+// profiles saved by the user, which are indexed by name as well).
+let receiverProfile = null;
+let customReceiverProfiles = {};
+
+// NMEA version of the generated NMEA sentences.
+let nmeaVersion = null;
+
+// User equivalent range error (standard deviation in meters) used for deriving
+// the position error statistics of the generated GST sentences.
+let rangeError = null;
+
+// Minimum elevation (in degrees) of satellites simulated from an almanac.
+let elevationMask = null;
+
+// MMSI and ship name of the vessel simulated on AIS logs.
+let vesselMmsi = null;
+let vesselName = null;
+
+// AIS class of the simulated vessel (from aisClasses).
+let aisClass = null;
+
+// Type of AIS sentences of generated AIS logs ("VDM" to report the vessel as
+// seen by another vessel, "VDO" to report it as the own vessel).
+let aisSentenceType = null;
+
+// Whether generated NMEA/AIS logs are validated against the NMEA 0183 standard
+// before being downloaded.
+let validateOutput = null;
+
+// Types of UBX messages included in generated UBX logs.
+let outputUbxMessages = null;
+
+// Whether each generated sentence is preceded by a TAG block (NMEA 0183 v4)
+// with the timestamp of its point.
+let tagBlockOutput = null;
+
+// Format of the line prefixes (see nmea.LinePrefixFormats) which are stripped
+// from loaded NMEA files, e.g. receive timestamps added by a logger, and the
+// delimiter which ends them (for nmea.LinePrefixFormats.DELIMITER).
+let linePrefixFormat = null;
+let linePrefixDelimiter = null;
+
+// Whether the timestamps of the line prefixes are used as the point times of
+// loaded NMEA files.
+let linePrefixTimes = null;
+
+// Loaded almanacs (at most one per satellite system). If no almanac is loaded,
+// a constant fix quality is used for generating NMEA logs.
+let almanacs = [];
+
 // Arrays which hold the added/preview points on the map.
 const pointArray = [];
 const previewPointArray = [];
@@ -216,13 +408,19 @@ function getLastAddedPoint() {
  * Adds a point to the map.
  *
  * @param {L.LatLng} coordinates Point coordinates.
+ * @param {Object} quality Fix quality data (see getPointQuality()) or null to
+ *     use the default fix quality.
+ * @param {Number} heading Heading override in degrees (see getPointHeading())
+ *     or null to use the bearing angle as heading.
  */
-function addPoint(coordinates) {
+function addPoint(coordinates, quality = null, heading = null) {
   const point = L.circleMarker(coordinates)
     .setStyle(normalPointStyle)
     .setRadius(pointRadius)
     .on("click", onPointClick)
     .addTo(map);
+  point.quality = quality;
+  point.heading = heading;
   pointArray.push(point);
 }
 
@@ -283,6 +481,39 @@ function getTimeForPoint(pointIndex) {
   return pointDate;
 }
 
+/**
+ * Returns the fix quality data (as obtained from a GSA sentence) at a point.
+ *
+ * @param {Number} pointIndex Point index (position on pointArray).
+ * @return {Object} Fix quality data: fix mode ("A" or "M"), fix type (1 = no
+ *     fix, 2 = 2D fix, 3 = 3D fix), PRNs of the satellites used in the fix
+ *     and PDOP/HDOP/VDOP values.
+ * @note Points which were not loaded from an NMEA file with GSA sentences have
+ *       their fix quality simulated from the loaded almanacs (the satellites
+ *       in view are then included in the returned data) or, if there are no
+ *       almanacs, a default fix quality (3D fix using satellites 1 to
+ *       numSatellites, all DOP values equal to 1).
+ */
+function getPointQuality(pointIndex) {
+  const quality = pointArray[pointIndex].quality;
+  if (quality) {
+    return quality;
+  }
+  if (almanacs.length > 0) {
+    return computeConstellationQuality(
+      almanacs,
+      getTimeForPoint(pointIndex),
+      pointArray[pointIndex].getLatLng(),
+      elevationMask
+    );
+  }
+  const prns = [];
+  for (let prn = 1; prn <= numSatellites; ++prn) {
+    prns.push(prn);
+  }
+  return { mode: "A", fix: 3, prns: prns, pdop: 1.0, hdop: 1.0, vdop: 1.0 };
+}
+
 /**
  * Returns the distance between a point and the next one on the drawn path.
  *
@@ -345,6 +576,19 @@ function getSpeedAtPointKnots(pointIndex) {
   return getSpeedAtPointMps(pointIndex) * 1.943844;
 }
 
+/**
+ * Returns the object speed at a point in km/h.
+ *
+ * @param {Number} pointIndex Point index (position on pointArray).
+ * @return {Number | null} Object speed (if applicable) or null.
+ */
+function getSpeedAtPointKph(pointIndex) {
+  if (pointArray.length < 2) {
+    return null;
+  }
+  return getSpeedAtPointMps(pointIndex) * 3.6;
+}
+
 /**
  * Returns the bearing angle at a given point in degrees.
  *
@@ -386,6 +630,34 @@ function getPointBearing(pointIndex) {
   return (angleDegrees + 360) % 360;
 }
 
+/**
+ * Returns the true heading at a given point in degrees.
+ *
+ * @param {Number} pointIndex Point index (position on pointArray).
+ * @return {Number} Heading angle (if applicable) or null.
+ * @note Unless the heading of the point was overridden (e.g. for simulating a
+ *       crab angle or a reversing vehicle), the heading is equal to the
+ *       bearing angle.
+ */
+function getPointHeading(pointIndex) {
+  const heading = pointArray[pointIndex].heading;
+  return heading !== null ? heading : getPointBearing(pointIndex);
+}
+
+/**
+ * Returns the elevation at a given point in meters.
+ *
+ * @param {Number} pointIndex Point index (position on pointArray).
+ * @return {Number} Elevation above mean sea level.
+ * @note Only points loaded from files with elevations (e.g. GPX files) have
+ *       one, other points are at sea level. Moving a point discards its
+ *       elevation.
+ */
+function getPointElevation(pointIndex) {
+  const elevation = pointArray[pointIndex].getLatLng().alt;
+  return elevation !== undefined ? elevation : 0.0;
+}
+
 /**
  * Sets the selected point and updates the relevant segments accordingly.
  *
@@ -475,6 +747,21 @@ function setSelectedPointCoordinates(coordinates) {
   }
 }
 
+/**
+ * Sets the heading override of the selected point.
+ *
+ * @param {Number} heading Heading in degrees or null to use the bearing angle
+ *     as heading.
+ */
+function setSelectedPointHeading(heading) {
+  expect(
+    selectedPoint !== null,
+    "setSelectedPointHeading(): selectedPoint === null"
+  );
+
+  selectedPoint.heading = heading;
+}
+
 /*******************************************************************************
  *
  *    SEGMENT FUNCTIONS
@@ -711,7 +998,16 @@ function cloneCurrentPath() {
   const pathCoordinates = [];
   for (const point of pointArray) {
     const coordinates = point.getLatLng();
-    pathCoordinates.push(L.latLng(coordinates.lat, coordinates.lng));
+    const clonedCoordinates = L.latLng(
+      coordinates.lat,
+      coordinates.lng,
+      coordinates.alt
+    );
+    // Keep the fix quality and heading of the point for "undo" and "redo"
+    // actions.
+    clonedCoordinates.quality = point.quality;
+    clonedCoordinates.heading = point.heading;
+    pathCoordinates.push(clonedCoordinates);
   }
   return pathCoordinates;
 }
@@ -719,7 +1015,9 @@ function cloneCurrentPath() {
 /**
  * Exchanges the currently drawn path with a new path.
  *
- * @param {L.LatLng[]} pathCoordinates New path.
+ * @param {L.LatLng[]} pathCoordinates New path (coordinates may carry the fix
+ *     quality data and heading override of their points in "quality" and
+ *     "heading" properties).
  */
 function rebuildPath(pathCoordinates) {
   clearMap();
@@ -727,7 +1025,11 @@ function rebuildPath(pathCoordinates) {
     if (getLastAddedPoint() !== null) {
       addOrientedSegment(getLastAddedPoint().getLatLng(), coordinates);
     }
-    addPoint(coordinates);
+    addPoint(
+      coordinates,
+      coordinates.quality || null,
+      coordinates.heading !== undefined ? coordinates.heading : null
+    );
   }
   updatePathStats();
 }
@@ -746,7 +1048,9 @@ function comparePaths(firstPath, secondPath) {
   for (let i = 0; i < firstPath.length; ++i) {
     if (
       firstPath[i].lat !== secondPath[i].lat ||
-      firstPath[i].lng !== secondPath[i].lng
+      firstPath[i].lng !== secondPath[i].lng ||
+      firstPath[i].alt !== secondPath[i].alt ||
+      firstPath[i].heading !== secondPath[i].heading
     ) {
       return false;
     }
@@ -833,6 +1137,399 @@ function setGpsFrequency(newGpsFrequency) {
   $("#gps-frequency").removeClass("invalid-value");
 }
 
+/**
+ * Sets the talker ID of the generated NMEA sentences.
+ *
+ * @param {String} newTalkerId New talker ID (from talkerIds).
+ */
+function setTalkerId(newTalkerId) {
+  talkerId = newTalkerId;
+  $("#talker-id").val(talkerId);
+}
+
+/**
+ * Sets the NMEA version of the generated NMEA sentences.
+ *
+ * @param {String} newNmeaVersion New NMEA version (from nmeaVersions).
+ */
+function setNmeaVersion(newNmeaVersion) {
+  nmeaVersion = newNmeaVersion;
+  nmea.setVersion(nmeaVersion);
+  $("#nmea-version").val(nmeaVersion);
+}
+
+/**
+ * Sets the types of NMEA sentences included in generated NMEA logs.
+ *
+ * @param {String[]} newOutputSentenceTypes Sentence types (from
+ *     nmeaSentenceTypes).
+ */
+function setOutputSentenceTypes(newOutputSentenceTypes) {
+  outputSentenceTypes = newOutputSentenceTypes.slice();
+  $("#output-sentences input").each(function() {
+    $(this).prop("checked", outputSentenceTypes.indexOf($(this).val()) !== -1);
+  });
+}
+
+/**
+ * Sets the types of UBX messages included in generated UBX logs.
+ *
+ * @param {String[]} newOutputUbxMessages Message names (from ubxMessageNames).
+ */
+function setOutputUbxMessages(newOutputUbxMessages) {
+  outputUbxMessages = newOutputUbxMessages.slice();
+  $("#output-ubx-messages input").each(function() {
+    $(this).prop("checked", outputUbxMessages.indexOf($(this).val()) !== -1);
+  });
+}
+
+/**
+ * Sets the number of decimal digits of the minutes of the coordinates of the
+ * generated NMEA sentences.
+ *
+ * @param {Number} newCoordinatePrecision New number of decimal digits.
+ */
+function setCoordinatePrecision(newCoordinatePrecision) {
+  coordinatePrecision = newCoordinatePrecision;
+  nmea.setLatitudePrecision(coordinatePrecision);
+  nmea.setLongitudePrecision(coordinatePrecision);
+  $("#coordinate-precision").val(coordinatePrecision);
+}
+
+/**
+ * Sets the number of decimal digits of the seconds of the times of the
+ * generated NMEA sentences.
+ *
+ * @param {Number} newTimePrecision New number of decimal digits (0 to 3).
+ */
+function setTimePrecision(newTimePrecision) {
+  timePrecision = newTimePrecision;
+  nmea.setTimePrecision(timePrecision);
+  $("#time-precision").val(timePrecision);
+}
+
+/**
+ * Applies the settings of a receiver profile (sentence types, talker ID, NMEA
+ * version and precisions) to the generated NMEA logs.
+ *
+ * @param {String} newReceiverProfile Name of the profile (from
+ *     receiverProfiles or customReceiverProfiles).
+ */
+function setReceiverProfile(newReceiverProfile) {
+  const profile =
+    receiverProfiles[newReceiverProfile] ||
+    customReceiverProfiles[newReceiverProfile];
+  receiverProfile = newReceiverProfile;
+  setOutputSentenceTypes(profile.sentenceTypes);
+  setTalkerId(profile.talkerId);
+  setNmeaVersion(profile.nmeaVersion);
+  setCoordinatePrecision(profile.coordinatePrecision);
+  setTimePrecision(profile.timePrecision);
+  $("#receiver-profile").val(receiverProfile);
+  $("#delete-receiver-profile").prop(
+    "disabled",
+    !(receiverProfile in customReceiverProfiles)
+  );
+}
+
+/**
+ * Checks whether a receiver profile has all the settings of a profile (see
+ * receiverProfiles) with values that can be selected on the menu.
+ *
+ * @param {Object} profile Receiver profile.
+ * @return {Boolean} Whether the profile is valid.
+ */
+function isValidReceiverProfile(profile) {
+  return (
+    profile !== null &&
+    typeof profile === "object" &&
+    Array.isArray(profile.sentenceTypes) &&
+    profile.sentenceTypes.every(function(sentenceType) {
+      return nmeaSentenceTypes.indexOf(sentenceType) !== -1;
+    }) &&
+    talkerIds.indexOf(profile.talkerId) !== -1 &&
+    nmeaVersions.indexOf(profile.nmeaVersion) !== -1 &&
+    Number.isInteger(profile.coordinatePrecision) &&
+    profile.coordinatePrecision >= 2 &&
+    profile.coordinatePrecision <= 6 &&
+    Number.isInteger(profile.timePrecision) &&
+    profile.timePrecision >= 0 &&
+    profile.timePrecision <= 3
+  );
+}
+
+/**
+ * Reads the receiver profiles saved by the user from the local storage.
+ *
+ * @return {Object} Profiles indexed by name (see receiverProfiles).
+ * @note Unreadable contents yield no profiles, and invalid profiles (or those
+ *       named as a predefined profile) are left out.
+ */
+function readCustomReceiverProfiles() {
+  let storedProfiles = null;
+  try {
+    storedProfiles = JSON.parse(
+      localStorage.getItem(customReceiverProfilesKey)
+    );
+  } catch (error) {
+    storedProfiles = null;
+  }
+  if (
+    storedProfiles === null ||
+    typeof storedProfiles !== "object" ||
+    Array.isArray(storedProfiles)
+  ) {
+    return {};
+  }
+
+  const profiles = {};
+  for (const name of Object.keys(storedProfiles)) {
+    if (
+      !(name in receiverProfiles) &&
+      isValidReceiverProfile(storedProfiles[name])
+    ) {
+      profiles[name] = storedProfiles[name];
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Sets the receiver profiles saved by the user and stores them on the local
+ * storage (so they are available on later visits).
+ *
+ * @param {Object} newCustomReceiverProfiles Profiles indexed by name (see
+ *     receiverProfiles).
+ * @param {Boolean} store Whether to store the profiles (false when they have
+ *     just been read from the local storage).
+ * @note If the local storage is not available (e.g. blocked or full), the
+ *       profiles are only kept until the page is closed.
+ */
+function setCustomReceiverProfiles(newCustomReceiverProfiles, store = true) {
+  customReceiverProfiles = newCustomReceiverProfiles;
+  if (store) {
+    try {
+      localStorage.setItem(
+        customReceiverProfilesKey,
+        JSON.stringify(customReceiverProfiles)
+      );
+    } catch (error) {
+      // The profiles are still available on this visit.
+    }
+  }
+
+  $("#receiver-profile").empty();
+  for (const name of Object.keys(receiverProfiles).concat(
+    Object.keys(customReceiverProfiles)
+  )) {
+    $("#receiver-profile").append(
+      $("<option>")
+        .val(name)
+        .text(name)
+    );
+  }
+  $("#receiver-profile").val(receiverProfile);
+}
+
+/**
+ * Saves the current generation settings (sentence types, talker ID, NMEA
+ * version and precisions) as a receiver profile and selects it.
+ *
+ * @param {String} name Name of the profile (a profile of the user with the
+ *     same name is replaced).
+ */
+function saveReceiverProfile(name) {
+  const newCustomReceiverProfiles = Object.assign({}, customReceiverProfiles);
+  newCustomReceiverProfiles[name] = {
+    sentenceTypes: outputSentenceTypes.slice(),
+    talkerId: talkerId,
+    nmeaVersion: nmeaVersion,
+    coordinatePrecision: coordinatePrecision,
+    timePrecision: timePrecision
+  };
+  setCustomReceiverProfiles(newCustomReceiverProfiles);
+  setReceiverProfile(name);
+}
+
+/**
+ * Deletes a receiver profile saved by the user and selects the generic
+ * profile.
+ *
+ * @param {String} name Name of the profile.
+ */
+function deleteReceiverProfile(name) {
+  const newCustomReceiverProfiles = Object.assign({}, customReceiverProfiles);
+  delete newCustomReceiverProfiles[name];
+  setCustomReceiverProfiles(newCustomReceiverProfiles);
+  setReceiverProfile("Generic");
+}
+
+/**
+ * Sets the user equivalent range error used for position error statistics.
+ *
+ * @param {Number} newRangeError New range error in meters.
+ */
+function setRangeError(newRangeError) {
+  rangeError = newRangeError;
+  if (!$("#range-error").is(":focus")) {
+    $("#range-error").val(rangeError);
+  }
+  $("#range-error").removeClass("invalid-value");
+}
+
+/**
+ * Sets the elevation mask for satellites simulated from an almanac.
+ *
+ * @param {Number} newElevationMask New elevation mask in degrees.
+ */
+function setElevationMask(newElevationMask) {
+  elevationMask = newElevationMask;
+  if (!$("#elevation-mask").is(":focus")) {
+    $("#elevation-mask").val(elevationMask);
+  }
+  $("#elevation-mask").removeClass("invalid-value");
+}
+
+/**
+ * Shows the progress of a file being loaded. The file tools are disabled
+ * while a file is loaded.
+ *
+ * @param {?Number} fraction Fraction of the file loaded (between 0 and 1), or
+ *     null to hide the progress indicator once the file is loaded.
+ */
+function setFileLoadingProgress(fraction) {
+  $("#file-tools button").prop("disabled", fraction !== null);
+  if (fraction === null) {
+    $("#file-loading-progress").hide();
+  } else {
+    $("#file-loading-progress")
+      .val(fraction)
+      .show();
+  }
+}
+
+/**
+ * Sets the MMSI of the vessel simulated on AIS logs.
+ *
+ * @param {Number} newVesselMmsi New MMSI (9 digits).
+ */
+function setVesselMmsi(newVesselMmsi) {
+  vesselMmsi = newVesselMmsi;
+  if (!$("#vessel-mmsi").is(":focus")) {
+    $("#vessel-mmsi").val(nmea.padLeft(vesselMmsi.toString(), 9, "0"));
+  }
+  $("#vessel-mmsi").removeClass("invalid-value");
+}
+
+/**
+ * Sets the ship name of the vessel simulated on AIS logs.
+ *
+ * @param {String} newVesselName New ship name (at most 20 characters, in
+ *     upper case).
+ */
+function setVesselName(newVesselName) {
+  vesselName = newVesselName;
+  if (!$("#vessel-name").is(":focus")) {
+    $("#vessel-name").val(vesselName);
+  }
+  $("#vessel-name").removeClass("invalid-value");
+}
+
+/**
+ * Sets the AIS class of the vessel simulated on AIS logs.
+ *
+ * @param {String} newAisClass New AIS class (from aisClasses).
+ */
+function setAisClass(newAisClass) {
+  aisClass = newAisClass;
+  $("#ais-class").val(aisClass);
+}
+
+/**
+ * Sets the type of AIS sentences of generated AIS logs.
+ *
+ * @param {String} newAisSentenceType New sentence type ("VDM" or "VDO").
+ */
+function setAisSentenceType(newAisSentenceType) {
+  aisSentenceType = newAisSentenceType;
+  $("#ais-sentence-type").val(aisSentenceType);
+}
+
+/**
+ * Sets whether generated logs are validated before being downloaded.
+ *
+ * @param {Boolean} newValidateOutput True to validate generated logs.
+ */
+function setValidateOutput(newValidateOutput) {
+  validateOutput = newValidateOutput;
+  $("#validate-output").prop("checked", validateOutput);
+}
+
+/**
+ * Sets whether generated sentences are preceded by TAG blocks.
+ *
+ * @param {Boolean} newTagBlockOutput True to generate TAG blocks.
+ */
+function setTagBlockOutput(newTagBlockOutput) {
+  tagBlockOutput = newTagBlockOutput;
+  $("#tag-block-output").prop("checked", tagBlockOutput);
+}
+
+/**
+ * Sets the format of the line prefixes stripped from loaded NMEA files.
+ *
+ * @param {String} newLinePrefixFormat New format (see nmea.LinePrefixFormats).
+ */
+function setLinePrefixFormat(newLinePrefixFormat) {
+  linePrefixFormat = newLinePrefixFormat;
+  $("#line-prefix-format").val(linePrefixFormat);
+  $("#line-prefix-delimiter").prop(
+    "disabled",
+    linePrefixFormat !== nmea.LinePrefixFormats.DELIMITER
+  );
+}
+
+/**
+ * Sets the delimiter which ends the line prefixes of loaded NMEA files.
+ *
+ * @param {String} newLinePrefixDelimiter New delimiter (e.g. ",").
+ */
+function setLinePrefixDelimiter(newLinePrefixDelimiter) {
+  linePrefixDelimiter = newLinePrefixDelimiter;
+  if (!$("#line-prefix-delimiter").is(":focus")) {
+    $("#line-prefix-delimiter").val(linePrefixDelimiter);
+  }
+  $("#line-prefix-delimiter").removeClass("invalid-value");
+}
+
+/**
+ * Sets whether the timestamps of the line prefixes are used as the point times
+ * of loaded NMEA files.
+ *
+ * @param {Boolean} newLinePrefixTimes True to use the line prefix timestamps.
+ */
+function setLinePrefixTimes(newLinePrefixTimes) {
+  linePrefixTimes = newLinePrefixTimes;
+  $("#line-prefix-times").prop("checked", linePrefixTimes);
+}
+
+/**
+ * Sets the almanacs used for simulating the satellite constellation.
+ *
+ * @param {Object[]} newAlmanacs New almanacs (each one with its satellite
+ *     system from SatelliteSystemsEnum and the orbital parameters of its
+ *     satellites).
+ */
+function setAlmanacs(newAlmanacs) {
+  almanacs = newAlmanacs;
+  const descriptions = almanacs.map(function(almanac) {
+    return almanac.system.name + " (" + almanac.satellites.length + ")";
+  });
+  $("#loaded-almanacs").text(
+    descriptions.length > 0 ? descriptions.join(", ") : "None"
+  );
+}
+
 /**
  * Updates the position of the mouse cursor on the "current position" box.
  *
@@ -853,7 +1550,7 @@ function updateCurrentPositionBox(mouseCoordinates) {
  */
 function updateEditPointToolBox() {
   if (selectedPoint === null) {
-    $("#selected-point-latitude, #selected-point-longitude")
+    $("#edit-point-box input")
       .attr("disabled", "disabled")
       .val("---");
   } else {
@@ -865,9 +1562,11 @@ function updateEditPointToolBox() {
     $("#selected-point-longitude").val(
       longitude.toFixed(coordinatesFractionalDigits)
     );
-    $("#selected-point-latitude, #selected-point-longitude").removeAttr(
-      "disabled"
+    // An empty heading means that the heading follows the bearing angle.
+    $("#selected-point-heading").val(
+      selectedPoint.heading === null ? "" : selectedPoint.heading
     );
+    $("#edit-point-box input").removeAttr("disabled");
   }
 }
 
@@ -957,6 +1656,7 @@ function showSelectedPointInfoPopup() {
   const latitude = coordinates.lat;
   const longitude = coordinates.lng;
   const bearing = getPointBearing(selectedPointIndex);
+  const heading = getPointHeading(selectedPointIndex);
   const speed = getSpeedAtPointMps(selectedPointIndex);
   const distNextPoint = getDistanceToNextPoint(selectedPointIndex);
   const distPrevPoint = getDistanceToPreviousPoint(selectedPointIndex);
@@ -975,6 +1675,9 @@ function showSelectedPointInfoPopup() {
         "<tr><th>Bearing:</th><td>" +
         (bearing === null ? "---" : bearing.toFixed(2) + "&deg;") +
         "</td></tr>" +
+        "<tr><th>Heading:</th><td>" +
+        (heading === null ? "---" : heading.toFixed(2) + "&deg;") +
+        "</td></tr>" +
         "<tr><th>Speed:</th><td>" +
         (speed === null ? "---" : speed.toFixed(2) + "m/s") +
         "</td></tr>" +
@@ -1089,13 +1792,19 @@ function hideStatusPopup() {
  * @param {String} fileData File contents.
  */
 function downloadFile(fileName, fileData) {
-  const mediaType = /^.*\.csv$/.test(fileName) ? "text/csv" : "text/plain";
+  const extension = fileName.split(".").pop();
+  let fileUri = null;
+  if (fileData instanceof Uint8Array) {
+    const mediaType = fileMediaTypes[extension] || "application/octet-stream";
+    fileUri = "data:" + mediaType + ";base64," + bytesToBase64(fileData);
+  } else {
+    const mediaType = fileMediaTypes[extension] || "text/plain";
+    fileUri =
+      "data:" + mediaType + ";charset=utf-8," + encodeURIComponent(fileData);
+  }
   const tmpDownloadLink = $("<a id='tmp-download-link'>...</a>")
     .hide()
-    .attr(
-      "href",
-      "data:" + mediaType + ";charset=utf-8," + encodeURIComponent(fileData)
-    )
+    .attr("href", fileUri)
     .attr("download", fileName);
   $("body").append(tmpDownloadLink);
   tmpDownloadLink.get(0).click();
@@ -1103,20 +1812,94 @@ function downloadFile(fileName, fileData) {
 }
 
 /**
- * Determines the frequency at which GPS positions are obtained from a sequence
- * of timestamps (times since beginning of day).
+ * Encodes binary data (e.g. a UBX log) in base64.
  *
- * @param {String[]} timestamps Timestamps in the format "HHMMSS.SSS".
- * @note Only the first two timestamps are actually used (the GPS position
- *       sampling frequency is assumed to be constant). The time between two
- *       consecutive GPS position samples must not exceed an entire day. If a
- *       frequency cannot be determined, it is assumed to be 1Hz.
+ * @param {Uint8Array} bytes Binary data.
+ * @return {String} Base64 representation of the data.
  */
-function determineGpsFrequency(timestamps) {
-  let gpsFrequencyComputed = false;
+function bytesToBase64(bytes) {
+  let binaryString = "";
+  // Large arrays are converted in chunks (the number of arguments of a
+  // function call is limited).
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binaryString += String.fromCharCode.apply(
+      null,
+      bytes.subarray(i, i + 8192)
+    );
+  }
+  return btoa(binaryString);
+}
 
-  // Assume a default GPS frequency of 1Hz.
-  setGpsFrequency(1.0);
+/**
+ * Validates the sentences of a generated log against the NMEA 0183 standard
+ * (see nmea.validate()).
+ *
+ * @param {String} text Generated log (one sentence per line).
+ * @return {Object} Violations found, indexed by error code (in the same format
+ *     as the errors collected by createNmeaFileParser()).
+ */
+function validateGeneratedData(text) {
+  const violations = {};
+  const sentences = text.split("\n");
+  for (let i = 0; i < sentences.length; ++i) {
+    if (sentences[i] === "") {
+      continue;
+    }
+    for (const violation of nmea.validate(sentences[i])) {
+      if (!(violation.code in violations)) {
+        violations[violation.code] = { count: 0, lines: [] };
+      }
+      const codeViolations = violations[violation.code];
+      ++codeViolations.count;
+      if (codeViolations.lines.length < maxNmeaErrorLinesShown) {
+        codeViolations.lines.push({ line: i + 1, text: sentences[i] });
+      }
+    }
+  }
+  return violations;
+}
+
+/**
+ * Prompts the user for downloading a generated log. If validation is enabled
+ * and the log does not comply with the NMEA 0183 standard, the violations are
+ * shown on the status popup instead.
+ *
+ * @param {String} fileName Name of the file to download.
+ * @param {String} fileData Generated log.
+ */
+function downloadGeneratedFile(fileName, fileData) {
+  if (validateOutput) {
+    const violations = validateGeneratedData(fileData);
+    if (Object.keys(violations).length > 0) {
+      clearStatusPopupMessages();
+      setStatusPopupTitle("Validation failed - " + fileName);
+      addStatusPopupMessage(
+        "The generated file does not comply with the NMEA 0183 standard and " +
+          "was not downloaded"
+      );
+      addNmeaErrorsStatusPopupMessages(violations);
+      showStatusPopup();
+      return;
+    }
+  }
+  downloadFile(fileName, fileData);
+}
+
+/**
+ * Determines the frequency at which GPS positions are obtained from a sequence
+ * of timestamps (times since beginning of day).
+ *
+ * @param {String[]} timestamps Timestamps in the format "HHMMSS.SSS".
+ * @note Only the first two timestamps are actually used (the GPS position
+ *       sampling frequency is assumed to be constant). The time between two
+ *       consecutive GPS position samples must not exceed an entire day. If a
+ *       frequency cannot be determined, it is assumed to be 1Hz.
+ */
+function determineGpsFrequency(timestamps) {
+  let gpsFrequencyComputed = false;
+
+  // Assume a default GPS frequency of 1Hz.
+  setGpsFrequency(1.0);
 
   // Determine the GPS frequency from the first two timestamps.
   if (timestamps.length >= 2) {
@@ -1148,20 +1931,21 @@ function determineGpsFrequency(timestamps) {
 
 /**
  * Determines the start time/date of a GPS recording using the timestamps
- * obtained from the GGA and RMC sentences in an NMEA file.
+ * obtained from the position (GGA or GLL) and dated (ZDA or RMC) sentences in
+ * an NMEA file.
  *
- * @param {String[]} ggaTimes Timestamps in the format "HHMMSS.SSS".
- * @param {String[]} rmcTimes Timestamps in the format "HHMMSS.SSS".
- * @param {String[]} rmcDates Dates in the format "DDMMYY".
- * @param {Boolean} ggaFirst True if the first sentence in the NMEA file is GGA.
- * @note Only the first RMC and/or the first GGA sentence in the NMEA file is
- *       used. The time between two consecutive GPS position samples must not
- *       exceed an entire day.
+ * @param {String[]} positionTimes Timestamps in the format "HHMMSS.SSS".
+ * @param {Date[]} dateTimes Times/dates of the dated sentences.
+ * @param {Boolean} positionFirst True if a position sentence appears before
+ *     the first dated sentence in the NMEA file.
+ * @note Only the first dated and/or the first position sentence in the NMEA
+ *       file is used. The time between two consecutive GPS position samples
+ *       must not exceed an entire day.
  */
-function determineStartDate(ggaTimes, rmcTimes, rmcDates, ggaFirst) {
+function determineStartDate(positionTimes, dateTimes, positionFirst) {
   let newStartDate = new Date();
 
-  if (rmcTimes.length === 0) {
+  if (dateTimes.length === 0) {
     addStatusPopupMessage(
       "Could not determine the start date (will use " +
         timeToUtcDate(newStartDate) +
@@ -1169,15 +1953,17 @@ function determineStartDate(ggaTimes, rmcTimes, rmcDates, ggaFirst) {
     );
 
     /*
-     * If the NMEA file does not have RMC sentences but contains GGA sentences,
-     * replace the day time information with whatever is obtained from the first
-     * GGA sentence (but preserve the rest).
+     * If the NMEA file does not have dated sentences but contains position
+     * sentences, replace the day time information with whatever is obtained
+     * from the first position sentence (but preserve the rest).
      */
-    if (ggaTimes.length > 0) {
+    if (positionTimes.length > 0) {
       newStartDate.setUTCHours(0);
       newStartDate.setUTCMinutes(0);
       newStartDate.setUTCSeconds(0);
-      newStartDate.setUTCMilliseconds(nmea.timeToMilliseconds(ggaTimes[0]));
+      newStartDate.setUTCMilliseconds(
+        nmea.timeToMilliseconds(positionTimes[0])
+      );
       addStatusPopupMessage(
         "Start time obtained: " + timeToUtcTimeOfDay(newStartDate)
       );
@@ -1190,28 +1976,28 @@ function determineStartDate(ggaTimes, rmcTimes, rmcDates, ggaFirst) {
     }
   } else {
     /*
-     * If the NMEA file has RMC sentences, and if an RMC sentence appears before
-     * the first GGA sentence, use only the first RMC sentence to determine the
-     * start time and date.
+     * If the NMEA file has dated sentences, and if a dated sentence appears
+     * before the first position sentence, use only the first dated sentence to
+     * determine the start time and date.
      */
-    if (!ggaFirst) {
-      newStartDate = nmea.parseDateTime(rmcDates[0], rmcTimes[0]);
+    if (!positionFirst) {
+      newStartDate = new Date(dateTimes[0]);
     } else {
-      const firstGgaDayTime = nmea.timeToMilliseconds(ggaTimes[0]);
-      const firstRmcDayTime = nmea.timeToMilliseconds(rmcTimes[0]);
+      const firstPositionDayTime = nmea.timeToMilliseconds(positionTimes[0]);
+      const firstDateDayTime = dateTimes[0].getTime() % 86400000;
 
       /*
-       * If the first GGA sentence has a day time value larger than that of the
-       * first RMC sentence, the former must have occurred before midnight and
-       * the later after midnight (next day); fix this by using the assumption
-       * that the time between these two sentences does not exceed an entire
-       * day.
+       * If the first position sentence has a day time value larger than that
+       * of the first dated sentence, the former must have occurred before
+       * midnight and the later after midnight (next day); fix this by using the
+       * assumption that the time between these two sentences does not exceed an
+       * entire day.
        */
-      if (firstRmcDayTime < firstGgaDayTime) {
-        newStartDate = nmea.parseDateTime(rmcDates[0], ggaTimes[0]);
+      newStartDate = new Date(
+        dateTimes[0].getTime() - firstDateDayTime + firstPositionDayTime
+      );
+      if (firstDateDayTime < firstPositionDayTime) {
         newStartDate.setUTCDate(newStartDate.getUTCDate() - 1);
-      } else {
-        newStartDate = nmea.parseDateTime(rmcDates[0], ggaTimes[0]);
       }
     }
     addStatusPopupMessage(
@@ -1224,6 +2010,59 @@ function determineStartDate(ggaTimes, rmcTimes, rmcDates, ggaFirst) {
   setStartDate(newStartDate);
 }
 
+/**
+ * Determines the start time/date of a GPS recording using the timestamp of the
+ * TAG block of its first position sentence.
+ *
+ * @param {String[]} positionTimes Timestamps in the format "HHMMSS.SSS".
+ * @param {Date} tagBlockTime Time/date of the TAG block of the first position
+ *     sentence.
+ * @note TAG block timestamps are usually given in whole seconds, so the time of
+ *       day is taken from the first position sentence (if it has one).
+ */
+function determineStartDateFromTagBlock(positionTimes, tagBlockTime) {
+  let newStartDate = new Date(tagBlockTime);
+  const positionDayTime = nmea.timeToMilliseconds(positionTimes[0]);
+
+  if (!isNaN(positionDayTime)) {
+    const tagBlockDayTime = tagBlockTime.getTime() % 86400000;
+    newStartDate = new Date(
+      tagBlockTime.getTime() - tagBlockDayTime + positionDayTime
+    );
+    // The TAG block timestamp and the time of the position sentence may be on
+    // different sides of midnight.
+    if (newStartDate - tagBlockTime > 43200000) {
+      newStartDate.setUTCDate(newStartDate.getUTCDate() - 1);
+    } else if (tagBlockTime - newStartDate > 43200000) {
+      newStartDate.setUTCDate(newStartDate.getUTCDate() + 1);
+    }
+  }
+  addStatusPopupMessage(
+    "Start date obtained (TAG block): " + timeToUtcDate(newStartDate)
+  );
+  addStatusPopupMessage(
+    "Start time obtained: " + timeToUtcTimeOfDay(newStartDate)
+  );
+  setStartDate(newStartDate);
+}
+
+/**
+ * Determines the start time/date of a GPS recording using the receive time of
+ * its first position sentence (from the prefix of its line).
+ *
+ * @param {Date} receiveTime Receive time of the first position sentence.
+ */
+function determineStartDateFromReceiveTime(receiveTime) {
+  const newStartDate = new Date(receiveTime);
+  addStatusPopupMessage(
+    "Start date obtained (line prefix): " + timeToUtcDate(newStartDate)
+  );
+  addStatusPopupMessage(
+    "Start time obtained: " + timeToUtcTimeOfDay(newStartDate)
+  );
+  setStartDate(newStartDate);
+}
+
 /**
  * Sets the status popup title.
  *
@@ -1250,50 +2089,541 @@ function clearStatusPopupMessages() {
 }
 
 /**
- * Generates an NMEA log from the currently drawn path.
+ * Returns the simulated satellites in view (for generating NMEA logs).
  *
- * @return {String} NMEA log generated.
+ * @param {Number[]} prns PRNs of the satellites in view.
+ * @return {Object[]} Satellites in view (PRN, elevation, azimuth and SNR).
+ * @note The elevation, azimuth and SNR of a satellite depend only on its PRN.
  */
-function generateNmeaData() {
-  let text = "";
+function getSimulatedSatellites(prns) {
+  return prns.map(function(prn) {
+    return {
+      prn: prn,
+      elevation: 15 + ((prn * 23) % 70),
+      azimuth: (prn * 97) % 360,
+      snr: 30 + ((prn * 13) % 18)
+    };
+  });
+}
 
-  for (let i = 0; i < pointArray.length; ++i) {
-    let point = pointArray[i];
-    let pointDate = getTimeForPoint(i);
-    let pointCoordinates = point.getLatLng();
+/**
+ * Computes the position error statistics (for generating GST sentences) from
+ * the fix quality at a point.
+ *
+ * @param {Object} pointQuality Fix quality data (see getPointQuality()).
+ * @return {Object} Standard deviations (in meters) of the semi-major and
+ *     semi-minor axes of the horizontal error ellipse, orientation of its
+ *     semi-major axis (in degrees from true north) and standard deviations (in
+ *     meters) of the latitude, longitude and altitude errors.
+ * @note All errors are obtained by scaling the DOP values with rangeError. If
+ *       the horizontal covariance is unknown, the error ellipse is assumed to
+ *       be a circle.
+ */
+function computePositionErrorStatistics(pointQuality) {
+  const covariance = pointQuality.horizontalCovariance || {
+    east: (pointQuality.hdop * pointQuality.hdop) / 2.0,
+    north: (pointQuality.hdop * pointQuality.hdop) / 2.0,
+    eastNorth: 0.0
+  };
+  // Eigenvalues of the horizontal covariance matrix.
+  const center = (covariance.east + covariance.north) / 2.0;
+  const radius = Math.hypot(
+    (covariance.east - covariance.north) / 2.0,
+    covariance.eastNorth
+  );
+  const orientation =
+    (90.0 / Math.PI) *
+    Math.atan2(2.0 * covariance.eastNorth, covariance.north - covariance.east);
+  return {
+    semiMajor: rangeError * Math.sqrt(center + radius),
+    semiMinor: rangeError * Math.sqrt(Math.max(center - radius, 0.0)),
+    orientation: (orientation + 180.0) % 180.0,
+    latitudeError: rangeError * Math.sqrt(covariance.north),
+    longitudeError: rangeError * Math.sqrt(covariance.east),
+    altitudeError: rangeError * pointQuality.vdop
+  };
+}
+
+/**
+ * Generates the data for encoding the GSA sentences at a point.
+ *
+ * @param {Object} pointQuality Fix quality data (see getPointQuality()).
+ * @return {Object[]} Data for the GSA encoder (one object per GSA sentence).
+ * @note From NMEA 4.10 on, multi-GNSS receivers output one GSA sentence per
+ *       satellite system (identified by its system ID).
+ */
+function generateGsaSentencesData(pointQuality) {
+  const systemIds = [];
+  const perSystem =
+    talkerId === "GN" && nmea.compareVersions(nmeaVersion, "4.10") >= 0;
+  if (perSystem) {
+    for (const prn of pointQuality.prns) {
+      const systemId = getSatelliteSystem(prn).systemId;
+      if (systemIds.indexOf(systemId) === -1) {
+        systemIds.push(systemId);
+      }
+    }
+  }
+  if (systemIds.length === 0) {
+    systemIds.push(talkerSystemIds[talkerId] || 1);
+  }
+
+  return systemIds.map(function(systemId) {
+    return {
+      status: pointQuality.mode,
+      fix: pointQuality.fix,
+      // Satellites are numbered within their system (as on GSV sentences).
+      prns: pointQuality.prns
+        .filter(function(prn) {
+          return (
+            systemIds.length === 1 ||
+            getSatelliteSystem(prn).systemId === systemId
+          );
+        })
+        .map(function(prn) {
+          return perSystem
+            ? prn - gsvSystemParameters[systemId].prnOffset
+            : prn;
+        }),
+      pdop: pointQuality.pdop,
+      hdop: pointQuality.hdop,
+      vdop: pointQuality.vdop,
+      systemId: systemId
+    };
+  });
+}
+
+/**
+ * Generates the data for encoding the GSV sentences at a point.
+ *
+ * @param {Object} pointQuality Fix quality data (see getPointQuality()).
+ * @return {Object[]} Data for the GSV encoder (one object per group of GSV
+ *     sentences, with the talker ID to encode it with).
+ * @note GSV sentences describe the satellites of a single satellite system, so
+ *       multi-GNSS receivers ("GN" talker ID) output one group of GSV sentences
+ *       per satellite system, each one with the talker ID of its system.
+ */
+function generateGsvSentencesData(pointQuality) {
+  const satellites =
+    pointQuality.satellites || getSimulatedSatellites(pointQuality.prns);
+  if (talkerId !== "GN") {
+    const systemParameters =
+      gsvSystemParameters[talkerSystemIds[talkerId]] || gsvSystemParameters[1];
+    return [
+      {
+        talkerId: talkerId,
+        satellites: satellites,
+        signalId: systemParameters.signalId
+      }
+    ];
+  }
+
+  const systemIds = [];
+  for (const satellite of satellites) {
+    const systemId = getSatelliteSystem(satellite.prn).systemId;
+    if (systemIds.indexOf(systemId) === -1) {
+      systemIds.push(systemId);
+    }
+  }
+  if (systemIds.length === 0) {
+    systemIds.push(1);
+  }
+
+  return systemIds.map(function(systemId) {
+    const systemParameters = gsvSystemParameters[systemId];
+    return {
+      talkerId: systemParameters.talkerId,
+      satellites: satellites
+        .filter(function(satellite) {
+          return getSatelliteSystem(satellite.prn).systemId === systemId;
+        })
+        .map(function(satellite) {
+          return Object.assign({}, satellite, {
+            prn: satellite.prn - systemParameters.prnOffset
+          });
+        }),
+      signalId: systemParameters.signalId
+    };
+  });
+}
+
+/**
+ * Generates the data for encoding an NMEA sentence of a given type at a point.
+ *
+ * @param {String} sentenceType Sentence type (from nmeaSentenceTypes).
+ * @param {Number} pointIndex Point index (position on pointArray).
+ * @return {Object | Object[]} Data for the NMEA encoder of the given sentence
+ *     type (an array if multiple sentences of that type are generated).
+ */
+function generateNmeaSentenceData(sentenceType, pointIndex) {
+  const pointDate = getTimeForPoint(pointIndex);
+  const pointCoordinates = pointArray[pointIndex].getLatLng();
+  const pointQuality = getPointQuality(pointIndex);
 
+  if (sentenceType === "GGA") {
     // Both dgpsUpdate and dgpsReference can be omitted.
-    const ggaData = {
+    return {
       date: pointDate,
       lat: pointCoordinates.lat,
       lon: pointCoordinates.lng,
-      fix: 1,
-      satellites: numSatellites,
-      hdop: 1.0,
+      fix: pointQuality.fix === 1 ? 0 : 1,
+      satellites: pointQuality.prns.length,
+      hdop: pointQuality.hdop,
       altitude: 0.0,
       aboveGeoid: 0.0
     };
-    const rmcData = {
+  } else if (sentenceType === "GSA") {
+    return generateGsaSentencesData(pointQuality);
+  } else if (sentenceType === "GSV") {
+    return generateGsvSentencesData(pointQuality);
+  } else if (sentenceType === "RMC") {
+    return {
       date: pointDate,
       status: "A",
       lat: pointCoordinates.lat,
       lon: pointCoordinates.lng,
-      speed: getSpeedAtPointKnots(i),
-      course: getPointBearing(i),
+      speed: getSpeedAtPointKnots(pointIndex),
+      course: getPointBearing(pointIndex),
+      variation: 0.0,
+      mode: "A",
+      // The navigational status is not provided (as done by most receivers).
+      navStatus: "V"
+    };
+  } else if (sentenceType === "VTG") {
+    // The magnetic course is omitted (as done by most receivers).
+    return {
+      course: getPointBearing(pointIndex),
+      speed: getSpeedAtPointKnots(pointIndex),
+      mode: "A"
+    };
+  } else if (sentenceType === "HDT") {
+    return { heading: getPointHeading(pointIndex) };
+  } else if (sentenceType === "HDG") {
+    // The magnetic variation is 0 (as on RMC sentences), so the magnetic
+    // heading is equal to the true heading.
+    return {
+      heading: getPointHeading(pointIndex),
+      deviation: 0.0,
       variation: 0.0
     };
-    const gsaData = {
+  } else if (sentenceType === "THS") {
+    const heading = getPointHeading(pointIndex);
+    return { heading: heading, mode: heading !== null ? "A" : "V" };
+  } else if (sentenceType === "GLL") {
+    return {
+      date: pointDate,
+      lat: pointCoordinates.lat,
+      lon: pointCoordinates.lng,
       status: "A",
-      fix: 3,
-      satellites: numSatellites,
-      pdop: 1.0,
-      hdop: 1.0,
-      vdop: 1.0
+      mode: "A"
+    };
+  } else if (sentenceType === "ZDA") {
+    // The generated times are always in UTC (no local zone offset).
+    return {
+      date: pointDate,
+      localZoneHours: 0,
+      localZoneMinutes: 0
+    };
+  } else if (sentenceType === "GST") {
+    const errorStatistics = computePositionErrorStatistics(pointQuality);
+    return {
+      date: pointDate,
+      rms: rangeError,
+      semiMajor: errorStatistics.semiMajor,
+      semiMinor: errorStatistics.semiMinor,
+      orientation: errorStatistics.orientation,
+      latitudeError: errorStatistics.latitudeError,
+      longitudeError: errorStatistics.longitudeError,
+      altitudeError: errorStatistics.altitudeError
+    };
+  } else if (sentenceType === "PUBX") {
+    // u-blox position data (PUBX,00); the accuracy estimates are the standard
+    // deviations of the position error and the TDOP is not simulated.
+    const errorStatistics = computePositionErrorStatistics(pointQuality);
+    const navStatuses = { 1: "NF", 2: "G2", 3: "G3" };
+    return {
+      message: "00",
+      date: pointDate,
+      lat: pointCoordinates.lat,
+      lon: pointCoordinates.lng,
+      altitude: 0.0,
+      navStatus: navStatuses[pointQuality.fix],
+      horizontalAccuracy: Math.hypot(
+        errorStatistics.latitudeError,
+        errorStatistics.longitudeError
+      ),
+      verticalAccuracy: errorStatistics.altitudeError,
+      speed: getSpeedAtPointKph(pointIndex),
+      course: getPointBearing(pointIndex),
+      verticalVelocity: 0.0,
+      diffAge: null,
+      hdop: pointQuality.hdop,
+      vdop: pointQuality.vdop,
+      tdop: null,
+      satellites: pointQuality.prns.length
+    };
+  } else if (sentenceType === "PGRME") {
+    // Garmin estimated position errors (standard deviations, as on PUBX,00).
+    const errorStatistics = computePositionErrorStatistics(pointQuality);
+    return {
+      horizontalError: Math.hypot(
+        errorStatistics.latitudeError,
+        errorStatistics.longitudeError
+      ),
+      verticalError: errorStatistics.altitudeError,
+      sphericalError: Math.hypot(
+        errorStatistics.latitudeError,
+        errorStatistics.longitudeError,
+        errorStatistics.altitudeError
+      )
+    };
+  }
+  expect(false, "generateNmeaSentenceData(): invalid sentence type");
+  return null;
+}
+
+/**
+ * Generates an NMEA log from the currently drawn path.
+ *
+ * @return {String} NMEA log generated.
+ */
+function generateNmeaData() {
+  let text = "";
+
+  for (let i = 0; i < pointArray.length; ++i) {
+    for (const sentenceType of outputSentenceTypes) {
+      const sentencesData = [].concat(
+        generateNmeaSentenceData(sentenceType, i)
+      );
+      for (const sentenceData of sentencesData) {
+        // GSV sentences carry the talker ID of their own satellite system.
+        const sentenceId = nmea.isProprietaryId(sentenceType)
+          ? sentenceType
+          : (sentenceData.talkerId || talkerId) + sentenceType;
+        const sentences = nmea.encode(sentenceId, sentenceData);
+        // Some sentence types (e.g. GSV) are encoded as multiple sentences.
+        text += addTagBlocks([].concat(sentences), i).join("\n") + "\n";
+      }
+    }
+  }
+  return text;
+}
+
+/**
+ * Prefixes generated sentences with a TAG block holding the timestamp of their
+ * point (if TAG blocks are enabled).
+ *
+ * @param {String[]} sentences Sentences generated for a point.
+ * @param {Number} pointIndex Point index (position on pointArray).
+ * @return {String[]} Sentences with their TAG blocks.
+ */
+function addTagBlocks(sentences, pointIndex) {
+  if (!tagBlockOutput) {
+    return sentences;
+  }
+  const tagBlock = nmea.encodeTagBlock({
+    unixTime: getTimeForPoint(pointIndex).getTime() / 1000.0
+  });
+  return sentences.map(function(sentence) {
+    return tagBlock + sentence;
+  });
+}
+
+/**
+ * Generates the data for encoding a UBX message at a point.
+ *
+ * @param {String} messageName Message name (from ubxMessageNames).
+ * @param {Number} pointIndex Point index (position on pointArray).
+ * @return {Object} Data for the UBX encoder of the given message.
+ * @note The path is drawn at ground level (the altitude and the vertical
+ *       velocity are always 0). The speed and course accuracies are not
+ *       simulated (they are those of a receiver with a good fix).
+ */
+function generateUbxMessageData(messageName, pointIndex) {
+  const pointDate = getTimeForPoint(pointIndex);
+  const pointCoordinates = pointArray[pointIndex].getLatLng();
+  const pointQuality = getPointQuality(pointIndex);
+  const errorStatistics = computePositionErrorStatistics(pointQuality);
+  const horizontalAccuracy = Math.hypot(
+    errorStatistics.latitudeError,
+    errorStatistics.longitudeError
+  );
+  const speed = getSpeedAtPointMps(pointIndex);
+  const course = getPointBearing(pointIndex);
+  const velocityNorth =
+    speed !== null ? speed * Math.cos(degreesToRadians(course)) : null;
+  const velocityEast =
+    speed !== null ? speed * Math.sin(degreesToRadians(course)) : null;
+
+  if (messageName === "NAV-PVT") {
+    return {
+      date: pointDate,
+      fixType: pointQuality.fix === 1 ? 0 : pointQuality.fix,
+      satellites: pointQuality.prns.length,
+      lat: pointCoordinates.lat,
+      lon: pointCoordinates.lng,
+      height: 0.0,
+      altitude: 0.0,
+      hAcc: horizontalAccuracy,
+      vAcc: errorStatistics.altitudeError,
+      velN: velocityNorth,
+      velE: velocityEast,
+      velD: 0.0,
+      speed: speed,
+      course: course,
+      sAcc: 0.1,
+      headAcc: 1.0,
+      pdop: pointQuality.pdop,
+      heading: getPointHeading(pointIndex)
+    };
+  } else if (messageName === "NAV-POSLLH") {
+    return {
+      date: pointDate,
+      lat: pointCoordinates.lat,
+      lon: pointCoordinates.lng,
+      height: 0.0,
+      altitude: 0.0,
+      hAcc: horizontalAccuracy,
+      vAcc: errorStatistics.altitudeError
+    };
+  } else if (messageName === "NAV-VELNED") {
+    return {
+      date: pointDate,
+      velN: velocityNorth,
+      velE: velocityEast,
+      velD: 0.0,
+      speed: speed,
+      gSpeed: speed,
+      course: course,
+      sAcc: 0.1,
+      headAcc: 1.0
     };
+  } else if (messageName === "NAV-SAT") {
+    // Same satellites in view as on generated GSV sentences.
+    const satellites =
+      pointQuality.satellites || getSimulatedSatellites(pointQuality.prns);
+    return {
+      date: pointDate,
+      satellites: satellites.map(function(satellite) {
+        const system = getSatelliteSystem(satellite.prn);
+        return {
+          gnssId: ubxGnssIds[system.name],
+          svId: satellite.prn - system.prnOffset,
+          cno: satellite.snr,
+          elevation: satellite.elevation,
+          azimuth: satellite.azimuth,
+          used: pointQuality.prns.indexOf(satellite.prn) !== -1
+        };
+      })
+    };
+  }
+  expect(false, "generateUbxMessageData(): invalid message name");
+  return null;
+}
+
+/**
+ * Generates a UBX (u-blox binary) log from the currently drawn path.
+ *
+ * @return {Uint8Array} UBX log generated.
+ */
+function generateUbxData() {
+  const frames = [];
+
+  for (let i = 0; i < pointArray.length; ++i) {
+    for (const messageName of ubxMessageNames) {
+      if (outputUbxMessages.indexOf(messageName) !== -1) {
+        frames.push(
+          ubx.encode(messageName, generateUbxMessageData(messageName, i))
+        );
+      }
+    }
+  }
+  return ubx.concat(frames);
+}
+
+/**
+ * Generates the data of the AIS messages reported by the simulated vessel at a
+ * given point of the drawn path.
+ *
+ * @param {Number} pointIndex Index of the point in the path.
+ * @param {Boolean} includeStaticData Whether the static data of the vessel
+ *     is also reported (before its position).
+ * @return {Object[]} Data of the AIS messages (see the AIS message encoders).
+ */
+function generateAisMessagesData(pointIndex, includeStaticData) {
+  const pointCoordinates = pointArray[pointIndex].getLatLng();
+  const messages = [];
+
+  // The dimensions, ship type and voyage data of the vessel are not available
+  // and its position is always obtained from GPS (EPFD type 1).
+  if (includeStaticData && aisClass === "A") {
+    messages.push({
+      type: 5,
+      mmsi: vesselMmsi,
+      shipName: vesselName,
+      epfd: 1,
+      eta: null
+    });
+  } else if (includeStaticData) {
+    messages.push({
+      type: 24,
+      mmsi: vesselMmsi,
+      partNumber: 0,
+      shipName: vesselName
+    });
+    messages.push({ type: 24, mmsi: vesselMmsi, partNumber: 1, epfd: 1 });
+  }
+
+  // The vessel is always reported as under way using engine.
+  messages.push({
+    type: aisClass === "A" ? 1 : 18,
+    mmsi: vesselMmsi,
+    status: 0,
+    rateOfTurn: null,
+    speed: getSpeedAtPointKnots(pointIndex),
+    accuracy: false,
+    lat: pointCoordinates.lat,
+    lon: pointCoordinates.lng,
+    course: getPointBearing(pointIndex),
+    heading: getPointHeading(pointIndex),
+    date: getTimeForPoint(pointIndex)
+  });
+  return messages;
+}
 
-    text += nmea.encode("GPGGA", ggaData) + "\n";
-    text += nmea.encode("GPGSA", gsaData) + "\n";
-    text += nmea.encode("GPRMC", rmcData) + "\n";
+/**
+ * Generates an AIS log (VDM/VDO sentences) from the currently drawn path, with
+ * the simulated vessel reporting its position at every point.
+ *
+ * @return {String} AIS log generated.
+ */
+function generateAisData() {
+  let text = "";
+  let lastStaticDataTime = null;
+  let messageCount = 0;
+  let multiFragmentMessageCount = 0;
+
+  for (let i = 0; i < pointArray.length; ++i) {
+    const pointTime = getTimeForPoint(i).getTime();
+    const includeStaticData =
+      lastStaticDataTime === null ||
+      pointTime - lastStaticDataTime >= 1000.0 * aisStaticDataInterval;
+    if (includeStaticData) {
+      lastStaticDataTime = pointTime;
+    }
+    for (const message of generateAisMessagesData(i, includeStaticData)) {
+      // Messages are alternately transmitted on both AIS channels.
+      const sentences = nmea.encode("AI" + aisSentenceType, {
+        message: message,
+        channel: messageCount % 2 === 0 ? "A" : "B",
+        sequenceId: multiFragmentMessageCount % 10
+      });
+      if (sentences.length > 1) {
+        ++multiFragmentMessageCount;
+      }
+      ++messageCount;
+      text += addTagBlocks(sentences, i).join("\n") + "\n";
+    }
   }
   return text;
 }
@@ -1462,6 +2792,13 @@ function onGlobalSettingsTextInputFieldChange() {
   const newGpsFrequency = $("#gps-frequency").val();
   const newStartTime = $("#start-time").val();
   const newStartDate = $("#start-date").val();
+  const newRangeError = $("#range-error").val();
+  const newElevationMask = $("#elevation-mask").val();
+  const newVesselMmsi = $("#vessel-mmsi").val();
+  const newVesselName = $("#vessel-name")
+    .val()
+    .toUpperCase();
+  const newLinePrefixDelimiter = $("#line-prefix-delimiter").val();
   const startTimeTokens = newStartTime.split(":");
   const startDateTokens = newStartDate.split("-");
 
@@ -1483,6 +2820,26 @@ function onGlobalSettingsTextInputFieldChange() {
     startDateTokens[1].length === 2 &&
     startDateTokens[2].length === 2;
 
+  const isRangeErrorValid =
+    newRangeError !== "" &&
+    !isNaN(newRangeError) &&
+    parseFloat(newRangeError) > 0.0;
+
+  const isElevationMaskValid =
+    newElevationMask !== "" &&
+    !isNaN(newElevationMask) &&
+    parseFloat(newElevationMask) >= 0.0 &&
+    parseFloat(newElevationMask) <= 90.0;
+
+  const isVesselMmsiValid = /^\d{9}$/.test(newVesselMmsi);
+
+  // Ship names are encoded as 6-bit ASCII text (upper case letters, digits,
+  // space and most punctuation characters).
+  const isVesselNameValid = /^[\x20-\x5F]{0,20}$/.test(newVesselName);
+
+  // The delimiter cannot start a sentence.
+  const isLinePrefixDelimiterValid = /^[^$!\\]+$/.test(newLinePrefixDelimiter);
+
   if (!isGpsFrequencyValid) {
     $("#gps-frequency").addClass("invalid-value");
   } else {
@@ -1507,89 +2864,290 @@ function onGlobalSettingsTextInputFieldChange() {
     startDate.setUTCFullYear(parseInt(startDateTokens[0]));
     $("#start-date").removeClass("invalid-value");
   }
-}
 
-/**
- * Callback invoked when any text input field from the "global settings" tool
- * loses focus.
- */
-function onGlobalSettingsTextInputFieldFocusOut() {
-  $("#gps-frequency").val(gpsFrequency);
-  setStartDate(startDate);
-  $("#gps-frequency, #start-time, #start-date").removeClass("invalid-value");
-}
+  if (!isRangeErrorValid) {
+    $("#range-error").addClass("invalid-value");
+  } else {
+    setRangeError(parseFloat(newRangeError));
+  }
 
-/**
- * Callback invoked when the value of any text input field from the "edit point"
- * tool is modified.
- */
-function onEditPointTextInputFieldChange() {
-  const latitude = $("#selected-point-latitude").val();
-  const longitude = $("#selected-point-longitude").val();
-  const isLatitudeValid =
-    latitude !== "" &&
-    !isNaN(latitude) &&
-    parseFloat(latitude) >= -90.0 &&
-    parseFloat(latitude) <= 90.0;
-  const isLongitudeValid =
-    longitude !== "" &&
-    !isNaN(longitude) &&
-    parseFloat(longitude) >= -180.0 &&
-    parseFloat(longitude) <= 180.0;
+  if (!isElevationMaskValid) {
+    $("#elevation-mask").addClass("invalid-value");
+  } else {
+    setElevationMask(parseFloat(newElevationMask));
+  }
 
-  if (!isLatitudeValid) {
-    $("#selected-point-latitude").addClass("invalid-value");
+  if (!isVesselMmsiValid) {
+    $("#vessel-mmsi").addClass("invalid-value");
   } else {
-    $("#selected-point-latitude").removeClass("invalid-value");
+    setVesselMmsi(parseInt(newVesselMmsi));
   }
 
-  if (!isLongitudeValid) {
-    $("#selected-point-longitude").addClass("invalid-value");
+  if (!isVesselNameValid) {
+    $("#vessel-name").addClass("invalid-value");
   } else {
-    $("#selected-point-longitude").removeClass("invalid-value");
+    setVesselName(newVesselName);
+  }
+
+  if (!isLinePrefixDelimiterValid) {
+    $("#line-prefix-delimiter").addClass("invalid-value");
+  } else {
+    setLinePrefixDelimiter(newLinePrefixDelimiter);
   }
 }
 
 /**
- * Callback invoked on "keydown" events at any text input field from the "edit
- * point" tool.
- *
- * @param {Object} event Keydown event.
+ * Callback invoked when the talker ID on the "global settings" tool is changed.
  */
-function onEditPointTextInputFieldKeydown(event) {
-  // If the user pressed the "Enter" key and the new coordinates are valid,
-  // update the selected point coordinates with these new coordinates.
-  if (
-    event.which === 13 &&
-    !$("#selected-point-latitude").hasClass("invalid-value") &&
-    !$("#selected-point-longitude").hasClass("invalid-value")
-  ) {
-    const latitude = $("#selected-point-latitude").val();
-    const longitude = $("#selected-point-longitude").val();
-    const coordinates = L.latLng(latitude, longitude);
-    setSelectedPointCoordinates(coordinates);
-  }
+function onTalkerIdChange() {
+  setTalkerId($("#talker-id").val());
 }
 
 /**
- * Callback invoked when any text input field from the "edit point" tool loses
- * focus.
+ * Callback invoked when the NMEA version on the "global settings" tool is
+ * changed.
  */
-function onEditPointTextInputFieldFocusOut() {
-  if (
-    !$("#selected-point-latitude").hasClass("invalid-value") &&
-    !$("#selected-point-longitude").hasClass("invalid-value")
-  ) {
-    const latitude = $("#selected-point-latitude").val();
-    const longitude = $("#selected-point-longitude").val();
-    const coordinates = L.latLng(latitude, longitude);
-    setSelectedPointCoordinates(coordinates);
-  } else {
-    updateEditPointToolBox();
-    $("#selected-point-latitude, #selected-point-longitude").removeClass(
-      "invalid-value"
-    );
-  }
+function onNmeaVersionChange() {
+  setNmeaVersion($("#nmea-version").val());
+}
+
+/**
+ * Callback invoked when the AIS class on the "global settings" tool is changed.
+ */
+function onAisClassChange() {
+  setAisClass($("#ais-class").val());
+}
+
+/**
+ * Callback invoked when the AIS sentence type on the "global settings" tool is
+ * changed.
+ */
+function onAisSentenceTypeChange() {
+  setAisSentenceType($("#ais-sentence-type").val());
+}
+
+/**
+ * Callback invoked when a sentence type on the "global settings" tool is
+ * checked or unchecked.
+ */
+function onOutputSentenceTypeChange() {
+  const checkedSentenceTypes = [];
+  $("#output-sentences input:checked").each(function() {
+    checkedSentenceTypes.push($(this).val());
+  });
+  // The order of the sentence types (e.g. from a receiver profile) is kept,
+  // newly checked ones are written last.
+  const newOutputSentenceTypes = outputSentenceTypes
+    .filter(function(sentenceType) {
+      return checkedSentenceTypes.indexOf(sentenceType) !== -1;
+    })
+    .concat(
+      checkedSentenceTypes.filter(function(sentenceType) {
+        return outputSentenceTypes.indexOf(sentenceType) === -1;
+      })
+    );
+  setOutputSentenceTypes(newOutputSentenceTypes);
+}
+
+/**
+ * Callback invoked when a UBX message type on the "global settings" tool is
+ * checked or unchecked.
+ */
+function onOutputUbxMessageChange() {
+  const newOutputUbxMessages = [];
+  $("#output-ubx-messages input:checked").each(function() {
+    newOutputUbxMessages.push($(this).val());
+  });
+  setOutputUbxMessages(newOutputUbxMessages);
+}
+
+/**
+ * Callback invoked when a receiver profile is selected on the "global
+ * settings" tool.
+ */
+function onReceiverProfileChange() {
+  setReceiverProfile($("#receiver-profile").val());
+}
+
+/**
+ * Callback invoked when the "Save" button of the receiver profiles on the
+ * "global settings" tool is clicked.
+ */
+function onSaveReceiverProfileClick() {
+  const name = $("#receiver-profile-name")
+    .val()
+    .trim();
+  // The built-in profiles cannot be replaced.
+  if (name === "" || name in receiverProfiles) {
+    $("#receiver-profile-name").addClass("invalid-value");
+  } else {
+    saveReceiverProfile(name);
+    $("#receiver-profile-name")
+      .val("")
+      .removeClass("invalid-value");
+  }
+}
+
+/**
+ * Callback invoked when the "Delete" button of the receiver profiles on the
+ * "global settings" tool is clicked.
+ */
+function onDeleteReceiverProfileClick() {
+  deleteReceiverProfile(receiverProfile);
+}
+
+/**
+ * Callback invoked when the precision of the coordinates on the "global
+ * settings" tool is changed.
+ */
+function onCoordinatePrecisionChange() {
+  setCoordinatePrecision(parseInt($("#coordinate-precision").val()));
+}
+
+/**
+ * Callback invoked when the precision of the times on the "global settings"
+ * tool is changed.
+ */
+function onTimePrecisionChange() {
+  setTimePrecision(parseInt($("#time-precision").val()));
+}
+
+/**
+ * Callback invoked when the generation of TAG blocks is enabled or disabled on
+ * the "global settings" tool.
+ */
+function onTagBlockOutputChange() {
+  setTagBlockOutput($("#tag-block-output").prop("checked"));
+}
+
+/**
+ * Callback invoked when the format of the line prefixes on the "global
+ * settings" tool is changed.
+ */
+function onLinePrefixFormatChange() {
+  setLinePrefixFormat($("#line-prefix-format").val());
+}
+
+/**
+ * Callback invoked when the use of the line prefix timestamps as point times is
+ * enabled or disabled on the "global settings" tool.
+ */
+function onLinePrefixTimesChange() {
+  setLinePrefixTimes($("#line-prefix-times").prop("checked"));
+}
+
+/**
+ * Callback invoked when the validation of generated logs is enabled or disabled
+ * on the "global settings" tool.
+ */
+function onValidateOutputChange() {
+  setValidateOutput($("#validate-output").prop("checked"));
+}
+
+/**
+ * Callback invoked when any text input field from the "global settings" tool
+ * loses focus.
+ */
+function onGlobalSettingsTextInputFieldFocusOut() {
+  $("#gps-frequency").val(gpsFrequency);
+  $("#range-error").val(rangeError);
+  $("#elevation-mask").val(elevationMask);
+  $("#vessel-mmsi").val(nmea.padLeft(vesselMmsi.toString(), 9, "0"));
+  $("#vessel-name").val(vesselName);
+  $("#line-prefix-delimiter").val(linePrefixDelimiter);
+  setStartDate(startDate);
+  $(
+    "#gps-frequency, #start-time, #start-date, #range-error, #elevation-mask, " +
+      "#vessel-mmsi, #vessel-name, #line-prefix-delimiter"
+  ).removeClass("invalid-value");
+}
+
+/**
+ * Callback invoked when the value of any text input field from the "edit point"
+ * tool is modified.
+ */
+function onEditPointTextInputFieldChange() {
+  const latitude = $("#selected-point-latitude").val();
+  const longitude = $("#selected-point-longitude").val();
+  const heading = $("#selected-point-heading").val();
+  const isLatitudeValid =
+    latitude !== "" &&
+    !isNaN(latitude) &&
+    parseFloat(latitude) >= -90.0 &&
+    parseFloat(latitude) <= 90.0;
+  const isLongitudeValid =
+    longitude !== "" &&
+    !isNaN(longitude) &&
+    parseFloat(longitude) >= -180.0 &&
+    parseFloat(longitude) <= 180.0;
+  const isHeadingValid =
+    heading === "" ||
+    (!isNaN(heading) &&
+      parseFloat(heading) >= 0.0 &&
+      parseFloat(heading) < 360.0);
+
+  if (!isLatitudeValid) {
+    $("#selected-point-latitude").addClass("invalid-value");
+  } else {
+    $("#selected-point-latitude").removeClass("invalid-value");
+  }
+
+  if (!isLongitudeValid) {
+    $("#selected-point-longitude").addClass("invalid-value");
+  } else {
+    $("#selected-point-longitude").removeClass("invalid-value");
+  }
+
+  if (!isHeadingValid) {
+    $("#selected-point-heading").addClass("invalid-value");
+  } else {
+    $("#selected-point-heading").removeClass("invalid-value");
+  }
+}
+
+/**
+ * Applies the values from the text input fields of the "edit point" tool to
+ * the selected point.
+ */
+function applyEditPointToolBoxValues() {
+  const latitude = $("#selected-point-latitude").val();
+  const longitude = $("#selected-point-longitude").val();
+  const heading = $("#selected-point-heading").val();
+  // The elevation of the point (e.g. from a GPX file) is kept.
+  setSelectedPointCoordinates(
+    L.latLng(latitude, longitude, selectedPoint.getLatLng().alt)
+  );
+  setSelectedPointHeading(heading === "" ? null : parseFloat(heading));
+}
+
+/**
+ * Callback invoked on "keydown" events at any text input field from the "edit
+ * point" tool.
+ *
+ * @param {Object} event Keydown event.
+ */
+function onEditPointTextInputFieldKeydown(event) {
+  // If the user pressed the "Enter" key and the new values are valid, update
+  // the selected point with these new values.
+  if (
+    event.which === 13 &&
+    !$("#edit-point-box input").hasClass("invalid-value")
+  ) {
+    applyEditPointToolBoxValues();
+  }
+}
+
+/**
+ * Callback invoked when any text input field from the "edit point" tool loses
+ * focus.
+ */
+function onEditPointTextInputFieldFocusOut() {
+  if (!$("#edit-point-box input").hasClass("invalid-value")) {
+    applyEditPointToolBoxValues();
+  } else {
+    updateEditPointToolBox();
+    $("#edit-point-box input").removeClass("invalid-value");
+  }
 }
 
 /**
@@ -1609,105 +3167,838 @@ function onMultiPointLineTextInputFieldChange() {
 }
 
 /**
- * Callback invoked when any text input field from the "multi-point line" tool
- * loses focus.
+ * Callback invoked when any text input field from the "multi-point line" tool
+ * loses focus.
+ */
+function onMultiPointLineTextInputFieldFocusOut() {
+  $("#multi-point-line-step-size")
+    .val(multiPointLineStepSize)
+    .removeClass("invalid-value");
+}
+
+/**
+ * Callback invoked when the "Load NMEA file" button is clicked.
+ */
+function onLoadNmeaFileButtonClick() {
+  $("#select-nmea-file").click();
+}
+
+/**
+ * Checks whether a parsed ZDA sentence carries a time and a valid date.
+ *
+ * @param {Object} zdaData ZDA sentence data (as returned by nmea.parse()).
+ * @return {Boolean} Whether the sentence can be used for dating a path.
+ */
+function hasZdaDate(zdaData) {
+  return (
+    zdaData.time !== "" &&
+    zdaData.day >= 1 &&
+    zdaData.day <= 31 &&
+    zdaData.month >= 1 &&
+    zdaData.month <= 12 &&
+    zdaData.year > 0
+  );
+}
+
+/**
+ * Checks whether a parsed sentence with a date field (DDMMYY) and a time field
+ * (e.g. RMC) carries a valid date and time.
+ *
+ * @param {Object} nmeaData Sentence data (as returned by nmea.parse()).
+ * @return {Boolean} Whether the sentence can be used for dating a path.
+ */
+function hasDateAndTime(nmeaData) {
+  return (
+    /^\d{6}$/.test(nmeaData.date) &&
+    /^\d{6}/.test(nmeaData.time) &&
+    !isNaN(nmea.parseDateTime(nmeaData.date, nmeaData.time).getTime())
+  );
+}
+
+/**
+ * Creates a stream parser which collects the data needed for extracting a path
+ * from an NMEA file (positions, dates, fix qualities etc.) while the file is
+ * read.
+ *
+ * @return {Object} Stream parser ("parser", see nmea.StreamParser) and the
+ *     data collected by it ("fileData", see loadNmeaFileData()).
+ */
+function createNmeaFileParser() {
+  const fileData = {
+    ggaCoordinates: [],
+    ggaTimes: [],
+    gllCoordinates: [],
+    gllTimes: [],
+    pubxCoordinates: [],
+    pubxTimes: [],
+    rmcDateTimes: [],
+    zdaDateTimes: [],
+    pubxDateTimes: [],
+    gsaQualities: {},
+    firstSentenceIndex: {},
+    gsaSentences: 0,
+    firstTalkerId: null,
+    detectedNmeaVersion: null,
+    tagBlocks: 0,
+    firstTagBlockTimes: {},
+    receiveTimes: { GGA: [], GLL: [], "PUBX,00": [] },
+    receiveTimeSentences: 0,
+    noFixSentences: 0,
+    otherSentences: 0,
+    errors: {}
+  };
+  const parser = new nmea.StreamParser({
+    linePrefix: linePrefixFormat,
+    delimiter: linePrefixDelimiter
+  });
+  let sentenceIndex = 0;
+  let lastSentenceTime = null;
+
+  parser.on("sentence", function(nmeaData) {
+    if (["GGA", "GLL", "RMC", "ZDA"].indexOf(nmeaData.type) !== -1) {
+      fileData.firstTalkerId = fileData.firstTalkerId || nmeaData.talker;
+    }
+    // Proprietary u-blox sentences are identified by their message ID.
+    const sentenceType =
+      nmeaData.type === "PUBX"
+        ? nmeaData.type + "," + nmeaData.message
+        : nmeaData.type;
+    // Position sentences without a fix (common at the start of a log) have no
+    // coordinates, so they are only counted.
+    if (
+      ["GGA", "GLL", "PUBX,00"].indexOf(sentenceType) !== -1 &&
+      !(isFinite(nmeaData.latitude) && isFinite(nmeaData.longitude))
+    ) {
+      ++fileData.noFixSentences;
+      ++sentenceIndex;
+      return;
+    }
+    // Dated sentences (ZDA, RMC and PUBX,04) written before the receiver has
+    // the time have empty fields (no date), so they are ignored.
+    if (
+      (sentenceType === "ZDA" && !hasZdaDate(nmeaData)) ||
+      (["RMC", "PUBX,04"].indexOf(sentenceType) !== -1 &&
+        !hasDateAndTime(nmeaData))
+    ) {
+      ++sentenceIndex;
+      return;
+    }
+    if (!(sentenceType in fileData.firstSentenceIndex)) {
+      fileData.firstSentenceIndex[sentenceType] = sentenceIndex;
+    }
+    // The timestamp of the TAG block of the first sentence of each type is
+    // kept (for determining the start date).
+    if (nmeaData.tagBlock !== undefined) {
+      ++fileData.tagBlocks;
+      if (
+        nmeaData.tagBlock.unixTime !== null &&
+        !(sentenceType in fileData.firstTagBlockTimes)
+      ) {
+        fileData.firstTagBlockTimes[sentenceType] = new Date(
+          1000.0 * nmeaData.tagBlock.unixTime
+        );
+      }
+    }
+    // The receive times of the position sentences (from the prefixes of their
+    // lines) are kept as well.
+    if (nmeaData.receiveTime !== undefined) {
+      ++fileData.receiveTimeSentences;
+      if (sentenceType in fileData.receiveTimes) {
+        fileData.receiveTimes[sentenceType].push(
+          new Date(1000.0 * nmeaData.receiveTime)
+        );
+      }
+    }
+    // The NMEA version of the file is the newest one required by the field
+    // layout of any of its sentences.
+    const detectedNmeaVersion = fileData.detectedNmeaVersion;
+    if (
+      nmeaData.version !== undefined &&
+      (detectedNmeaVersion === null ||
+        nmea.compareVersions(nmeaData.version, detectedNmeaVersion) > 0)
+    ) {
+      fileData.detectedNmeaVersion = nmeaData.version;
+    }
+    // GSA sentences carry no timestamp, so they are associated with the
+    // epoch of the last sentence which had one.
+    if (nmeaData.time !== undefined) {
+      lastSentenceTime = nmea.timeToMilliseconds(nmeaData.time);
+    }
+    if (nmeaData.type === "GGA") {
+      const coordinates = L.latLng(nmeaData.latitude, nmeaData.longitude);
+      fileData.ggaCoordinates.push(coordinates);
+      fileData.ggaTimes.push(nmeaData.time);
+    } else if (nmeaData.type === "GLL") {
+      const coordinates = L.latLng(nmeaData.latitude, nmeaData.longitude);
+      fileData.gllCoordinates.push(coordinates);
+      fileData.gllTimes.push(nmeaData.time);
+    } else if (sentenceType === "PUBX,00") {
+      const coordinates = L.latLng(nmeaData.latitude, nmeaData.longitude);
+      fileData.pubxCoordinates.push(coordinates);
+      fileData.pubxTimes.push(nmeaData.time);
+    } else if (nmeaData.type === "RMC") {
+      fileData.rmcDateTimes.push(
+        nmea.parseDateTime(nmeaData.date, nmeaData.time)
+      );
+    } else if (sentenceType === "PUBX,04") {
+      fileData.pubxDateTimes.push(
+        nmea.parseDateTime(nmeaData.date, nmeaData.time)
+      );
+    } else if (nmeaData.type === "ZDA") {
+      const dayTime = nmea.timeToMilliseconds(nmeaData.time);
+      const day = Date.UTC(nmeaData.year, nmeaData.month - 1, nmeaData.day);
+      fileData.zdaDateTimes.push(new Date(day + dayTime));
+    } else if (nmeaData.type === "GSA") {
+      ++fileData.gsaSentences;
+      if (lastSentenceTime !== null) {
+        addGsaDataToQualities(
+          fileData.gsaQualities,
+          lastSentenceTime,
+          nmeaData
+        );
+      }
+    }
+    ++sentenceIndex;
+  });
+
+  // A sentence that could not be parsed may either be of other type (not
+  // supported) or just invalid. Garbage between sentences is counted as well.
+  // The problems are counted by type, keeping the first lines of each one.
+  parser.on("error", function(error, text, line) {
+    ++fileData.otherSentences;
+    if (!(error.code in fileData.errors)) {
+      fileData.errors[error.code] = { count: 0, lines: [] };
+    }
+    const errors = fileData.errors[error.code];
+    ++errors.count;
+    if (errors.lines.length < maxNmeaErrorLinesShown) {
+      errors.lines.push({ line: line, text: text });
+    }
+  });
+
+  return { parser: parser, fileData: fileData };
+}
+
+/**
+ * Extracts a path from the data collected from an NMEA file and shows the
+ * details of the file on the status popup.
+ *
+ * @param {Object} fileData Data collected from the NMEA file (see
+ *     createNmeaFileParser()).
+ * @param {String} fileName Name of file uploaded by user.
+ */
+function loadNmeaFileData(fileData, fileName) {
+  clearStatusPopupMessages();
+  setStatusPopupTitle("NMEA file details - " + fileName);
+
+  // The path is extracted from the GGA sentences or, if there are none, from
+  // the GLL sentences or the u-blox position sentences (PUBX,00).
+  const positionSources = {
+    GGA: { coordinates: fileData.ggaCoordinates, times: fileData.ggaTimes },
+    GLL: { coordinates: fileData.gllCoordinates, times: fileData.gllTimes },
+    "PUBX,00": {
+      coordinates: fileData.pubxCoordinates,
+      times: fileData.pubxTimes
+    }
+  };
+  const positionType =
+    Object.keys(positionSources).find(function(type) {
+      return positionSources[type].times.length > 0;
+    }) || "GGA";
+  const pathCoordinates = positionSources[positionType].coordinates;
+  const positionTimes = positionSources[positionType].times;
+
+  // Attach the fix quality data of each epoch to its point.
+  for (let i = 0; i < pathCoordinates.length; ++i) {
+    const positionTime = nmea.timeToMilliseconds(positionTimes[i]);
+    pathCoordinates[i].quality = fileData.gsaQualities[positionTime] || null;
+  }
+
+  // The ZDA sentences carry a four-digit year, so they are preferred over the
+  // RMC and u-blox time sentences (PUBX,04) for determining the start date.
+  const dateSources = {
+    ZDA: fileData.zdaDateTimes,
+    RMC: fileData.rmcDateTimes,
+    "PUBX,04": fileData.pubxDateTimes
+  };
+  const dateType =
+    Object.keys(dateSources).find(function(type) {
+      return dateSources[type].length > 0;
+    }) || "RMC";
+  const dateTimes = dateSources[dateType];
+  const positionFirst =
+    fileData.firstSentenceIndex[positionType] <
+    fileData.firstSentenceIndex[dateType];
+
+  // Keep the talker ID of the loaded file so the generated sentences match it.
+  if (talkerIds.indexOf(fileData.firstTalkerId) !== -1) {
+    setTalkerId(fileData.firstTalkerId);
+  }
+
+  // Same for the NMEA version (if the file has sentences which depend on it).
+  if (fileData.detectedNmeaVersion !== null) {
+    setNmeaVersion(fileData.detectedNmeaVersion);
+  }
+
+  // The timestamps of TAG blocks (UNIX time) are authoritative, so they are
+  // preferred over the dated sentences. If enabled, the receive times of all
+  // positions (from the line prefixes) are used instead.
+  const tagBlockTime = fileData.firstTagBlockTimes[positionType];
+  const receiveTimes = fileData.receiveTimes[positionType];
+  const useReceiveTimes =
+    linePrefixTimes &&
+    receiveTimes.length > 0 &&
+    receiveTimes.length === positionTimes.length;
+  if (useReceiveTimes) {
+    determineGpsFrequency(
+      receiveTimes.map(function(receiveTime) {
+        return nmea.encodeTime(receiveTime, 3);
+      })
+    );
+    determineStartDateFromReceiveTime(receiveTimes[0]);
+  } else if (tagBlockTime !== undefined) {
+    determineGpsFrequency(positionTimes);
+    determineStartDateFromTagBlock(positionTimes, tagBlockTime);
+  } else {
+    determineGpsFrequency(positionTimes);
+    determineStartDate(positionTimes, dateTimes, positionFirst);
+  }
+  rebuildPath(pathCoordinates);
+  clearUndoRedoActions();
+
+  if (pointArray.length > 0) {
+    makeAllPointsVisible();
+  }
+
+  addStatusPopupMessage(
+    "Valid GGA sentences read: " + fileData.ggaTimes.length
+  );
+  addStatusPopupMessage(
+    "Valid GLL sentences read: " + fileData.gllTimes.length
+  );
+  addStatusPopupMessage(
+    "Valid RMC sentences read: " + fileData.rmcDateTimes.length
+  );
+  addStatusPopupMessage(
+    "Valid ZDA sentences read: " + fileData.zdaDateTimes.length
+  );
+  addStatusPopupMessage("Valid GSA sentences read: " + fileData.gsaSentences);
+  addStatusPopupMessage(
+    "Valid PUBX sentences read: " +
+      (fileData.pubxTimes.length + fileData.pubxDateTimes.length)
+  );
+  if (fileData.tagBlocks > 0) {
+    addStatusPopupMessage(
+      "Sentences with TAG blocks read: " + fileData.tagBlocks
+    );
+  }
+  if (fileData.receiveTimeSentences > 0) {
+    addStatusPopupMessage(
+      "Sentences with receive timestamps read: " + fileData.receiveTimeSentences
+    );
+  }
+  if (fileData.noFixSentences > 0) {
+    addStatusPopupMessage(
+      "Position sentences without a fix (skipped): " + fileData.noFixSentences
+    );
+  }
+  addStatusPopupMessage(
+    "Other/invalid sentences read: " + fileData.otherSentences
+  );
+  addNmeaErrorsStatusPopupMessages(fileData.errors);
+  if (fileData.detectedNmeaVersion !== null) {
+    addStatusPopupMessage(
+      "NMEA version detected: " + fileData.detectedNmeaVersion
+    );
+  }
+  addStatusPopupMessage(
+    "The NMEA file contains " + pointArray.length + " points"
+  );
+  setSelectedTool(ToolsEnum.GLOBALSETTINGS);
+  storeCurrentPathIfChanged();
+  showStatusPopup();
+}
+
+/**
+ * Shows on the status popup the number of sentences of an NMEA file that could
+ * not be loaded for each type of problem, followed by the first offending
+ * lines.
+ *
+ * @param {Object} errors Problems found in the file, indexed by error code
+ *     (see createNmeaFileParser()).
+ */
+function addNmeaErrorsStatusPopupMessages(errors) {
+  for (const code of Object.keys(nmeaErrorDescriptions)) {
+    if (!(code in errors)) {
+      continue;
+    }
+    addStatusPopupMessage(
+      nmeaErrorDescriptions[code] + ": " + errors[code].count
+    );
+    // The lines come from the file, so they are added as text (not HTML).
+    const lineList = $("<ul>").addClass("nmea-error-lines");
+    for (const errorLine of errors[code].lines) {
+      lineList.append(
+        $("<li>").text("Line " + errorLine.line + ": " + errorLine.text)
+      );
+    }
+    $("#status-messages").append(lineList);
+  }
+}
+
+/**
+ * Callback invoked when the contents of an NMEA file selected by the user are
+ * loaded so a path can be extracted from it.
+ *
+ * @param {String} nmeaData NMEA file contents.
+ * @param {String} fileName Name of file uploaded by user.
+ */
+function onNmeaFileDataLoaded(nmeaData, fileName) {
+  const nmeaFileParser = createNmeaFileParser();
+  nmeaFileParser.parser.write(nmeaData);
+  nmeaFileParser.parser.end();
+  loadNmeaFileData(nmeaFileParser.fileData, fileName);
+}
+
+/**
+ * Adds the data from a GSA sentence to the fix quality data of an epoch.
+ *
+ * @param {Object} qualities Fix quality data indexed by epoch time.
+ * @param {Number} epochTime Epoch time (milliseconds since beginning of day).
+ * @param {Object} gsaData Parsed GSA sentence.
+ * @note Multi-GNSS receivers output one GSA sentence per constellation on each
+ *       epoch; the satellites from all of them are merged. Galileo satellites
+ *       numbered within their system (1-36) are renumbered as 301-336.
+ */
+function addGsaDataToQualities(qualities, epochTime, gsaData) {
+  const systemParameters = gsvSystemParameters[gsaData.systemId];
+  const prns = gsaData.prns.map(function(prn) {
+    return systemParameters !== undefined && prn < systemParameters.prnOffset
+      ? prn + systemParameters.prnOffset
+      : prn;
+  });
+  if (epochTime in qualities) {
+    for (const prn of prns) {
+      qualities[epochTime].prns.push(prn);
+    }
+  } else {
+    qualities[epochTime] = {
+      mode: gsaData.mode,
+      fix: gsaData.fix,
+      prns: prns,
+      pdop: gsaData.pdop,
+      hdop: gsaData.hdop,
+      vdop: gsaData.vdop
+    };
+  }
+}
+
+/**
+ * Callback invoked when an NMEA file is selected to be loaded.
+ */
+function onNmeaFileSelected() {
+  readNmeaFile(this.files[0]);
+  // Force a file load even if the user chooses the same file again.
+  this.value = "";
+}
+
+/**
+ * Reads an NMEA file in chunks (so large files do not block the page) and
+ * extracts a path from it once it is completely read.
+ *
+ * @param {File} file NMEA file selected by the user.
+ */
+function readNmeaFile(file) {
+  const nmeaFileParser = createNmeaFileParser();
+  const reader = file.stream().getReader();
+  let bytesRead = 0;
+
+  const readNextChunk = function() {
+    reader
+      .read()
+      .then(function(result) {
+        if (result.done) {
+          nmeaFileParser.parser.end();
+          setFileLoadingProgress(null);
+          loadNmeaFileData(nmeaFileParser.fileData, file.name);
+          return;
+        }
+        bytesRead += result.value.length;
+        nmeaFileParser.parser.write(result.value);
+        setFileLoadingProgress(bytesRead / file.size);
+        readNextChunk();
+      })
+      .catch(function(error) {
+        setFileLoadingProgress(null);
+        clearStatusPopupMessages();
+        setStatusPopupTitle("NMEA file details - " + file.name);
+        addStatusPopupMessage("The file could not be read (" + error + ")");
+        showStatusPopup();
+      });
+  };
+
+  setFileLoadingProgress(0.0);
+  readNextChunk();
+}
+
+/**
+ * Callback invoked when the "Generate NMEA file" button is clicked.
+ */
+function onGenerateNmeaFileButtonClick() {
+  downloadGeneratedFile("output.nmea", generateNmeaData());
+}
+
+/**
+ * Callback invoked when the "Generate UBX file" button is clicked.
+ */
+function onGenerateUbxFileButtonClick() {
+  downloadFile("output.ubx", generateUbxData());
+}
+
+/**
+ * Callback invoked when the "Load UBX file" button is clicked.
+ */
+function onLoadUbxFileButtonClick() {
+  $("#select-ubx-file").click();
+}
+
+/**
+ * Callback invoked when the contents of a UBX file selected by the user are
+ * loaded so a path can be extracted from it.
+ *
+ * @param {ArrayBuffer} ubxData UBX file contents.
+ * @param {String} fileName Name of file uploaded by user.
+ * @note The path is extracted from the NAV-PVT messages (those without a valid
+ *       fix are skipped) or, if the file has none at all, from the NAV-POSLLH
+ *       messages.
+ *       The latter carry no date, so only the start time can be determined
+ *       from them.
+ */
+function onUbxFileDataLoaded(ubxData, fileName) {
+  clearStatusPopupMessages();
+  setStatusPopupTitle("UBX file details - " + fileName);
+  const codec = ubx.createCodec();
+  const result = codec.decodeFrames(ubxData);
+  const messages = { "NAV-PVT": [], "NAV-POSLLH": [] };
+  let noFixMessages = 0;
+  let invalidMessages = 0;
+  let otherMessages = 0;
+
+  // Messages which cannot be decoded (e.g. too short) are just counted.
+  codec.setErrorHandler(function() {
+    ++invalidMessages;
+  });
+  for (const frame of result.frames) {
+    const data = codec.decode(frame);
+    if (data === null) {
+      if (codec.messageName(frame) === null) {
+        ++otherMessages;
+      }
+    } else if (data.name === "NAV-PVT" && !data.gnssFixOk) {
+      ++noFixMessages;
+    } else {
+      messages[data.name].push(data);
+    }
+  }
+
+  // The times of the positions are given as times of day (as in NMEA files)
+  // so the start date and GPS frequency are determined in the same way. The
+  // NAV-POSLLH messages are only used in files without any NAV-PVT message
+  // (not even one without a fix).
+  const positionType =
+    messages["NAV-PVT"].length + noFixMessages > 0 ? "NAV-PVT" : "NAV-POSLLH";
+  const positions = messages[positionType];
+  const pathCoordinates = positions.map(function(position) {
+    return L.latLng(position.lat, position.lon);
+  });
+  const positionTimes = positions.map(function(position) {
+    const positionDate =
+      positionType === "NAV-PVT"
+        ? position.date
+        : new Date(codec.timeOfDay(position.timeOfWeek));
+    return nmea.encodeTime(positionDate, 3);
+  });
+  const datedPositions = positions.filter(function(position) {
+    return position.validDate && position.validTime;
+  });
+  const dateTimes = datedPositions.map(function(position) {
+    return position.date;
+  });
+  const positionFirst =
+    dateTimes.length > 0 && datedPositions[0] !== positions[0];
+
+  determineGpsFrequency(positionTimes);
+  determineStartDate(positionTimes, dateTimes, positionFirst);
+  rebuildPath(pathCoordinates);
+  clearUndoRedoActions();
+
+  if (pointArray.length > 0) {
+    makeAllPointsVisible();
+  }
+
+  addStatusPopupMessage("Valid UBX frames read: " + result.frames.length);
+  addStatusPopupMessage(
+    "Valid NAV-PVT messages read: " +
+      (messages["NAV-PVT"].length + noFixMessages)
+  );
+  if (noFixMessages > 0) {
+    addStatusPopupMessage(
+      "NAV-PVT messages without a valid fix (skipped): " + noFixMessages
+    );
+  }
+  addStatusPopupMessage(
+    "Valid NAV-POSLLH messages read: " + messages["NAV-POSLLH"].length
+  );
+  addStatusPopupMessage("Other messages read: " + otherMessages);
+  if (invalidMessages > 0) {
+    addStatusPopupMessage("Invalid messages read: " + invalidMessages);
+  }
+  addStatusPopupMessage(
+    "Frames with checksum failures: " + result.checksumErrors
+  );
+  addStatusPopupMessage(
+    "Bytes skipped (not part of a valid frame): " + result.skippedBytes
+  );
+  addStatusPopupMessage(
+    "The UBX file contains " + pointArray.length + " points"
+  );
+  setSelectedTool(ToolsEnum.GLOBALSETTINGS);
+  storeCurrentPathIfChanged();
+  showStatusPopup();
+}
+
+/**
+ * Callback invoked when a UBX file is selected to be loaded.
+ */
+function onUbxFileSelected() {
+  const reader = new FileReader();
+  const fileName = this.files[0].name;
+  reader.onload = function() {
+    onUbxFileDataLoaded(reader.result, fileName);
+  };
+  reader.readAsArrayBuffer(this.files[0]);
+  // Force a file load even if the user chooses the same file again.
+  this.value = "";
+}
+
+/**
+ * Callback invoked when the "Load AIS file" button is clicked.
+ */
+function onLoadAisFileButtonClick() {
+  $("#select-ais-file").click();
+}
+
+/**
+ * Draws the track of a vessel from an AIS log as the current path.
+ *
+ * @param {Number} mmsi MMSI of the vessel.
+ * @param {Object[]} reports Decoded position reports of the vessel (in the
+ *     order in which they appear in the AIS log).
+ */
+function loadAisVesselTrack(mmsi, reports) {
+  const pathCoordinates = reports.map(function(report) {
+    const coordinates = L.latLng(report.latitude, report.longitude);
+    coordinates.heading = report.heading;
+    return coordinates;
+  });
+
+  // Position reports only carry the UTC second, so the GPS frequency is
+  // determined from the first two reports (assuming they are less than a
+  // minute apart).
+  setGpsFrequency(1.0);
+  const reportPeriod =
+    reports.length >= 2 &&
+    reports[0].second !== null &&
+    reports[1].second !== null
+      ? (reports[1].second - reports[0].second + 60) % 60
+      : 0;
+  if (reportPeriod > 0) {
+    setGpsFrequency(1.0 / reportPeriod);
+    addStatusPopupMessage("GPS frequency computed: " + gpsFrequency + "Hz");
+  } else {
+    addStatusPopupMessage(
+      "Could not determine the GPS frequency (will use " + gpsFrequency + "Hz)"
+    );
+  }
+
+  // Keep the vessel identity so a generated AIS file describes the same one.
+  setVesselMmsi(mmsi);
+  setAisClass(reports[0].type === 18 ? "B" : "A");
+
+  rebuildPath(pathCoordinates);
+  clearUndoRedoActions();
+
+  if (pointArray.length > 0) {
+    makeAllPointsVisible();
+  }
+
+  addStatusPopupMessage(
+    "The track of vessel " +
+      nmea.padLeft(mmsi.toString(), 9, "0") +
+      " contains " +
+      pointArray.length +
+      " points"
+  );
+  setSelectedTool(ToolsEnum.GLOBALSETTINGS);
+  storeCurrentPathIfChanged();
+}
+
+/**
+ * Callback invoked when an AIS file is loaded. If the file contains position
+ * reports of a single vessel, its track is drawn on the map; otherwise, the
+ * user chooses the vessel to load from a list on the status popup.
+ *
+ * @param {String} aisData Contents of the AIS file.
+ * @param {String} fileName Name of the AIS file.
+ */
+function onAisFileDataLoaded(aisData, fileName) {
+  clearStatusPopupMessages();
+  setStatusPopupTitle("AIS file details - " + fileName);
+  const sentences = aisData.split("\n").filter(function(sentence) {
+    return sentence !== "";
+  });
+  const fragmentAssembler = new nmea.AisFragmentAssembler();
+  const vesselReports = {};
+  let positionReports = 0;
+  let otherSentences = 0;
+
+  for (const sentence of sentences) {
+    try {
+      const vdmData = nmea.parse(sentence.trim());
+      if (vdmData.type !== "VDM" && vdmData.type !== "VDO") {
+        throw new Error("not an AIS sentence");
+      }
+      const messageData = fragmentAssembler.add(vdmData);
+      if (messageData !== null) {
+        const message = nmea.decodeAisMessage(
+          messageData.payload,
+          messageData.fillBits
+        );
+        // Retransmitted reports (repeat indicator above 0) duplicate reports
+        // received directly from the vessel.
+        if (
+          message.repeat === 0 &&
+          message.latitude !== null &&
+          message.longitude !== null
+        ) {
+          vesselReports[message.mmsi] = vesselReports[message.mmsi] || [];
+          vesselReports[message.mmsi].push(message);
+          ++positionReports;
+        }
+      }
+    } catch (error) {
+      // A sentence that could not be parsed/decoded may either carry another
+      // type of AIS message (e.g. static data) or just be invalid.
+      ++otherSentences;
+    }
+  }
+
+  const mmsis = Object.keys(vesselReports);
+  addStatusPopupMessage("Valid position reports read: " + positionReports);
+  addStatusPopupMessage("Other/invalid sentences read: " + otherSentences);
+  addStatusPopupMessage("Vessels found: " + mmsis.length);
+
+  if (mmsis.length === 1) {
+    loadAisVesselTrack(parseInt(mmsis[0]), vesselReports[mmsis[0]]);
+  } else if (mmsis.length > 1) {
+    addStatusPopupMessage("Click on a vessel (MMSI) to load its track");
+    const vesselList = $("<ul>").attr("id", "ais-vessels");
+    for (const mmsi of mmsis) {
+      const reports = vesselReports[mmsi];
+      const vesselLink = $("<a>")
+        .attr("href", "#")
+        .text(nmea.padLeft(mmsi, 9, "0") + " (" + reports.length + " reports)");
+      vesselLink.on("click", function() {
+        $("#ais-vessels").remove();
+        loadAisVesselTrack(parseInt(mmsi), reports);
+        return false;
+      });
+      vesselList.append($("<li>").append(vesselLink));
+    }
+    $("#status-messages").append(vesselList);
+  }
+  showStatusPopup();
+}
+
+/**
+ * Callback invoked when the user chooses an AIS file to load.
+ */
+function onAisFileSelected() {
+  const reader = new FileReader();
+  const fileName = this.files[0].name;
+  reader.onload = function() {
+    onAisFileDataLoaded(reader.result, fileName);
+  };
+  reader.readAsText(this.files[0]);
+  // Force a file load even if the user chooses the same file again.
+  this.value = "";
+}
+
+/**
+ * Callback invoked when the "Generate AIS file" button is clicked.
  */
-function onMultiPointLineTextInputFieldFocusOut() {
-  $("#multi-point-line-step-size")
-    .val(multiPointLineStepSize)
-    .removeClass("invalid-value");
+function onGenerateAisFileButtonClick() {
+  downloadGeneratedFile("output.ais", generateAisData());
 }
 
 /**
- * Callback invoked when the "Load NMEA file" button is clicked.
+ * Callback invoked when the "Load almanac" button is clicked.
  */
-function onLoadNmeaFileButtonClick() {
-  $("#select-nmea-file").click();
+function onLoadAlmanacFileButtonClick() {
+  $("#select-almanac-file").click();
 }
 
 /**
- * Callback invoked when the contents of an NMEA file selected by the user are
- * loaded so a path can be extracted from it.
+ * Callback invoked when the contents of an almanac file selected by the user
+ * are loaded so the satellite constellation can be simulated from it.
  *
- * @param {String} nmeaData NMEA file contents.
+ * @param {String} almanacData Almanac file contents (YUMA or SEM format).
  * @param {String} fileName Name of file uploaded by user.
+ * @note The almanac replaces any previously loaded almanac of the satellite
+ *       system selected on the "global settings" tool.
  */
-function onNmeaFileDataLoaded(nmeaData, fileName) {
+function onAlmanacFileDataLoaded(almanacData, fileName) {
   clearStatusPopupMessages();
-  setStatusPopupTitle("NMEA file details - " + fileName);
-  const sentences = nmeaData.split("\n").filter(function(sentence) {
-    return sentence !== "";
+  setStatusPopupTitle("Almanac file details - " + fileName);
+  const almanac = parseAlmanac(almanacData);
+  const system = SatelliteSystemsEnum[$("#almanac-system").val()];
+  const healthySatellites = almanac.satellites.filter(function(satellite) {
+    return satellite.health === 0;
   });
-  const pathCoordinates = [];
-  const ggaTimes = [];
-  const rmcTimes = [];
-  const rmcDates = [];
-  let ggaFirst = null;
-  let otherSentences = 0;
-
-  for (const sentence of sentences) {
-    try {
-      const nmeaData = nmea.parse(sentence);
-      if (nmeaData.id === "GPGGA") {
-        const coordinates = L.latLng(nmeaData.latitude, nmeaData.longitude);
-        pathCoordinates.push(coordinates);
-        ggaTimes.push(nmeaData.time);
-        ggaFirst = ggaFirst === null ? true : ggaFirst;
-      } else if (nmeaData.id === "GPRMC") {
-        rmcTimes.push(nmeaData.time);
-        rmcDates.push(nmeaData.date);
-        ggaFirst = ggaFirst === null ? false : ggaFirst;
-      }
-    } catch (error) {
-      // A sentence that could not be parsed may either be of other type (not
-      // GGA/RMC) or just invalid.
-      ++otherSentences;
-    }
-  }
-  // Handle NMEA files with no valid GGA/RMC sentences.
-  ggaFirst = ggaFirst === null ? false : ggaFirst;
 
-  determineGpsFrequency(ggaTimes);
-  determineStartDate(ggaTimes, rmcTimes, rmcDates, ggaFirst);
-  rebuildPath(pathCoordinates);
-  clearUndoRedoActions();
+  addStatusPopupMessage("Almanac format: " + almanac.format);
+  addStatusPopupMessage("Satellite system: " + system.name);
+  addStatusPopupMessage("Satellites read: " + almanac.satellites.length);
+  addStatusPopupMessage("Healthy satellites: " + healthySatellites.length);
 
-  if (pointArray.length > 0) {
-    makeAllPointsVisible();
+  if (almanac.satellites.length > 0) {
+    const newAlmanacs = almanacs.filter(function(loadedAlmanac) {
+      return loadedAlmanac.system !== system;
+    });
+    newAlmanacs.push({ system: system, satellites: almanac.satellites });
+    setAlmanacs(newAlmanacs);
+  } else {
+    addStatusPopupMessage("No satellites found (almanac not loaded)");
   }
 
-  addStatusPopupMessage("Valid GGA sentences read: " + ggaTimes.length);
-  addStatusPopupMessage("Valid RMC sentences read: " + rmcTimes.length);
-  addStatusPopupMessage("Other/invalid sentences read: " + otherSentences);
-  addStatusPopupMessage(
-    "The NMEA file contains " + pointArray.length + " points"
-  );
   setSelectedTool(ToolsEnum.GLOBALSETTINGS);
-  storeCurrentPathIfChanged();
   showStatusPopup();
 }
 
 /**
- * Callback invoked when an NMEA file is selected to be loaded.
+ * Callback invoked when an almanac file is selected to be loaded.
  */
-function onNmeaFileSelected() {
+function onAlmanacFileSelected() {
   const reader = new FileReader();
   const fileName = this.files[0].name;
   reader.onload = function() {
-    onNmeaFileDataLoaded(reader.result, fileName);
+    onAlmanacFileDataLoaded(reader.result, fileName);
   };
   reader.readAsText(this.files[0]);
   // Force a file load even if the user chooses the same file again.
   this.value = "";
 }
 
-/**
- * Callback invoked when the "Generate NMEA file" button is clicked.
- */
-function onGenerateNmeaFileButtonClick() {
-  downloadFile("output.nmea", generateNmeaData());
-}
-
 /**
  * Generates a representation of the currently drawn path in CSV format.
  *
@@ -1794,6 +4085,515 @@ function onGenerateCsvFileButtonClick() {
   downloadFile("output.csv", generateCsvData());
 }
 
+/**
+ * Generates a representation of the currently drawn path in GPX 1.1 format.
+ *
+ * @return {String} GPX document with the path as a single track (one track
+ *     point per point, with its elevation and time).
+ */
+function generateGpxData() {
+  let text =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="NMEA Generator" ' +
+    'xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    "  <trk>\n" +
+    "    <trkseg>\n";
+  for (let i = 0; i < pointArray.length; ++i) {
+    const coordinates = pointArray[i].getLatLng();
+    text +=
+      '      <trkpt lat="' +
+      coordinates.lat +
+      '" lon="' +
+      coordinates.lng +
+      '">\n' +
+      "        <ele>" +
+      getPointElevation(i) +
+      "</ele>\n" +
+      "        <time>" +
+      getTimeForPoint(i).toISOString() +
+      "</time>\n" +
+      "      </trkpt>\n";
+  }
+  text += "    </trkseg>\n" + "  </trk>\n" + "</gpx>\n";
+  return text;
+}
+
+/**
+ * Parses an XML document (e.g. a GPX or KML file).
+ *
+ * @param {String} xmlData XML document.
+ * @return {Document} Parsed document or null if the document is not valid.
+ */
+function parseXmlDocument(xmlData) {
+  const xmlDocument = new DOMParser().parseFromString(
+    xmlData,
+    "application/xml"
+  );
+  if (xmlDocument.getElementsByTagName("parsererror").length > 0) {
+    return null;
+  }
+  return xmlDocument;
+}
+
+/**
+ * Returns the descendants of an XML element with a given name.
+ *
+ * @param {Element} parent XML element (or document).
+ * @param {String} name Name of the descendants (without namespace prefix).
+ * @return {Element[]} Descendants with the given name, in document order.
+ * @note Elements are looked up by local name, so documents from different
+ *       versions of a format (which have different namespaces) are supported.
+ */
+function getXmlElements(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS("*", name));
+}
+
+/**
+ * Returns the text of the first child of an XML element with a given name.
+ *
+ * @param {Element} parent XML element.
+ * @param {String} name Name of the child (without namespace prefix).
+ * @return {String} Text of the child (without surrounding whitespace) or null
+ *     if there is no such child.
+ */
+function getXmlChildText(parent, name) {
+  const child = Array.from(parent.children).find(function(element) {
+    return element.localName === name;
+  });
+  return child !== undefined ? child.textContent.trim() : null;
+}
+
+/**
+ * Extracts the track segments, routes and waypoints of a GPX file.
+ *
+ * @param {String} gpxData GPX file contents (GPX 1.0 or 1.1).
+ * @return {Object[]} Track segments, routes and waypoints (all of them as a
+ *     single segment) found in the file, each one with its "name" and its
+ *     "points" ("lat", "lon", "ele" and "time" properties, the last two null if
+ *     not given) or null if the file is not a valid XML document.
+ * @note Points with invalid coordinates and empty segments are left out.
+ */
+function parseGpx(gpxData) {
+  const gpxDocument = parseXmlDocument(gpxData);
+  if (gpxDocument === null) {
+    return null;
+  }
+
+  const parsePoints = function(elements) {
+    const points = [];
+    for (const element of elements) {
+      const lat = parseFloat(element.getAttribute("lat"));
+      const lon = parseFloat(element.getAttribute("lon"));
+      const ele = parseFloat(getXmlChildText(element, "ele"));
+      const time = new Date(getXmlChildText(element, "time"));
+      if (!isNaN(lat) && !isNaN(lon)) {
+        points.push({
+          lat: lat,
+          lon: lon,
+          ele: !isNaN(ele) ? ele : null,
+          time: !isNaN(time.getTime()) ? time : null
+        });
+      }
+    }
+    return points;
+  };
+
+  const segments = [];
+  getXmlElements(gpxDocument, "trk").forEach(function(track, trackIndex) {
+    const trackName =
+      getXmlChildText(track, "name") || "Track " + (trackIndex + 1);
+    const trackSegments = getXmlElements(track, "trkseg");
+    trackSegments.forEach(function(trackSegment, segmentIndex) {
+      segments.push({
+        name:
+          trackName +
+          (trackSegments.length > 1
+            ? " (segment " + (segmentIndex + 1) + ")"
+            : ""),
+        points: parsePoints(getXmlElements(trackSegment, "trkpt"))
+      });
+    });
+  });
+  getXmlElements(gpxDocument, "rte").forEach(function(route, routeIndex) {
+    segments.push({
+      name: getXmlChildText(route, "name") || "Route " + (routeIndex + 1),
+      points: parsePoints(getXmlElements(route, "rtept"))
+    });
+  });
+  segments.push({
+    name: "Waypoints",
+    points: parsePoints(getXmlElements(gpxDocument, "wpt"))
+  });
+
+  return segments.filter(function(segment) {
+    return segment.points.length > 0;
+  });
+}
+
+/**
+ * Draws a path segment from a GPX or KML file (e.g. a track segment) as the
+ * current path.
+ *
+ * @param {Object} segment Path segment (see parseGpx() and parseKml()).
+ * @note The GPS frequency is determined from the times of the first two points
+ *       (the time spacing of the points is assumed to be constant) and the
+ *       start time/date from the time of the first one.
+ */
+function loadPathSegment(segment) {
+  const pathCoordinates = segment.points.map(function(point) {
+    return point.ele !== null
+      ? L.latLng(point.lat, point.lon, point.ele)
+      : L.latLng(point.lat, point.lon);
+  });
+  const pointTimes = segment.points
+    .filter(function(point) {
+      return point.time !== null;
+    })
+    .map(function(point) {
+      return point.time;
+    });
+  const positionTimes = pointTimes.map(function(pointTime) {
+    return nmea.encodeTime(pointTime, 3);
+  });
+
+  determineGpsFrequency(positionTimes);
+  determineStartDate(positionTimes, pointTimes.slice(0, 1), false);
+  rebuildPath(pathCoordinates);
+  clearUndoRedoActions();
+
+  if (pointArray.length > 0) {
+    makeAllPointsVisible();
+  }
+
+  addStatusPopupMessage(
+    '"' + segment.name + '" contains ' + pointArray.length + " points"
+  );
+  setSelectedTool(ToolsEnum.GLOBALSETTINGS);
+  storeCurrentPathIfChanged();
+}
+
+/**
+ * Draws the path segment from a GPX or KML file as the current path or, if the
+ * file has more than one, lets the user choose the one to load from a list on
+ * the status popup.
+ *
+ * @param {Object[]} segments Path segments (see parseGpx() and parseKml()).
+ */
+function loadPathSegments(segments) {
+  if (segments.length === 1) {
+    loadPathSegment(segments[0]);
+  } else if (segments.length > 1) {
+    addStatusPopupMessage("Click on one of the paths to load it");
+    const segmentList = $("<ul>").attr("id", "path-segments");
+    for (const segment of segments) {
+      const segmentLink = $("<a>")
+        .attr("href", "#")
+        .text(segment.name + " (" + segment.points.length + " points)");
+      segmentLink.on("click", function() {
+        $("#path-segments").remove();
+        loadPathSegment(segment);
+        return false;
+      });
+      segmentList.append($("<li>").append(segmentLink));
+    }
+    $("#status-messages").append(segmentList);
+  }
+}
+
+/**
+ * Callback invoked when the "Load GPX file" button is clicked.
+ */
+function onLoadGpxFileButtonClick() {
+  $("#select-gpx-file").click();
+}
+
+/**
+ * Callback invoked when the contents of a GPX file selected by the user are
+ * loaded. If the file contains a single track segment, route or set of
+ * waypoints, it is drawn on the map; otherwise, the user chooses the one to
+ * load from a list on the status popup.
+ *
+ * @param {String} gpxData GPX file contents.
+ * @param {String} fileName Name of file uploaded by user.
+ */
+function onGpxFileDataLoaded(gpxData, fileName) {
+  clearStatusPopupMessages();
+  setStatusPopupTitle("GPX file details - " + fileName);
+  const segments = parseGpx(gpxData);
+
+  if (segments === null) {
+    addStatusPopupMessage("The file is not a valid GPX file");
+  } else {
+    addStatusPopupMessage(
+      "Track segments, routes and waypoints found: " + segments.length
+    );
+    loadPathSegments(segments);
+  }
+  showStatusPopup();
+}
+
+/**
+ * Callback invoked when a GPX file is selected to be loaded.
+ */
+function onGpxFileSelected() {
+  const reader = new FileReader();
+  const fileName = this.files[0].name;
+  reader.onload = function() {
+    onGpxFileDataLoaded(reader.result, fileName);
+  };
+  reader.readAsText(this.files[0]);
+  // Force a file load even if the user chooses the same file again.
+  this.value = "";
+}
+
+/**
+ * Callback invoked when the "Generate GPX file" button is clicked.
+ */
+function onGenerateGpxFileButtonClick() {
+  downloadFile("output.gpx", generateGpxData());
+}
+
+/**
+ * Generates a representation of the currently drawn path in KML format.
+ *
+ * @return {String} KML document with the path as a line (LineString) and as a
+ *     track with the time of each point (gx:Track), so it can be animated in
+ *     Google Earth.
+ */
+function generateKmlData() {
+  let lineCoordinates = "";
+  let trackTimes = "";
+  let trackCoordinates = "";
+  for (let i = 0; i < pointArray.length; ++i) {
+    const coordinates = pointArray[i].getLatLng();
+    const elevation = getPointElevation(i);
+    lineCoordinates +=
+      "          " +
+      coordinates.lng +
+      "," +
+      coordinates.lat +
+      "," +
+      elevation +
+      "\n";
+    trackTimes +=
+      "        <when>" + getTimeForPoint(i).toISOString() + "</when>\n";
+    trackCoordinates +=
+      "        <gx:coord>" +
+      coordinates.lng +
+      " " +
+      coordinates.lat +
+      " " +
+      elevation +
+      "</gx:coord>\n";
+  }
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2" ' +
+    'xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+    "  <Document>\n" +
+    "    <name>NMEA Generator</name>\n" +
+    "    <Placemark>\n" +
+    "      <name>Path</name>\n" +
+    "      <LineString>\n" +
+    "        <coordinates>\n" +
+    lineCoordinates +
+    "        </coordinates>\n" +
+    "      </LineString>\n" +
+    "    </Placemark>\n" +
+    "    <Placemark>\n" +
+    "      <name>Track</name>\n" +
+    "      <gx:Track>\n" +
+    trackTimes +
+    trackCoordinates +
+    "      </gx:Track>\n" +
+    "    </Placemark>\n" +
+    "  </Document>\n" +
+    "</kml>\n"
+  );
+}
+
+/**
+ * Generates a representation of the currently drawn path in KMZ format.
+ *
+ * @return {Uint8Array} ZIP archive containing the KML document of the path
+ *     (see generateKmlData()) as "doc.kml".
+ */
+function generateKmzData() {
+  return createZipArchive([
+    { name: "doc.kml", data: encodeUtf8(generateKmlData()) }
+  ]);
+}
+
+/**
+ * Extracts the lines (LineString) and tracks (gx:Track) of the placemarks of a
+ * KML file.
+ *
+ * @param {String} kmlData KML file contents.
+ * @return {Object[]} Lines and tracks found in the file, each one with its
+ *     "name" (that of its placemark) and its "points" ("lat", "lon", "ele" and
+ *     "time" properties, the last two null if not given) or null if the file
+ *     is not a valid XML document.
+ * @note Only tracks have times. Points with invalid coordinates and empty lines
+ *       or tracks are left out.
+ */
+function parseKml(kmlData) {
+  const kmlDocument = parseXmlDocument(kmlData);
+  if (kmlDocument === null) {
+    return null;
+  }
+
+  // KML coordinates are given as longitude, latitude and (optional) altitude.
+  const parsePoint = function(values, time) {
+    const lon = parseFloat(values[0]);
+    const lat = parseFloat(values[1]);
+    const ele = parseFloat(values[2]);
+    return isNaN(lat) || isNaN(lon)
+      ? null
+      : {
+          lat: lat,
+          lon: lon,
+          ele: !isNaN(ele) ? ele : null,
+          time: time !== null && !isNaN(time.getTime()) ? time : null
+        };
+  };
+  const isValidPoint = function(point) {
+    return point !== null;
+  };
+
+  const segments = [];
+  getXmlElements(kmlDocument, "Placemark").forEach(function(
+    placemark,
+    placemarkIndex
+  ) {
+    const placemarkName =
+      getXmlChildText(placemark, "name") || "Placemark " + (placemarkIndex + 1);
+    const lines = getXmlElements(placemark, "LineString").map(function(line) {
+      return (getXmlChildText(line, "coordinates") || "")
+        .split(/\s+/)
+        .map(function(tuple) {
+          return parsePoint(tuple.split(","), null);
+        })
+        .filter(isValidPoint);
+    });
+    // The times (when) and coordinates (gx:coord) of a track are given in
+    // separate lists.
+    const tracks = getXmlElements(placemark, "Track").map(function(track) {
+      const times = getXmlElements(track, "when");
+      return getXmlElements(track, "coord")
+        .map(function(coordinates, i) {
+          return parsePoint(
+            coordinates.textContent.trim().split(/\s+/),
+            i < times.length ? new Date(times[i].textContent.trim()) : null
+          );
+        })
+        .filter(isValidPoint);
+    });
+    const geometries = lines.concat(tracks);
+    geometries.forEach(function(points, geometryIndex) {
+      segments.push({
+        name:
+          placemarkName +
+          (geometries.length > 1 ? " (" + (geometryIndex + 1) + ")" : ""),
+        points: points
+      });
+    });
+  });
+
+  return segments.filter(function(segment) {
+    return segment.points.length > 0;
+  });
+}
+
+/**
+ * Callback invoked when the "Load KML/KMZ file" button is clicked.
+ */
+function onLoadKmlFileButtonClick() {
+  $("#select-kml-file").click();
+}
+
+/**
+ * Callback invoked when the contents of a KML or KMZ file selected by the user
+ * are loaded. If the file contains a single line or track, it is drawn on the
+ * map; otherwise, the user chooses the one to load from a list on the status
+ * popup.
+ *
+ * @param {ArrayBuffer} kmlData KML or KMZ file contents.
+ * @param {String} fileName Name of file uploaded by user.
+ * @note KMZ files (ZIP archives) are recognized by their contents; the first
+ *       KML file in the archive is loaded.
+ */
+function onKmlFileDataLoaded(kmlData, fileName) {
+  clearStatusPopupMessages();
+  setStatusPopupTitle("KML file details - " + fileName);
+  const bytes = new Uint8Array(kmlData);
+  let kmlText = null;
+
+  if (isZipArchive(bytes)) {
+    try {
+      const kmlFile = readZipArchive(bytes).find(function(file) {
+        return /\.kml$/i.test(file.name);
+      });
+      // The entry names come from the file, so they are added as text (not
+      // HTML), also as part of the error messages.
+      if (kmlFile !== undefined) {
+        $("#status-messages").append(
+          $("<p>").text(
+            "KML file read from the KMZ file: " + kmlFile.name + "."
+          )
+        );
+        kmlText = decodeUtf8(kmlFile.data);
+      } else {
+        addStatusPopupMessage("The KMZ file does not contain a KML file");
+      }
+    } catch (error) {
+      $("#status-messages").append(
+        $("<p>").text("The KMZ file could not be read (" + error.message + ").")
+      );
+    }
+  } else {
+    kmlText = decodeUtf8(bytes);
+  }
+
+  if (kmlText !== null) {
+    const segments = parseKml(kmlText);
+    if (segments === null) {
+      addStatusPopupMessage("The file is not a valid KML file");
+    } else {
+      addStatusPopupMessage("Lines and tracks found: " + segments.length);
+      loadPathSegments(segments);
+    }
+  }
+  showStatusPopup();
+}
+
+/**
+ * Callback invoked when a KML or KMZ file is selected to be loaded.
+ */
+function onKmlFileSelected() {
+  const reader = new FileReader();
+  const fileName = this.files[0].name;
+  reader.onload = function() {
+    onKmlFileDataLoaded(reader.result, fileName);
+  };
+  reader.readAsArrayBuffer(this.files[0]);
+  // Force a file load even if the user chooses the same file again.
+  this.value = "";
+}
+
+/**
+ * Callback invoked when the "Generate KML file" button is clicked.
+ */
+function onGenerateKmlFileButtonClick() {
+  downloadFile("output.kml", generateKmlData());
+}
+
+/**
+ * Callback invoked when the "Generate KMZ file" button is clicked.
+ */
+function onGenerateKmzFileButtonClick() {
+  downloadFile("output.kmz", generateKmzData());
+}
+
 /**
  * Callback invoked when the mouse cursor moves over any map control component
  * (e.g. the search box, the zoom icons etc.).
@@ -1954,10 +4754,7 @@ function onDocumentKeyDown(event) {
         setSelectedPointCoordinates(selectedPointOriginalCoordinates);
         setSelectedPoint();
       } else if (getSelectedTool() === ToolsEnum.EDITPOINT) {
-        if (
-          !$("#selected-point-latitude").is(":focus") &&
-          !$("#selected-point-longitude").is(":focus")
-        ) {
+        if (!$("#edit-point-box input").is(":focus")) {
           setSelectedPoint();
           updateEditPointToolBox();
         }
@@ -2202,6 +4999,20 @@ function initializeMap() {
 function initializeToolSettings() {
   setStartDate(new Date());
   setGpsFrequency(1.0);
+  setReceiverProfile("Generic");
+  setRangeError(3.0);
+  setElevationMask(5.0);
+  setAlmanacs([]);
+  setVesselMmsi(123456789);
+  setVesselName("NMEAGEN");
+  setAisClass("A");
+  setAisSentenceType("VDM");
+  setValidateOutput(false);
+  setOutputUbxMessages(ubxMessageNames);
+  setTagBlockOutput(false);
+  setLinePrefixFormat(nmea.LinePrefixFormats.AUTO);
+  setLinePrefixDelimiter(",");
+  setLinePrefixTimes(false);
   setMultiPointLineStepSize(20.0);
 }
 
@@ -2245,9 +5056,55 @@ $(document).ready(function() {
     onGlobalSettingsTextInputFieldChange
   );
   $("#start-date").on("focusout", onGlobalSettingsTextInputFieldFocusOut);
+  $("#range-error").on(
+    "input propertychange paste",
+    onGlobalSettingsTextInputFieldChange
+  );
+  $("#range-error").on("focusout", onGlobalSettingsTextInputFieldFocusOut);
+  $("#elevation-mask").on(
+    "input propertychange paste",
+    onGlobalSettingsTextInputFieldChange
+  );
+  $("#elevation-mask").on("focusout", onGlobalSettingsTextInputFieldFocusOut);
+  $("#vessel-mmsi").on(
+    "input propertychange paste",
+    onGlobalSettingsTextInputFieldChange
+  );
+  $("#vessel-mmsi").on("focusout", onGlobalSettingsTextInputFieldFocusOut);
+  $("#vessel-name").on(
+    "input propertychange paste",
+    onGlobalSettingsTextInputFieldChange
+  );
+  $("#vessel-name").on("focusout", onGlobalSettingsTextInputFieldFocusOut);
+  $("#line-prefix-delimiter").on(
+    "input propertychange paste",
+    onGlobalSettingsTextInputFieldChange
+  );
+  $("#line-prefix-delimiter").on(
+    "focusout",
+    onGlobalSettingsTextInputFieldFocusOut
+  );
+  $("#talker-id").on("change", onTalkerIdChange);
+  $("#nmea-version").on("change", onNmeaVersionChange);
+  $("#output-sentences input").on("change", onOutputSentenceTypeChange);
+  $("#output-ubx-messages input").on("change", onOutputUbxMessageChange);
+  $("#receiver-profile").on("change", onReceiverProfileChange);
+  $("#save-receiver-profile").on("click", onSaveReceiverProfileClick);
+  $("#delete-receiver-profile").on("click", onDeleteReceiverProfileClick);
+  $("#receiver-profile-name").on("input propertychange paste", function() {
+    $(this).removeClass("invalid-value");
+  });
+  $("#coordinate-precision").on("change", onCoordinatePrecisionChange);
+  $("#time-precision").on("change", onTimePrecisionChange);
+  $("#ais-class").on("change", onAisClassChange);
+  $("#ais-sentence-type").on("change", onAisSentenceTypeChange);
+  $("#validate-output").on("change", onValidateOutputChange);
+  $("#tag-block-output").on("change", onTagBlockOutputChange);
+  $("#line-prefix-format").on("change", onLinePrefixFormatChange);
+  $("#line-prefix-times").on("change", onLinePrefixTimesChange);
 
   // Event handlers for the "edit point" tool.
-  $("#selected-point-latitude, #selected-point-longitude")
+  $("#edit-point-box input")
     .on("input propertychange paste", onEditPointTextInputFieldChange)
     .on("focusout", onEditPointTextInputFieldFocusOut)
     .on("keydown", onEditPointTextInputFieldKeydown);
@@ -2267,10 +5124,26 @@ $(document).ready(function() {
   $("#load-nmea-file").on("click", onLoadNmeaFileButtonClick);
   $("#select-nmea-file").on("change", onNmeaFileSelected);
   $("#generate-nmea-file").on("click", onGenerateNmeaFileButtonClick);
+  $("#load-ubx-file").on("click", onLoadUbxFileButtonClick);
+  $("#select-ubx-file").on("change", onUbxFileSelected);
+  $("#generate-ubx-file").on("click", onGenerateUbxFileButtonClick);
   $("#load-csv-file").on("click", onLoadCsvFileButtonClick);
   $("#select-csv-file").on("change", onCsvFileSelected);
   $("#generate-csv-file").on("click", onGenerateCsvFileButtonClick);
+  $("#load-gpx-file").on("click", onLoadGpxFileButtonClick);
+  $("#select-gpx-file").on("change", onGpxFileSelected);
+  $("#generate-gpx-file").on("click", onGenerateGpxFileButtonClick);
+  $("#load-kml-file").on("click", onLoadKmlFileButtonClick);
+  $("#select-kml-file").on("change", onKmlFileSelected);
+  $("#generate-kml-file").on("click", onGenerateKmlFileButtonClick);
+  $("#generate-kmz-file").on("click", onGenerateKmzFileButtonClick);
+  $("#load-ais-file").on("click", onLoadAisFileButtonClick);
+  $("#select-ais-file").on("change", onAisFileSelected);
+  $("#generate-ais-file").on("click", onGenerateAisFileButtonClick);
+  $("#load-almanac-file").on("click", onLoadAlmanacFileButtonClick);
+  $("#select-almanac-file").on("change", onAlmanacFileSelected);
 
   initializeMap();
+  setCustomReceiverProfiles(readCustomReceiverProfiles(), false);
   initializeToolSettings();
 });
@@ -0,0 +1,726 @@
+/**
+ * Tests of the NMEA encoders and parsers (nmea.js) which run in Node.js, without
+ * a browser:
+ *
+ *   node src/js/nmea-tests.js
+ */
+
+const nmea = require("./nmea.js");
+
+// Time of all encoded sentences.
+const date = new Date(Date.UTC(2016, 11, 25, 21, 59, 9, 285));
+
+/**
+ * Throws an exception if a condition is false.
+ *
+ * @param {Boolean} condition Condition to check.
+ */
+function failIfConditionIsFalse(condition) {
+  if (!condition) {
+    throw new Error("condition failed");
+  }
+}
+
+/**
+ * Encodes a sentence with a codec and checks the result, then parses it back.
+ *
+ * @param {Object} codec NMEA codec (see nmea.createCodec()).
+ * @param {String} id Sentence ID.
+ * @param {Object} data Data for the encoder of the sentence type.
+ * @param {String | String[]} expected Expected sentence(s).
+ * @return {Object[]} Parsed sentences.
+ */
+function encodeAndParse(codec, id, data, expected) {
+  const sentences = [].concat(codec.encode(id, data));
+  failIfConditionIsFalse(
+    sentences.join("\n") === [].concat(expected).join("\n")
+  );
+  return sentences.map(function(sentence) {
+    return codec.parse(sentence);
+  });
+}
+
+function testModuleExports() {
+  failIfConditionIsFalse(typeof nmea.parse === "function");
+  failIfConditionIsFalse(typeof nmea.encode === "function");
+  failIfConditionIsFalse(typeof nmea.createCodec === "function");
+  // The ES module exports the same (default) codec.
+  return import("./nmea.mjs").then(function(module) {
+    failIfConditionIsFalse(module.default === nmea);
+    failIfConditionIsFalse(module.createCodec === nmea.createCodec);
+    failIfConditionIsFalse(module.ErrorCodes === nmea.ErrorCodes);
+  });
+}
+
+function testGga() {
+  const codec = nmea.createCodec();
+  const [gga] = encodeAndParse(
+    codec,
+    "GPGGA",
+    {
+      date: date,
+      lat: 52.5375333,
+      lon: 13.3652167,
+      fix: 1,
+      satellites: 8,
+      hdop: 0.9,
+      altitude: 34.5,
+      aboveGeoid: 41.2
+    },
+    "$GPGGA,215909.285,5232.252,N,01321.913,E,1,08,0.9,34.5,M,41.2,M,,*68"
+  );
+  failIfConditionIsFalse(gga.type === "GGA");
+  failIfConditionIsFalse(gga.time === "215909.285");
+  failIfConditionIsFalse(gga.latitude === "52.53753333");
+  failIfConditionIsFalse(gga.longitude === "13.36521667");
+  failIfConditionIsFalse(gga.satellites === 8);
+  failIfConditionIsFalse(gga.aboveGeoid === 41.2);
+}
+
+function testRmc() {
+  const codec = nmea.createCodec();
+  const data = {
+    date: date,
+    status: "A",
+    lat: 52.5375333,
+    lon: -13.3652167,
+    speed: 10.5,
+    course: 45.3,
+    variation: -2.1,
+    mode: "A",
+    navStatus: "V"
+  };
+  const [rmc] = encodeAndParse(
+    codec,
+    "GPRMC",
+    data,
+    "$GPRMC,215909.285,A,5232.252,N,01321.913,W,010.5,045.3,251216,002.1,E*7C"
+  );
+  failIfConditionIsFalse(rmc.longitude === "-13.36521667");
+  failIfConditionIsFalse(rmc.date === "251216");
+  failIfConditionIsFalse(rmc.variation === -2.1);
+  failIfConditionIsFalse(rmc.version === "2.1");
+
+  codec.setVersion("4.11");
+  const [rmc411] = encodeAndParse(
+    codec,
+    "GPRMC",
+    data,
+    "$GPRMC,215909.285,A,5232.252,N,01321.913,W,010.5,045.3,251216,002.1,E,A,V*6B"
+  );
+  failIfConditionIsFalse(rmc411.mode === "A");
+  failIfConditionIsFalse(rmc411.navStatus === "V");
+  failIfConditionIsFalse(rmc411.version === "4.10");
+}
+
+function testGsa() {
+  const codec = nmea.createCodec();
+  const data = {
+    status: "A",
+    fix: 3,
+    prns: [2, 5, 12, 29],
+    pdop: 1.8,
+    hdop: 0.9,
+    vdop: 1.5,
+    systemId: 1
+  };
+  const [gsa] = encodeAndParse(
+    codec,
+    "GPGSA",
+    data,
+    "$GPGSA,A,3,02,05,12,29,,,,,,,,,1.8,0.9,1.5*39"
+  );
+  failIfConditionIsFalse(gsa.fix === 3);
+  failIfConditionIsFalse(gsa.prns.join() === "2,5,12,29");
+  failIfConditionIsFalse(gsa.systemId === null);
+
+  codec.setVersion("4.10");
+  const [gsa410] = encodeAndParse(
+    codec,
+    "GPGSA",
+    data,
+    "$GPGSA,A,3,02,05,12,29,,,,,,,,,1.8,0.9,1.5,1*24"
+  );
+  failIfConditionIsFalse(gsa410.systemId === 1);
+}
+
+function testGsv() {
+  const codec = nmea.createCodec();
+  const gsv = encodeAndParse(
+    codec,
+    "GPGSV",
+    {
+      satellites: [
+        { prn: 2, elevation: 45, azimuth: 120, snr: 40 },
+        { prn: 5, elevation: 10.4, azimuth: 300, snr: null },
+        { prn: 12, elevation: 80, azimuth: 5, snr: 35 },
+        { prn: 29, elevation: 30, azimuth: 200, snr: 28 },
+        { prn: 31, elevation: 5, azimuth: 45, snr: 20 }
+      ],
+      signalId: 1
+    },
+    [
+      "$GPGSV,2,1,05,02,45,120,40,05,10,300,,12,80,005,35,29,30,200,28*74",
+      "$GPGSV,2,2,05,31,05,045,20*48"
+    ]
+  );
+  failIfConditionIsFalse(gsv[0].msgs === 2);
+  failIfConditionIsFalse(gsv[0].count === 5);
+  failIfConditionIsFalse(gsv[0].sat.length === 4);
+  failIfConditionIsFalse(gsv[0].sat[1].el === 10);
+  failIfConditionIsFalse(gsv[1].mnum === 2);
+  failIfConditionIsFalse(gsv[1].sat[0].prn === 31);
+}
+
+function testVtg() {
+  const codec = nmea.createCodec();
+  const data = { course: 45.3, speed: 10.5, mode: "A" };
+  const [vtg] = encodeAndParse(
+    codec,
+    "GPVTG",
+    data,
+    "$GPVTG,045.3,T,,M,010.5,N,019.4,K*6A"
+  );
+  failIfConditionIsFalse(vtg.course === 45.3);
+  failIfConditionIsFalse(vtg.speedKph === 19.4);
+
+  codec.setVersion("2.3");
+  const [vtg23] = encodeAndParse(
+    codec,
+    "GPVTG",
+    data,
+    "$GPVTG,045.3,T,,M,010.5,N,019.4,K,A*07"
+  );
+  failIfConditionIsFalse(vtg23.mode === "A");
+}
+
+function testGll() {
+  const codec = nmea.createCodec();
+  const [gll] = encodeAndParse(
+    codec,
+    "GPGLL",
+    { date: date, lat: -52.5375333, lon: 13.3652167, status: "A", mode: "A" },
+    "$GPGLL,5232.252,S,01321.913,E,215909.285,A*29"
+  );
+  failIfConditionIsFalse(gll.latitude === "-52.53753333");
+  failIfConditionIsFalse(gll.time === "215909.285");
+  failIfConditionIsFalse(gll.valid === "A");
+}
+
+function testZda() {
+  const codec = nmea.createCodec();
+  const [zda] = encodeAndParse(
+    codec,
+    "GPZDA",
+    { date: date, localZoneHours: -3, localZoneMinutes: 30 },
+    "$GPZDA,215909.285,25,12,2016,-03,30*73"
+  );
+  failIfConditionIsFalse(zda.year === 2016);
+  failIfConditionIsFalse(zda.month === 12);
+  failIfConditionIsFalse(zda.day === 25);
+  failIfConditionIsFalse(zda.localZoneHours === -3);
+}
+
+function testGst() {
+  const codec = nmea.createCodec();
+  const [gst] = encodeAndParse(
+    codec,
+    "GPGST",
+    {
+      date: date,
+      rms: 5.0,
+      semiMajor: 3.1,
+      semiMinor: 2.2,
+      orientation: 30.5,
+      latitudeError: 2.5,
+      longitudeError: 2.8,
+      altitudeError: 4.6
+    },
+    "$GPGST,215909.285,5.000,3.100,2.200,30.5,2.500,2.800,4.600*50"
+  );
+  failIfConditionIsFalse(gst.semiMajor === 3.1);
+  failIfConditionIsFalse(gst.orientation === 30.5);
+  failIfConditionIsFalse(gst.altitudeError === 4.6);
+}
+
+function testHeadings() {
+  const codec = nmea.createCodec();
+  const [hdt] = encodeAndParse(
+    codec,
+    "GPHDT",
+    { heading: 90 },
+    "$GPHDT,090.0,T*3C"
+  );
+  failIfConditionIsFalse(hdt.heading === 90);
+  const [hdg] = encodeAndParse(
+    codec,
+    "GPHDG",
+    { heading: 90, deviation: 1.5, variation: -2.1 },
+    "$GPHDG,090.0,001.5,W,002.1,E*42"
+  );
+  failIfConditionIsFalse(hdg.deviation === 1.5);
+  failIfConditionIsFalse(hdg.variation === -2.1);
+  const [ths] = encodeAndParse(
+    codec,
+    "GPTHS",
+    { heading: 90, mode: "A" },
+    "$GPTHS,090.0,A*3E"
+  );
+  failIfConditionIsFalse(ths.mode === "A");
+}
+
+function testProprietarySentences() {
+  const codec = nmea.createCodec();
+  const [position] = encodeAndParse(
+    codec,
+    "PUBX",
+    {
+      message: "00",
+      date: date,
+      lat: 52.5375333,
+      lon: 13.3652167,
+      altitude: 34.5,
+      navStatus: "G3",
+      horizontalAccuracy: 2.5,
+      verticalAccuracy: 4.6,
+      speed: 18.9,
+      course: 45.3,
+      verticalVelocity: -0.2,
+      diffAge: null,
+      hdop: 0.9,
+      vdop: 1.5,
+      tdop: null,
+      satellites: 8
+    },
+    "$PUBX,00,215909.285,5232.25200,N,01321.91300,E,34.500,G3,2.5,4.6,18.900,45.30,-0.200,,0.90,1.50,,8,0,0*51"
+  );
+  failIfConditionIsFalse(position.type === "PUBX");
+  failIfConditionIsFalse(position.latitude === "52.53753333");
+  failIfConditionIsFalse(position.navStatus === "G3");
+  failIfConditionIsFalse(position.tdop === null);
+
+  const [time] = encodeAndParse(
+    codec,
+    "PUBX",
+    {
+      message: "04",
+      date: date,
+      utcTimeOfWeek: 79149.285,
+      utcWeek: 1929,
+      leapSeconds: 18,
+      leapSecondsDefault: false,
+      clockBias: 1234,
+      clockDrift: -5.6,
+      timepulseGranularity: 21
+    },
+    "$PUBX,04,215909.285,251216,79149.29,1929,18,1234,-5.600,21,*15"
+  );
+  failIfConditionIsFalse(time.date === "251216");
+  failIfConditionIsFalse(time.utcWeek === 1929);
+  failIfConditionIsFalse(time.leapSecondsDefault === false);
+
+  const [command] = encodeAndParse(
+    codec,
+    "PMTK",
+    { command: "220", fields: [1000] },
+    "$PMTK220,1000*1F"
+  );
+  failIfConditionIsFalse(command.command === "220");
+  failIfConditionIsFalse(command.fields.join() === "1000");
+
+  // The command number may also be given with the sentence ID.
+  for (const data of [{ command: "220", fields: [1000] }, { fields: [1000] }]) {
+    failIfConditionIsFalse(
+      codec.encode("PMTK220", data) === "$PMTK220,1000*1F"
+    );
+  }
+}
+
+function testAisPositionReports() {
+  const codec = nmea.createCodec();
+  const message = {
+    type: 1,
+    mmsi: 371798000,
+    status: 0,
+    rateOfTurn: null,
+    speed: 12.3,
+    accuracy: true,
+    lat: 48.381633333,
+    lon: -123.395383333,
+    course: 224.0,
+    heading: 215,
+    date: new Date(Date.UTC(2016, 11, 25, 21, 59, 33)),
+    radio: 34017
+  };
+  const [vdm] = encodeAndParse(
+    codec,
+    "AIVDM",
+    { message: message, channel: "A" },
+    "!AIVDM,1,1,,A,15RTgt0P1so;90TKcjM8h6g208CQ,0*3A"
+  );
+  failIfConditionIsFalse(vdm.channel === "A");
+  const report = codec.decodeAisMessage(vdm.payload, vdm.fillBits);
+  failIfConditionIsFalse(report.type === 1);
+  failIfConditionIsFalse(report.mmsi === 371798000);
+  failIfConditionIsFalse(report.rateOfTurn === null);
+  failIfConditionIsFalse(report.speed === 12.3);
+  failIfConditionIsFalse(Math.abs(report.latitude - 48.381633333) < 1e-6);
+  failIfConditionIsFalse(Math.abs(report.longitude + 123.395383333) < 1e-6);
+  failIfConditionIsFalse(report.heading === 215);
+  failIfConditionIsFalse(report.second === 33);
+
+  // Message types 2, 3 and 18 (class B) are decoded as well.
+  for (const type of [2, 3, 18]) {
+    const sentences = codec.encode("AIVDO", {
+      message: Object.assign({}, message, { type: type }),
+      channel: "B"
+    });
+    failIfConditionIsFalse(sentences.length === 1);
+    const vdo = codec.parse(sentences[0]);
+    failIfConditionIsFalse(vdo.type === "VDO");
+    const decoded = codec.decodeAisMessage(vdo.payload, vdo.fillBits);
+    failIfConditionIsFalse(decoded.type === type);
+    failIfConditionIsFalse(decoded.mmsi === 371798000);
+    failIfConditionIsFalse(decoded.course === 224);
+  }
+
+  // Courses which round to 360 degrees wrap around to 0 (3600 would mean "not
+  // available").
+  const [northVdm] = codec
+    .encode("AIVDM", {
+      message: Object.assign({}, message, { course: 359.97 }),
+      channel: "A"
+    })
+    .map(codec.parse);
+  const northReport = codec.decodeAisMessage(
+    northVdm.payload,
+    northVdm.fillBits
+  );
+  failIfConditionIsFalse(northReport.course === 0);
+}
+
+function testAisStaticData() {
+  const codec = nmea.createCodec();
+  const sentences = codec.encode("AIVDM", {
+    message: {
+      type: 5,
+      mmsi: 351759000,
+      imo: 9134270,
+      callSign: "3FOF8",
+      shipName: "Ever Diadem",
+      shipType: 70,
+      dimensions: { bow: 225, stern: 70, port: 1, starboard: 31 },
+      epfd: 1,
+      eta: new Date(Date.UTC(2016, 4, 15, 14, 0)),
+      draught: 12.2,
+      destination: "NEW YORK"
+    },
+    channel: "B",
+    sequenceId: 1
+  });
+  failIfConditionIsFalse(
+    sentences.join("\n") ===
+      "!AIVDM,2,1,1,B,55?MbV02;H;s<HtKP00EHE:0@T4@Dl0000000016L961O5Gf0NSQEp6ClRh0,0*0D\n" +
+        "!AIVDM,2,2,1,B,00000000000,2*26"
+  );
+
+  // The fragments are joined into the whole (424 bits) payload.
+  const assembler = new codec.AisFragmentAssembler();
+  failIfConditionIsFalse(assembler.add(codec.parse(sentences[0])) === null);
+  const message = assembler.add(codec.parse(sentences[1]));
+  failIfConditionIsFalse(message.payload.length === 71);
+  failIfConditionIsFalse(message.fillBits === 2);
+
+  // Both parts of a class B static data report fit in a single sentence.
+  for (const partNumber of [0, 1]) {
+    const part = codec.encode("AIVDM", {
+      message: {
+        type: 24,
+        mmsi: 351759000,
+        partNumber: partNumber,
+        shipName: "EVER DIADEM",
+        epfd: 1
+      },
+      channel: "A"
+    });
+    failIfConditionIsFalse(part.length === 1);
+    failIfConditionIsFalse(codec.parse(part[0]).payload[0] === "H");
+  }
+}
+
+function testParseErrors() {
+  const codec = nmea.createCodec();
+  const errors = [];
+  codec.setErrorHandler(function(message, code) {
+    errors.push(code);
+  });
+  const sentences = [
+    "$GPGGA,215909.285,5232.252,N,01321.913,E,1,08,0.9,34.5,M,41.2,M,,*00",
+    "$GPXYZ,1,2*4F",
+    "$GPGGA,215910.285,5232.252,N*36",
+    "$GPGGA,215910.285,52X2.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*02"
+  ];
+  for (let i = 0; i < 3; ++i) {
+    failIfConditionIsFalse(codec.parse(sentences[i]) === null);
+  }
+  // Malformed fields are reported and parsed as null.
+  failIfConditionIsFalse(codec.parse(sentences[3]).latitude === null);
+  failIfConditionIsFalse(
+    errors.join() ===
+      [
+        nmea.ErrorCodes.BAD_CHECKSUM,
+        nmea.ErrorCodes.UNKNOWN_ID,
+        nmea.ErrorCodes.TOO_FEW_FIELDS,
+        nmea.ErrorCodes.MALFORMED_COORDINATE
+      ].join()
+  );
+
+  // The default error handler throws an exception.
+  let exceptionThrown = false;
+  try {
+    nmea.parse(sentences[0]);
+  } catch (error) {
+    exceptionThrown = true;
+  }
+  failIfConditionIsFalse(exceptionThrown);
+}
+
+function testStrictMode() {
+  const codec = nmea.createCodec();
+  const errors = [];
+  codec.setErrorHandler(function(message, code) {
+    errors.push(code);
+  });
+  const gga = {
+    date: date,
+    lat: 52.5375333,
+    lon: 13.3652167,
+    fix: 1,
+    satellites: 100,
+    hdop: 0.9,
+    altitude: 34.5,
+    aboveGeoid: 41.2
+  };
+  // Without strict mode, invalid sentences are encoded and parsed.
+  const sentence = codec.encode("GPGGA", gga);
+  failIfConditionIsFalse(codec.parse(sentence).satellites === 100);
+  failIfConditionIsFalse(errors.length === 0);
+  failIfConditionIsFalse(
+    codec.validate(sentence)[0].code === nmea.ErrorCodes.OUT_OF_RANGE
+  );
+
+  codec.setStrict(true);
+  failIfConditionIsFalse(codec.encode("GPGGA", gga) === null);
+  failIfConditionIsFalse(codec.parse(sentence) === null);
+  failIfConditionIsFalse(
+    errors.join() ===
+      [nmea.ErrorCodes.OUT_OF_RANGE, nmea.ErrorCodes.OUT_OF_RANGE].join()
+  );
+  gga.satellites = 8;
+  failIfConditionIsFalse(codec.parse(codec.encode("GPGGA", gga)) !== null);
+
+  const violations = {
+    "$GPHDT,090.0,T": nmea.ErrorCodes.INVALID_SENTENCE,
+    "$GPHDT,090.0,T*3D": nmea.ErrorCodes.BAD_CHECKSUM,
+    "$GPHDT,090.0~,T*42": nmea.ErrorCodes.INVALID_CHARACTER,
+    "$GPHDT,090.0*44": nmea.ErrorCodes.TOO_FEW_FIELDS,
+    "$GPHDT,090.0,T,*10": nmea.ErrorCodes.TOO_MANY_FIELDS,
+    "$GPHDT,090.0,*68": nmea.ErrorCodes.MISSING_FIELD,
+    "$GPHDT,90.0x,T*74": nmea.ErrorCodes.MALFORMED_FIELD,
+    "$GPGLL,9132.252,S,01321.913,E,215909.285,A*26":
+      nmea.ErrorCodes.MALFORMED_FIELD,
+    "$GPZDA,215909.285,25,13,2016,-03,30*72": nmea.ErrorCodes.OUT_OF_RANGE,
+    "$GPGSV,1,1,05,02,45,120,40,05,10,300,,12,80,005,35,29,30,200,28,31,05,045,20*43":
+      nmea.ErrorCodes.TOO_MANY_FIELDS,
+    "$PUBX,00,215909.285,5232.25200,N,01321.91300,E,34.500,G3,2.5,4.6,18.900,45.30,-0.200,,0.90,1.50,,8,0,0*51":
+      nmea.ErrorCodes.SENTENCE_TOO_LONG
+  };
+  for (const [invalidSentence, code] of Object.entries(violations)) {
+    failIfConditionIsFalse(codec.validate(invalidSentence)[0].code === code);
+  }
+}
+
+function testGarminSentences() {
+  const codec = nmea.createCodec();
+  const pgrme = codec.encode("PGRME", {
+    horizontalError: 15.0,
+    verticalError: 45.04,
+    sphericalError: 25.0
+  });
+  failIfConditionIsFalse(pgrme === "$PGRME,15.0,M,45.0,M,25.0,M*1C");
+  const data = codec.parse(pgrme);
+  failIfConditionIsFalse(data.id === "PGRME");
+  failIfConditionIsFalse(data.horizontalError === 15.0);
+  failIfConditionIsFalse(data.verticalError === 45.0);
+  failIfConditionIsFalse(data.sphericalError === 25.0);
+  failIfConditionIsFalse(
+    codec.parse("$PGRMZ,246,f,3*1B", { structured: true }).error.code ===
+      nmea.ErrorCodes.UNSUPPORTED_MESSAGE
+  );
+}
+
+function testTimePrecision() {
+  const codec = nmea.createCodec();
+  const date = new Date(Date.UTC(2020, 0, 1, 12, 35, 19, 567));
+  failIfConditionIsFalse(codec.getTimePrecision() === 3);
+  failIfConditionIsFalse(codec.encodeTime(date) === "123519.567");
+  codec.setTimePrecision(2);
+  failIfConditionIsFalse(codec.encodeTime(date) === "123519.56");
+  failIfConditionIsFalse(codec.encodeTime(date, 0) === "123519");
+  failIfConditionIsFalse(nmea.encodeTime(date) === "123519.567");
+  failIfConditionIsFalse(
+    codec.encode("GPZDA", { date: date }).startsWith("$GPZDA,123519.56,")
+  );
+
+  // Times with any number of decimals are parsed.
+  failIfConditionIsFalse(nmea.timeToMilliseconds("123519") === 45319000);
+  failIfConditionIsFalse(nmea.timeToMilliseconds("123519.5") === 45319500);
+  failIfConditionIsFalse(nmea.timeToMilliseconds("123519.56") === 45319560);
+  failIfConditionIsFalse(nmea.timeToMilliseconds("123519.567") === 45319567);
+}
+
+function testTagBlocks() {
+  const codec = nmea.createCodec();
+  const tagBlock = codec.encodeTagBlock({
+    source: "logger1",
+    unixTime: 1697040000,
+    lineCount: 12,
+    group: { sentence: 1, total: 2, id: 123 }
+  });
+  failIfConditionIsFalse(
+    tagBlock === "\\s:logger1,c:1697040000,n:12,g:1-2-123*2D\\"
+  );
+  const hdt = codec.parse(tagBlock + "$GPHDT,090.0,T*3C");
+  failIfConditionIsFalse(hdt.heading === 90);
+  failIfConditionIsFalse(hdt.tagBlock.source === "logger1");
+  failIfConditionIsFalse(hdt.tagBlock.unixTime === 1697040000);
+  failIfConditionIsFalse(hdt.tagBlock.lineCount === 12);
+  failIfConditionIsFalse(hdt.tagBlock.group.id === 123);
+  failIfConditionIsFalse(hdt.tagBlock.destination === null);
+  failIfConditionIsFalse(
+    codec.validate(tagBlock + "$GPHDT,090.0,T*3C").length === 0
+  );
+
+  // Millisecond timestamps are also accepted.
+  const tagBlockMs = codec.parseTagBlock("c:1697040000500*61");
+  failIfConditionIsFalse(tagBlockMs.unixTime === 1697040000.5);
+
+  const errors = [];
+  codec.setErrorHandler(function(message, code) {
+    errors.push(code);
+  });
+  failIfConditionIsFalse(
+    codec.parse("\\c:1697040000*55\\$GPHDT,090.0,T*3C") === null
+  );
+  failIfConditionIsFalse(
+    codec.parse("\\c:1697040000*54$GPHDT,090.0,T*3C") === null
+  );
+  failIfConditionIsFalse(
+    errors.join() ===
+      [nmea.ErrorCodes.BAD_CHECKSUM, nmea.ErrorCodes.INVALID_SENTENCE].join()
+  );
+}
+
+function testLinePrefixes() {
+  const formats = nmea.LinePrefixFormats;
+  const hdt = "$GPHDT,090.0,T*3C";
+
+  let split = nmea.splitLinePrefix(
+    "2024-05-01T12:00:00.123Z " + hdt,
+    formats.AUTO
+  );
+  failIfConditionIsFalse(split.time === 1714564800.123);
+  failIfConditionIsFalse(split.sentence === hdt);
+  split = nmea.splitLinePrefix("2024-05-01 14:00:00+02:00;" + hdt, formats.ISO);
+  failIfConditionIsFalse(split.time === 1714564800);
+  failIfConditionIsFalse(split.sentence === hdt);
+  split = nmea.splitLinePrefix("1714564800.5," + hdt, formats.AUTO);
+  failIfConditionIsFalse(split.time === 1714564800.5);
+  failIfConditionIsFalse(split.prefix === "1714564800.5,");
+  split = nmea.splitLinePrefix("1714564800123\t" + hdt, formats.UNIX);
+  failIfConditionIsFalse(split.time === 1714564800.123);
+
+  // Prefixes of other formats are left in the line.
+  split = nmea.splitLinePrefix("2024-05-01T12:00:00Z " + hdt, formats.UNIX);
+  failIfConditionIsFalse(split.prefix === "" && split.time === null);
+  split = nmea.splitLinePrefix("1714564800.5," + hdt, formats.NONE);
+  failIfConditionIsFalse(split.sentence === "1714564800.5," + hdt);
+
+  // The delimiter may also appear in the prefix and in the sentence.
+  split = nmea.splitLinePrefix("12:00:00|COM3|" + hdt, formats.DELIMITER, "|");
+  failIfConditionIsFalse(split.prefix === "12:00:00|COM3|");
+  failIfConditionIsFalse(split.time === null);
+  failIfConditionIsFalse(split.sentence === hdt);
+  split = nmea.splitLinePrefix("1714564800.5,x," + hdt, formats.DELIMITER);
+  failIfConditionIsFalse(split.time === 1714564800.5);
+  failIfConditionIsFalse(split.sentence === hdt);
+
+  const receiveTimes = [];
+  const errors = [];
+  const streamParser = new nmea.StreamParser({ linePrefix: formats.AUTO });
+  streamParser.on("sentence", function(data) {
+    receiveTimes.push(data.receiveTime);
+  });
+  streamParser.on("error", function(error) {
+    errors.push(error.code);
+  });
+  streamParser.write("1714564800.5 " + hdt + "\n" + hdt + "\nCOM3 " + hdt);
+  streamParser.end();
+  failIfConditionIsFalse(receiveTimes.join() === "1714564800.5,,");
+  failIfConditionIsFalse(errors.join() === nmea.ErrorCodes.GARBAGE);
+}
+
+function testStreamParser() {
+  const codec = nmea.createCodec();
+  const types = [];
+  const streamParser = new codec.StreamParser();
+  streamParser.on("sentence", function(data) {
+    types.push(data.type);
+  });
+  streamParser.write("$GPHDT,090.0,T*3C\r\n$GPTH");
+  streamParser.write(Buffer.from("S,090.0,A*3E\r\n$PMTK220,1000*1F"));
+  // Sentences with TAG blocks can follow each other on the same line.
+  streamParser.write("\n\\c:1697040000*54\\$GPHDT,090.0,T*3C");
+  streamParser.write("\\c:1697040000*54\\$GPTHS,090.0,A*3E\n");
+  streamParser.end();
+  failIfConditionIsFalse(types.join() === "HDT,THS,PMTK,HDT,THS");
+}
+
+async function runTests() {
+  const tests = {
+    "Module exports": testModuleExports,
+    "GGA sentences": testGga,
+    "RMC sentences": testRmc,
+    "GSA sentences": testGsa,
+    "GSV sentences": testGsv,
+    "VTG sentences": testVtg,
+    "GLL sentences": testGll,
+    "ZDA sentences": testZda,
+    "GST sentences": testGst,
+    "Heading sentences": testHeadings,
+    "Proprietary sentences": testProprietarySentences,
+    "AIS position reports": testAisPositionReports,
+    "AIS static data": testAisStaticData,
+    "Parse errors": testParseErrors,
+    "Strict mode": testStrictMode,
+    "Garmin sentences": testGarminSentences,
+    "Time precision": testTimePrecision,
+    "TAG blocks": testTagBlocks,
+    "Line prefixes": testLinePrefixes,
+    "Stream parser": testStreamParser
+  };
+
+  for (const [testName, testFunction] of Object.entries(tests)) {
+    try {
+      await testFunction();
+      console.log("[PASS] " + testName + ".");
+    } catch (error) {
+      console.error("[FAIL] " + testName + " (" + error + ").");
+      console.error(error.stack);
+      process.exitCode = 1;
+      break;
+    }
+  }
+}
+
+runTests();
@@ -1,849 +1,3476 @@
-/** NMEA public API */
-var nmea = {};
-
-/** private module variables */
-var m_parserList = [];
-var m_encoderList = [];
-var m_errorHandler = null;
-var m_latitudePrecision	= 3;
-var m_longitudePrecision = 3;
-var m_hex = ['0','1','2','3','4','5','6','7','8','9','A','B','C','D','E','F'];
-
-// =============================================
-// public API functions
-// =============================================
-nmea.toHexString = function(v) {
-	var lsn;
-	var msn;
-
-	msn = (v >> 4) & 0x0f;
-	lsn = (v >> 0) & 0x0f;
-	return m_hex[msn] + m_hex[lsn];
-};
+/** NMEA codec factory
+ * every codec has its own parsers, encoders, error handler and settings
+ * (latitude/longitude precision, talker id, NMEA version), starting with the
+ * standard ones. the global nmea object is the default codec
+ */
+var createNmeaCodec = function() {
+	/** NMEA public API */
+	var nmea = {};
+
+	/** private codec variables */
+	var m_parserList = [];
+	var m_encoderList = [];
+	var m_aisEncoderList = [];
+	var m_aisDecoderList = [];
+	var m_proprietaryParserList = [];
+	var m_proprietaryEncoderList = [];
+	var m_errorHandler = null;
+	var m_latitudePrecision	= 3;
+	var m_longitudePrecision = 3;
+	var m_timePrecision = 3;
+	var m_talkerId = 'GP';
+	var m_version = '2.1';
+	var m_versions = ['2.1', '2.3', '4.10', '4.11'];
+	var m_hex = ['0','1','2','3','4','5','6','7','8','9','A','B','C','D','E','F'];
+	var m_strict = false;
+	// longest sentence allowed by NMEA 0183 (including the line break)
+	var m_maxSentenceLength = 82;
+
+	/** error codes passed to the error handler (and returned by structured
+	 * parsing, see nmea.parse)
+	 */
+	nmea.ErrorCodes = {
+		INVALID_SENTENCE : 'invalid-sentence',
+		BAD_CHECKSUM : 'bad-checksum',
+		UNKNOWN_ID : 'unknown-id',
+		TOO_FEW_FIELDS : 'too-few-fields',
+		MALFORMED_COORDINATE : 'malformed-coordinate',
+		MALFORMED_FIELD : 'malformed-field',
+		UNSUPPORTED_MESSAGE : 'unsupported-message',
+		GARBAGE : 'garbage',
+		INVALID_ARGUMENT : 'invalid-argument',
+		// strict validation (see nmea.setStrict)
+		SENTENCE_TOO_LONG : 'sentence-too-long',
+		INVALID_CHARACTER : 'invalid-character',
+		TOO_MANY_FIELDS : 'too-many-fields',
+		MISSING_FIELD : 'missing-field',
+		OUT_OF_RANGE : 'out-of-range'
+	};
 
-nmea.padLeft = function(s, len, ch) {
-	while(s.length < len) {
-		s = ch + s;
-	}
-	return s;
-};
+	// =============================================
+	// public API functions
+	// =============================================
+	/** create a new codec, independent of this one */
+	nmea.createCodec = function() {
+		return createNmeaCodec();
+	};
+
+	nmea.toHexString = function(v) {
+		var lsn;
+		var msn;
+
+		msn = (v >> 4) & 0x0f;
+		lsn = (v >> 0) & 0x0f;
+		return m_hex[msn] + m_hex[lsn];
+	};
+
+	nmea.padLeft = function(s, len, ch) {
+		while(s.length < len) {
+			s = ch + s;
+		}
+		return s;
+	};
+
+	// verify the checksum
+	nmea.verifyChecksum = function(sentence, checksum) {
+		var q;
+		var c1;
+		var c2;
+		var i;
+
+		// skip the $
+		i = 1;
+
+		// init to first character
+		c1 = sentence.charCodeAt(i);
+
+		// process rest of characters, zero delimited
+		for( i = 2; i < sentence.length; ++i) {
+			c1 = c1 ^ sentence.charCodeAt(i);
+		}
+
+		// checksum is a 2 digit hex value
+		c2 = parseInt(checksum, 16);
+
+		// should be equal
+		return ((c1 & 0xff) === c2);
+	};
+
+	// generate a checksum for	a sentence (no trailing *xx)
+	nmea.computeChecksum = function(sentence) {
+		var c1;
+		var i;
+
+		// skip the $
+		i = 1;
+
+		// init to first character var count;
+
+		c1 = sentence.charCodeAt(i);
+
+		// process rest of characters, zero delimited
+		for( i = 2; i < sentence.length; ++i) {
+			c1 = c1 ^ sentence.charCodeAt(i);
+		}
+
+		return '*' + nmea.toHexString(c1);
+	};
+
+	/** set the number of decimal digits in an encoded latitude value */
+	nmea.setLatitudePrecision = function(precision) {
+		m_latitudePrecision = precision;
+	};
+
+	nmea.getLatitudePrecision = function() {
+		return m_latitudePrecision;
+	};
+
+	nmea.setLongitudePrecision = function(precision) {
+		m_longitudePrecision = precision;
+	};
+
+	nmea.getLongitudePrecision = function() {
+		return m_longitudePrecision;
+	};
+
+	/** set the number of decimal digits of the seconds in an encoded time (0-3) */
+	nmea.setTimePrecision = function(precision) {
+		m_timePrecision = precision;
+	};
+
+	nmea.getTimePrecision = function() {
+		return m_timePrecision;
+	};
+
+	/** set the talker id used when encoding a sentence given only by its type */
+	nmea.setTalkerId = function(talkerId) {
+		m_talkerId = talkerId;
+	};
+
+	nmea.getTalkerId = function() {
+		return m_talkerId;
+	};
+
+	/** set the NMEA version ('2.1', '2.3', '4.10' or '4.11') which defines the
+	 * field layout of the encoded sentences
+	 */
+	nmea.setVersion = function(version) {
+		m_version = version;
+	};
+
+	nmea.getVersion = function() {
+		return m_version;
+	};
+
+	// strict mode : parsed and encoded sentences are validated against the
+	// NMEA 0183 standard (see nmea.validate), reporting the violations found
+	nmea.setStrict = function(strict) {
+		m_strict = strict;
+	};
+
+	nmea.getStrict = function() {
+		return m_strict;
+	};
+
+	/** compare two NMEA versions
+	 * returns a negative value if a is older than b, 0 if they are equal and a
+	 * positive value if a is newer than b
+	 */
+	nmea.compareVersions = function(a, b) {
+		return m_versions.indexOf(a) - m_versions.indexOf(b);
+	};
+
+	/** split a 5 character sentence id into talker id and sentence type
+	 * e.g. 'GNGGA' : talker='GN' type='GGA'
+	 */
+	nmea.splitId = function(id) {
+		return {
+			talker : id.substring(0, 2),
+			type : id.substring(2)
+		};
+	};
+
+	// function to add parsers
+	nmea.addParser = function(sentenceParser) {
+		if(sentenceParser == null) {
+			this.error('invalid sentence parser : null', nmea.ErrorCodes.INVALID_ARGUMENT);
+			return;
+		}
+		m_parserList.push(sentenceParser);
+	};
+
+	/** function to add encoders */
+	nmea.addEncoder = function(sentenceEncoder) {
+		if(sentenceEncoder == null) {
+			this.error('invalid	sentence encoder : null', nmea.ErrorCodes.INVALID_ARGUMENT);
+			return;
+		}
+		m_encoderList.push(sentenceEncoder);
+	};
+
+	/** function to add parsers of proprietary sentences
+	 * proprietary parsers are registered by manufacturer code (e.g. 'UBX' for
+	 * $PUBX sentences) instead of sentence type
+	 */
+	nmea.addProprietaryParser = function(sentenceParser) {
+		if(sentenceParser == null) {
+			this.error('invalid proprietary sentence parser : null', nmea.ErrorCodes.INVALID_ARGUMENT);
+			return;
+		}
+		m_proprietaryParserList.push(sentenceParser);
+	};
+
+	/** function to add encoders of proprietary sentences (by manufacturer code) */
+	nmea.addProprietaryEncoder = function(sentenceEncoder) {
+		if(sentenceEncoder == null) {
+			this.error('invalid proprietary sentence encoder : null', nmea.ErrorCodes.INVALID_ARGUMENT);
+			return;
+		}
+		m_proprietaryEncoderList.push(sentenceEncoder);
+	};
+
+	/** proprietary sentence ids start with 'P' followed by a 3 character
+	 * manufacturer code (e.g. 'PUBX' or 'PMTK220')
+	 */
+	nmea.isProprietaryId = function(id) {
+		return id.length >= 4 && id.charAt(0) === 'P';
+	};
+
+	/** function to add AIS message encoders (used by the VDM/VDO encoder) */
+	nmea.addAisEncoder = function(messageEncoder) {
+		if(messageEncoder == null) {
+			this.error('invalid AIS message encoder : null', nmea.ErrorCodes.INVALID_ARGUMENT);
+			return;
+		}
+		m_aisEncoderList.push(messageEncoder);
+	};
+
+	/** function to add AIS message decoders (used by nmea.decodeAisMessage) */
+	nmea.addAisDecoder = function(messageDecoder) {
+		if(messageDecoder == null) {
+			this.error('invalid AIS message decoder : null', nmea.ErrorCodes.INVALID_ARGUMENT);
+			return;
+		}
+		m_aisDecoderList.push(messageDecoder);
+	};
+
+	// =========================================
+	// field encoders
+	// =========================================
+
+	// encode latitude
+	// input: latitude in decimal degrees
+	// output: latitude in nmea format
+	// ddmm.mmm
+	// nmea.m_latitudePrecision = 3 (unless another precision is given)
+	nmea.encodeLatitude = function(lat, precision = m_latitudePrecision) {
+		var d;
+		var m;
+		var f;
+		var h;
+		var s;
+		var t;
+
+		if(lat < 0) {
+			h = 'S';
+			lat = -lat;
+		} else {
+			h = 'N';
+		}
+		// get integer degrees
+		d = Math.floor(lat);
+		// degrees are always 2 digits
+		s = d.toString();
+		if(s.length < 2) {
+			s = '0' + s;
+		}
+		// get fractional degrees
+		f = lat - d;
+		// convert to fractional minutes
+		m = (f * 60.0);
+		// format the fixed point fractional minutes
+		t = m.toFixed(precision);
+		if(m < 10) {
+			// add leading 0
+			t = '0' + t;
+		}
+
+		s = s + t + ',' + h;
+		return s;
+	};
+
+	// encode longitude
+	// input: longitude in decimal degrees
+	// output: longitude in nmea format
+	// dddmm.mmm
+	// nmea.m_longitudePrecision = 3 (unless another precision is given)
+	nmea.encodeLongitude = function(lon, precision = m_longitudePrecision) {
+		var d;
+		var m;
+		var f;
+		var h;
+		var s;
+		var t;
+
+		if(lon < 0) {
+			h = 'W';
+			lon = -lon;
+		} else {
+			h = 'E';
+		}
+
+		// get integer degrees
+		d = Math.floor(lon);
+		// degrees are always 3 digits
+		s = d.toString();
+		while(s.length < 3) {
+			s = '0' + s;
+		}
+
+		// get fractional degrees
+		f = lon - d;
+		// convert to fractional minutes and round up to the specified precision
+		m = (f * 60.0);
+		// minutes are always 6 characters = mm.mmm
+		t = m.toFixed(precision);
+		if(m < 10) {
+			// add leading 0
+			t = '0' + t;
+		}
+		s = s + t + ',' + h;
+		return s;
+	};
+
+	// 1 decimal, always meters
+	nmea.encodeAltitude = function(alt = null) {
+		if(alt == null) {
+			return ',M';
+		}
+		return alt.toFixed(1) + ',M';
+	};
+
+	// magnetic variation
+	nmea.encodeMagVar = function(v = null) {
+		var a;
+		var s;
+		if(v == null) {
+			return ',';
+		}
+		a = Math.abs(v);
+		s = (v < 0) ? (a.toFixed(1) + ',E') : (a.toFixed(1) + ',W');
+		return nmea.padLeft(s, 7, '0');
+	};
+
+	// degrees
+	nmea.encodeDegrees = function(d = null) {
+		if(d === null) {
+			return '';
+		}
+		return nmea.padLeft(d.toFixed(1), 5, '0');
+	};
+
+	nmea.encodeDate = function(d) {
+		var yr;
+		var mn;
+		var dy;
+
+		yr = d.getUTCFullYear();
+		mn = d.getUTCMonth() + 1;
+		dy = d.getUTCDate();
+
+		return nmea.padLeft(dy.toString(), 2, '0') + nmea.padLeft(mn.toString(), 2, '0') + yr.toString().substr(2);
+	};
+
+	// the fractional seconds are truncated to the given precision
+	// nmea.m_timePrecision = 3 (unless another precision is given)
+	nmea.encodeTime = function(d, precision = m_timePrecision) {
+		var h;
+		var m;
+		var s;
+		var ms;
+		var t;
+
+		h = d.getUTCHours();
+		m = d.getUTCMinutes();
+		s = d.getUTCSeconds();
+		ms = d.getUTCMilliseconds();
+
+		t = nmea.padLeft(h.toString(), 2, '0') +
+		    nmea.padLeft(m.toString(), 2, '0') +
+		    nmea.padLeft(s.toString(), 2, '0');
+		if(precision > 0) {
+			t = t + '.' + nmea.padLeft(ms.toString(), 3, '0').substring(0, precision);
+		}
+		return t;
+	};
+
+	// local time zone offset (hours or minutes), always 2 digits plus sign
+	nmea.encodeZone = function(z = null) {
+		if(z == null) {
+			return '';
+		}
+		return ((z < 0) ? '-' : '') + nmea.padLeft(Math.abs(z).toString(), 2, '0');
+	};
+
+	nmea.encodeKnots = function(k = null) {
+		if(k == null) {
+			return '';
+		}
+		return nmea.padLeft(k.toFixed(1), 5, '0');
+	};
+
+	nmea.encodeValue = function(v = null) {
+		if(v == null) {
+			return '';
+		}
+		return v.toString();
+	};
+
+	nmea.encodeFixed = function(v = null, f) {
+		if(v == null) {
+			return '';
+		}
+		return v.toFixed(f);
+	};
+
+	// =========================================
+	// field parsers
+	// =========================================
+
+	// separate number and units
+	nmea.parseAltitude = function(alt, units) {
+		var scale = 1.0;
+		if(units === 'F') {
+			scale = 0.3048;
+		}
+		return parseFloat(alt) * scale;
+	};
+
+	// separate degrees value and quadrant (E/W)
+	nmea.parseDegrees = function(deg, quadrant) {
+		var q = (quadrant === 'E') ? -1.0 : 1.0;
+
+		return parseFloat(deg) * q;
+	};
+
+	// fields can be empty so have to wrap the global parseFloat
+	nmea.parseFloatX = function(f) {
+		if(f === '') {
+			return 0.0;
+		}
+		return parseFloat(f);
+	};
+
+	// decode latitude
+	// input : latitude in nmea format
+	//			first two digits are degress
+	//			rest of digits are decimal minutes
+	// output : latitude in decimal degrees (null if malformed)
+	nmea.parseLatitude = function(lat, hemi) {
+		var h = (hemi === 'N') ? 1.0 : -1.0;
+		var a;
+		var dg;
+		var mn;
+		var l;
+		if(lat !== '' && (!/^\d+(\.\d*)?$/.test(lat) || (hemi !== 'N' && hemi !== 'S'))) {
+			nmea.error('malformed latitude : ' + lat + ',' + hemi, nmea.ErrorCodes.MALFORMED_COORDINATE);
+			return null;
+		}
+		a = lat.split('.');
+		if(a[0].length === 4) {
+			// two digits of degrees
+			dg = lat.substring(0, 2);
+			mn = lat.substring(2);
+		} else if(a[0].length === 3) {
+			// 1 digit of degrees (in case no leading zero)
+			dg = lat.substring(0, 1);
+			mn = lat.substring(1);
+		} else {
+			// no degrees, just minutes (nonstandard but a buggy unit might do this)
+			dg = '0';
+			mn = lat;
+		}
+		// latitude is usually precise to 5-8 digits
+		return ((parseFloat(dg) + (parseFloat(mn) / 60.0)) * h).toFixed(8);
+	};
+
+	// decode longitude
+	// first three digits are degress
+	// rest of digits are decimal minutes
+	// output : longitude in decimal degrees (null if malformed)
+	nmea.parseLongitude = function(lon, hemi) {
+		var h;
+		var a;
+		var dg;
+		var mn;
+		if(lon !== '' && (!/^\d+(\.\d*)?$/.test(lon) || (hemi !== 'E' && hemi !== 'W'))) {
+			nmea.error('malformed longitude : ' + lon + ',' + hemi, nmea.ErrorCodes.MALFORMED_COORDINATE);
+			return null;
+		}
+		h = (hemi === 'E') ? 1.0 : -1.0;
+		a = lon.split('.');
+		if(a[0].length === 5) {
+			// three digits of degrees
+			dg = lon.substring(0, 3);
+			mn = lon.substring(3);
+		} else if(a[0].length === 4) {
+			// 2 digits of degrees (in case no leading zero)
+			dg = lon.substring(0, 2);
+			mn = lon.substring(2);
+		} else if(a[0].length === 3) {
+			// 1 digit of degrees (in case no leading zero)
+			dg = lon.substring(0, 1);
+			mn = lon.substring(1);
+		} else {
+			// no degrees, just minutes (nonstandard but a buggy unit might do this)
+			dg = '0';
+			mn = lon;
+		}
+		// longitude is usually precise to 5-8 digits
+		return ((parseFloat(dg) + (parseFloat(mn) / 60.0)) * h).toFixed(8);
+	};
+
+	// fields can be empty so have to wrap the global parseInt
+	nmea.parseIntX = function(i) {
+		if(i === '') {
+			return 0;
+		}
+		return parseInt(i, 10);
+	};
+
+	/**
+	 * @brief converts a time string in the format HHMMSS.SSS (with up to
+	 *        millisecond precision) to a value in milliseconds
+	 */
+	nmea.timeToMilliseconds = function(time)
+	{
+		/* time format: HHMMSS.SSS (UTC), the fractional seconds may have any
+		 * number of digits (e.g. HHMMSS.SS) or be omitted */
+		var h = parseInt(time.substring(0,2));
+		var m = parseInt(time.substring(2,4));
+		var s = parseInt(time.substring(4,6));
+		var ms = time.length > 7 ? Math.round(1000 * parseFloat('0' + time.substring(6))) : 0;
+
+		return 3600000*h + 60000*m + 1000*s + ms;
+	};
+
+	/**
+	 * @brief given a year in format YY (i.e., no century information), returns the
+	 *        year value in YYYY format
+	 */
+	nmea.yearToFullYear = function(year)
+	{
+		/*
+		 * use the current year to generate century information for the year on
+		 * the given date (this assumes that the date is not older than 100 years
+		 * from now...)
+		 */
+		var fullYearNow = (new Date()).getFullYear();
+		var twoDigitYearNow = fullYearNow % 100;
+		var centuryNow = fullYearNow - twoDigitYearNow;
+
+		year += (year <= twoDigitYearNow) ? centuryNow : (centuryNow - 100);
+
+		return year;
+
+	};
+
+	nmea.timeDateToMilliseconds = function(date, time)
+	{
+		/* date format: DDMMYYYY.SSS (UTC) */
+		var D = parseInt(date.substring(0,2));
+		var M = parseInt(date.substring(2,4)) - 1;
+		var Y = parseInt(date.substring(4,6));
+
+		Y = nmea.yearToFullYear(Y);
+
+		/* time format: HHMMSS.SSS (UTC) */
+		var h = parseInt(time.substring(0,2));
+		var m = parseInt(time.substring(2,4));
+		var s = parseInt(time.substring(4,6));
+		var ms = time.length > 7 ? parseInt(time.substring(7)) : 0;
+
+		return Date.UTC(Y, M, D, h, m, s, ms);
+	};
+
+	nmea.parseDateTime = function(date, time)
+	{
+		/* date format: DDMMYY (UTC) */
+		var D = parseInt(date.substring(0,2));
+		var M = parseInt(date.substring(2,4)) - 1;
+		var Y = parseInt(date.substring(4,6));
+
+		Y = nmea.yearToFullYear(Y);
+
+		/* time format: HHMMSS.SSS (UTC) */
+		var h = parseInt(time.substring(0,2));
+		var m = parseInt(time.substring(2,4));
+		var s = parseInt(time.substring(4,6));
+		var ms = time.length > 7 ? parseInt(time.substring(7)) : 0;
+
+		return new Date(Date.UTC(Y, M, D, h, m, s, ms));
+	};
+
+	// =====================================
+	// sentence parsers
+	// =====================================
+	/** GGA parser object */
+	nmea.GgaParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var i;
+			var gga;
+			if(tokens.length < 14) {
+				nmea.error('GGA : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+
+			// trim whitespace
+			// some parsers may not want the tokens trimmed so the individual parser has to do it if applicable
+			for( i = 0; i < tokens.length; ++i) {
+				tokens[i] = tokens[i].trim();
+			}
+
+			gga = {
+				id : tokens[0].substr(1),
+				time : tokens[1],
+				latitude : nmea.parseLatitude(tokens[2], tokens[3]),
+				longitude : nmea.parseLongitude(tokens[4], tokens[5]),
+				fix : nmea.parseIntX(tokens[6], 10),
+				satellites : nmea.parseIntX(tokens[7], 10),
+				hdop : nmea.parseFloatX(tokens[8]),
+				altitude : nmea.parseAltitude(tokens[9], tokens[10]),
+				aboveGeoid : nmea.parseAltitude(tokens[11], tokens[12]),
+				dgpsUpdate : tokens[13],
+				dgpsReference : tokens[14]
+			};
+
+			return gga;
+		};
+	};
+
+	/** RMC parser object */
+	nmea.RmcParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var rmc;
+			if(tokens.length < 12) {
+				nmea.error('RMC : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			rmc = {
+				id : tokens[0].substr(1),
+				time : tokens[1],
+				valid : tokens[2],
+				latitude : nmea.parseLatitude(tokens[3], tokens[4]),
+				longitude : nmea.parseLongitude(tokens[5], tokens[6]),
+				speed : nmea.parseFloatX(tokens[7]),
+				course : nmea.parseFloatX(tokens[8]),
+				date : tokens[9],
+				variation : nmea.parseDegrees(tokens[10], tokens[11]),
+				// the mode indicator was introduced in NMEA 2.3 and the
+				// navigational status in NMEA 4.10
+				mode : (tokens.length > 12) ? tokens[12] : '',
+				navStatus : (tokens.length > 13) ? tokens[13] : '',
+				version : (tokens.length > 13) ? '4.10' : (tokens.length > 12) ? '2.3' : '2.1'
+			};
+			return rmc;
+		};
+	};
+
+	/** GSV parser object */
+	nmea.GsvParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var gsv;
+			var i;
+			var sat;
+			if(tokens.length < 4) {
+				nmea.error('GSV : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+
+			// trim whitespace
+			// some parsers may not want the tokens trimmed so the individual parser has to do it if applicable
+			for(i=0;i<tokens.length;++i) {
+				tokens[i] = tokens[i].trim();
+			}
+
+			gsv = {
+				id : tokens[0].substr(1),
+				msgs: nmea.parseIntX(tokens[1],10),
+				mnum: nmea.parseIntX(tokens[2],10),
+				count: nmea.parseIntX(tokens[3],10),
+				sat:[]
+				};
+
+			// NMEA 4.10 added a signal ID after the satellite data
+			if((tokens.length - 4) % 4 === 1) {
+				gsv.signalId = nmea.parseIntX(tokens[tokens.length - 1]);
+				gsv.version = '4.10';
+			} else {
+				gsv.signalId = null;
+				gsv.version = '2.1';
+			}
+
+			// extract up to 4 sets of sat data (the last message of a group may have fewer)
+			for(i=4;i+3<tokens.length;i+= 4) {
+				sat = {
+					prn: nmea.parseIntX(tokens[i+0],10),
+					el:nmea.parseIntX(tokens[i+1],10),
+					az:nmea.parseIntX(tokens[i+2],10),
+					ss:nmea.parseIntX(tokens[i+3],10)
+				};
+
+				gsv.sat.push(sat);
+			}
+			return gsv;
+		};
+	};
+
+	/** VTG parser object */
+	nmea.VtgParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var vtg;
+			if(tokens.length < 9) {
+				nmea.error('VTG : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			vtg = {
+				id : tokens[0].substr(1),
+				course : nmea.parseFloatX(tokens[1]),
+				courseMagnetic : nmea.parseFloatX(tokens[3]),
+				speed : nmea.parseFloatX(tokens[5]),
+				speedKph : nmea.parseFloatX(tokens[7]),
+				// the mode indicator was introduced in NMEA 2.3
+				mode : (tokens.length > 9) ? tokens[9] : '',
+				version : (tokens.length > 9) ? '2.3' : '2.1'
+			};
+			return vtg;
+		};
+	};
+
+	/** GLL parser object */
+	nmea.GllParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var gll;
+			if(tokens.length < 7) {
+				nmea.error('GLL : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			gll = {
+				id : tokens[0].substr(1),
+				latitude : nmea.parseLatitude(tokens[1], tokens[2]),
+				longitude : nmea.parseLongitude(tokens[3], tokens[4]),
+				time : tokens[5],
+				valid : tokens[6],
+				// the mode indicator was introduced in NMEA 2.3
+				mode : (tokens.length > 7) ? tokens[7] : '',
+				version : (tokens.length > 7) ? '2.3' : '2.1'
+			};
+			return gll;
+		};
+	};
+
+	/** ZDA parser object */
+	nmea.ZdaParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var zda;
+			if(tokens.length < 7) {
+				nmea.error('ZDA : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			zda = {
+				id : tokens[0].substr(1),
+				time : tokens[1],
+				day : nmea.parseIntX(tokens[2]),
+				month : nmea.parseIntX(tokens[3]),
+				year : nmea.parseIntX(tokens[4]),
+				localZoneHours : nmea.parseIntX(tokens[5]),
+				localZoneMinutes : nmea.parseIntX(tokens[6])
+			};
+			return zda;
+		};
+	};
+
+	/** GSA parser object */
+	nmea.GsaParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var gsa;
+			var i;
+			if(tokens.length < 18) {
+				nmea.error('GSA : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			gsa = {
+				id : tokens[0].substr(1),
+				mode : tokens[1],
+				fix : nmea.parseIntX(tokens[2]),
+				prns : [],
+				pdop : nmea.parseFloatX(tokens[15]),
+				hdop : nmea.parseFloatX(tokens[16]),
+				vdop : nmea.parseFloatX(tokens[17]),
+				// the system ID was introduced in NMEA 4.10 (QZSS and NavIC system
+				// IDs in NMEA 4.11)
+				systemId : (tokens.length > 18) ? nmea.parseIntX(tokens[18]) : null,
+				version : '2.1'
+			};
+			if(gsa.systemId !== null) {
+				gsa.version = (gsa.systemId > 4) ? '4.11' : '4.10';
+			}
+
+			// 12 satellite tokens, unused ones are empty
+			for(i = 3; i < 15; ++i) {
+				if(tokens[i] !== '') {
+					gsa.prns.push(nmea.parseIntX(tokens[i]));
+				}
+			}
+			return gsa;
+		};
+	};
+
+	/** GST parser object */
+	nmea.GstParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var gst;
+			if(tokens.length < 9) {
+				nmea.error('GST : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			gst = {
+				id : tokens[0].substr(1),
+				time : tokens[1],
+				rms : nmea.parseFloatX(tokens[2]),
+				semiMajor : nmea.parseFloatX(tokens[3]),
+				semiMinor : nmea.parseFloatX(tokens[4]),
+				orientation : nmea.parseFloatX(tokens[5]),
+				latitudeError : nmea.parseFloatX(tokens[6]),
+				longitudeError : nmea.parseFloatX(tokens[7]),
+				altitudeError : nmea.parseFloatX(tokens[8])
+			};
+			return gst;
+		};
+	};
+
+	/** HDT parser object */
+	nmea.HdtParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var hdt;
+			if(tokens.length < 2) {
+				nmea.error('HDT : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			hdt = {
+				id : tokens[0].substr(1),
+				heading : nmea.parseFloatX(tokens[1])
+			};
+			return hdt;
+		};
+	};
+
+	/** HDG parser object */
+	nmea.HdgParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var hdg;
+			if(tokens.length < 6) {
+				nmea.error('HDG : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			hdg = {
+				id : tokens[0].substr(1),
+				heading : nmea.parseFloatX(tokens[1]),
+				// deviation and variation are optional (E is -)
+				deviation : (tokens[2] !== '') ? nmea.parseDegrees(tokens[2], tokens[3]) : null,
+				variation : (tokens[4] !== '') ? nmea.parseDegrees(tokens[4], tokens[5]) : null
+			};
+			return hdg;
+		};
+	};
+
+	/** THS parser object */
+	nmea.ThsParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var ths;
+			if(tokens.length < 3) {
+				nmea.error('THS : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			ths = {
+				id : tokens[0].substr(1),
+				heading : nmea.parseFloatX(tokens[1]),
+				mode : tokens[2]
+			};
+			return ths;
+		};
+	};
+
+	/** PUBX parser object (u-blox proprietary sentences)
+	 * the message id (second field) selects the layout:
+	 * 00 = lat/long position data, 04 = time of day and clock information
+	 */
+	nmea.PubxParser = function(manufacturer) {
+		this.manufacturer = manufacturer;
+		this.parse = function(tokens) {
+			var pubx = null;
+			if(tokens.length < 2) {
+				nmea.error('PUBX : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			if(tokens[1] === '00') {
+				if(tokens.length < 21) {
+					nmea.error('PUBX,00 : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+					return null;
+				}
+				pubx = {
+					id : tokens[0].substr(1),
+					message : tokens[1],
+					time : tokens[2],
+					latitude : nmea.parseLatitude(tokens[3], tokens[4]),
+					longitude : nmea.parseLongitude(tokens[5], tokens[6]),
+					altitude : nmea.parseFloatX(tokens[7]),
+					navStatus : tokens[8],
+					horizontalAccuracy : nmea.parseFloatX(tokens[9]),
+					verticalAccuracy : nmea.parseFloatX(tokens[10]),
+					speed : nmea.parseFloatX(tokens[11]),
+					course : nmea.parseFloatX(tokens[12]),
+					verticalVelocity : nmea.parseFloatX(tokens[13]),
+					diffAge : (tokens[14] === '') ? null : nmea.parseFloatX(tokens[14]),
+					hdop : nmea.parseFloatX(tokens[15]),
+					vdop : nmea.parseFloatX(tokens[16]),
+					tdop : (tokens[17] === '') ? null : nmea.parseFloatX(tokens[17]),
+					satellites : nmea.parseIntX(tokens[18]),
+					deadReckoning : nmea.parseIntX(tokens[20]) !== 0
+				};
+			} else if(tokens[1] === '04') {
+				if(tokens.length < 10) {
+					nmea.error('PUBX,04 : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+					return null;
+				}
+				pubx = {
+					id : tokens[0].substr(1),
+					message : tokens[1],
+					time : tokens[2],
+					date : tokens[3],
+					utcTimeOfWeek : nmea.parseFloatX(tokens[4]),
+					utcWeek : nmea.parseIntX(tokens[5]),
+					// a trailing 'D' means the receiver uses its default value
+					leapSeconds : nmea.parseIntX(tokens[6]),
+					leapSecondsDefault : tokens[6].charAt(tokens[6].length - 1) === 'D',
+					clockBias : nmea.parseFloatX(tokens[7]),
+					clockDrift : nmea.parseFloatX(tokens[8]),
+					timepulseGranularity : nmea.parseIntX(tokens[9])
+				};
+			} else {
+				nmea.error('PUBX : message id not supported : ' + tokens[1], nmea.ErrorCodes.UNSUPPORTED_MESSAGE);
+			}
+			return pubx;
+		};
+	};
+
+	/** PMTK parser object (MediaTek proprietary sentences)
+	 * the command number follows the manufacturer code, e.g. $PMTK220,1000 sets
+	 * the position fix interval to 1000 ms; the fields are returned unparsed
+	 */
+	nmea.PmtkParser = function(manufacturer) {
+		this.manufacturer = manufacturer;
+		this.parse = function(tokens) {
+			var pmtk;
+			if(tokens[0].length < 6) {
+				nmea.error('PMTK : missing command number', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			pmtk = {
+				id : tokens[0].substr(1),
+				command : tokens[0].substring(5),
+				fields : tokens.slice(1)
+			};
+			return pmtk;
+		};
+	};
+
+	/** PGRM parser object (Garmin proprietary sentences)
+	 * the sentence type follows the manufacturer code, only PGRME (estimated
+	 * position errors) is supported
+	 */
+	nmea.PgrmParser = function(manufacturer) {
+		this.manufacturer = manufacturer;
+		this.parse = function(tokens) {
+			if(tokens[0] !== '$PGRME') {
+				nmea.error('PGRM : sentence type not supported : ' + tokens[0].substring(5), nmea.ErrorCodes.UNSUPPORTED_MESSAGE);
+				return null;
+			}
+			if(tokens.length < 7) {
+				nmea.error('PGRME : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			return {
+				id : tokens[0].substr(1),
+				horizontalError : nmea.parseFloatX(tokens[1]),
+				verticalError : nmea.parseFloatX(tokens[3]),
+				sphericalError : nmea.parseFloatX(tokens[5])
+			};
+		};
+	};
+
+	/** VDM/VDO parser object
+	 * only the sentence fields are parsed here: the payload of multi fragment
+	 * messages has to be reassembled (see AisFragmentAssembler) before it is
+	 * decoded with nmea.decodeAisMessage
+	 */
+	nmea.VdmParser = function(type) {
+		this.type = type;
+		this.parse = function(tokens) {
+			var vdm;
+			if(tokens.length < 7) {
+				nmea.error('VDM : not enough tokens', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			vdm = {
+				id : tokens[0].substr(1),
+				fragmentCount : nmea.parseIntX(tokens[1]),
+				fragmentNumber : nmea.parseIntX(tokens[2]),
+				// the sequential message id is empty for single fragment messages
+				sequenceId : (tokens[3] === '') ? null : nmea.parseIntX(tokens[3]),
+				channel : tokens[4],
+				payload : tokens[5],
+				fillBits : nmea.parseIntX(tokens[6])
+			};
+			return vdm;
+		};
+	};
+
+	// =====================================
+	// sentence encoders
+	// =====================================
+	/**
+	 GGA encoder object
+
+	 $GPGGA,hhmmss,llll.ll,a,yyyyy.yy,a,x,xx,x.x,x.x,M,x.x,M,x.x,xxxx*hh
+
+	 GGA = Global Positioning System Fix Data
+	 1   = UTC of Position
+	 2   = Latitude
+	 3   = N or S
+	 4   = Longitude
+	 5   = E or W
+	 6   = GPS quality indicator (0=invalid; 1=GPS fix; 2=Diff. GPS fix)
+	 7   = Number of satellites in use [not those in view]
+	 8   = Horizontal dilution of position
+	 9   = Antenna altitude above/below mean sea level (geoid)
+	 10  = Meters	(Antenna height unit)
+	 11  = Geoidal separation (Diff. between WGS-84 earth ellipsoid and mean sea
+	       level; geoid is below WGS-84 ellipsoid)
+	 12  = Meters	(Units of geoidal separation)
+	 13  = Age in seconds since last update from diff. reference station
+	 14  = Diff. reference station ID#
+	 15  = Checksum
+
+	 input data:
+	 {
+		 date          : DateTime object, UTC (year,month,day ignored)
+		 latitude      : decimal degrees (north is +)
+		 longitude     : decimal degreees (east is +)
+		 fix           : integer 0,1,2
+		 satellites    : integer 0..32
+		 hdop          : float
+		 altitude      : decimal altitude in meters
+		 aboveGeoid    : decimal altitude in meters
+		 dgpsUpdate    : time in seconds since last dgps update
+		 dgpsReference : differential reference station id
+	 }
+
+	 any undefined values will be left blank ',,' (which is allowed in the nmea
+	 specification)
+	 */
+	nmea.GgaEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var gga;
+
+			a.push('$' + id);
+			a.push(nmea.encodeTime(data.date));
+			a.push(nmea.encodeLatitude(data.lat));
+			a.push(nmea.encodeLongitude(data.lon));
+			a.push(nmea.encodeValue(data.fix));
+			a.push(nmea.encodeValue(nmea.padLeft(data.satellites.toString(), 2, '0')));
+			a.push(nmea.encodeFixed(data.hdop, 1));
+			a.push(nmea.encodeAltitude(data.altitude));
+			a.push(nmea.encodeAltitude(data.aboveGeoid));
+			a.push(nmea.encodeFixed(data.dgpsUpdate, 0));
+			a.push(nmea.encodeValue(data.dgpsReference));
+
+			gga = a.join();
+
+			return gga;
+		};
+	};
+
+	/**
+	 RMC encoder object
+
+	 $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,x.x,x.x,ddmmyy,x.x,a*hh
+
+	 RMC = Recommended Minimum Specific GPS/TRANSIT Data
+	 1   = UTC of position fix
+	 2   = Data status (V=navigation receiver warning)
+	 3   = Latitude of fix
+	 4   = N or S
+	 5   = Longitude of fix
+	 6   = E or W
+	 7   = Speed over ground in knots
+	 8   = Track made good in degrees True
+	 9   = UT date
+	 10  = Magnetic variation degrees (Easterly var. subtracts from true course)
+	 11  = E or W
+	 12  = Mode indicator (A = autonomous, D = differential, E = estimated,
+	       N = not valid, S = simulator), NMEA 2.3 and later
+	 13  = Navigational status (S = safe, C = caution, U = unsafe, V = not
+	       valid), NMEA 4.10 and later
+	 14  = Checksum
+
+	 input:
+	 {
+		date      : Date UTC
+		status    : String (single character)
+		latitude  : decimal degrees (N is +)
+		longitude : decimal degrees (E is +)
+		speed     : decimal knots
+		course    : decimal degrees
+		variation : decimal magnetic variation (E is -)
+		mode      : String (single character)
+		navStatus : String (single character)
+	 }
+	 */
+	nmea.RmcEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var rmc;
+			// $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,x.x,x.x,ddmmyy,x.x,a*hh
+
+			a.push('$' + id);
+			a.push(nmea.encodeTime(data.date));
+			a.push(nmea.encodeValue(data.status));
+			a.push(nmea.encodeLatitude(data.lat));
+			a.push(nmea.encodeLongitude(data.lon));
+			a.push(nmea.encodeKnots(data.speed));
+			a.push(nmea.encodeDegrees(data.course));
+			a.push(nmea.encodeDate(data.date));
+			a.push(nmea.encodeMagVar(data.variation));
+			if(nmea.compareVersions(m_version, '2.3') >= 0) {
+				a.push(nmea.encodeValue(data.mode));
+			}
+			if(nmea.compareVersions(m_version, '4.10') >= 0) {
+				a.push(nmea.encodeValue(data.navStatus));
+			}
+
+			rmc = a.join();
+
+			return rmc;
+		};
+	};
+
+	/**
+	 GSA encoder object
+
+	 $GPGSA,a,x,xx,xx,...,xx,x.x,x.x,x.x*hh
+
+	 GSA = Overall Satellite data (satellite status)
+	 1   = auto selection of 2D or 3D fix (A = automatic, M = manual)
+	 2   = 3D fix (1 = no fix, 2 = 2D fix, 3 = 3D fix)
+	 3.. = satellite numbers used for the fix (at most 12)
+	 ..n = PDOP (dilution of precision)
+	 n+1 = horizontal dilution of precision (HDOP)
+	 n+2 = vertical dilution of precision (VDOP)
+	 n+3 = GNSS system ID (1 = GPS, 2 = GLONASS, 3 = Galileo, 4 = BeiDou,
+	       5 = QZSS, 6 = NavIC), NMEA 4.10 and later (5 and 6 since NMEA 4.11)
+	 n+4 = checksum
+
+	 input data:
+	 {
+		status     : String (single character)
+		fix        : integer 0,1,2
+		satellites : integer 0-12 (PRNs 1..satellites are used if prns is omitted)
+		prns       : array of integers (at most 12 satellite PRNs)
+		pdop       : float
+		hdop       : float
+		vdop       : float
+		systemId   : integer 1..6
+	 }
+	 */
+	nmea.GsaEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var gsa;
+
+			a.push('$' + id);
+			a.push(nmea.encodeValue(data.status));
+			a.push(nmea.encodeValue(data.fix));
+
+			/* GSA requires 12 satellite tokens */
+			for (var i = 1; i <= 12; ++i)
+			{
+				if (data.prns != null && i <= data.prns.length)
+				{
+					a.push(nmea.padLeft(data.prns[i - 1].toString(), 2, '0'));
+				}
+				else if (data.prns == null && i <= parseInt(data.satellites))
+				{
+					a.push(nmea.padLeft(i.toString(), 2, '0'));
+				}
+				else
+				{
+					a.push('');
+				}
+			}
+
+			a.push(nmea.encodeFixed(data.pdop, 1));
+			a.push(nmea.encodeFixed(data.hdop, 1));
+			a.push(nmea.encodeFixed(data.vdop, 1));
+			if(nmea.compareVersions(m_version, '4.10') >= 0) {
+				a.push(nmea.encodeValue(data.systemId));
+			}
+
+			gsa = a.join();
+
+			return gsa;
+		};
+	};
+
+	/**
+	 VTG encoder object
+
+	 $GPVTG,x.x,T,x.x,M,x.x,N,x.x,K,a*hh
+
+	 VTG = Track made good and ground speed
+	 1   = Track made good (degrees true)
+	 2   = T (true)
+	 3   = Track made good (degrees magnetic)
+	 4   = M (magnetic)
+	 5   = Speed over ground in knots
+	 6   = N (knots)
+	 7   = Speed over ground in kilometers per hour
+	 8   = K (kilometers per hour)
+	 9   = Mode indicator (A = autonomous, D = differential, E = estimated,
+	       N = not valid, S = simulator), NMEA 2.3 and later
+	 10  = Checksum
+
+	 input data:
+	 {
+		course         : decimal degrees (true)
+		courseMagnetic : decimal degrees (magnetic)
+		speed          : decimal knots
+		mode           : String (single character)
+	 }
+	 */
+	nmea.VtgEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var vtg;
+			var speedKph = (data.speed == null) ? null : data.speed * 1.852;
+
+			a.push('$' + id);
+			a.push(nmea.encodeDegrees(data.course));
+			a.push('T');
+			a.push(nmea.encodeDegrees(data.courseMagnetic));
+			a.push('M');
+			a.push(nmea.encodeKnots(data.speed));
+			a.push('N');
+			a.push(nmea.encodeKnots(speedKph));
+			a.push('K');
+			if(nmea.compareVersions(m_version, '2.3') >= 0) {
+				a.push(nmea.encodeValue(data.mode));
+			}
+
+			vtg = a.join();
+
+			return vtg;
+		};
+	};
+
+	/**
+	 GLL encoder object
+
+	 $GPGLL,llll.ll,a,yyyyy.yy,a,hhmmss.ss,A,a*hh
+
+	 GLL = Geographic position, latitude and longitude
+	 1   = Latitude
+	 2   = N or S
+	 3   = Longitude
+	 4   = E or W
+	 5   = UTC of position
+	 6   = Data status (A = valid, V = invalid)
+	 7   = Mode indicator (A = autonomous, D = differential, E = estimated,
+	       N = not valid, S = simulator), NMEA 2.3 and later
+	 8   = Checksum
+
+	 input data:
+	 {
+		date      : DateTime object, UTC (year,month,day ignored)
+		latitude  : decimal degrees (north is +)
+		longitude : decimal degrees (east is +)
+		status    : String (single character)
+		mode      : String (single character)
+	 }
+	 */
+	nmea.GllEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var gll;
+
+			a.push('$' + id);
+			a.push(nmea.encodeLatitude(data.lat));
+			a.push(nmea.encodeLongitude(data.lon));
+			a.push(nmea.encodeTime(data.date));
+			a.push(nmea.encodeValue(data.status));
+			if(nmea.compareVersions(m_version, '2.3') >= 0) {
+				a.push(nmea.encodeValue(data.mode));
+			}
+
+			gll = a.join();
+
+			return gll;
+		};
+	};
+
+	/**
+	 ZDA encoder object
+
+	 $GPZDA,hhmmss.ss,xx,xx,xxxx,xx,xx*hh
+
+	 ZDA = Time and date
+	 1   = UTC time
+	 2   = Day (01 to 31)
+	 3   = Month (01 to 12)
+	 4   = Year (4 digits)
+	 5   = Local zone hours (-13 to 13)
+	 6   = Local zone minutes (00 to 59)
+	 7   = Checksum
+
+	 input data:
+	 {
+		date             : DateTime object, UTC
+		localZoneHours   : integer -13..13
+		localZoneMinutes : integer 0..59
+	 }
+	 */
+	nmea.ZdaEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var zda;
+
+			a.push('$' + id);
+			a.push(nmea.encodeTime(data.date));
+			a.push(nmea.padLeft(data.date.getUTCDate().toString(), 2, '0'));
+			a.push(nmea.padLeft((data.date.getUTCMonth() + 1).toString(), 2, '0'));
+			a.push(data.date.getUTCFullYear().toString());
+			a.push(nmea.encodeZone(data.localZoneHours));
+			a.push(nmea.encodeZone(data.localZoneMinutes));
+
+			zda = a.join();
+
+			return zda;
+		};
+	};
+
+	/**
+	 GST encoder object
+
+	 $GPGST,hhmmss.ss,x.x,x.x,x.x,x.x,x.x,x.x,x.x*hh
+
+	 GST = GNSS pseudorange error statistics
+	 1   = UTC time of the associated position fix
+	 2   = RMS value of the standard deviation of the range inputs
+	 3   = Standard deviation of semi-major axis of error ellipse (meters)
+	 4   = Standard deviation of semi-minor axis of error ellipse (meters)
+	 5   = Orientation of semi-major axis of error ellipse (degrees from true north)
+	 6   = Standard deviation of latitude error (meters)
+	 7   = Standard deviation of longitude error (meters)
+	 8   = Standard deviation of altitude error (meters)
+	 9   = Checksum
+
+	 input data:
+	 {
+		date           : DateTime object, UTC (year,month,day ignored)
+		rms            : decimal
+		semiMajor      : decimal meters
+		semiMinor      : decimal meters
+		orientation    : decimal degrees
+		latitudeError  : decimal meters
+		longitudeError : decimal meters
+		altitudeError  : decimal meters
+	 }
+	 */
+	nmea.GstEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var gst;
+
+			a.push('$' + id);
+			a.push(nmea.encodeTime(data.date));
+			a.push(nmea.encodeFixed(data.rms, 3));
+			a.push(nmea.encodeFixed(data.semiMajor, 3));
+			a.push(nmea.encodeFixed(data.semiMinor, 3));
+			a.push(nmea.encodeFixed(data.orientation, 1));
+			a.push(nmea.encodeFixed(data.latitudeError, 3));
+			a.push(nmea.encodeFixed(data.longitudeError, 3));
+			a.push(nmea.encodeFixed(data.altitudeError, 3));
+
+			gst = a.join();
+
+			return gst;
+		};
+	};
+
+	/**
+	 HDT encoder object
+
+	 $GPHDT,x.x,T*hh
+
+	 HDT = Heading, true
+	 1   = Heading in degrees
+	 2   = T (true)
+	 3   = Checksum
+
+	 input data:
+	 {
+		heading : decimal degrees
+	 }
+	 */
+	nmea.HdtEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var hdt;
+
+			a.push('$' + id);
+			a.push(nmea.encodeDegrees(data.heading));
+			a.push('T');
+
+			hdt = a.join();
+
+			return hdt;
+		};
+	};
+
+	/**
+	 HDG encoder object
+
+	 $GPHDG,x.x,x.x,a,x.x,a*hh
+
+	 HDG = Heading, deviation and variation
+	 1   = Magnetic sensor heading in degrees
+	 2   = Magnetic deviation in degrees
+	 3   = E or W (deviation direction)
+	 4   = Magnetic variation in degrees
+	 5   = E or W (variation direction)
+	 6   = Checksum
+
+	 input data:
+	 {
+		heading   : decimal degrees
+		deviation : decimal magnetic deviation (E is -), optional
+		variation : decimal magnetic variation (E is -), optional
+	 }
+	 */
+	nmea.HdgEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var hdg;
+
+			a.push('$' + id);
+			a.push(nmea.encodeDegrees(data.heading));
+			a.push(nmea.encodeMagVar(data.deviation));
+			a.push(nmea.encodeMagVar(data.variation));
+
+			hdg = a.join();
+
+			return hdg;
+		};
+	};
+
+	/**
+	 THS encoder object
+
+	 $GPTHS,x.x,a*hh
+
+	 THS = True heading and status
+	 1   = Heading in degrees
+	 2   = Mode indicator (A = autonomous, E = estimated, M = manual input,
+	       S = simulator, V = not valid)
+	 3   = Checksum
+
+	 input data:
+	 {
+		heading : decimal degrees
+		mode    : String (single character)
+	 }
+	 */
+	nmea.ThsEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a = [];
+			var ths;
+
+			a.push('$' + id);
+			a.push(nmea.encodeDegrees(data.heading));
+			a.push(nmea.encodeValue(data.mode));
+
+			ths = a.join();
+
+			return ths;
+		};
+	};
+
+	/**
+	 GSV encoder object
+
+	 $GPGSV,x,x,xx,xx,xx,xxx,xx,...*hh
+
+	 GSV = Satellites in view
+	 1   = Total number of messages in this group (1-9)
+	 2   = Message number (1-9)
+	 3   = Total number of satellites in view
+	 4   = Satellite PRN number
+	 5   = Elevation in degrees (00-90)
+	 6   = Azimuth in degrees true (000-359)
+	 7   = SNR in dB (00-99, empty when not tracking)
+	 8.. = fields 4-7 repeated for up to 4 satellites per message
+	 n   = Signal ID (e.g. 1 = GPS L1 C/A, 7 = Galileo E1), NMEA 4.10 and later
+	 n+1 = Checksum
+
+	 input data:
+	 {
+		satellites : array of {
+			prn       : integer
+			elevation : integer degrees
+			azimuth   : integer degrees
+			snr       : integer dB (optional)
+		}
+		signalId   : integer
+	 }
+
+	 the satellites are split into as many messages as needed (4 per message), so
+	 the encoder returns an array of sentences
+	 */
+	nmea.GsvEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a;
+			var i;
+			var j;
+			var sat;
+			var gsv = [];
+			var count = data.satellites.length;
+			var msgs = Math.max(1, Math.ceil(count / 4));
+
+			for(i = 0; i < msgs; ++i) {
+				a = [];
+				a.push('$' + id);
+				a.push(msgs.toString());
+				a.push((i + 1).toString());
+				a.push(nmea.padLeft(count.toString(), 2, '0'));
+				for(j = 4 * i; j < Math.min(4 * i + 4, count); ++j) {
+					sat = data.satellites[j];
+					a.push(nmea.padLeft(sat.prn.toString(), 2, '0'));
+					a.push(nmea.padLeft(Math.round(sat.elevation).toString(), 2, '0'));
+					a.push(nmea.padLeft(Math.round(sat.azimuth).toString(), 3, '0'));
+					a.push((sat.snr == null) ? '' : nmea.padLeft(Math.round(sat.snr).toString(), 2, '0'));
+				}
+				if(nmea.compareVersions(m_version, '4.10') >= 0) {
+					a.push(nmea.encodeValue(data.signalId));
+				}
+				gsv.push(a.join());
+			}
+
+			return gsv;
+		};
+	};
+
+	// =====================================
+	// AIS message encoders
+	// =====================================
+
+	// AIS messages are bit fields packed into a payload of 6-bit characters, so
+	// the field encoders below return strings of '0' and '1' characters
+
+	// unsigned integer field
+	// a null value is replaced by the 'not available' value of the field
+	nmea.encodeAisUnsigned = function(v, bits, notAvailable = 0) {
+		if(v == null) {
+			v = notAvailable;
+		}
+		v = Math.max(0, Math.min(Math.pow(2, bits) - 1, Math.round(v)));
+		return nmea.padLeft(v.toString(2), bits, '0');
+	};
+
+	// signed integer field (two's complement)
+	nmea.encodeAisSigned = function(v, bits, notAvailable = 0) {
+		var limit = Math.pow(2, bits - 1);
+		if(v == null) {
+			v = notAvailable;
+		}
+		v = Math.max(-limit, Math.min(limit - 1, Math.round(v)));
+		if(v < 0) {
+			v = v + 2 * limit;
+		}
+		return nmea.padLeft(v.toString(2), bits, '0');
+	};
+
+	// boolean field
+	nmea.encodeAisFlag = function(f = false) {
+		return f ? '1' : '0';
+	};
+
+	// text field in 6-bit ASCII ('@' to '_' = 0-31, ' ' to '?' = 32-63),
+	// padded with '@' up to the given number of characters
+	// characters without a 6-bit representation are replaced by '?'
+	nmea.encodeAisText = function(text = null, chars) {
+		var i;
+		var c;
+		var s = '';
+		text = (text == null) ? '' : text.toUpperCase();
+		for(i = 0; i < chars; ++i) {
+			c = (i < text.length) ? text.charCodeAt(i) : 64;
+			if(c >= 64 && c < 96) {
+				c = c - 64;
+			} else if(c < 32 || c >= 64) {
+				c = 63;
+			}
+			s = s + nmea.padLeft(c.toString(2), 6, '0');
+		}
+		return s;
+	};
+
+	// latitude/longitude in 1/10000 minutes, 91/181 degrees when not available
+	nmea.encodeAisCoordinate = function(d = null, bits, notAvailable) {
+		return nmea.encodeAisSigned((d == null) ? notAvailable * 600000 : d * 600000, bits);
+	};
+
+	// speed over ground in 0.1 knots, 1023 when not available
+	nmea.encodeAisSpeed = function(k = null) {
+		return nmea.encodeAisUnsigned((k == null) ? null : Math.min(102.2, k) * 10, 10, 1023);
+	};
+
+	// course over ground in 0.1 degrees, 3600 when not available
+	nmea.encodeAisCourse = function(d = null) {
+		return nmea.encodeAisUnsigned((d == null) ? null : Math.round(d * 10) % 3600, 12, 3600);
+	};
+
+	// true heading in integer degrees, 511 when not available
+	nmea.encodeAisHeading = function(d = null) {
+		return nmea.encodeAisUnsigned((d == null) ? null : Math.round(d) % 360, 9, 511);
+	};
+
+	// UTC second of the report, 60 when not available
+	nmea.encodeAisSecond = function(date = null) {
+		return nmea.encodeAisUnsigned((date == null) ? null : date.getUTCSeconds(), 6, 60);
+	};
+
+	// rate of turn indicator (4.733 * sqrt(degrees per minute)),
+	// -128 when not available
+	nmea.encodeAisRateOfTurn = function(r = null) {
+		var rot;
+		if(r == null) {
+			return nmea.encodeAisSigned(-128, 8);
+		}
+		rot = Math.min(126, Math.round(4.733 * Math.sqrt(Math.abs(r))));
+		return nmea.encodeAisSigned((r < 0) ? -rot : rot, 8);
+	};
+
+	// dimensions of the vessel (meters from the position reference point)
+	nmea.encodeAisDimensions = function(d = null) {
+		if(d == null) {
+			d = {};
+		}
+		return nmea.encodeAisUnsigned(d.bow, 9) +
+			nmea.encodeAisUnsigned(d.stern, 9) +
+			nmea.encodeAisUnsigned(d.port, 6) +
+			nmea.encodeAisUnsigned(d.starboard, 6);
+	};
+
+	// convert a bit string to the 6-bit ASCII armored payload of a VDM/VDO
+	// sentence, padding the last character with fill bits
+	nmea.armorAisPayload = function(bits) {
+		var i;
+		var v;
+		var payload = '';
+		var fillBits = (6 - bits.length % 6) % 6;
+
+		bits = bits + '000000'.substring(0, fillBits);
+		for(i = 0; i < bits.length; i += 6) {
+			v = parseInt(bits.substring(i, i + 6), 2);
+			payload = payload + String.fromCharCode((v < 40) ? v + 48 : v + 56);
+		}
+		return {
+			payload : payload,
+			fillBits : fillBits
+		};
+	};
+
+	/**
+	 AIS position report encoder object (class A)
+
+	 message types 1, 2 and 3 (168 bits)
+
+	 type       : 6 bits  (1 = scheduled, 2 = assigned, 3 = response to interrogation)
+	 repeat     : 2 bits
+	 mmsi       : 30 bits
+	 status     : 4 bits  (0 = under way using engine, ..., 15 = not defined)
+	 rateOfTurn : 8 bits
+	 speed      : 10 bits
+	 accuracy   : 1 bit
+	 longitude  : 28 bits
+	 latitude   : 27 bits
+	 course     : 12 bits
+	 heading    : 9 bits
+	 second     : 6 bits
+	 maneuver   : 2 bits
+	 spare      : 3 bits
+	 raim       : 1 bit
+	 radio      : 19 bits
+
+	 input data:
+	 {
+		repeat     : integer 0..3
+		mmsi       : integer (9 digits)
+		status     : integer 0..15
+		rateOfTurn : decimal degrees per minute (right is +), null if not available
+		speed      : decimal knots
+		accuracy   : boolean (true = better than 10 m)
+		lat        : decimal degrees (north is +)
+		lon        : decimal degrees (east is +)
+		course     : decimal degrees
+		heading    : decimal degrees, null if not available
+		date       : DateTime object, UTC (only the seconds are encoded)
+		maneuver   : integer 0..2
+		raim       : boolean
+		radio      : integer (communication state)
+	 }
+	 */
+	nmea.AisPositionReportEncoder = function(type) {
+		this.type = type;
+		this.encode = function(data) {
+			var bits = '';
+
+			bits += nmea.encodeAisUnsigned(this.type, 6);
+			bits += nmea.encodeAisUnsigned(data.repeat, 2);
+			bits += nmea.encodeAisUnsigned(data.mmsi, 30);
+			bits += nmea.encodeAisUnsigned(data.status, 4, 15);
+			bits += nmea.encodeAisRateOfTurn(data.rateOfTurn);
+			bits += nmea.encodeAisSpeed(data.speed);
+			bits += nmea.encodeAisFlag(data.accuracy);
+			bits += nmea.encodeAisCoordinate(data.lon, 28, 181);
+			bits += nmea.encodeAisCoordinate(data.lat, 27, 91);
+			bits += nmea.encodeAisCourse(data.course);
+			bits += nmea.encodeAisHeading(data.heading);
+			bits += nmea.encodeAisSecond(data.date);
+			bits += nmea.encodeAisUnsigned(data.maneuver, 2);
+			bits += nmea.encodeAisUnsigned(0, 3);
+			bits += nmea.encodeAisFlag(data.raim);
+			bits += nmea.encodeAisUnsigned(data.radio, 19);
+
+			return bits;
+		};
+	};
+
+	/**
+	 AIS standard class B position report encoder object
+
+	 message type 18 (168 bits)
+
+	 type      : 6 bits
+	 repeat    : 2 bits
+	 mmsi      : 30 bits
+	 reserved  : 8 bits
+	 speed     : 10 bits
+	 accuracy  : 1 bit
+	 longitude : 28 bits
+	 latitude  : 27 bits
+	 course    : 12 bits
+	 heading   : 9 bits
+	 second    : 6 bits
+	 reserved  : 2 bits
+	 cs        : 1 bit   (1 = carrier sense unit)
+	 display   : 1 bit
+	 dsc       : 1 bit
+	 band      : 1 bit
+	 msg22     : 1 bit
+	 assigned  : 1 bit
+	 raim      : 1 bit
+	 radio     : 20 bits
+
+	 input data:
+	 {
+		repeat   : integer 0..3
+		mmsi     : integer (9 digits)
+		speed    : decimal knots
+		accuracy : boolean (true = better than 10 m)
+		lat      : decimal degrees (north is +)
+		lon      : decimal degrees (east is +)
+		course   : decimal degrees
+		heading  : decimal degrees, null if not available
+		date     : DateTime object, UTC (only the seconds are encoded)
+		raim     : boolean
+		radio    : integer (communication state)
+	 }
+
+	 the unit is always reported as a carrier sense unit without display, DSC or
+	 message 22 support
+	 */
+	nmea.AisClassBPositionReportEncoder = function(type) {
+		this.type = type;
+		this.encode = function(data) {
+			var bits = '';
+
+			bits += nmea.encodeAisUnsigned(this.type, 6);
+			bits += nmea.encodeAisUnsigned(data.repeat, 2);
+			bits += nmea.encodeAisUnsigned(data.mmsi, 30);
+			bits += nmea.encodeAisUnsigned(0, 8);
+			bits += nmea.encodeAisSpeed(data.speed);
+			bits += nmea.encodeAisFlag(data.accuracy);
+			bits += nmea.encodeAisCoordinate(data.lon, 28, 181);
+			bits += nmea.encodeAisCoordinate(data.lat, 27, 91);
+			bits += nmea.encodeAisCourse(data.course);
+			bits += nmea.encodeAisHeading(data.heading);
+			bits += nmea.encodeAisSecond(data.date);
+			bits += nmea.encodeAisUnsigned(0, 2);
+			bits += '100000';
+			bits += nmea.encodeAisFlag(data.raim);
+			bits += nmea.encodeAisUnsigned(data.radio, 20);
+
+			return bits;
+		};
+	};
+
+	/**
+	 AIS static and voyage related data encoder object (class A)
+
+	 message type 5 (424 bits)
+
+	 type        : 6 bits
+	 repeat      : 2 bits
+	 mmsi        : 30 bits
+	 aisVersion  : 2 bits
+	 imo         : 30 bits
+	 callSign    : 42 bits (7 characters)
+	 shipName    : 120 bits (20 characters)
+	 shipType    : 8 bits
+	 dimensions  : 30 bits (bow 9, stern 9, port 6, starboard 6)
+	 epfd        : 4 bits (1 = GPS)
+	 eta         : 20 bits (month 4, day 5, hour 5, minute 6)
+	 draught     : 8 bits
+	 destination : 120 bits (20 characters)
+	 dte         : 1 bit
+	 spare       : 1 bit
+
+	 input data:
+	 {
+		repeat      : integer 0..3
+		mmsi        : integer (9 digits)
+		aisVersion  : integer 0..3
+		imo         : integer
+		callSign    : String
+		shipName    : String
+		shipType    : integer 0..99
+		dimensions  : { bow, stern, port, starboard } integer meters
+		epfd        : integer 0..15
+		eta         : DateTime object, UTC (year ignored), null if not available
+		draught     : decimal meters
+		destination : String
+	 }
+	 */
+	nmea.AisStaticVoyageEncoder = function(type) {
+		this.type = type;
+		this.encode = function(data) {
+			var bits = '';
+			var eta = data.eta;
+
+			bits += nmea.encodeAisUnsigned(this.type, 6);
+			bits += nmea.encodeAisUnsigned(data.repeat, 2);
+			bits += nmea.encodeAisUnsigned(data.mmsi, 30);
+			bits += nmea.encodeAisUnsigned(data.aisVersion, 2);
+			bits += nmea.encodeAisUnsigned(data.imo, 30);
+			bits += nmea.encodeAisText(data.callSign, 7);
+			bits += nmea.encodeAisText(data.shipName, 20);
+			bits += nmea.encodeAisUnsigned(data.shipType, 8);
+			bits += nmea.encodeAisDimensions(data.dimensions);
+			bits += nmea.encodeAisUnsigned(data.epfd, 4);
+			bits += nmea.encodeAisUnsigned((eta == null) ? 0 : eta.getUTCMonth() + 1, 4);
+			bits += nmea.encodeAisUnsigned((eta == null) ? 0 : eta.getUTCDate(), 5);
+			bits += nmea.encodeAisUnsigned((eta == null) ? 24 : eta.getUTCHours(), 5);
+			bits += nmea.encodeAisUnsigned((eta == null) ? 60 : eta.getUTCMinutes(), 6);
+			bits += nmea.encodeAisUnsigned((data.draught == null) ? 0 : data.draught * 10, 8);
+			bits += nmea.encodeAisText(data.destination, 20);
+			// the DTE flag is 0 when a data terminal is available
+			bits += '00';
+
+			return bits;
+		};
+	};
+
+	/**
+	 AIS static data report encoder object (class B)
+
+	 message type 24, sent as two messages (part A and part B)
+
+	 part A (160 bits)
+	 type       : 6 bits
+	 repeat     : 2 bits
+	 mmsi       : 30 bits
+	 partNumber : 2 bits (0)
+	 shipName   : 120 bits (20 characters)
+
+	 part B (168 bits)
+	 type       : 6 bits
+	 repeat     : 2 bits
+	 mmsi       : 30 bits
+	 partNumber : 2 bits (1)
+	 shipType   : 8 bits
+	 vendorId   : 42 bits (7 characters)
+	 callSign   : 42 bits (7 characters)
+	 dimensions : 30 bits (bow 9, stern 9, port 6, starboard 6)
+	 epfd       : 4 bits
+	 spare      : 2 bits
+
+	 input data:
+	 {
+		repeat     : integer 0..3
+		mmsi       : integer (9 digits)
+		partNumber : integer 0 (part A) or 1 (part B)
+		shipName   : String (part A)
+		shipType   : integer 0..99 (part B)
+		vendorId   : String (part B)
+		callSign   : String (part B)
+		dimensions : { bow, stern, port, starboard } integer meters (part B)
+		epfd       : integer 0..15 (part B)
+	 }
+	 */
+	nmea.AisStaticDataReportEncoder = function(type) {
+		this.type = type;
+		this.encode = function(data) {
+			var bits = '';
+
+			bits += nmea.encodeAisUnsigned(this.type, 6);
+			bits += nmea.encodeAisUnsigned(data.repeat, 2);
+			bits += nmea.encodeAisUnsigned(data.mmsi, 30);
+			bits += nmea.encodeAisUnsigned(data.partNumber, 2);
+			if(data.partNumber === 0) {
+				bits += nmea.encodeAisText(data.shipName, 20);
+			} else {
+				bits += nmea.encodeAisUnsigned(data.shipType, 8);
+				bits += nmea.encodeAisText(data.vendorId, 7);
+				bits += nmea.encodeAisText(data.callSign, 7);
+				bits += nmea.encodeAisDimensions(data.dimensions);
+				bits += nmea.encodeAisUnsigned(data.epfd, 4);
+				bits += nmea.encodeAisUnsigned(0, 2);
+			}
+
+			return bits;
+		};
+	};
+
+	/**
+	 PUBX encoder object (u-blox proprietary sentences)
+
+	 $PUBX,00,hhmmss.ss,ddmm.mmmmm,a,dddmm.mmmmm,a,x.x,cc,x.x,x.x,x.x,x.x,x.x,x.x,x.x,x.x,x.x,x,0,x*hh
+
+	 PUBX,00 = Lat/long position data
+	 1   = Message ID (00)
+	 2   = UTC time
+	 3   = Latitude (5 decimal places)
+	 4   = N or S
+	 5   = Longitude (5 decimal places)
+	 6   = E or W
+	 7   = Altitude above user datum ellipsoid (meters)
+	 8   = Navigation status (NF = no fix, DR = dead reckoning, G2 = 2D fix,
+	       G3 = 3D fix, D2/D3 = differential 2D/3D fix)
+	 9   = Horizontal accuracy estimate (meters)
+	 10  = Vertical accuracy estimate (meters)
+	 11  = Speed over ground (km/h)
+	 12  = Course over ground (degrees)
+	 13  = Vertical velocity (m/s, positive downwards)
+	 14  = Age of differential corrections (seconds, empty if none)
+	 15  = HDOP
+	 16  = VDOP
+	 17  = TDOP
+	 18  = Number of satellites used
+	 19  = Reserved (0)
+	 20  = Dead reckoning used (0 or 1)
+	 21  = Checksum
+
+	 $PUBX,04,hhmmss.ss,ddmmyy,x.xx,xxxx,xx,x,x.xxx,x,*hh
+
+	 PUBX,04 = Time of day and clock information
+	 1   = Message ID (04)
+	 2   = UTC time
+	 3   = UTC date (ddmmyy)
+	 4   = UTC time of week (seconds)
+	 5   = UTC week number
+	 6   = Leap seconds (followed by D if the default value is used)
+	 7   = Receiver clock bias (ns)
+	 8   = Receiver clock drift (ns/s)
+	 9   = Time pulse granularity (ns)
+	 10  = Empty
+	 11  = Checksum
+
+	 input data:
+	 {
+		message              : String ('00' or '04')
+		date                 : DateTime object, UTC
+		lat                  : decimal degrees (north is +), 00 only
+		lon                  : decimal degrees (east is +), 00 only
+		altitude             : decimal meters, 00 only
+		navStatus            : String, 00 only
+		horizontalAccuracy   : decimal meters, 00 only
+		verticalAccuracy     : decimal meters, 00 only
+		speed                : decimal km/h, 00 only
+		course               : decimal degrees, 00 only
+		verticalVelocity     : decimal m/s, 00 only
+		diffAge              : decimal seconds, 00 only
+		hdop                 : decimal, 00 only
+		vdop                 : decimal, 00 only
+		tdop                 : decimal, 00 only
+		satellites           : integer, 00 only
+		utcTimeOfWeek        : decimal seconds, 04 only
+		utcWeek              : integer, 04 only
+		leapSeconds          : integer, 04 only
+		leapSecondsDefault   : boolean, 04 only
+		clockBias            : integer ns, 04 only
+		clockDrift           : decimal ns/s, 04 only
+		timepulseGranularity : integer ns, 04 only
+	 }
+	 */
+	nmea.PubxEncoder = function(manufacturer) {
+		this.manufacturer = manufacturer;
+		this.encode = function(id, data) {
+			var a = [];
+			var pubx;
+
+			a.push('$' + id);
+			a.push(data.message);
+			a.push(nmea.encodeTime(data.date));
+			if(data.message === '00') {
+				a.push(nmea.encodeLatitude(data.lat, 5));
+				a.push(nmea.encodeLongitude(data.lon, 5));
+				a.push(nmea.encodeFixed(data.altitude, 3));
+				a.push(nmea.encodeValue(data.navStatus));
+				a.push(nmea.encodeFixed(data.horizontalAccuracy, 1));
+				a.push(nmea.encodeFixed(data.verticalAccuracy, 1));
+				a.push(nmea.encodeFixed(data.speed, 3));
+				a.push(nmea.encodeFixed(data.course, 2));
+				a.push(nmea.encodeFixed(data.verticalVelocity, 3));
+				a.push(nmea.encodeFixed(data.diffAge, 0));
+				a.push(nmea.encodeFixed(data.hdop, 2));
+				a.push(nmea.encodeFixed(data.vdop, 2));
+				a.push(nmea.encodeFixed(data.tdop, 2));
+				a.push(nmea.encodeValue(data.satellites));
+				a.push('0');
+				a.push('0');
+			} else if(data.message === '04') {
+				a.push(nmea.encodeDate(data.date));
+				a.push(nmea.encodeFixed(data.utcTimeOfWeek, 2));
+				a.push(nmea.encodeValue(data.utcWeek));
+				a.push(nmea.encodeValue(data.leapSeconds) + (data.leapSecondsDefault ? 'D' : ''));
+				a.push(nmea.encodeValue(data.clockBias));
+				a.push(nmea.encodeFixed(data.clockDrift, 3));
+				a.push(nmea.encodeValue(data.timepulseGranularity));
+				// the receivers end the sentence with an empty field
+				a.push('');
+			} else {
+				nmea.error('PUBX : message id not supported : ' + data.message, nmea.ErrorCodes.UNSUPPORTED_MESSAGE);
+				return null;
+			}
+
+			pubx = a.join();
+
+			return pubx;
+		};
+	};
 
-// verify the checksum
-nmea.verifyChecksum = function(sentence, checksum) {
-	var q;
-	var c1;
-	var c2;
-	var i;
+	/**
+	 PMTK encoder object (MediaTek proprietary sentences)
 
-	// skip the $
-	i = 1;
+	 $PMTKxxx,c--c*hh
 
-	// init to first character
-	c1 = sentence.charCodeAt(i);
+	 xxx = Command number (e.g. 220 = set position fix interval)
+	 c-c = Command fields
 
-	// process rest of characters, zero delimited
-	for( i = 2; i < sentence.length; ++i) {
-		c1 = c1 ^ sentence.charCodeAt(i);
-	}
+	 input data:
+	 {
+		command : String (3 digits), defaults to the command number of the id
+		          (e.g. 'PMTK220')
+		fields  : array of values
+	 }
+	 */
+	nmea.PmtkEncoder = function(manufacturer) {
+		this.manufacturer = manufacturer;
+		this.encode = function(id, data) {
+			var a = [];
+			var pmtk;
+			// the id may already include the command number
+			var command = (data.command == null) ? id.substr(4) : data.command;
 
-	// checksum is a 2 digit hex value
-	c2 = parseInt(checksum, 16);
+			a.push('$P' + this.manufacturer + command);
+			a.push.apply(a, data.fields.map(nmea.encodeValue));
 
-	// should be equal
-	return ((c1 & 0xff) === c2);
-};
+			pmtk = a.join();
 
-// generate a checksum for	a sentence (no trailing *xx)
-nmea.computeChecksum = function(sentence) {
-	var c1;
-	var i;
+			return pmtk;
+		};
+	};
 
-	// skip the $
-	i = 1;
+	/**
+	 PGRME encoder object (Garmin estimated position errors)
 
-	// init to first character var count;
+	 $PGRME,x.x,M,x.x,M,x.x,M*hh
 
-	c1 = sentence.charCodeAt(i);
+	 1 = Estimated horizontal position error
+	 2 = Units (meters)
+	 3 = Estimated vertical position error
+	 4 = Units (meters)
+	 5 = Estimated spherical position error
+	 6 = Units (meters)
 
-	// process rest of characters, zero delimited
-	for( i = 2; i < sentence.length; ++i) {
-		c1 = c1 ^ sentence.charCodeAt(i);
-	}
+	 input data:
+	 {
+		horizontalError : decimal meters
+		verticalError   : decimal meters
+		sphericalError  : decimal meters
+	 }
+	 */
+	nmea.PgrmEncoder = function(manufacturer) {
+		this.manufacturer = manufacturer;
+		this.encode = function(id, data) {
+			var a = [];
+			var pgrme;
+
+			if(id !== 'PGRME') {
+				nmea.error('PGRM : sentence type not supported : ' + id.substring(4), nmea.ErrorCodes.UNSUPPORTED_MESSAGE);
+				return null;
+			}
+			a.push('$' + id);
+			a.push(nmea.encodeFixed(data.horizontalError, 1));
+			a.push('M');
+			a.push(nmea.encodeFixed(data.verticalError, 1));
+			a.push('M');
+			a.push(nmea.encodeFixed(data.sphericalError, 1));
+			a.push('M');
 
-	return '*' + nmea.toHexString(c1);
-};
+			pgrme = a.join();
 
-/** set the number of decimal digits in an encoded latitude value */
-nmea.setLatitudePrecision = function(precision) {
-	m_latitudePrecision = precision;
-};
+			return pgrme;
+		};
+	};
 
-nmea.getLatitudePrecision = function() {
-	return m_latitudePrecision;
-};
+	/**
+	 VDM/VDO encoder object
+
+	 !AIVDM,x,x,x,a,s--s,x*hh
+
+	 VDM = AIS VHF data-link message (VDO = own vessel report)
+	 1   = Total number of fragments (1-9)
+	 2   = Fragment number (1-9)
+	 3   = Sequential message ID (0-9, empty for single fragment messages)
+	 4   = Radio channel (A or B)
+	 5   = Payload (6-bit ASCII armored)
+	 6   = Number of fill bits (0-5)
+	 7   = Checksum
+
+	 input data:
+	 {
+		message    : AIS message data, with its message type in 'type' (see the
+		             AIS message encoders)
+		channel    : String (A or B)
+		sequenceId : integer 0..9 (only used for multi fragment messages)
+	 }
+
+	 the payload is split into fragments of at most 60 characters so that no
+	 sentence is longer than 82 characters, so the encoder returns an array of
+	 sentences
+	 */
+	nmea.VdmEncoder = function(type) {
+		this.type = type;
+		this.encode = function(id, data) {
+			var a;
+			var i;
+			var count;
+			var armored;
+			var encoder = null;
+			var vdm = [];
+
+			for(i = 0; i < m_aisEncoderList.length; ++i) {
+				if(data.message.type === m_aisEncoderList[i].type) {
+					encoder = m_aisEncoderList[i];
+				}
+			}
+			if(encoder === null) {
+				nmea.error('AIS message type not supported : ' + data.message.type, nmea.ErrorCodes.UNSUPPORTED_MESSAGE);
+				return null;
+			}
 
-nmea.setLongitudePrecision = function(precision) {
-	m_longitudePrecision = precision;
-};
+			armored = nmea.armorAisPayload(encoder.encode(data.message));
+			count = Math.ceil(armored.payload.length / 60);
+			for(i = 0; i < count; ++i) {
+				a = [];
+				a.push('!' + id);
+				a.push(count.toString());
+				a.push((i + 1).toString());
+				a.push((count > 1) ? nmea.encodeValue(data.sequenceId) : '');
+				a.push(nmea.encodeValue(data.channel));
+				a.push(armored.payload.substring(60 * i, 60 * i + 60));
+				a.push((i === count - 1) ? armored.fillBits.toString() : '0');
+				vdm.push(a.join());
+			}
 
-nmea.getLongitudePrecision = function() {
-	return m_longitudePrecision;
-};
+			return vdm;
+		};
+	};
 
-// function to add parsers
-nmea.addParser = function(sentenceParser) {
-	if(sentenceParser == null) {
-		this.error('invalid sentence parser : null');
-		return;
-	}
-	m_parserList.push(sentenceParser);
-};
+	// =====================================
+	// AIS message decoders
+	// =====================================
 
-/** function to add encoders */
-nmea.addEncoder = function(sentenceEncoder) {
-	if(sentenceEncoder == null) {
-		this.error('invalid	sentence encoder : null');
-		return;
-	}
-	m_encoderList.push(sentenceEncoder);
-};
+	// convert the 6-bit ASCII armored payload of a VDM/VDO sentence to a string of
+	// '0' and '1' characters, removing the fill bits
+	nmea.dearmorAisPayload = function(payload, fillBits) {
+		var i;
+		var v;
+		var bits = '';
 
-// =========================================
-// field encoders
-// =========================================
-
-// encode latitude
-// input: latitude in decimal degrees
-// output: latitude in nmea format
-// ddmm.mmm
-// nmea.m_latitudePrecision = 3;
-nmea.encodeLatitude = function(lat) {
-	var d;
-	var m;
-	var f;
-	var h;
-	var s;
-	var t;
-
-	if(lat < 0) {
-		h = 'S';
-		lat = -lat;
-	} else {
-		h = 'N';
-	}
-	// get integer degrees
-	d = Math.floor(lat);
-	// degrees are always 2 digits
-	s = d.toString();
-	if(s.length < 2) {
-		s = '0' + s;
-	}
-	// get fractional degrees
-	f = lat - d;
-	// convert to fractional minutes
-	m = (f * 60.0);
-	// format the fixed point fractional minutes
-	t = m.toFixed(m_latitudePrecision);
-	if(m < 10) {
-		// add leading 0
-		t = '0' + t;
-	}
-
-	s = s + t + ',' + h;
-	return s;
-};
+		for(i = 0; i < payload.length; ++i) {
+			v = payload.charCodeAt(i) - 48;
+			if(v > 40) {
+				v = v - 8;
+			}
+			if(v < 0 || v > 63) {
+				nmea.error('AIS : invalid payload character ' + payload.charAt(i), nmea.ErrorCodes.MALFORMED_FIELD);
+				return null;
+			}
+			bits = bits + nmea.padLeft(v.toString(2), 6, '0');
+		}
+		return bits.substring(0, bits.length - fillBits);
+	};
 
-// encode longitude
-// input: longitude in decimal degrees
-// output: longitude in nmea format
-// dddmm.mmm
-// nmea.m_longitudePrecision = 3;
-nmea.encodeLongitude = function(lon) {
-	var d;
-	var m;
-	var f;
-	var h;
-	var s;
-	var t;
-
-	if(lon < 0) {
-		h = 'W';
-		lon = -lon;
-	} else {
-		h = 'E';
-	}
-
-	// get integer degrees
-	d = Math.floor(lon);
-	// degrees are always 3 digits
-	s = d.toString();
-	while(s.length < 3) {
-		s = '0' + s;
-	}
-
-	// get fractional degrees
-	f = lon - d;
-	// convert to fractional minutes and round up to the specified precision
-	m = (f * 60.0);
-	// minutes are always 6 characters = mm.mmm
-	t = m.toFixed(m_longitudePrecision);
-	if(m < 10) {
-		// add leading 0
-		t = '0' + t;
-	}
-	s = s + t + ',' + h;
-	return s;
-};
+	// unsigned integer field
+	nmea.decodeAisUnsigned = function(bits, start, length) {
+		return parseInt(bits.substr(start, length), 2);
+	};
 
-// 1 decimal, always meters
-nmea.encodeAltitude = function(alt = null) {
-	if(alt == null) {
-		return ',M';
-	}
-	return alt.toFixed(1) + ',M';
-};
+	// signed integer field (two's complement)
+	nmea.decodeAisSigned = function(bits, start, length) {
+		var v = nmea.decodeAisUnsigned(bits, start, length);
+		var limit = Math.pow(2, length - 1);
+		return (v >= limit) ? v - 2 * limit : v;
+	};
 
-// magnetic variation
-nmea.encodeMagVar = function(v = null) {
-	var a;
-	var s;
-	if(v == null) {
-		return ',';
-	}
-	a = Math.abs(v);
-	s = (v < 0) ? (a.toFixed(1) + ',E') : (a.toFixed(1) + ',W');
-	return nmea.padLeft(s, 7, '0');
-};
+	// boolean field
+	nmea.decodeAisFlag = function(bits, start) {
+		return bits.charAt(start) === '1';
+	};
 
-// degrees
-nmea.encodeDegrees = function(d = null) {
-	if(d === null) {
-		return '';
-	}
-	return nmea.padLeft(d.toFixed(1), 5, '0');
-};
+	// latitude/longitude in 1/10000 minutes, null when not available (91/181)
+	nmea.decodeAisCoordinate = function(bits, start, length, notAvailable) {
+		var d = nmea.decodeAisSigned(bits, start, length) / 600000;
+		return (Math.abs(d) > notAvailable - 1) ? null : d;
+	};
 
-nmea.encodeDate = function(d) {
-	var yr;
-	var mn;
-	var dy;
+	// speed over ground in knots, null when not available (1023)
+	nmea.decodeAisSpeed = function(bits, start) {
+		var v = nmea.decodeAisUnsigned(bits, start, 10);
+		return (v === 1023) ? null : v / 10;
+	};
 
-	yr = d.getUTCFullYear();
-	mn = d.getUTCMonth() + 1;
-	dy = d.getUTCDate();
+	// course over ground in degrees, null when not available (3600)
+	nmea.decodeAisCourse = function(bits, start) {
+		var v = nmea.decodeAisUnsigned(bits, start, 12);
+		return (v >= 3600) ? null : v / 10;
+	};
 
-	return nmea.padLeft(dy.toString(), 2, '0') + nmea.padLeft(mn.toString(), 2, '0') + yr.toString().substr(2);
-};
+	// true heading in degrees, null when not available (511)
+	nmea.decodeAisHeading = function(bits, start) {
+		var v = nmea.decodeAisUnsigned(bits, start, 9);
+		return (v >= 360) ? null : v;
+	};
 
-nmea.encodeTime = function(d) {
-	var h;
-	var m;
-	var s;
-	var ms;
-
-	h = d.getUTCHours();
-	m = d.getUTCMinutes();
-	s = d.getUTCSeconds();
-	ms = d.getUTCMilliseconds();
-
-	return nmea.padLeft(h.toString(), 2, '0') +
-	       nmea.padLeft(m.toString(), 2, '0') +
-	       nmea.padLeft(s.toString(), 2, '0') + '.' +
-	       nmea.padLeft(ms.toString(), 3, '0');
-};
+	// UTC second of the report, null when not available (60) or when the
+	// positioning system is not working (61-63)
+	nmea.decodeAisSecond = function(bits, start) {
+		var v = nmea.decodeAisUnsigned(bits, start, 6);
+		return (v >= 60) ? null : v;
+	};
 
-nmea.encodeKnots = function(k = null) {
-	if(k == null) {
-		return '';
-	}
-	return nmea.padLeft(k.toFixed(1), 5, '0');
-};
+	// rate of turn in degrees per minute (right is +), null when not available
+	// (-128) or when no turn indicator is available (+-127)
+	nmea.decodeAisRateOfTurn = function(bits, start) {
+		var v = nmea.decodeAisSigned(bits, start, 8);
+		var r;
+		if(Math.abs(v) >= 127) {
+			return null;
+		}
+		r = Math.pow(v / 4.733, 2);
+		return (v < 0) ? -r : r;
+	};
 
-nmea.encodeValue = function(v = null) {
-	if(v == null) {
-		return '';
-	}
-	return v.toString();
-};
+	/** AIS position report decoder object (class A, message types 1, 2 and 3)
+	 * see AisPositionReportEncoder for the message layout
+	 */
+	nmea.AisPositionReportDecoder = function(type) {
+		this.type = type;
+		this.decode = function(bits) {
+			var report;
+			if(bits.length < 168) {
+				nmea.error('AIS ' + this.type + ' : not enough bits', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			report = {
+				repeat : nmea.decodeAisUnsigned(bits, 6, 2),
+				mmsi : nmea.decodeAisUnsigned(bits, 8, 30),
+				status : nmea.decodeAisUnsigned(bits, 38, 4),
+				rateOfTurn : nmea.decodeAisRateOfTurn(bits, 42),
+				speed : nmea.decodeAisSpeed(bits, 50),
+				accuracy : nmea.decodeAisFlag(bits, 60),
+				longitude : nmea.decodeAisCoordinate(bits, 61, 28, 181),
+				latitude : nmea.decodeAisCoordinate(bits, 89, 27, 91),
+				course : nmea.decodeAisCourse(bits, 116),
+				heading : nmea.decodeAisHeading(bits, 128),
+				second : nmea.decodeAisSecond(bits, 137),
+				maneuver : nmea.decodeAisUnsigned(bits, 143, 2),
+				raim : nmea.decodeAisFlag(bits, 148),
+				radio : nmea.decodeAisUnsigned(bits, 149, 19)
+			};
+			return report;
+		};
+	};
 
-nmea.encodeFixed = function(v = null, f) {
-	if(v == null) {
-		return '';
-	}
-	return v.toFixed(f);
-};
+	/** AIS standard class B position report decoder object (message type 18)
+	 * see AisClassBPositionReportEncoder for the message layout
+	 */
+	nmea.AisClassBPositionReportDecoder = function(type) {
+		this.type = type;
+		this.decode = function(bits) {
+			var report;
+			if(bits.length < 168) {
+				nmea.error('AIS ' + this.type + ' : not enough bits', nmea.ErrorCodes.TOO_FEW_FIELDS);
+				return null;
+			}
+			report = {
+				repeat : nmea.decodeAisUnsigned(bits, 6, 2),
+				mmsi : nmea.decodeAisUnsigned(bits, 8, 30),
+				speed : nmea.decodeAisSpeed(bits, 46),
+				accuracy : nmea.decodeAisFlag(bits, 56),
+				longitude : nmea.decodeAisCoordinate(bits, 57, 28, 181),
+				latitude : nmea.decodeAisCoordinate(bits, 85, 27, 91),
+				course : nmea.decodeAisCourse(bits, 112),
+				heading : nmea.decodeAisHeading(bits, 124),
+				second : nmea.decodeAisSecond(bits, 133),
+				raim : nmea.decodeAisFlag(bits, 147),
+				radio : nmea.decodeAisUnsigned(bits, 148, 20)
+			};
+			return report;
+		};
+	};
 
-// =========================================
-// field parsers
-// =========================================
-
-// separate number and units
-nmea.parseAltitude = function(alt, units) {
-	var scale = 1.0;
-	if(units === 'F') {
-		scale = 0.3048;
-	}
-	return parseFloat(alt) * scale;
-};
+	/** AIS fragment assembler object
+	 * collects the fragments of multi fragment messages (parsed VDM/VDO sentences)
+	 * by channel and sequential message id. add() returns the complete payload
+	 * once the last fragment of a message is added, null otherwise
+	 */
+	nmea.AisFragmentAssembler = function() {
+		var m_fragments = {};
+		this.add = function(vdm) {
+			var key;
+			var fragments;
+			if(vdm.fragmentCount === 1) {
+				return {
+					payload : vdm.payload,
+					fillBits : vdm.fillBits,
+					channel : vdm.channel
+				};
+			}
 
-// separate degrees value and quadrant (E/W)
-nmea.parseDegrees = function(deg, quadrant) {
-	var q = (quadrant === 'E') ? -1.0 : 1.0;
+			key = vdm.channel + ',' + vdm.sequenceId;
+			if(vdm.fragmentNumber === 1) {
+				m_fragments[key] = [];
+			}
+			fragments = m_fragments[key];
+			if(fragments === undefined || fragments.length !== vdm.fragmentNumber - 1) {
+				delete m_fragments[key];
+				nmea.error('AIS : missing fragment of multi fragment message', nmea.ErrorCodes.MALFORMED_FIELD);
+				return null;
+			}
 
-	return parseFloat(deg) * q;
-};
+			fragments.push(vdm.payload);
+			if(vdm.fragmentNumber < vdm.fragmentCount) {
+				return null;
+			}
+			delete m_fragments[key];
+			return {
+				payload : fragments.join(''),
+				fillBits : vdm.fillBits,
+				channel : vdm.channel
+			};
+		};
+	};
 
-// fields can be empty so have to wrap the global parseFloat
-nmea.parseFloatX = function(f) {
-	if(f === '') {
-		return 0.0;
-	}
-	return parseFloat(f);
-};
+	/** decode the (complete) payload of an AIS message
+	 * the message type is returned in 'type', the other fields depend on it
+	 */
+	nmea.decodeAisMessage = function(payload, fillBits) {
+		var i;
+		var bits;
+		var type;
+		var message = null;
 
-// decode latitude
-// input : latitude in nmea format
-//			first two digits are degress
-//			rest of digits are decimal minutes
-// output : latitude in decimal degrees
-nmea.parseLatitude = function(lat, hemi) {
-	var h = (hemi === 'N') ? 1.0 : -1.0;
-	var a;
-	var dg;
-	var mn;
-	var l;
-	a = lat.split('.');
-	if(a[0].length === 4) {
-		// two digits of degrees
-		dg = lat.substring(0, 2);
-		mn = lat.substring(2);
-	} else if(a[0].length === 3) {
-		// 1 digit of degrees (in case no leading zero)
-		dg = lat.substring(0, 1);
-		mn = lat.substring(1);
-	} else {
-		// no degrees, just minutes (nonstandard but a buggy unit might do this)
-		dg = '0';
-		mn = lat;
-	}
-	// latitude is usually precise to 5-8 digits
-	return ((parseFloat(dg) + (parseFloat(mn) / 60.0)) * h).toFixed(8);
-};
+		bits = nmea.dearmorAisPayload(payload, fillBits);
+		if(bits === null || bits.length < 6) {
+			nmea.error('AIS : empty payload', nmea.ErrorCodes.TOO_FEW_FIELDS);
+			return null;
+		}
+		type = nmea.decodeAisUnsigned(bits, 0, 6);
+		for(i = 0; i < m_aisDecoderList.length; ++i) {
+			if(type === m_aisDecoderList[i].type) {
+				message = m_aisDecoderList[i].decode(bits);
+				break;
+			}
+		}
+		if(message == null) {
+			nmea.error('AIS message type not supported : ' + type, nmea.ErrorCodes.UNSUPPORTED_MESSAGE);
+			return null;
+		}
 
-// decode longitude
-// first three digits are degress
-// rest of digits are decimal minutes
-nmea.parseLongitude = function(lon, hemi) {
-	var h;
-	var a;
-	var dg;
-	var mn;
-	h = (hemi === 'E') ? 1.0 : -1.0;
-	a = lon.split('.');
-	if(a[0].length === 5) {
-		// three digits of degrees
-		dg = lon.substring(0, 3);
-		mn = lon.substring(3);
-	} else if(a[0].length === 4) {
-		// 2 digits of degrees (in case no leading zero)
-		dg = lon.substring(0, 2);
-		mn = lon.substring(2);
-	} else if(a[0].length === 3) {
-		// 1 digit of degrees (in case no leading zero)
-		dg = lon.substring(0, 1);
-		mn = lon.substring(1);
-	} else {
-		// no degrees, just minutes (nonstandard but a buggy unit might do this)
-		dg = '0';
-		mn = lon;
-	}
-	// longitude is usually precise to 5-8 digits
-	return ((parseFloat(dg) + (parseFloat(mn) / 60.0)) * h).toFixed(8);
-};
+		message.type = type;
+		return message;
+	};
 
-// fields can be empty so have to wrap the global parseInt
-nmea.parseIntX = function(i) {
-	if(i === '') {
-		return 0;
-	}
-	return parseInt(i, 10);
-};
+	// =====================================
+	// TAG blocks
+	// =====================================
 
-/**
- * @brief converts a time string in the format HHMMSS.SSS (with millisecond
- *        precision) to a value in seconds as a float
- */
-nmea.timeToMilliseconds = function(time)
-{
-	/* time format: HHMMSS.SSS (UTC) */
-	var h = parseInt(time.substring(0,2));
-	var m = parseInt(time.substring(2,4));
-	var s = parseInt(time.substring(4,6));
-	var ms = time.length > 7 ? parseInt(time.substring(7)) : 0;
-
-	return 3600000*h + 60000*m + 1000*s + ms;
-};
+	// TAG blocks (NMEA 0183 v4) are comma separated parameters (e.g. c:1697040000)
+	// between backslashes, with their own checksum, which precede a sentence:
+	// \s:logger1,c:1697040000*14\$GPGGA,...
 
-/**
- * @brief given a year in format YY (i.e., no century information), returns the
- *        year value in YYYY format
- */
-nmea.yearToFullYear = function(year)
-{
-	/*
-	 * use the current year to generate century information for the year on
-	 * the given date (this assumes that the date is not older than 100 years
-	 * from now...)
+	/** split a line into its TAG block (without the backslashes) and sentence
+	 * output: { tagBlock : String (null if there is none), sentence : String }
+	 *         or null if the TAG block is not terminated
 	 */
-	var fullYearNow = (new Date()).getFullYear();
-	var twoDigitYearNow = fullYearNow % 100;
-	var centuryNow = fullYearNow - twoDigitYearNow;
-
-	year += (year <= twoDigitYearNow) ? centuryNow : (centuryNow - 100);
+	nmea.splitTagBlock = function(line) {
+		var end;
+		if(line.charAt(0) !== '\\') {
+			return { tagBlock : null, sentence : line };
+		}
+		end = line.indexOf('\\', 1);
+		if(end === -1) {
+			nmea.error('TAG block : missing end delimiter', nmea.ErrorCodes.INVALID_SENTENCE);
+			return null;
+		}
+		return {
+			tagBlock : line.substring(1, end),
+			sentence : line.substring(end + 1)
+		};
+	};
 
-	return year;
+	/**
+	 TAG block parser
+
+	 s:logger1,c:1697040000,n:12*hh
+
+	 input : TAG block without the delimiting backslashes
+	 output (parameters missing from the TAG block are null):
+	 {
+		source       : String (s:)
+		destination  : String (d:)
+		unixTime     : decimal seconds since 1970-01-01 UTC (c:, given in seconds
+		               or, by some loggers, in milliseconds)
+		relativeTime : integer (r:)
+		lineCount    : integer (n:)
+		text         : String (t:)
+		group        : { sentence : integer, total : integer, id : integer } (g:)
+	 }
+	 */
+	nmea.parseTagBlock = function(tagBlock) {
+		var i;
+		var parts;
+		var params;
+		var key;
+		var value;
+		var tag = {
+			source : null,
+			destination : null,
+			unixTime : null,
+			relativeTime : null,
+			lineCount : null,
+			text : null,
+			group : null
+		};
 
-};
+		parts = /^([^*]*)\*([0-9A-Fa-f]{2})$/.exec(tagBlock);
+		if(parts === null) {
+			nmea.error('TAG block : missing checksum', nmea.ErrorCodes.INVALID_SENTENCE);
+			return null;
+		}
+		if(!nmea.verifyChecksum('\\' + parts[1], parts[2])) {
+			nmea.error('TAG block : checksum mismatch', nmea.ErrorCodes.BAD_CHECKSUM);
+			return null;
+		}
 
-nmea.timeDateToMilliseconds = function(date, time)
-{
-	/* date format: DDMMYYYY.SSS (UTC) */
-	var D = parseInt(date.substring(0,2));
-	var M = parseInt(date.substring(2,4)) - 1;
-	var Y = parseInt(date.substring(4,6));
+		params = parts[1].split(',');
+		for(i = 0; i < params.length; ++i) {
+			key = params[i].substring(0, 2);
+			value = params[i].substring(2);
+			if(key === 's:') {
+				tag.source = value;
+			} else if(key === 'd:') {
+				tag.destination = value;
+			} else if(key === 't:') {
+				tag.text = value;
+			} else if(key === 'c:' && /^\d+$/.test(value)) {
+				// 13 digit timestamps are milliseconds
+				tag.unixTime = (value.length > 10) ? parseInt(value, 10) / 1000 : parseInt(value, 10);
+			} else if(key === 'r:' && /^\d+$/.test(value)) {
+				tag.relativeTime = parseInt(value, 10);
+			} else if(key === 'n:' && /^\d+$/.test(value)) {
+				tag.lineCount = parseInt(value, 10);
+			} else if(key === 'g:' && /^\d+-\d+-\d+$/.test(value)) {
+				value = value.split('-');
+				tag.group = {
+					sentence : parseInt(value[0], 10),
+					total : parseInt(value[1], 10),
+					id : parseInt(value[2], 10)
+				};
+			} else if(['c:', 'r:', 'n:', 'g:'].indexOf(key) !== -1) {
+				nmea.error('TAG block : malformed parameter : ' + params[i], nmea.ErrorCodes.MALFORMED_FIELD);
+				return null;
+			}
+			// other parameters are ignored
+		}
 
-	Y = nmea.yearToFullYear(Y);
+		return tag;
+	};
 
-	/* time format: HHMMSS.SSS (UTC) */
-	var h = parseInt(time.substring(0,2));
-	var m = parseInt(time.substring(2,4));
-	var s = parseInt(time.substring(4,6));
-	var ms = time.length > 7 ? parseInt(time.substring(7)) : 0;
+	/** TAG block encoder
+	 * input : parameters as returned by nmea.parseTagBlock (null or missing
+	 *         parameters are omitted, unixTime is rounded down to seconds)
+	 * output: TAG block with its checksum and backslashes, e.g. \c:1697040000*54\
+	 */
+	nmea.encodeTagBlock = function(tag) {
+		var a = [];
+		var params;
 
-	return Date.UTC(Y, M, D, h, m, s, ms);
-};
+		if(tag.source != null) {
+			a.push('s:' + tag.source);
+		}
+		if(tag.destination != null) {
+			a.push('d:' + tag.destination);
+		}
+		if(tag.unixTime != null) {
+			a.push('c:' + Math.floor(tag.unixTime).toString());
+		}
+		if(tag.lineCount != null) {
+			a.push('n:' + tag.lineCount.toString());
+		}
+		if(tag.relativeTime != null) {
+			a.push('r:' + tag.relativeTime.toString());
+		}
+		if(tag.group != null) {
+			a.push('g:' + [tag.group.sentence, tag.group.total, tag.group.id].join('-'));
+		}
+		if(tag.text != null) {
+			a.push('t:' + tag.text);
+		}
+		params = a.join();
 
-nmea.parseDateTime = function(date, time)
-{
-	/* date format: DDMMYY (UTC) */
-	var D = parseInt(date.substring(0,2));
-	var M = parseInt(date.substring(2,4)) - 1;
-	var Y = parseInt(date.substring(4,6));
+		return '\\' + params + nmea.computeChecksum('\\' + params) + '\\';
+	};
 
-	Y = nmea.yearToFullYear(Y);
+	// =====================================
+	// line prefixes
+	// =====================================
+
+	// loggers often prefix each line with its receive time or other data, e.g.
+	// 2024-05-01T12:00:00.123Z $GPRMC,... or 1714564800.123,$GPGGA,...
+
+	/** formats of line prefixes (see nmea.splitLinePrefix) */
+	nmea.LinePrefixFormats = {
+		NONE : 'none',
+		// ISO 8601 timestamps or UNIX timestamps
+		AUTO : 'auto',
+		// e.g. 2024-05-01T12:00:00.123Z (UTC if there is no time zone)
+		ISO : 'iso',
+		// seconds (or milliseconds, if 13 digits) since 1970-01-01, e.g. 1714564800.123
+		UNIX : 'unix',
+		// any text up to (and including) a delimiter
+		DELIMITER : 'delimiter'
+	};
 
-	/* time format: HHMMSS.SSS (UTC) */
-	var h = parseInt(time.substring(0,2));
-	var m = parseInt(time.substring(2,4));
-	var s = parseInt(time.substring(4,6));
-	var ms = time.length > 7 ? parseInt(time.substring(7)) : 0;
+	var m_isoPrefix = /^\s*(\d{4}-\d\d-\d\d)[T ](\d\d:\d\d:\d\d(\.\d+)?)(Z|[+-]\d\d:\d\d)?[\s,;|]*/;
+	var m_unixPrefix = /^\s*(\d{13}|\d{9,10}(\.\d+)?)[\s,;|:]*/;
 
-	return new Date(Date.UTC(Y, M, D, h, m, s, ms));
-};
+	// UNIX time (seconds) of a line prefix, or null if it is not a timestamp
+	var parsePrefixTime = function(prefix, format) {
+		var match;
 
-// =====================================
-// sentence parsers
-// =====================================
-/** GPGGA parser object */
-nmea.GgaParser = function(id) {
-	this.id = id;
-	this.parse = function(tokens) {
-		var i;
-		var gga;
-		if(tokens.length < 14) {
-			nmea.error('GGA : not enough tokens');
-			return null;
+		if(format !== nmea.LinePrefixFormats.UNIX) {
+			match = m_isoPrefix.exec(prefix);
+			if(match !== null) {
+				return Date.parse(match[1] + 'T' + match[2] + (match[4] || 'Z')) / 1000;
+			}
 		}
+		if(format !== nmea.LinePrefixFormats.ISO) {
+			match = m_unixPrefix.exec(prefix);
+			if(match !== null) {
+				// 13 digit timestamps are milliseconds
+				return (match[1].length === 13) ? parseInt(match[1], 10) / 1000 : parseFloat(match[1]);
+			}
+		}
+		return null;
+	};
 
-		// trim whitespace
-		// some parsers may not want the tokens trimmed so the individual parser has to do it if applicable
-		for( i = 0; i < tokens.length; ++i) {
-			tokens[i] = tokens[i].trim();
+	/** split the prefix of a line from its sentence(s)
+	 * input : line, prefix format (one of nmea.LinePrefixFormats) and delimiter
+	 *         (for nmea.LinePrefixFormats.DELIMITER)
+	 * output: { prefix : String (empty if the line has no prefix of that format),
+	 *           time : UNIX time (seconds) of a timestamp prefix or null,
+	 *           sentence : String }
+	 */
+	nmea.splitLinePrefix = function(line, format, delimiter = ',') {
+		var start;
+		var end = 0;
+		var match = null;
+		var prefix;
+
+		if(format === nmea.LinePrefixFormats.DELIMITER) {
+			// the prefix ends at the last delimiter before the sentence
+			start = line.search(/[$!\\]/);
+			end = (start < delimiter.length) ? -1 : line.lastIndexOf(delimiter, start - delimiter.length);
+			end = (end === -1) ? 0 : end + delimiter.length;
+		} else if(format !== nmea.LinePrefixFormats.NONE) {
+			if(format !== nmea.LinePrefixFormats.UNIX) {
+				match = m_isoPrefix.exec(line);
+			}
+			if(match === null && format !== nmea.LinePrefixFormats.ISO) {
+				match = m_unixPrefix.exec(line);
+			}
+			end = (match !== null) ? match[0].length : 0;
 		}
 
-		gga = {
-			id : tokens[0].substr(1),
-			time : tokens[1],
-			latitude : nmea.parseLatitude(tokens[2], tokens[3]),
-			longitude : nmea.parseLongitude(tokens[4], tokens[5]),
-			fix : nmea.parseIntX(tokens[6], 10),
-			satellites : nmea.parseIntX(tokens[7], 10),
-			hdop : nmea.parseFloatX(tokens[8]),
-			altitude : nmea.parseAltitude(tokens[9], tokens[10]),
-			aboveGeoid : nmea.parseAltitude(tokens[11], tokens[12]),
-			dgpsUpdate : tokens[13],
-			dgpsReference : tokens[14]
+		prefix = line.substring(0, end);
+		return {
+			prefix : prefix,
+			time : (prefix === '') ? null : parsePrefixTime(prefix.trim(), format),
+			sentence : line.substring(end)
 		};
+	};
 
-		return gga;
+	// =====================================
+	// strict validation
+	// =====================================
+
+	// formats of the fields (fixed width fields only match values of the right
+	// width)
+	var m_timeFormat = /^([01]\d|2[0-3])[0-5]\d([0-5]\d|60)(\.\d+)?$/;
+	var m_dateFormat = /^(0[1-9]|[12]\d|3[01])(0[1-9]|1[0-2])\d\d$/;
+	var m_latitudeFormat = /^([0-8]\d[0-5]\d(\.\d+)?|9000(\.0+)?)$/;
+	var m_longitudeFormat = /^((0\d\d|1[0-7]\d)[0-5]\d(\.\d+)?|18000(\.0+)?)$/;
+	var m_unsignedFormat = /^\d+(\.\d+)?$/;
+	var m_decimalFormat = /^-?\d+(\.\d+)?$/;
+
+	// field rule for strict validation
+	// format   : regular expression matching the allowed values
+	// required : if true, the field cannot be empty
+	// min, max : range of the (numeric) value, null if not limited
+	var field = function(name, format, required = false, min = null, max = null) {
+		return {
+			name : name,
+			format : format,
+			required : required,
+			min : min,
+			max : max
+		};
 	};
-};
 
-/** GPRMC parser object */
-nmea.RmcParser = function(id) {
-	this.id = id;
-	this.parse = function(tokens) {
-		var rmc;
-		if(tokens.length < 12) {
-			nmea.error('RMC : not enough tokens');
-			return null;
+	// field rules of the sentences (without the header), by sentence type
+	// minFields : number of fields every sentence must have (the other fields
+	//             are only present on newer NMEA versions)
+	// group     : fields repeated up to maxGroups times after the fields
+	var m_fieldRules = {
+		GGA : {
+			minFields : 14,
+			fields : [
+				field('time', m_timeFormat),
+				field('latitude', m_latitudeFormat),
+				field('latitude hemisphere', /^[NS]$/),
+				field('longitude', m_longitudeFormat),
+				field('longitude hemisphere', /^[EW]$/),
+				field('fix quality', /^[0-8]$/, true),
+				field('satellites', /^\d{2,}$/, false, 0, 99),
+				field('hdop', m_unsignedFormat),
+				field('altitude', m_decimalFormat),
+				field('altitude units', /^M$/),
+				field('geoid separation', m_decimalFormat),
+				field('geoid separation units', /^M$/),
+				field('differential data age', m_unsignedFormat),
+				field('differential station id', /^\d{4}$/, false, 0, 1023)
+			]
+		},
+		RMC : {
+			minFields : 11,
+			fields : [
+				field('time', m_timeFormat),
+				field('status', /^[AV]$/, true),
+				field('latitude', m_latitudeFormat),
+				field('latitude hemisphere', /^[NS]$/),
+				field('longitude', m_longitudeFormat),
+				field('longitude hemisphere', /^[EW]$/),
+				field('speed', m_unsignedFormat),
+				field('course', m_unsignedFormat, false, 0, 360),
+				field('date', m_dateFormat),
+				field('magnetic variation', m_unsignedFormat, false, 0, 180),
+				field('magnetic variation direction', /^[EW]$/),
+				field('mode', /^[ADEFMNPRS]$/),
+				field('navigational status', /^[CSUV]$/)
+			]
+		},
+		GSA : {
+			minFields : 17,
+			fields : [
+				field('selection mode', /^[AM]$/, true),
+				field('fix', /^[123]$/, true),
+				field('satellite 1', /^\d{2,3}$/),
+				field('satellite 2', /^\d{2,3}$/),
+				field('satellite 3', /^\d{2,3}$/),
+				field('satellite 4', /^\d{2,3}$/),
+				field('satellite 5', /^\d{2,3}$/),
+				field('satellite 6', /^\d{2,3}$/),
+				field('satellite 7', /^\d{2,3}$/),
+				field('satellite 8', /^\d{2,3}$/),
+				field('satellite 9', /^\d{2,3}$/),
+				field('satellite 10', /^\d{2,3}$/),
+				field('satellite 11', /^\d{2,3}$/),
+				field('satellite 12', /^\d{2,3}$/),
+				field('pdop', m_unsignedFormat),
+				field('hdop', m_unsignedFormat),
+				field('vdop', m_unsignedFormat),
+				field('system id', /^[1-9A-F]$/)
+			]
+		},
+		GSV : {
+			minFields : 3,
+			fields : [
+				field('number of messages', /^[1-9]$/, true),
+				field('message number', /^[1-9]$/, true),
+				field('satellites in view', /^\d{2,}$/, true, 0, 99)
+			],
+			group : [
+				field('satellite', /^\d{2,3}$/),
+				field('elevation', /^\d{2}$/, false, 0, 90),
+				field('azimuth', /^\d{3}$/, false, 0, 359),
+				field('snr', /^\d{2}$/, false, 0, 99)
+			],
+			maxGroups : 4,
+			trailer : [
+				field('signal id', /^[0-9A-F]$/)
+			]
+		},
+		VTG : {
+			minFields : 8,
+			fields : [
+				field('course', m_unsignedFormat, false, 0, 360),
+				field('course reference', /^T$/, true),
+				field('magnetic course', m_unsignedFormat, false, 0, 360),
+				field('magnetic course reference', /^M$/, true),
+				field('speed (knots)', m_unsignedFormat),
+				field('speed units (knots)', /^N$/, true),
+				field('speed (km/h)', m_unsignedFormat),
+				field('speed units (km/h)', /^K$/, true),
+				field('mode', /^[ADEMNS]$/)
+			]
+		},
+		GLL : {
+			minFields : 6,
+			fields : [
+				field('latitude', m_latitudeFormat),
+				field('latitude hemisphere', /^[NS]$/),
+				field('longitude', m_longitudeFormat),
+				field('longitude hemisphere', /^[EW]$/),
+				field('time', m_timeFormat),
+				field('status', /^[AV]$/, true),
+				field('mode', /^[ADEMNS]$/)
+			]
+		},
+		ZDA : {
+			minFields : 6,
+			fields : [
+				field('time', m_timeFormat),
+				field('day', /^\d{2}$/, false, 1, 31),
+				field('month', /^\d{2}$/, false, 1, 12),
+				field('year', /^\d{4}$/),
+				field('local zone hours', /^-?\d{2}$/, false, -13, 13),
+				field('local zone minutes', /^\d{2}$/, false, 0, 59)
+			]
+		},
+		GST : {
+			minFields : 8,
+			fields : [
+				field('time', m_timeFormat),
+				field('rms', m_unsignedFormat),
+				field('semi-major axis error', m_unsignedFormat),
+				field('semi-minor axis error', m_unsignedFormat),
+				field('orientation', m_unsignedFormat, false, 0, 180),
+				field('latitude error', m_unsignedFormat),
+				field('longitude error', m_unsignedFormat),
+				field('altitude error', m_unsignedFormat)
+			]
+		},
+		HDT : {
+			minFields : 2,
+			fields : [
+				field('heading', m_unsignedFormat, false, 0, 360),
+				field('heading reference', /^T$/, true)
+			]
+		},
+		HDG : {
+			minFields : 5,
+			fields : [
+				field('heading', m_unsignedFormat, false, 0, 360),
+				field('deviation', m_unsignedFormat, false, 0, 180),
+				field('deviation direction', /^[EW]$/),
+				field('variation', m_unsignedFormat, false, 0, 180),
+				field('variation direction', /^[EW]$/)
+			]
+		},
+		THS : {
+			minFields : 2,
+			fields : [
+				field('heading', m_unsignedFormat, false, 0, 360),
+				field('mode', /^[AEMSV]$/, true)
+			]
 		}
-		rmc = {
-			id : tokens[0].substr(1),
-			time : tokens[1],
-			valid : tokens[2],
-			latitude : nmea.parseLatitude(tokens[3], tokens[4]),
-			longitude : nmea.parseLongitude(tokens[5], tokens[6]),
-			speed : nmea.parseFloatX(tokens[7]),
-			course : nmea.parseFloatX(tokens[8]),
-			date : tokens[9],
-			variation : nmea.parseDegrees(tokens[10], tokens[11]),
-		};
-		return rmc;
 	};
-};
 
-/** GPGSV parser object */
-nmea.GsvParser = function(id) {
-	this.id = id;
-	this.parse = function(tokens) {
-		var gsv;
+	/** validate a sentence against the NMEA 0183 standard
+	 * checks the sentence length, the allowed characters, the checksum and (for
+	 * the standard sentence types) the number, formats and ranges of the fields
+	 * (as well as the checksum of the TAG block, if there is one)
+	 * output: list of violations {code, message} (empty if the sentence is valid),
+	 *         code is one of nmea.ErrorCodes
+	 */
+	nmea.validate = function(sentence) {
 		var i;
-		var sat;
-		if(tokens.length < 14) {
-			nmea.error('GSV : not enough tokens');
-			return null;
-		}
+		var n;
+		var rest;
+		var parts;
+		var tokens;
+		var rules;
+		var fields;
+		var value;
+		var type;
+		var violations = [];
+
+		var report = function(code, message) {
+			violations.push({ code : code, message : message });
+		};
 
-		// trim whitespace
-		// some parsers may not want the tokens trimmed so the individual parser has to do it if applicable
-		for(i=0;i<tokens.length;++i) {
-			tokens[i] = tokens[i].trim();
+		if(( typeof sentence) !== 'string') {
+			report(nmea.ErrorCodes.INVALID_SENTENCE, 'sentence is not a string');
+			return violations;
+		}
+		// the TAG block (if any) does not count for the sentence length
+		if(sentence.charAt(0) === '\\') {
+			parts = /^\\([^\\*]*)\*([0-9A-F]{2})\\(.*)$/.exec(sentence);
+			if(parts === null) {
+				report(nmea.ErrorCodes.INVALID_SENTENCE, 'malformed TAG block');
+				return violations;
+			}
+			if(!nmea.verifyChecksum('\\' + parts[1], parts[2])) {
+				report(nmea.ErrorCodes.BAD_CHECKSUM, 'TAG block : checksum mismatch');
+			}
+			sentence = parts[3];
+		}
+		// the maximum length includes the line break (CR LF)
+		if(sentence.length + 2 > m_maxSentenceLength) {
+			report(nmea.ErrorCodes.SENTENCE_TOO_LONG, 'sentence longer than ' + m_maxSentenceLength + ' characters');
+		}
+		parts = /^[$!]([^*]*)\*([0-9A-F]{2})$/.exec(sentence);
+		if(parts === null) {
+			report(nmea.ErrorCodes.INVALID_SENTENCE, 'sentence must start with $ or ! and end with a checksum');
+			return violations;
+		}
+		if(/[^\x20-\x7e]|[$!\\^~]/.test(parts[1])) {
+			report(nmea.ErrorCodes.INVALID_CHARACTER, 'sentence has reserved or non printable characters');
+		}
+		if(!nmea.verifyChecksum(sentence.split('*')[0], parts[2])) {
+			report(nmea.ErrorCodes.BAD_CHECKSUM, 'checksum mismatch');
 		}
 
-		gsv = {
-			id : tokens[0].substr(1),
-			msgs: nmea.parseIntX(tokens[1],10),
-			mnum: nmea.parseIntX(tokens[2],10),
-			count: nmea.parseIntX(tokens[3],10),
-			sat:[]
-			};
+		tokens = parts[1].split(',');
+		if(nmea.isProprietaryId(tokens[0])) {
+			// the fields of proprietary sentences are defined by the manufacturer
+			return violations;
+		}
+		if(!/^[A-Z]{5}$/.test(tokens[0])) {
+			report(nmea.ErrorCodes.UNKNOWN_ID, 'id must be exactly 5 characters');
+			return violations;
+		}
+		type = nmea.splitId(tokens[0]).type;
+		rules = m_fieldRules[type];
+		if(rules === undefined) {
+			// no field rules (e.g. AIS sentences)
+			return violations;
+		}
 
-		// extract up to 4 sets of sat data
-		for(i=4;i<tokens.length;i+= 4) {
-			sat = {
-				prn: nmea.parseIntX(tokens[i+0],10),
-				el:nmea.parseIntX(tokens[i+1],10),
-				az:nmea.parseIntX(tokens[i+2],10),
-				ss:nmea.parseIntX(tokens[i+3],10)
-			};
+		// expand the repeated groups of fields
+		n = tokens.length - 1;
+		fields = rules.fields;
+		if(rules.group !== undefined) {
+			rest = Math.max(n - fields.length, 0);
+			for(i = 0; i < Math.floor(rest / rules.group.length) && i < rules.maxGroups; ++i) {
+				fields = fields.concat(rules.group);
+			}
+			if(rest % rules.group.length === rules.trailer.length) {
+				fields = fields.concat(rules.trailer);
+			}
+		}
+		if(n < rules.minFields) {
+			report(nmea.ErrorCodes.TOO_FEW_FIELDS, type + ' : not enough tokens');
+			return violations;
+		}
+		if(n > fields.length) {
+			report(nmea.ErrorCodes.TOO_MANY_FIELDS, type + ' : too many tokens');
+			return violations;
+		}
 
-			gsv.sat.push(sat);
+		for(i = 0; i < n; ++i) {
+			value = tokens[i + 1];
+			if(value === '') {
+				if(fields[i].required) {
+					report(nmea.ErrorCodes.MISSING_FIELD, type + ' : missing ' + fields[i].name);
+				}
+			} else if(!fields[i].format.test(value)) {
+				report(nmea.ErrorCodes.MALFORMED_FIELD, type + ' : malformed ' + fields[i].name + ' : ' + value);
+			} else if((fields[i].min !== null && parseFloat(value) < fields[i].min) ||
+					(fields[i].max !== null && parseFloat(value) > fields[i].max)) {
+				report(nmea.ErrorCodes.OUT_OF_RANGE, type + ' : ' + fields[i].name + ' out of range : ' + value);
+			}
 		}
-		return gsv;
+
+		return violations;
 	};
-};
 
-// =====================================
-// sentence encoders
-// =====================================
-/**
- GGA encoder object
-
- $GPGGA,hhmmss,llll.ll,a,yyyyy.yy,a,x,xx,x.x,x.x,M,x.x,M,x.x,xxxx*hh
-
- GGA = Global Positioning System Fix Data
- 1   = UTC of Position
- 2   = Latitude
- 3   = N or S
- 4   = Longitude
- 5   = E or W
- 6   = GPS quality indicator (0=invalid; 1=GPS fix; 2=Diff. GPS fix)
- 7   = Number of satellites in use [not those in view]
- 8   = Horizontal dilution of position
- 9   = Antenna altitude above/below mean sea level (geoid)
- 10  = Meters	(Antenna height unit)
- 11  = Geoidal separation (Diff. between WGS-84 earth ellipsoid and mean sea
-       level; geoid is below WGS-84 ellipsoid)
- 12  = Meters	(Units of geoidal separation)
- 13  = Age in seconds since last update from diff. reference station
- 14  = Diff. reference station ID#
- 15  = Checksum
-
- input data:
- {
-	 date          : DateTime object, UTC (year,month,day ignored)
-	 latitude      : decimal degrees (north is +)
-	 longitude     : decimal degreees (east is +)
-	 fix           : integer 0,1,2
-	 satellites    : integer 0..32
-	 hdop          : float
-	 altitude      : decimal altitude in meters
-	 aboveGeoid    : decimal altitude in meters
-	 dgpsUpdate    : time in seconds since last dgps update
-	 dgpsReference : differential reference station id
- }
-
- any undefined values will be left blank ',,' (which is allowed in the nmea
- specification)
- */
-nmea.GgaEncoder = function(id) {
-	this.id = id;
-	this.encode = function(id, data) {
-		var a = [];
-		var gga;
+	// report the violations of the NMEA 0183 standard found in a sentence
+	// output: true if the sentence is valid
+	var validateStrictly = function(sentence) {
+		var i;
+		var violations = nmea.validate(sentence);
+		for(i = 0; i < violations.length; ++i) {
+			nmea.error(violations[i].message, violations[i].code);
+		}
+		return violations.length === 0;
+	};
 
-		a.push('$' + id);
-		a.push(nmea.encodeTime(data.date));
-		a.push(nmea.encodeLatitude(data.lat));
-		a.push(nmea.encodeLongitude(data.lon));
-		a.push(nmea.encodeValue(data.fix));
-		a.push(nmea.encodeValue(nmea.padLeft(data.satellites.toString(), 2, '0')));
-		a.push(nmea.encodeFixed(data.hdop, 1));
-		a.push(nmea.encodeAltitude(data.altitude));
-		a.push(nmea.encodeAltitude(data.aboveGeoid));
-		a.push(nmea.encodeFixed(data.dgpsUpdate, 0));
-		a.push(nmea.encodeValue(data.dgpsReference));
+	// =====================================
+	// master parser and encoder
+	// =====================================
 
-		gga = a.join();
+	/** parse a sentence without calling the error handler
+	 * the first error reported while parsing is returned in the result instead
+	 */
+	var parseStructured = function(sentence, line) {
+		var data;
+		var error = null;
+		var handler = m_errorHandler;
+
+		m_errorHandler = function(message, code) {
+			if(error === null) {
+				error = {
+					code : (code !== null) ? code : nmea.ErrorCodes.INVALID_SENTENCE,
+					message : message
+				};
+			}
+		};
+		try {
+			data = nmea.parse(sentence);
+		} finally {
+			m_errorHandler = handler;
+		}
+		if(error === null && data == null) {
+			error = {
+				code : nmea.ErrorCodes.INVALID_SENTENCE,
+				message : 'invalid sentence'
+			};
+		}
 
-		return gga;
+		return {
+			data : (error === null) ? data : null,
+			error : error,
+			line : line,
+			sentence : sentence
+		};
 	};
-};
 
-/**
- RMC encoder object
-
- $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,x.x,x.x,ddmmyy,x.x,a*hh
-
- RMC = Recommended Minimum Specific GPS/TRANSIT Data
- 1   = UTC of position fix
- 2   = Data status (V=navigation receiver warning)
- 3   = Latitude of fix
- 4   = N or S
- 5   = Longitude of fix
- 6   = E or W
- 7   = Speed over ground in knots
- 8   = Track made good in degrees True
- 9   = UT date
- 10  = Magnetic variation degrees (Easterly var. subtracts from true course)
- 11  = E or W
- 12  = Checksum
-
- input:
- {
-	date      : Date UTC
-	status    : String (single character)
-	latitude  : decimal degrees (N is +)
-	longitude : decimal degrees (E is +)
-	speed     : decimal knots
-	course    : decimal degrees
-	variation : decimal magnetic variation (E is -)
- }
- */
-nmea.RmcEncoder = function(id) {
-	this.id = id;
-	this.encode = function(id, data) {
-		var a = [];
-		var rmc;
-		// $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,x.x,x.x,ddmmyy,x.x,a*hh
+	/** master parser function
+	 * handle string tokenizing, find the associated parser and call it if there is one
+	 * the sentence can be preceded by a TAG block, whose parameters are added to
+	 * the result as tagBlock (see nmea.parseTagBlock)
+	 *
+	 * options (optional):
+	 * structured : if true, errors are not passed to the error handler and a
+	 *              result object is returned instead of the parsed data:
+	 *              data     : parsed data (null in case of an error)
+	 *              error    : null or the first error found {code, message}, where
+	 *                         code is one of nmea.ErrorCodes
+	 *              line     : the line number given in the options (or null)
+	 *              sentence : the parsed sentence
+	 * line       : line number of the sentence (only used for structured results)
+	 */
+	nmea.parse = function(sentence, options = {}) {
+		var i;
+		var tokens;
+		var id;
+		var parser;
+		var result;
+		var tagBlock;
+		var checksum;
+		var status;
+		var header;
+		if(options.structured === true) {
+			return parseStructured(sentence, (options.line !== undefined) ? options.line : null);
+		}
+		if(( typeof sentence) !== 'string') {
+			this.error('sentence is not a string', nmea.ErrorCodes.INVALID_SENTENCE);
+			return null;
+		}
+		if(m_strict && !validateStrictly(sentence)) {
+			return null;
+		}
 
-		a.push('$' + id);
-		a.push(nmea.encodeTime(data.date));
-		a.push(nmea.encodeValue(data.status));
-		a.push(nmea.encodeLatitude(data.lat));
-		a.push(nmea.encodeLongitude(data.lon));
-		a.push(nmea.encodeKnots(data.speed));
-		a.push(nmea.encodeDegrees(data.course));
-		a.push(nmea.encodeDate(data.date));
-		a.push(nmea.encodeMagVar(data.variation));
+		// a TAG block can precede the sentence
+		tagBlock = nmea.splitTagBlock(sentence);
+		if(tagBlock === null) {
+			return null;
+		}
+		sentence = tagBlock.sentence;
+		if(tagBlock.tagBlock !== null) {
+			tagBlock = nmea.parseTagBlock(tagBlock.tagBlock);
+			if(tagBlock === null) {
+				return null;
+			}
+		} else {
+			tagBlock = null;
+		}
 
-		rmc = a.join();
+		// find the checksum and remove it prior to tokenizing
+		checksum = sentence.split('*');
+		if(checksum.length === 2) {
+			// there is a checksum
+			sentence = checksum[0];
+			checksum = checksum[1];
+		} else {
+			checksum = null;
+		}
 
-		return rmc;
-	};
-};
+		tokens = sentence.split(',');
+		if(tokens.length < 1) {
+			this.error('must at least have a header', nmea.ErrorCodes.INVALID_SENTENCE);
+			return null;
+		}
 
-/**
- GSA encoder object
-
- $GPGSA,a,x,xx,xx,...,xx,x.x,x.x,x.x*hh
-
- GSA = Overall Satellite data (satellite status)
- 1   = auto selection of 2D or 3D fix (A = automatic, M = manual)
- 2   = 3D fix (1 = no fix, 2 = 2D fix, 3 = 3D fix)
- 3.. = satellite numbers used for the fix (at most 12)
- ..n = PDOP (dilution of precision)
- n+1 = horizontal dilution of precision (HDOP)
- n+2 = vertical dilution of precision (VDOP)
- n+3 = checksum
-
- input data:
- {
-	status     : String (single character)
-	fix        : integer 0,1,2
-	satellites : integer 0-12
-	hdop       : float
-	hdop       : float
-	vdop       : float
- }
- */
-nmea.GsaEncoder = function(id) {
-	this.id = id;
-	this.encode = function(id, data) {
-		var a = [];
-		var gsa;
+		// the 5 character header field is split into the 2 character 'talker id' and
+		// the 3 character 'sentence type' e.g. $GNGGA : talker=GN type=GGA
+		// parsers are registered by sentence type, so a single parser handles a
+		// sentence regardless of which constellation (GP, GL, GA, GB, BD, GN) sent it
+		id = tokens[0].substring(1);
+		if(nmea.isProprietaryId(id)) {
+			// proprietary sentences are handled by the parser of the manufacturer
+			// e.g. $PUBX : talker=P type=PUBX manufacturer=UBX
+			header = {
+				talker : 'P',
+				type : id.substring(0, 4)
+			};
+		} else if(id.length !== 5) {
+			this.error('id must be exactly 5 characters', nmea.ErrorCodes.UNKNOWN_ID);
+			return null;
+		} else {
+			header = nmea.splitId(id);
+		}
 
-		a.push('$' + id);
-		a.push(nmea.encodeValue(data.status));
-		a.push(nmea.encodeValue(data.fix));
+		// checksum format = *HH where HH are hex digits that convert to a 1 byte value
+		if(checksum !== null) {
+			// there is a checksum, replace the last token and verify the checksum
+			status = nmea.verifyChecksum(sentence, checksum);
+			if(status === false) {
+				this.error('checksum mismatch', nmea.ErrorCodes.BAD_CHECKSUM);
+				return null;
+			}
+		}
 
-		/* GSA requires 12 satellite tokens */
-		for (var i = 1; i <= 12; ++i)
-		{
-			if (i <= parseInt(data.satellites))
-			{
-				a.push(nmea.padLeft(i.toString(), 2, '0'));
+		// try all sentence types until one matches
+		parser = null;
+		if(header.talker === 'P') {
+			for( i = 0; i < m_proprietaryParserList.length; ++i) {
+				if(header.type.substring(1) === m_proprietaryParserList[i].manufacturer) {
+					parser = m_proprietaryParserList[i];
+					break;
+				}
 			}
-			else
-			{
-				a.push('');
+		} else {
+			for( i = 0; i < m_parserList.length; ++i) {
+				if(header.type === m_parserList[i].type) {
+					parser = m_parserList[i];
+					break;
+				}
 			}
 		}
+		if(parser === null) {
+			this.error('sentence id not found', nmea.ErrorCodes.UNKNOWN_ID);
+			return null;
+		}
+		result = parser.parse(tokens);
+		if(result == null) {
+			// the parser has already reported the error
+			return null;
+		}
 
-		a.push(nmea.encodeFixed(data.pdop, 1));
-		a.push(nmea.encodeFixed(data.hdop, 1));
-		a.push(nmea.encodeFixed(data.vdop, 1));
-
-		gsa = a.join();
+		result.talker = header.talker;
+		result.type = header.type;
+		if(tagBlock !== null) {
+			result.tagBlock = tagBlock;
+		}
 
-		return gsa;
+		return result;
 	};
-};
 
-/** master parser function
- * handle string tokenizing, find the associated parser and call it if there is one
- */
-nmea.parse = function(sentence) {
-	var i;
-	var tokens;
-	var id;
-	var result;
-	var checksum;
-	var status;
-	if(( typeof sentence) !== 'string') {
-		this.error('sentence is not a string');
-		return null;
-	}
-
-	// find the checksum and remove it prior to tokenizing
-	checksum = sentence.split('*');
-	if(checksum.length === 2) {
-		// there is a checksum
-		sentence = checksum[0];
-		checksum = checksum[1];
-	} else {
-		checksum = null;
-	}
-
-	tokens = sentence.split(',');
-	if(tokens.length < 1) {
-		this.error('must at least have a header');
-		return null;
-	}
-
-	// design decision: the 5 character header field determines the sentence type
-	// this field could be handled in two different ways
-	// 1. split it into the 2 character 'talker id' + 3 character 'sentence id' e.g. $GPGGA : talker=GP id=GGA
-	//		this would leave more room for customization of proprietary talkers that give standard sentences,
-	//		but it would be more complex to deal with
-	// 2. handle it as a single 5 character id string
-	//		much simpler.	for a proprietary talker + standard string, just instantiate the parser twice
-	// This version implements approach #2
-	id = tokens[0].substring(1);
-	if(id.length !== 5) {
-		this.error('i must be exactly 5 characters');
-		return null;
-	}
-
-	// checksum format = *HH where HH are hex digits that convert to a 1 byte value
-	if(checksum !== null) {
-		// there is a checksum, replace the last token and verify the checksum
-		status = nmea.verifyChecksum(sentence, checksum);
-		if(status === false) {
-			this.error('checksum mismatch');
+	/** master encoder
+	 * find the specified id encoder and give it the data to encode. return the result;
+	 * the id is either a 5 character id (e.g. 'GNGGA') or a 3 character sentence
+	 * type (e.g. 'GGA'), in which case the current talker id is used
+	 * proprietary sentences are given by 'P' and the manufacturer code (e.g.
+	 * 'PUBX'), the encoder of the manufacturer builds the rest of the sentence
+	 * encoders of multi-sentence messages (e.g. GSV) return an array of sentences,
+	 * in which case an array of sentences is returned as well
+	 */
+	nmea.encode = function(id, data) {
+		var i;
+		var result;
+		var cks;
+		var header;
+		if(id.length === 3) {
+			header = { talker : m_talkerId, type : id };
+		} else if(nmea.isProprietaryId(id)) {
+			header = { talker : 'P', type : id };
+		} else {
+			header = nmea.splitId(id);
+		}
+		result = null;
+		if(header.talker === 'P') {
+			for( i = 0; i < m_proprietaryEncoderList.length; ++i) {
+				if(header.type.substring(1, 4) === m_proprietaryEncoderList[i].manufacturer) {
+					result = m_proprietaryEncoderList[i].encode(header.type, data);
+				}
+			}
+		} else {
+			for( i = 0; i < m_encoderList.length; ++i) {
+				if(header.type === m_encoderList[i].type) {
+					result = m_encoderList[i].encode(header.talker + header.type, data);
+				}
+			}
+		}
+		if(result == null) {
+			this.error('sentence id not found', nmea.ErrorCodes.UNKNOWN_ID);
 			return null;
 		}
-	}
 
-	// try all id's until one matches
-	result = null;
-	for( i = 0; i < m_parserList.length; ++i) {
-		if(id === m_parserList[i].id) {
-			result = m_parserList[i].parse(tokens);
-			break;
+		// add the checksum
+		if(Array.isArray(result)) {
+			for( i = 0; i < result.length; ++i) {
+				result[i] = result[i] + nmea.computeChecksum(result[i]);
+				if(m_strict && !validateStrictly(result[i])) {
+					return null;
+				}
+			}
+			return result;
+		}
+		cks = nmea.computeChecksum(result);
+		result = result + cks;
+		if(m_strict && !validateStrictly(result)) {
+			return null;
 		}
-	}
-	if(result == null) {
-		this.error('sentence id not found');
-	}
 
-	return result;
-};
+		return result;
+	};
 
-/** master encoder
- * find the specified id encoder and give it the data to encode. return the result;
- */
-nmea.encode = function(id, data) {
-	var i;
-	var result;
-	var cks;
-	result = null;
-	for( i = 0; i < m_encoderList.length; ++i) {
-		if(id === m_encoderList[i].id) {
-			result = m_encoderList[i].encode(id, data);
-		}
-	}
-	if(result == null) {
-		this.error('sentence id not found');
-		return null;
-	}
+	/** public function to print/handle errors
+	 * the code (from nmea.ErrorCodes) tells the handler which kind of error it is
+	 */
+	nmea.error = function(msg, code = null) {
+		if(m_errorHandler !== null) {
+			// call the existing handler
+			m_errorHandler(msg, code);
+		}
+	};
 
-	// add the checksum
-	cks = nmea.computeChecksum(result);
-	result = result + cks;
+	/** public function to	set error handler */
+	nmea.setErrorHandler = function(e) {
+		m_errorHandler = e;
+	};
 
-	return result;
-};
+	/** stream parser object
+	 * parses NMEA data received in chunks of arbitrary size (strings, byte arrays
+	 * or array buffers), e.g. while reading a large file. sentences can be split
+	 * across chunks, lines can end with CR, LF or CR LF and any text which is not
+	 * part of a sentence (garbage) is skipped
+	 *
+	 * options (all optional):
+	 * linePrefix : format of the prefixes of the lines (one of
+	 *              nmea.LinePrefixFormats, default NONE), which are stripped; the
+	 *              UNIX time (seconds) of timestamp prefixes is added to the
+	 *              parsed data of the sentences of the line as receiveTime
+	 * delimiter  : end of the line prefixes (for nmea.LinePrefixFormats.DELIMITER)
+	 *
+	 * events (see on()):
+	 * 'sentence' : function(data, sentence, line) called for every parsed sentence
+	 * 'error'    : function(error, text, line) called for every sentence which
+	 *              could not be parsed and for garbage text, error is an object
+	 *              {code, message} (code is one of nmea.ErrorCodes)
+	 * line numbers start at 1
+	 */
+	nmea.StreamParser = function(options = {}) {
+		var m_buffer = '';
+		var m_line = 0;
+		var m_linePrefix = options.linePrefix || nmea.LinePrefixFormats.NONE;
+		var m_delimiter = options.delimiter || ',';
+		// receive time of the current line (from its prefix)
+		var m_lineTime = null;
+		var m_listeners = { sentence : [], error : [] };
+
+		// longest line kept in the buffer while waiting for a line break
+		var m_maxLineLength = 4096;
+
+		var emit = function(event, a, b, c) {
+			var i;
+			for(i = 0; i < m_listeners[event].length; ++i) {
+				m_listeners[event][i](a, b, c);
+			}
+		};
 
-/** public function to print/handle errors */
-nmea.error = function(msg) {
-	if(m_errorHandler !== null) {
-		// call the existing handler
-		m_errorHandler(msg);
-	}
-};
+		// parse a single sentence, collecting the errors reported while doing it
+		var parseSentence = function(sentence) {
+			var result = nmea.parse(sentence, { structured : true, line : m_line });
+
+			if(result.error !== null) {
+				emit('error', result.error, sentence, m_line);
+			} else {
+				if(m_lineTime !== null) {
+					result.data.receiveTime = m_lineTime;
+				}
+				emit('sentence', result.data, sentence, m_line);
+			}
+		};
 
-/** public function to	set error handler */
-nmea.setErrorHandler = function(e) {
-	m_errorHandler = e;
-};
+		// split text into sentences, each one starting with '$' or '!' (or with the
+		// backslash of the TAG block which precedes it)
+		var splitSentences = function(text) {
+			var end;
+			var next;
+			var start = 0;
+			var sentences = [];
+
+			while(start < text.length) {
+				end = start + 1;
+				if(text.charAt(start) === '\\') {
+					// skip the TAG block and the start of its sentence
+					end = text.indexOf('\\', start + 1) + 2;
+					if(end === 1) {
+						end = text.length;
+					}
+				}
+				next = text.substring(end).search(/[$!\\]/);
+				end = (next === -1) ? text.length : end + next;
+				sentences.push(text.substring(start, end));
+				start = end;
+			}
+			return sentences;
+		};
+
+		// a line can contain garbage and more than one sentence
+		var processLine = function(line) {
+			var i;
+			var sentences;
+			var start;
+			var split = nmea.splitLinePrefix(line, m_linePrefix, m_delimiter);
+
+			m_lineTime = split.time;
+			line = split.sentence;
+			start = line.search(/[$!\\]/);
+
+			if(start === -1) {
+				start = line.length;
+			}
+			if(line.substring(0, start).trim() !== '') {
+				emit('error', { code : nmea.ErrorCodes.GARBAGE, message : 'garbage' }, line.substring(0, start), m_line);
+			}
+			sentences = splitSentences(line.substring(start));
+			for(i = 0; i < sentences.length; ++i) {
+				if(sentences[i].trim() !== '') {
+					parseSentence(sentences[i].trim());
+				}
+			}
+		};
+
+		// convert bytes to a string (NMEA sentences are plain ASCII)
+		var bytesToString = function(bytes) {
+			var i;
+			var s = '';
+			for(i = 0; i < bytes.length; i += 8192) {
+				s = s + String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+			}
+			return s;
+		};
+
+		/** add a listener for an event ('sentence' or 'error') */
+		this.on = function(event, callback) {
+			m_listeners[event].push(callback);
+			return this;
+		};
+
+		/** parse a chunk of data, emitting the events of all complete lines */
+		this.write = function(chunk) {
+			var i;
+			var end;
+			var start;
+			var lines;
+
+			if(typeof chunk !== 'string') {
+				chunk = bytesToString((chunk instanceof ArrayBuffer) ? new Uint8Array(chunk) : chunk);
+			}
+			m_buffer = m_buffer + chunk;
+
+			// a CR at the end of the chunk may be followed by a LF in the next one
+			end = m_buffer.length;
+			if(m_buffer.charAt(end - 1) === '\r') {
+				--end;
+			}
+			lines = m_buffer.substring(0, end).split(/\r\n|\r|\n/);
+			m_buffer = lines.pop() + m_buffer.substring(end);
+			for(i = 0; i < lines.length; ++i) {
+				++m_line;
+				processLine(lines[i]);
+			}
 
-// =======================================================
-// initialize the handlers
-// =======================================================
+			// without line breaks, only the last (possibly incomplete) sentence is
+			// kept in the buffer
+			if(m_buffer.length > m_maxLineLength) {
+				start = Math.max(m_buffer.lastIndexOf('$'), m_buffer.lastIndexOf('!'), 0);
+				// keep the TAG block of the last sentence
+				if(start > 0 && m_buffer.charAt(start - 1) === '\\') {
+					start = Math.max(m_buffer.lastIndexOf('\\', start - 2), 0);
+				}
+				processLine(m_buffer.substring(0, start));
+				m_buffer = m_buffer.substring(start);
+			}
+		};
 
-// add the standard error handler
-nmea.setErrorHandler(function(e) {
-	throw new Error('ERROR:' + e);
-});
+		/** parse the remaining data (a last line without line break) */
+		this.end = function() {
+			if(m_buffer !== '') {
+				++m_line;
+				processLine(m_buffer.replace(/\r$/, ''));
+				m_buffer = '';
+			}
+		};
+	};
 
-// add the standard parsers
-nmea.addParser(new nmea.GgaParser("GPGGA"));
-nmea.addParser(new nmea.RmcParser("GPRMC"));
-nmea.addParser(new nmea.GsvParser("GPGSV"));
+	// =======================================================
+	// initialize the handlers
+	// =======================================================
+
+	// add the standard error handler
+	nmea.setErrorHandler(function(e) {
+		throw new Error('ERROR:' + e);
+	});
+
+	// add the standard parsers
+	nmea.addParser(new nmea.GgaParser("GGA"));
+	nmea.addParser(new nmea.RmcParser("RMC"));
+	nmea.addParser(new nmea.GsvParser("GSV"));
+	nmea.addParser(new nmea.GsaParser("GSA"));
+	nmea.addParser(new nmea.VtgParser("VTG"));
+	nmea.addParser(new nmea.GllParser("GLL"));
+	nmea.addParser(new nmea.ZdaParser("ZDA"));
+	nmea.addParser(new nmea.GstParser("GST"));
+	nmea.addParser(new nmea.HdtParser("HDT"));
+	nmea.addParser(new nmea.HdgParser("HDG"));
+	nmea.addParser(new nmea.ThsParser("THS"));
+	nmea.addParser(new nmea.VdmParser("VDM"));
+	nmea.addParser(new nmea.VdmParser("VDO"));
+
+	// add the proprietary parsers
+	nmea.addProprietaryParser(new nmea.PubxParser("UBX"));
+	nmea.addProprietaryParser(new nmea.PmtkParser("MTK"));
+	nmea.addProprietaryParser(new nmea.PgrmParser("GRM"));
+
+	// add the standard encoders
+	nmea.addEncoder(new nmea.GgaEncoder("GGA"));
+	nmea.addEncoder(new nmea.RmcEncoder("RMC"));
+	nmea.addEncoder(new nmea.GsaEncoder("GSA"));
+	nmea.addEncoder(new nmea.VtgEncoder("VTG"));
+	nmea.addEncoder(new nmea.GllEncoder("GLL"));
+	nmea.addEncoder(new nmea.ZdaEncoder("ZDA"));
+	nmea.addEncoder(new nmea.GsvEncoder("GSV"));
+	nmea.addEncoder(new nmea.GstEncoder("GST"));
+	nmea.addEncoder(new nmea.HdtEncoder("HDT"));
+	nmea.addEncoder(new nmea.HdgEncoder("HDG"));
+	nmea.addEncoder(new nmea.ThsEncoder("THS"));
+	nmea.addEncoder(new nmea.VdmEncoder("VDM"));
+	nmea.addEncoder(new nmea.VdmEncoder("VDO"));
+
+	// add the proprietary encoders
+	nmea.addProprietaryEncoder(new nmea.PubxEncoder("UBX"));
+	nmea.addProprietaryEncoder(new nmea.PmtkEncoder("MTK"));
+	nmea.addProprietaryEncoder(new nmea.PgrmEncoder("GRM"));
+
+	// add the AIS message encoders
+	nmea.addAisEncoder(new nmea.AisPositionReportEncoder(1));
+	nmea.addAisEncoder(new nmea.AisPositionReportEncoder(2));
+	nmea.addAisEncoder(new nmea.AisPositionReportEncoder(3));
+	nmea.addAisEncoder(new nmea.AisStaticVoyageEncoder(5));
+	nmea.addAisEncoder(new nmea.AisClassBPositionReportEncoder(18));
+	nmea.addAisEncoder(new nmea.AisStaticDataReportEncoder(24));
+
+	// add the AIS message decoders
+	nmea.addAisDecoder(new nmea.AisPositionReportDecoder(1));
+	nmea.addAisDecoder(new nmea.AisPositionReportDecoder(2));
+	nmea.addAisDecoder(new nmea.AisPositionReportDecoder(3));
+	nmea.addAisDecoder(new nmea.AisClassBPositionReportDecoder(18));
+
+	return nmea;
+};
 
-// add the standard encoders
-nmea.addEncoder(new nmea.GgaEncoder("GPGGA"));
-nmea.addEncoder(new nmea.RmcEncoder("GPRMC"));
-nmea.addEncoder(new nmea.GsaEncoder("GPGSA"));
+/** default codec */
+var nmea = createNmeaCodec();
+
+// export the default codec when loaded as a module (e.g. in Node.js or by a
+// bundler), otherwise nmea is a global variable as in the single file build
+if(typeof module === 'object' && module.exports) {
+	module.exports = nmea;
+} else if(typeof define === 'function' && define.amd) {
+	define(function() {
+		return nmea;
+	});
+}
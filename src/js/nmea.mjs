@@ -0,0 +1,6 @@
+/** ES module entry point of the NMEA public API (see nmea.js) */
+import nmea from './nmea.js';
+
+export default nmea;
+export var createCodec = nmea.createCodec;
+export var ErrorCodes = nmea.ErrorCodes;
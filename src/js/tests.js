@@ -44,6 +44,55 @@ function randomCoordinates() {
   return L.latLng(randomFloat(52.45, 52.6), randomFloat(13.3, 13.5));
 }
 
+/**
+ * Generates an almanac of a constellation with 24 satellites evenly spread
+ * over 6 orbital planes (similar to the nominal GPS constellation).
+ *
+ * @param {String} format Almanac format ("YUMA" or "SEM").
+ * @return {String} Almanac file contents.
+ */
+function generateTestAlmanac(format) {
+  let text = format === "SEM" ? "24 TEST.ALM\n2300 405504\n" : "";
+  for (let i = 0; i < 24; ++i) {
+    // Angles in semicircles.
+    const rightAscension = Math.floor(i / 4) / 3 - 1;
+    const meanAnomaly = (((i % 4) * 0.5 + Math.floor(i / 4) * 0.08) % 2) - 1;
+    if (format === "SEM") {
+      text +=
+        [
+          "",
+          i + 1,
+          i + 1,
+          "0",
+          "5.0E-03 5.6E-03 -2.4E-09",
+          "5153.6 " + rightAscension + " 0.16",
+          meanAnomaly + " 0.0 0.0",
+          "0",
+          "11"
+        ].join("\n") + "\n";
+    } else {
+      text +=
+        [
+          "******** Week 252 almanac for PRN-" + (i + 1) + " ********",
+          "ID: " + (i + 1),
+          "Health: 000",
+          "Eccentricity: 5.0E-03",
+          "Time of Applicability(s): 405504.0000",
+          "Orbital Inclination(rad): " + Math.PI * 0.3056,
+          "Rate of Right Ascen(r/s): " + Math.PI * -2.4e-9,
+          "SQRT(A)  (m 1/2): 5153.6",
+          "Right Ascen at Week(rad): " + Math.PI * rightAscension,
+          "Argument of Perigee(rad): " + Math.PI * 0.16,
+          "Mean Anom(rad): " + Math.PI * meanAnomaly,
+          "Af0(s): 0.0",
+          "Af1(s/s): 0.0",
+          "week: 252"
+        ].join("\n") + "\n\n";
+    }
+  }
+  return text;
+}
+
 /**
  * Randomly picks a point from the drawn path.
  *
@@ -337,6 +386,18 @@ function userLoadNmeaFile(nmeaData) {
   onNmeaFileDataLoaded(nmeaData, "input.nmea");
 }
 
+/**
+ * Simulates the loading of an almanac file.
+ *
+ * @param {String} almanacData Almanac file contents.
+ * @param {String} system Satellite system selected for the almanac (key of
+ *     SatelliteSystemsEnum).
+ */
+function userLoadAlmanacFile(almanacData, system) {
+  $("#almanac-system").val(system);
+  onAlmanacFileDataLoaded(almanacData, "input.alm");
+}
+
 /**
  * Simulates the loading of a CSV file.
  *
@@ -346,6 +407,33 @@ function userLoadCsvFile(csvData) {
   onCsvFileDataLoaded(csvData, "input.csv");
 }
 
+/**
+ * Simulates the loading of an AIS file.
+ *
+ * @param {String} aisData AIS file contents.
+ */
+function userLoadAisFile(aisData) {
+  onAisFileDataLoaded(aisData, "input.ais");
+}
+
+/**
+ * Simulates the loading of a GPX file.
+ *
+ * @param {String} gpxData GPX file contents.
+ */
+function userLoadGpxFile(gpxData) {
+  onGpxFileDataLoaded(gpxData, "input.gpx");
+}
+
+/**
+ * Simulates the loading of a KML or KMZ file.
+ *
+ * @param {ArrayBuffer} kmlData KML or KMZ file contents.
+ */
+function userLoadKmlFile(kmlData) {
+  onKmlFileDataLoaded(kmlData, "input.kml");
+}
+
 /*******************************************************************************
  *
  *    TEST DEFINITIONS
@@ -642,6 +730,143 @@ function testLoadNmeaData() {
   failIfConditionIsFalse(generateNmeaData() === nmeaData);
 }
 
+function testLoadMultiGnssNmeaData() {
+  const nmeaData =
+    "$GNGGA,215909.285,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*70\n" +
+    "$GNGSA,A,3,01,02,03,04,05,06,07,08,09,10,11,12,1.0,1.0,1.0*2E\n" +
+    "$GNRMC,215909.285,A,5232.252,N,01321.913,E,1314.7,090.0,251216,000.0,W*5E\n" +
+    "$GNGGA,215910.285,5232.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*77\n" +
+    "$GNGSA,A,3,01,02,03,04,05,06,07,08,09,10,11,12,1.0,1.0,1.0*2E\n" +
+    "$GNRMC,215910.285,A,5232.252,N,01322.513,E,2161.5,000.0,251216,000.0,W*51\n" +
+    "$GNGGA,215911.285,5232.852,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*7C\n" +
+    "$GNGSA,A,3,01,02,03,04,05,06,07,08,09,10,11,12,1.0,1.0,1.0*2E\n" +
+    "$GNRMC,215911.285,A,5232.852,N,01322.513,E,1314.4,270.0,251216,000.0,W*5D\n" +
+    "$GNGGA,215912.285,5232.852,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*70\n" +
+    "$GNGSA,A,3,01,02,03,04,05,06,07,08,09,10,11,12,1.0,1.0,1.0*2E\n" +
+    "$GNRMC,215912.285,A,5232.852,N,01321.913,E,1314.4,270.0,251216,000.0,W*51\n";
+  userLoadNmeaFile(nmeaData);
+
+  const date = new Date(Date.UTC(2016, 11, 25, 21, 59, 9, 285));
+  failIfConditionIsFalse(pointArray.length === 4);
+  failIfConditionIsFalse(startDate.getTime() === date.getTime());
+  failIfConditionIsFalse(talkerId === "GN");
+  failIfConditionIsFalse($("#talker-id").val() === "GN");
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+
+  // The same parser handles a sentence type regardless of its talker ID.
+  for (const id of talkerIds) {
+    const sentence = nmea.encode(id + "GGA", {
+      date: date,
+      lat: 52.537525,
+      lon: 13.365224,
+      fix: 1,
+      satellites: 12
+    });
+    const ggaData = nmea.parse(sentence);
+    failIfConditionIsFalse(ggaData.id === id + "GGA");
+    failIfConditionIsFalse(ggaData.talker === id);
+    failIfConditionIsFalse(ggaData.type === "GGA");
+  }
+}
+
+function testLoadGllNmeaData() {
+  const gllData =
+    "$GPGLL,5232.252,N,01321.913,E,101500.000,A,A*55\n" +
+    "$GPGLL,5232.352,N,01321.913,E,101500.500,A,A*51\n" +
+    "$GPGLL,5232.452,N,01321.913,E,101501.000,A,A*52\n";
+  const nmeaData =
+    "$GPRMC,101500.000,A,5232.252,N,01321.913,E,,,010520,000.0,W*70\n" +
+    gllData;
+  userLoadNmeaFile(nmeaData);
+
+  // With no GGA sentences available, the path is built from the GLL sentences.
+  const date = new Date(Date.UTC(2020, 4, 1, 10, 15, 0, 0));
+  failIfConditionIsFalse(pointArray.length === 3);
+  failIfConditionIsFalse(gpsFrequency === 2.0);
+  failIfConditionIsFalse(startDate.getTime() === date.getTime());
+  checkNumUndoRedoActions(1, 0);
+
+  setOutputSentenceTypes(["GLL"]);
+  failIfConditionIsFalse(generateNmeaData() === gllData);
+}
+
+function testLoadZdaNmeaData() {
+  // The ZDA sentence is used for the start date even if an RMC sentence with a
+  // different date is present; the first GGA sentence happens one day before
+  // the ZDA sentence.
+  const nmeaData =
+    "$GPGGA,235959.500,5233.053,N,01322.057,E,1,12,1.0,0.0,M,0.0,M,,*6B\n" +
+    "$GPZDA,000000.000,01,01,2000,00,00*54\n" +
+    "$GPGGA,000000.500,5233.053,N,01323.705,E,1,12,1.0,0.0,M,0.0,M,,*6B\n" +
+    "$GPRMC,000000.500,A,5233.053,N,01323.705,E,,,020100,000.0,W*7C\n";
+  userLoadNmeaFile(nmeaData);
+
+  const date = new Date(Date.UTC(1999, 11, 31, 23, 59, 59, 500));
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 1.0);
+  failIfConditionIsFalse(startDate.getTime() === date.getTime());
+  failIfConditionIsFalse($("#start-date").val() === "1999-12-31");
+  failIfConditionIsFalse($("#start-time").val() === "23:59:59.500");
+
+  // ZDA sentences written before the receiver has the time are ignored (the
+  // start date is then taken from the RMC sentence).
+  const emptyZdaData = "$GNZDA,,,,,00,00*56\n";
+  userLoadNmeaFile(emptyZdaData + nmeaData);
+  failIfConditionIsFalse(startDate.getTime() === date.getTime());
+  userLoadNmeaFile(
+    emptyZdaData +
+      nmeaData.replace("$GPZDA,000000.000,01,01,2000,00,00*54\n", "")
+  );
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2000, 0, 1, 23, 59, 59, 500)
+  );
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("Valid ZDA sentences read: 0.") !== -1
+  );
+}
+
+function testLoadGsaNmeaData() {
+  // The fix quality data of each epoch is preserved on a load and generate
+  // round trip, also after editing the path.
+  const nmeaData =
+    "$GPGGA,215909.285,5232.252,N,01321.913,E,1,04,1.3,0.0,M,0.0,M,,*6A\n" +
+    "$GPGSA,A,3,03,07,19,22,,,,,,,,,2.5,1.3,2.1*38\n" +
+    "$GPGGA,215910.285,5232.264,N,01321.925,E,1,03,2.2,0.0,M,0.0,M,,*67\n" +
+    "$GPGSA,M,2,05,11,30,,,,,,,,,,3.4,2.2,2.6*3A\n";
+  userLoadNmeaFile(nmeaData);
+  failIfConditionIsFalse(pointArray.length === 2);
+  const quality = getPointQuality(1);
+  failIfConditionIsFalse(quality.mode === "M");
+  failIfConditionIsFalse(quality.fix === 2);
+  failIfConditionIsFalse(quality.prns.join() === "5,11,30");
+  failIfConditionIsFalse(quality.pdop === 3.4);
+  failIfConditionIsFalse(quality.hdop === 2.2);
+  failIfConditionIsFalse(quality.vdop === 2.6);
+
+  setOutputSentenceTypes(["GGA", "GSA"]);
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.547525, 13.375224));
+  failIfConditionIsFalse(getPointQuality(2).prns.length === numSatellites);
+  userClickUndo();
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+}
+
+function testGenerateZdaNmeaData() {
+  const date = new Date(Date.UTC(2016, 11, 25, 21, 59, 9, 285));
+  setStartDate(date);
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  setOutputSentenceTypes(["ZDA"]);
+  failIfConditionIsFalse(
+    generateNmeaData() === "$GPZDA,215909.285,25,12,2016,00,00*5E\n"
+  );
+}
+
 function testLoadCsvData() {
   const csvData =
     "52.518509,13.399575\n" +
@@ -780,6 +1005,1484 @@ function testGenerateNmeaData() {
     "$GPGSA,A,3,01,02,03,04,05,06,07,08,09,10,11,12,1.0,1.0,1.0*30\n" +
     "$GPRMC,215912.285,A,5232.852,N,01321.913,E,1314.4,270.0,251216,000.0,W*4F\n";
   failIfConditionIsFalse(generateNmeaData() === nmeaData);
+
+  // Emit the same sentences under a different talker ID.
+  setTalkerId("GN");
+  const gpSentences = nmeaData.split("\n");
+  const gnSentences = generateNmeaData().split("\n");
+  failIfConditionIsFalse(gnSentences.length === gpSentences.length);
+  for (let i = 0; i < gpSentences.length - 1; ++i) {
+    const gpBody = gpSentences[i].split("*")[0].substring(3);
+    const gnBody = gnSentences[i].split("*")[0].substring(3);
+    failIfConditionIsFalse(gnSentences[i].startsWith("$GN"));
+    failIfConditionIsFalse(gnBody === gpBody);
+    failIfConditionIsFalse(
+      nmea.verifyChecksum(
+        gnSentences[i].split("*")[0],
+        gnSentences[i].split("*")[1]
+      )
+    );
+  }
+}
+
+function testGenerateNmeaDataWithVtg() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  userClickOnMap(L.latLng(52.547525, 13.375224));
+  setNmeaVersion("2.3");
+  setOutputSentenceTypes(["GGA", "RMC", "VTG"]);
+  failIfConditionIsFalse($("#output-sentences input:checked").length === 3);
+
+  // Each point yields a GGA, an RMC and a VTG sentence (in this order).
+  const sentences = generateNmeaData()
+    .split("\n")
+    .filter(function(sentence) {
+      return sentence !== "";
+    });
+  failIfConditionIsFalse(sentences.length === 3 * pointArray.length);
+  for (let i = 0; i < pointArray.length; ++i) {
+    const rmcData = nmea.parse(sentences[3 * i + 1]);
+    const vtgData = nmea.parse(sentences[3 * i + 2]);
+    failIfConditionIsFalse(rmcData.type === "RMC");
+    failIfConditionIsFalse(vtgData.type === "VTG");
+    failIfConditionIsFalse(vtgData.course === rmcData.course);
+    failIfConditionIsFalse(vtgData.speed === rmcData.speed);
+    failIfConditionIsFalse(
+      Math.abs(vtgData.speedKph - 1.852 * vtgData.speed) < 0.1
+    );
+    failIfConditionIsFalse(vtgData.mode === "A");
+  }
+}
+
+function testGenerateGsvNmeaData() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  setOutputSentenceTypes(["GSA", "GSV"]);
+
+  // Each point yields a GSA sentence followed by a group of GSV sentences (at
+  // most four satellites per GSV sentence).
+  const numGsvSentences = Math.ceil(numSatellites / 4);
+  const sentences = generateNmeaData()
+    .split("\n")
+    .filter(function(sentence) {
+      return sentence !== "";
+    });
+  failIfConditionIsFalse(
+    sentences.length === (1 + numGsvSentences) * pointArray.length
+  );
+  for (let i = 0; i < pointArray.length; ++i) {
+    const gsaSentence = sentences[(1 + numGsvSentences) * i];
+    const gsaPrns = gsaSentence
+      .split("*")[0]
+      .split(",")
+      .slice(3, 15)
+      .filter(function(prn) {
+        return prn !== "";
+      })
+      .map(function(prn) {
+        return parseInt(prn);
+      });
+    const gsvPrns = [];
+    for (let j = 1; j <= numGsvSentences; ++j) {
+      const gsvData = nmea.parse(sentences[(1 + numGsvSentences) * i + j]);
+      failIfConditionIsFalse(gsvData.type === "GSV");
+      failIfConditionIsFalse(gsvData.msgs === numGsvSentences);
+      failIfConditionIsFalse(gsvData.mnum === j);
+      failIfConditionIsFalse(gsvData.count === numSatellites);
+      for (const satellite of gsvData.sat) {
+        gsvPrns.push(satellite.prn);
+      }
+    }
+    failIfConditionIsFalse(gsvPrns.length === numSatellites);
+    failIfConditionIsFalse(gsaPrns.length === numSatellites);
+    for (const prn of gsaPrns) {
+      failIfConditionIsFalse(gsvPrns.indexOf(prn) !== -1);
+    }
+  }
+}
+
+function testGenerateNmeaDataFromAlmanac() {
+  setStartDate(new Date(Date.UTC(2024, 1, 1, 12, 0, 0, 0)));
+  userLoadAlmanacFile(generateTestAlmanac("YUMA"), "GPS");
+  failIfConditionIsFalse(almanacs.length === 1);
+  failIfConditionIsFalse($("#loaded-almanacs").text() === "GPS (24)");
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  setOutputSentenceTypes(["GGA", "GSA", "GSV"]);
+
+  // The satellites used in the fix must be in view and above the elevation
+  // mask, and GGA/GSA sentences must agree on the fix quality.
+  const yumaNmeaData = generateNmeaData();
+  const parsedSentences = yumaNmeaData
+    .split("\n")
+    .filter(function(sentence) {
+      return sentence !== "";
+    })
+    .map(function(sentence) {
+      return nmea.parse(sentence);
+    });
+  const ggaData = parsedSentences[0];
+  const gsaData = parsedSentences[1];
+  const gsvPrns = [];
+  for (const sentenceData of parsedSentences.slice(2)) {
+    if (sentenceData.type !== "GSV") {
+      break;
+    }
+    for (const satellite of sentenceData.sat) {
+      failIfConditionIsFalse(satellite.el >= elevationMask);
+      gsvPrns.push(satellite.prn);
+    }
+  }
+  failIfConditionIsFalse(gsaData.type === "GSA");
+  failIfConditionIsFalse(gsaData.fix === 3);
+  failIfConditionIsFalse(gsaData.prns.length >= 4);
+  failIfConditionIsFalse(ggaData.satellites === gsaData.prns.length);
+  failIfConditionIsFalse(ggaData.hdop === gsaData.hdop);
+  failIfConditionIsFalse(gsaData.hdop > 0.5 && gsaData.hdop < 5.0);
+  for (const prn of gsaData.prns) {
+    failIfConditionIsFalse(gsvPrns.indexOf(prn) !== -1);
+  }
+
+  // The same constellation in SEM format replaces the YUMA almanac.
+  userLoadAlmanacFile(generateTestAlmanac("SEM"), "GPS");
+  failIfConditionIsFalse(almanacs.length === 1);
+  failIfConditionIsFalse(generateNmeaData() === yumaNmeaData);
+
+  // No satellites are in view with a 90 degree elevation mask.
+  setElevationMask(90.0);
+  const noFixData = generateNmeaData().split("\n");
+  failIfConditionIsFalse(nmea.parse(noFixData[0]).fix === 0);
+  failIfConditionIsFalse(nmea.parse(noFixData[1]).fix === 1);
+  failIfConditionIsFalse(nmea.parse(noFixData[1]).prns.length === 0);
+}
+
+function testGenerateMultiGnssGsvNmeaData() {
+  setStartDate(new Date(Date.UTC(2024, 1, 1, 12, 0, 0, 0)));
+  userLoadAlmanacFile(generateTestAlmanac("YUMA"), "GPS");
+  userLoadAlmanacFile(generateTestAlmanac("YUMA"), "GALILEO");
+  failIfConditionIsFalse(almanacs.length === 2);
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  setTalkerId("GN");
+  setNmeaVersion("4.10");
+  setOutputSentenceTypes(["GGA", "GSA", "GSV"]);
+
+  // Multi-GNSS receivers write one group of GSV sentences per satellite
+  // system, with its own talker ID, satellite numbers and signal ID. The GSA
+  // sentences of each system use the same satellite numbers.
+  const quality = getPointQuality(0);
+  const satellites = quality.satellites;
+  const galileoSatellites = satellites.filter(function(satellite) {
+    return getSatelliteSystem(satellite.prn) === SatelliteSystemsEnum.GALILEO;
+  });
+  failIfConditionIsFalse(galileoSatellites.length > 0);
+  failIfConditionIsFalse(galileoSatellites.length < satellites.length);
+  const gsvPrns = { GP: [], GA: [] };
+  const gsaPrns = { 1: [], 3: [] };
+  const nmeaData = generateNmeaData();
+  for (const sentence of nmeaData.trim().split("\n")) {
+    const gsvData = nmea.parse(sentence);
+    const gsvTalkerId = sentence.substring(1, 3);
+    if (gsvData.type === "GSA") {
+      failIfConditionIsFalse(gsvData.systemId in gsaPrns);
+      gsaPrns[gsvData.systemId] = gsvData.prns;
+      continue;
+    } else if (gsvData.type === "GGA") {
+      continue;
+    }
+    failIfConditionIsFalse(gsvData.type === "GSV");
+    failIfConditionIsFalse(gsvTalkerId in gsvPrns);
+    failIfConditionIsFalse(gsvData.signalId === (gsvTalkerId === "GA" ? 7 : 1));
+    for (const satellite of gsvData.sat) {
+      failIfConditionIsFalse(satellite.prn >= 1 && satellite.prn <= 36);
+      gsvPrns[gsvTalkerId].push(satellite.prn);
+    }
+  }
+  failIfConditionIsFalse(gsvPrns.GA.length === galileoSatellites.length);
+  failIfConditionIsFalse(
+    gsvPrns.GP.length === satellites.length - galileoSatellites.length
+  );
+  for (const satellite of galileoSatellites) {
+    failIfConditionIsFalse(gsvPrns.GA.indexOf(satellite.prn - 300) !== -1);
+  }
+  failIfConditionIsFalse(gsaPrns[3].length > 0);
+  failIfConditionIsFalse(
+    gsaPrns[1].length + gsaPrns[3].length === quality.prns.length
+  );
+  for (const prn of gsaPrns[1]) {
+    failIfConditionIsFalse(gsvPrns.GP.indexOf(prn) !== -1);
+  }
+  for (const prn of gsaPrns[3]) {
+    failIfConditionIsFalse(gsvPrns.GA.indexOf(prn) !== -1);
+  }
+
+  // The satellites keep their numbers when the log is loaded (the GSA
+  // sentences list them by system).
+  userLoadNmeaFile(nmeaData);
+  const sortPrns = function(prns) {
+    return prns.slice().sort(function(a, b) {
+      return a - b;
+    });
+  };
+  failIfConditionIsFalse(
+    sortPrns(getPointQuality(0).prns).join() === sortPrns(quality.prns).join()
+  );
+}
+
+function testGenerateGstNmeaData() {
+  const date = new Date(Date.UTC(2016, 11, 25, 21, 59, 9, 285));
+  setStartDate(date);
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  setOutputSentenceTypes(["GST"]);
+
+  // Without almanacs, the error ellipse is a circle derived from the HDOP.
+  const nmeaData =
+    "$GPGST,215909.285,3.000,2.121,2.121,0.0,2.121,2.121,3.000*6E\n";
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+  const gstData = nmea.parse(nmeaData.trim());
+  failIfConditionIsFalse(gstData.type === "GST");
+  failIfConditionIsFalse(gstData.rms === rangeError);
+  failIfConditionIsFalse(gstData.altitudeError === 3.0);
+
+  // With an almanac, the error ellipse follows the satellite geometry.
+  setStartDate(new Date(Date.UTC(2024, 1, 1, 12, 0, 0, 0)));
+  userLoadAlmanacFile(generateTestAlmanac("YUMA"), "GPS");
+  setRangeError(5.0);
+  const quality = getPointQuality(0);
+  const almanacGstData = nmea.parse(generateNmeaData().trim());
+  const horizontalError = Math.hypot(
+    almanacGstData.latitudeError,
+    almanacGstData.longitudeError
+  );
+  failIfConditionIsFalse(almanacGstData.rms === 5.0);
+  failIfConditionIsFalse(almanacGstData.semiMajor >= almanacGstData.semiMinor);
+  failIfConditionIsFalse(Math.abs(horizontalError - 5.0 * quality.hdop) < 0.01);
+  failIfConditionIsFalse(
+    Math.abs(almanacGstData.altitudeError - 5.0 * quality.vdop) < 0.001
+  );
+}
+
+function testGenerateHeadingNmeaData() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  setOutputSentenceTypes(["HDT", "HDG", "THS"]);
+
+  // By default, the heading is equal to the bearing angle.
+  const nmeaData =
+    "$GPHDT,090.0,T*3C\n" +
+    "$GPHDG,090.0,000.0,W,000.0,W*57\n" +
+    "$GPTHS,090.0,A*3E\n" +
+    "$GPHDT,090.0,T*3C\n" +
+    "$GPHDG,090.0,000.0,W,000.0,W*57\n" +
+    "$GPTHS,090.0,A*3E\n";
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+
+  // Override the heading of the last point (reversing vehicle).
+  userSelectTool(ToolsEnum.EDITPOINT);
+  userClickPoint(pointArray[1]);
+  $("#selected-point-heading").focusin();
+  $("#selected-point-heading").val("270");
+  $("#selected-point-heading").focusout();
+  userClickOnMap(randomCoordinates());
+  failIfConditionIsFalse(pointArray[1].heading === 270.0);
+  failIfConditionIsFalse(getPointBearing(1) !== getPointHeading(1));
+  const reversingNmeaData =
+    "$GPHDT,090.0,T*3C\n" +
+    "$GPHDG,090.0,000.0,W,000.0,W*57\n" +
+    "$GPTHS,090.0,A*3E\n" +
+    "$GPHDT,270.0,T*30\n" +
+    "$GPHDG,270.0,000.0,W,000.0,W*5B\n" +
+    "$GPTHS,270.0,A*32\n";
+  failIfConditionIsFalse(generateNmeaData() === reversingNmeaData);
+  const hdtData = nmea.parse("$GPHDT,270.0,T*30");
+  failIfConditionIsFalse(hdtData.type === "HDT" && hdtData.heading === 270.0);
+
+  // Heading overrides are undone/redone like any other edit.
+  userClickUndo();
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+  userClickRedo();
+  failIfConditionIsFalse(generateNmeaData() === reversingNmeaData);
+
+  // An empty heading restores the default behavior.
+  userClickPoint(pointArray[1]);
+  $("#selected-point-heading").focusin();
+  $("#selected-point-heading").val("");
+  $("#selected-point-heading").focusout();
+  failIfConditionIsFalse(pointArray[1].heading === null);
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+}
+
+function testGenerateNmeaDataVersions() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  setOutputSentenceTypes(["GSA", "GSV", "RMC", "VTG", "GLL"]);
+
+  // Number of fields of each sentence type on each NMEA version.
+  const numFields = {
+    "2.1": { GSA: 18, GSV: 20, RMC: 12, VTG: 9, GLL: 7 },
+    "2.3": { GSA: 18, GSV: 20, RMC: 13, VTG: 10, GLL: 8 },
+    "4.10": { GSA: 19, GSV: 21, RMC: 14, VTG: 10, GLL: 8 },
+    "4.11": { GSA: 19, GSV: 21, RMC: 14, VTG: 10, GLL: 8 }
+  };
+  for (const version of nmeaVersions) {
+    setNmeaVersion(version);
+    failIfConditionIsFalse($("#nmea-version").val() === version);
+    const sentences = generateNmeaData()
+      .split("\n")
+      .filter(function(sentence) {
+        return sentence !== "";
+      });
+    for (const sentence of sentences) {
+      const type = sentence.substring(3, 6);
+      const fields = sentence.split("*")[0].split(",");
+      failIfConditionIsFalse(fields.length === numFields[version][type]);
+      // The parsers detect the oldest version with a matching field layout.
+      const parsedVersion = nmea.parse(sentence).version;
+      failIfConditionIsFalse(nmea.compareVersions(parsedVersion, version) <= 0);
+    }
+  }
+}
+
+function testLoadNmeaDataVersion() {
+  // A multi-GNSS receiver using NMEA 4.10 outputs one GSA sentence per
+  // satellite system.
+  const nmeaData =
+    "$GNGGA,215909.285,5232.252,N,01321.913,E,1,04,1.3,0.0,M,0.0,M,,*74\n" +
+    "$GNGSA,A,3,05,12,,,,,,,,,,,2.5,1.3,2.1,1*31\n" +
+    "$GNGSA,A,3,70,71,,,,,,,,,,,2.5,1.3,2.1,2*35\n" +
+    "$GNRMC,215909.285,A,5232.252,N,01321.913,E,,,251216,000.0,W,A,V*70\n";
+  userLoadNmeaFile(nmeaData);
+  failIfConditionIsFalse(nmeaVersion === "4.10");
+  failIfConditionIsFalse(talkerId === "GN");
+  failIfConditionIsFalse(getPointQuality(0).prns.length === 4);
+  setOutputSentenceTypes(["GGA", "GSA", "RMC"]);
+  failIfConditionIsFalse(generateNmeaData() === nmeaData);
+}
+
+function testGenerateAisData() {
+  // Position report of a published AIS log (with the rate of turn not
+  // available).
+  const positionReport = nmea.encode("AIVDM", {
+    message: {
+      type: 1,
+      mmsi: 371798000,
+      status: 0,
+      rateOfTurn: null,
+      speed: 12.3,
+      accuracy: true,
+      lat: 48.381633333,
+      lon: -123.395383333,
+      course: 224.0,
+      heading: 215,
+      date: new Date(Date.UTC(2016, 11, 25, 21, 59, 33)),
+      radio: 34017
+    },
+    channel: "A"
+  });
+  failIfConditionIsFalse(positionReport.length === 1);
+  failIfConditionIsFalse(
+    positionReport[0] === "!AIVDM,1,1,,A,15RTgt0P1so;90TKcjM8h6g208CQ,0*3A"
+  );
+
+  // Static and voyage data (424 bits) does not fit in a single sentence.
+  const staticData = nmea.encode("AIVDM", {
+    message: {
+      type: 5,
+      mmsi: 351759000,
+      imo: 9134270,
+      callSign: "3FOF8",
+      shipName: "Ever Diadem",
+      shipType: 70,
+      dimensions: { bow: 225, stern: 70, port: 1, starboard: 31 },
+      epfd: 1,
+      eta: new Date(Date.UTC(2016, 4, 15, 14, 0)),
+      draught: 12.2,
+      destination: "NEW YORK"
+    },
+    channel: "B",
+    sequenceId: 1
+  });
+  failIfConditionIsFalse(staticData.length === 2);
+  failIfConditionIsFalse(
+    staticData[0] ===
+      "!AIVDM,2,1,1,B,55?MbV02;H;s<HtKP00EHE:0@T4@Dl0000000016L961O5Gf0NSQEp6ClRh0,0*0D"
+  );
+  failIfConditionIsFalse(staticData[1] === "!AIVDM,2,2,1,B,00000000000,2*26");
+
+  // Three points, 200 seconds apart: the static data is reported with the
+  // first and the last position reports.
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  userClickOnMap(L.latLng(52.547525, 13.375224));
+  setGpsFrequency(0.005);
+  // Payloads start with the (6-bit armored) message type, except the second
+  // fragments of type 5 messages.
+  const classAMessageTypes = ["5", "0", "1", "1", "5", "0", "1"];
+  const classASentences = generateAisData().split("\n");
+  failIfConditionIsFalse(classASentences.length === 8);
+  for (let i = 0; i < classAMessageTypes.length; ++i) {
+    const fields = classASentences[i].split("*")[0].split(",");
+    failIfConditionIsFalse(fields[0] === "!AIVDM");
+    failIfConditionIsFalse(fields[5][0] === classAMessageTypes[i]);
+    failIfConditionIsFalse(
+      nmea.verifyChecksum(
+        classASentences[i].split("*")[0],
+        classASentences[i].split("*")[1]
+      )
+    );
+  }
+
+  // Messages are transmitted alternately on both channels.
+  failIfConditionIsFalse(classASentences[1].split(",")[4] === "A");
+  failIfConditionIsFalse(classASentences[2].split(",")[4] === "B");
+  failIfConditionIsFalse(classASentences[4].split(",")[3] === "1");
+
+  // Class B vessels report their static data in two parts (type 24).
+  $("#ais-class").val("B");
+  $("#ais-class").change();
+  $("#ais-sentence-type").val("VDO");
+  $("#ais-sentence-type").change();
+  const classBMessageTypes = ["H", "H", "B", "B", "H", "H", "B"];
+  const classBSentences = generateAisData().split("\n");
+  failIfConditionIsFalse(classBSentences.length === 8);
+  for (let i = 0; i < classBMessageTypes.length; ++i) {
+    const fields = classBSentences[i].split(",");
+    failIfConditionIsFalse(fields[0] === "!AIVDO" && fields[1] === "1");
+    failIfConditionIsFalse(fields[5][0] === classBMessageTypes[i]);
+  }
+
+  // Invalid MMSIs and ship names are rejected.
+  $("#vessel-mmsi").focusin();
+  $("#vessel-mmsi").val("12345");
+  $("#vessel-mmsi").trigger("input");
+  failIfConditionIsFalse($("#vessel-mmsi").hasClass("invalid-value"));
+  $("#vessel-mmsi").val("244123456");
+  $("#vessel-mmsi").trigger("input");
+  $("#vessel-mmsi").focusout();
+  failIfConditionIsFalse(vesselMmsi === 244123456);
+  $("#vessel-name").focusin();
+  $("#vessel-name").val("Mary Rose");
+  $("#vessel-name").trigger("input");
+  $("#vessel-name").focusout();
+  failIfConditionIsFalse(vesselName === "MARY ROSE");
+}
+
+function testLoadAisData() {
+  // Fragments of multi fragment messages are reassembled before decoding.
+  const fragmentAssembler = new nmea.AisFragmentAssembler();
+  const staticData = [
+    "!AIVDM,2,1,3,B,55?MbV02;H;s<HtKP00EHE:0@T4@Dl0000000016L961O5Gf0NSQEp6ClRh0,0*0F",
+    "!AIVDM,2,2,3,B,00000000000,2*24"
+  ];
+  failIfConditionIsFalse(
+    fragmentAssembler.add(nmea.parse(staticData[0])) === null
+  );
+  const messageData = fragmentAssembler.add(nmea.parse(staticData[1]));
+  failIfConditionIsFalse(messageData.payload.length === 71);
+  failIfConditionIsFalse(messageData.fillBits === 2);
+  failIfConditionIsFalse(
+    nmea.dearmorAisPayload(messageData.payload, 2).length === 424
+  );
+
+  const report = nmea.decodeAisMessage("15RTgt0PAso;90TKcjM8h6g208CQ", 0);
+  failIfConditionIsFalse(report.type === 1 && report.mmsi === 371798000);
+  failIfConditionIsFalse(report.speed === 12.3 && report.course === 224.0);
+  failIfConditionIsFalse(Math.abs(report.latitude - 48.381633) < 1e-6);
+  failIfConditionIsFalse(Math.abs(report.longitude + 123.395383) < 1e-6);
+  failIfConditionIsFalse(report.heading === 215 && report.second === 33);
+
+  // A single vessel is loaded right away.
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  userClickOnMap(L.latLng(52.547525, 13.375224));
+  setGpsFrequency(0.5);
+  const pathCoordinates = pointArray.map(function(point) {
+    return point.getLatLng();
+  });
+  const classAData = generateAisData();
+  setVesselMmsi(244123456);
+  setAisClass("B");
+  const classBData = generateAisData();
+  setGpsFrequency(1.0);
+  userLoadAisFile(classAData);
+  failIfConditionIsFalse(pointArray.length === 3);
+  failIfConditionIsFalse(gpsFrequency === 0.5);
+  failIfConditionIsFalse(vesselMmsi === 123456789 && aisClass === "A");
+  for (let i = 0; i < pointArray.length; ++i) {
+    const coordinates = pointArray[i].getLatLng();
+    failIfConditionIsFalse(coordinates.distanceTo(pathCoordinates[i]) < 0.5);
+  }
+  failIfConditionIsFalse(pointArray[0].heading === 90);
+  failIfConditionIsFalse(pointArray[2].heading === 0);
+
+  // With multiple vessels, the user chooses the one to load (the current path
+  // is kept until then).
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(randomCoordinates());
+  const otherData =
+    "!AIVDM,1,1,,A,15RTgt0PAso;90TKcjM8h6g208CQ,0*4A\n" +
+    "$GPZDA,215909.285,25,12,2016,00,00*5A\n" +
+    "!AIVDM,1,1,,A,15RTgt0PAso;90TKcjM8h6g208CQ,0*00\n";
+  userLoadAisFile(classAData + otherData + classBData);
+  failIfConditionIsFalse(pointArray.length === 4);
+  failIfConditionIsFalse($("#ais-vessels li").length === 3);
+  failIfConditionIsFalse(
+    $("#ais-vessels li")
+      .text()
+      .indexOf("244123456") !== -1
+  );
+  $("#ais-vessels li a")
+    .filter(function() {
+      return $(this).text() === "244123456 (3 reports)";
+    })
+    .click();
+  failIfConditionIsFalse($("#ais-vessels").length === 0);
+  failIfConditionIsFalse(pointArray.length === 3);
+  failIfConditionIsFalse(vesselMmsi === 244123456 && aisClass === "B");
+}
+
+function testLoadUbloxNmeaData() {
+  // A u-blox receiver configured to output its proprietary sentences only.
+  const timeData =
+    "$PUBX,04,215909.285,251216,79149.29,1929,18,1930035,-2660.664,43,*1D\n";
+  const positionData =
+    "$PUBX,00,215909.285,5232.25150,N,01321.91344,E,0.000,G3,3.0,3.0,2434.802,90.00,0.000,,1.00,1.00,,12,0,0*79\n" +
+    "$PUBX,00,215910.285,5232.25150,N,01322.51344,E,0.000,G3,3.0,3.0,2434.802,90.00,0.000,,1.00,1.00,,12,0,0*7E\n";
+  userLoadNmeaFile(timeData + positionData + "$PMTK001,220,3*30\n");
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 1.0);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2016, 11, 25, 21, 59, 9, 285)
+  );
+  setOutputSentenceTypes(["PUBX"]);
+  failIfConditionIsFalse(generateNmeaData() === positionData);
+
+  // The speed is unknown (empty) on a path with a single point.
+  userLoadNmeaFile(timeData + positionData.split("\n")[0] + "\n");
+  failIfConditionIsFalse(pointArray.length === 1);
+  failIfConditionIsFalse(generateNmeaData().split(",")[11] === "");
+  userLoadNmeaFile(timeData + positionData);
+
+  // Proprietary sentences are parsed/encoded by manufacturer.
+  const timeSentence = nmea.parse(timeData.trim());
+  failIfConditionIsFalse(timeSentence.talker === "P");
+  failIfConditionIsFalse(timeSentence.type === "PUBX");
+  failIfConditionIsFalse(timeSentence.message === "04");
+  failIfConditionIsFalse(timeSentence.leapSeconds === 18);
+  const ackSentence = nmea.parse("$PMTK001,220,3*30");
+  failIfConditionIsFalse(ackSentence.type === "PMTK");
+  failIfConditionIsFalse(ackSentence.command === "001");
+  failIfConditionIsFalse(ackSentence.fields.join() === "220,3");
+  failIfConditionIsFalse(
+    nmea.encode("PMTK", { command: "220", fields: [1000] }) ===
+      "$PMTK220,1000*1F"
+  );
+}
+
+function testLoadNmeaDataWithoutFix() {
+  // Receivers output position sentences without coordinates until they have
+  // a fix; these are skipped instead of aborting the import.
+  const noFixData =
+    "$GNRMC,,V,,,,,,,,,,N*4D\n" +
+    "$GNGGA,,,,,,0,00,99.99,,,,,,*56\n" +
+    "$GNGLL,,,,,,V,N*7A\n";
+  const positionData =
+    "$GPGGA,235959.500,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*63\n" +
+    "$GPGGA,000000.500,5232.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*6D\n" +
+    "$GPRMC,000000.500,A,5232.252,N,01322.513,E,,,020100,000.0,W*7A\n";
+  userLoadNmeaFile(noFixData + positionData + noFixData);
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 1.0);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2000, 0, 1, 23, 59, 59, 500)
+  );
+  const statusText = $("#status-messages p").text();
+  failIfConditionIsFalse(
+    statusText.indexOf("Valid RMC sentences read: 1.") !== -1
+  );
+  failIfConditionIsFalse(
+    statusText.indexOf("Position sentences without a fix (skipped): 4.") !== -1
+  );
+  failIfConditionIsFalse(
+    statusText.indexOf("Other/invalid sentences read: 0.") !== -1
+  );
+
+  // A log without any fix has no points.
+  userLoadNmeaFile(noFixData);
+  failIfConditionIsFalse(pointArray.length === 0);
+}
+
+function testLoadNmeaDataInChunks() {
+  const nmeaData =
+    "$GPGGA,215909.285,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*6E\n" +
+    "$GPRMC,215909.285,A,5232.252,N,01321.913,E,,,251216,000.0,W*79\n" +
+    "$GPGGA,215910.285,5232.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*69\n" +
+    "$GPRMC,215910.285,A,5232.252,N,01322.513,E,,,251216,000.0,W*7E\n";
+
+  // CR LF line breaks, garbage between sentences and sentences split across
+  // chunks (some of them given as bytes).
+  const noisyData =
+    "\u00b5b\u0001\u0007" +
+    nmeaData.replace(/\n/g, "\r\n").replace("*79\r\n", "*79\r\ngarbage");
+  const sentences = [];
+  const errors = [];
+  const streamParser = new nmea.StreamParser();
+  streamParser
+    .on("sentence", function(data, sentence, line) {
+      sentences.push({ type: data.type, sentence: sentence, line: line });
+    })
+    .on("error", function(error, text, line) {
+      errors.push({ error: error, text: text, line: line });
+    });
+  for (let i = 0; i < noisyData.length; i += 5) {
+    const chunk = noisyData.substring(i, i + 5);
+    if (i % 2 === 0) {
+      streamParser.write(chunk);
+    } else {
+      streamParser.write(
+        new Uint8Array(
+          chunk.split("").map(function(c) {
+            return c.charCodeAt(0);
+          })
+        )
+      );
+    }
+  }
+  streamParser.end();
+  failIfConditionIsFalse(sentences.length === 4);
+  failIfConditionIsFalse(sentences[2].type === "GGA");
+  failIfConditionIsFalse(sentences[2].line === 3);
+  failIfConditionIsFalse(sentences[3].sentence === nmeaData.split("\n")[3]);
+  failIfConditionIsFalse(errors.length === 2);
+  failIfConditionIsFalse(errors[1].text === "garbage");
+  failIfConditionIsFalse(errors[1].line === 3);
+  failIfConditionIsFalse(errors[1].error.code === nmea.ErrorCodes.GARBAGE);
+
+  // The loaded path does not depend on how the file is split.
+  const nmeaFileParser = createNmeaFileParser();
+  for (let i = 0; i < noisyData.length; i += 7) {
+    nmeaFileParser.parser.write(noisyData.substring(i, i + 7));
+  }
+  nmeaFileParser.parser.end();
+  loadNmeaFileData(nmeaFileParser.fileData, "input.nmea");
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 1.0);
+  setOutputSentenceTypes(["GGA"]);
+  failIfConditionIsFalse(
+    generateNmeaData() ===
+      nmeaData
+        .split("\n")
+        .filter(function(sentence) {
+          return sentence.startsWith("$GPGGA");
+        })
+        .join("\n") +
+        "\n"
+  );
+}
+
+function testLoadNmeaDataWithErrors() {
+  const nmeaData =
+    "$GPGGA,215909.285,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*6E\n" +
+    "$GPGGA,215909.285,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*00\n" +
+    "$GPXYZ,1,2*4F\n" +
+    "$GPGGA,215910.285,5232.252,N*36\n" +
+    "$GPGGA,215910.285,52X2.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*02\n" +
+    "$GPXYZ,1,2*4F\n" +
+    "$GPABC,3*48\n" +
+    "$GPXYZ,1,2*4F\n" +
+    "$GPGGA,215910.285,5232.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*69\n";
+  const lines = nmeaData.split("\n");
+
+  // Structured parsing reports the type of each problem.
+  const validResult = nmea.parse(lines[0], { structured: true, line: 1 });
+  failIfConditionIsFalse(validResult.error === null);
+  failIfConditionIsFalse(validResult.data.type === "GGA");
+  failIfConditionIsFalse(validResult.line === 1);
+  const expectedCodes = [
+    nmea.ErrorCodes.BAD_CHECKSUM,
+    nmea.ErrorCodes.UNKNOWN_ID,
+    nmea.ErrorCodes.TOO_FEW_FIELDS,
+    nmea.ErrorCodes.MALFORMED_COORDINATE
+  ];
+  for (let i = 0; i < expectedCodes.length; ++i) {
+    const result = nmea.parse(lines[i + 1], { structured: true, line: i + 2 });
+    failIfConditionIsFalse(result.data === null);
+    failIfConditionIsFalse(result.error.code === expectedCodes[i]);
+    failIfConditionIsFalse(result.line === i + 2);
+    failIfConditionIsFalse(result.sentence === lines[i + 1]);
+  }
+
+  // The status popup shows the problems by type, listing the first lines.
+  onNmeaFileDataLoaded(nmeaData, "input.nmea");
+  failIfConditionIsFalse(pointArray.length === 2);
+  const messages = $("#status-messages p")
+    .map(function() {
+      return $(this).text();
+    })
+    .get();
+  failIfConditionIsFalse(
+    messages.indexOf("Other/invalid sentences read: 7.") !== -1
+  );
+  failIfConditionIsFalse(
+    messages.indexOf("Unknown/unsupported sentence IDs: 4.") !== -1
+  );
+  failIfConditionIsFalse(
+    messages.indexOf("Sentences with a bad checksum: 1.") !== -1
+  );
+  failIfConditionIsFalse(
+    messages.indexOf("Sentences with too few fields: 1.") !== -1
+  );
+  failIfConditionIsFalse(
+    messages.indexOf("Sentences with malformed coordinates: 1.") !== -1
+  );
+  const unknownIdLines = $(".nmea-error-lines")
+    .first()
+    .children("li");
+  failIfConditionIsFalse(unknownIdLines.length === 3);
+  failIfConditionIsFalse(
+    unknownIdLines.eq(1).text() === "Line 6: $GPXYZ,1,2*4F"
+  );
+}
+
+function testGenerateNmeaDataWithValidation() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+
+  // The generated standard sentences comply with NMEA 0183 on all versions.
+  setOutputSentenceTypes(
+    nmeaSentenceTypes.filter(function(sentenceType) {
+      return sentenceType !== "PUBX";
+    })
+  );
+  for (const version of nmeaVersions) {
+    setNmeaVersion(version);
+    failIfConditionIsFalse(
+      Object.keys(validateGeneratedData(generateNmeaData())).length === 0
+    );
+  }
+  failIfConditionIsFalse(
+    Object.keys(validateGeneratedData(generateAisData())).length === 0
+  );
+
+  // The u-blox position sentences are longer than 82 characters.
+  setOutputSentenceTypes(["GGA", "PUBX"]);
+  const violations = validateGeneratedData(generateNmeaData());
+  failIfConditionIsFalse(Object.keys(violations).length === 1);
+  failIfConditionIsFalse(
+    violations[nmea.ErrorCodes.SENTENCE_TOO_LONG].count === 2
+  );
+  failIfConditionIsFalse(
+    violations[nmea.ErrorCodes.SENTENCE_TOO_LONG].lines[1].line === 4
+  );
+
+  // The file is not downloaded, the violations are shown instead.
+  setValidateOutput(true);
+  failIfConditionIsFalse($("#validate-output").prop("checked"));
+  onGenerateNmeaFileButtonClick();
+  failIfConditionIsFalse(
+    $("#status-popup .popup-title").text() === "Validation failed - output.nmea"
+  );
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("Sentences longer than 82 characters: 2.") !== -1
+  );
+}
+
+function testNmeaDataWithTagBlocks() {
+  // The clock of the logger is half a second ahead, past midnight; the TAG
+  // block timestamps take precedence over the (wrong) date of the RMC sentence.
+  const nmeaData =
+    "$GPRMC,235959.500,A,5232.252,N,01321.913,E,000.0,000.0,010116,000.0,W*70\n" +
+    "\\s:logger1,c:1697068800*16\\$GPGGA,235959.500,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*63\n" +
+    "\\s:logger1,c:1697068801*17\\$GPGGA,000000.500,5232.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*6D\n";
+  const tagBlock = nmea.parse(nmeaData.split("\n")[1]).tagBlock;
+  failIfConditionIsFalse(tagBlock.source === "logger1");
+  failIfConditionIsFalse(tagBlock.unixTime === 1697068800);
+  failIfConditionIsFalse(
+    nmea.encodeTagBlock(tagBlock) === "\\s:logger1,c:1697068800*16\\"
+  );
+  failIfConditionIsFalse(
+    nmea.parse(
+      "\\s:logger1,c:1697068800*17\\$GPGGA,235959.500,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*63",
+      { structured: true }
+    ).error.code === nmea.ErrorCodes.BAD_CHECKSUM
+  );
+
+  onNmeaFileDataLoaded(nmeaData, "input.nmea");
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2023, 9, 11, 23, 59, 59, 500)
+  );
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("Sentences with TAG blocks read: 2.") !== -1
+  );
+
+  // Generated sentences are preceded by TAG blocks with their timestamps.
+  setTagBlockOutput(true);
+  setOutputSentenceTypes(["GGA", "GSA"]);
+  const sentences = generateNmeaData().split("\n");
+  failIfConditionIsFalse(sentences.length === 5);
+  const tagBlocks = [0, 1].map(function(i) {
+    return nmea.encodeTagBlock({
+      unixTime: getTimeForPoint(i).getTime() / 1000.0
+    });
+  });
+  failIfConditionIsFalse(sentences[0].startsWith(tagBlocks[0] + "$GPGGA"));
+  failIfConditionIsFalse(sentences[1].startsWith(tagBlocks[0] + "$GPGSA"));
+  failIfConditionIsFalse(sentences[3].startsWith(tagBlocks[1] + "$GPGSA"));
+  failIfConditionIsFalse(
+    Object.keys(validateGeneratedData(sentences.join("\n"))).length === 0
+  );
+}
+
+function testLoadNmeaDataWithLinePrefixes() {
+  const ggaSentences = [
+    "$GPGGA,235959.500,5232.252,N,01321.913,E,1,12,1.0,0.0,M,0.0,M,,*63",
+    "$GPGGA,000000.500,5232.252,N,01322.513,E,1,12,1.0,0.0,M,0.0,M,,*6D"
+  ];
+  const rmcSentence =
+    "$GPRMC,235959.500,A,5232.252,N,01321.913,E,000.0,000.0,010116,000.0,W*70";
+
+  // The receive timestamps are stripped (not reported as garbage), but the
+  // times of the sentences are used by default.
+  onNmeaFileDataLoaded(
+    "2016-01-01T23:59:59.750Z " +
+      ggaSentences[0] +
+      "\n" +
+      "1451692799.750 " +
+      rmcSentence +
+      "\n" +
+      "2016-01-02 00:00:01.750 " +
+      ggaSentences[1] +
+      "\n",
+    "input.nmea"
+  );
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 1.0);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2016, 0, 1, 23, 59, 59, 500)
+  );
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("Sentences with receive timestamps read: 3.") !== -1
+  );
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("Other/invalid sentences read: 0.") !== -1
+  );
+
+  // The receive timestamps can be used as the point times instead.
+  setLinePrefixTimes(true);
+  onNmeaFileDataLoaded(
+    "1451692799750," +
+      ggaSentences[0] +
+      "\n" +
+      "1451692801750," +
+      ggaSentences[1] +
+      "\n",
+    "input.nmea"
+  );
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 0.5);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2016, 0, 1, 23, 59, 59, 750)
+  );
+
+  // Arbitrary prefixes ending with a delimiter.
+  setLinePrefixFormat(nmea.LinePrefixFormats.DELIMITER);
+  setLinePrefixDelimiter("|");
+  onNmeaFileDataLoaded(
+    "1|COM3|" + ggaSentences[0] + "\n" + "2|COM3|" + ggaSentences[1] + "\n",
+    "input.nmea"
+  );
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 1.0);
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("Other/invalid sentences read: 0.") !== -1
+  );
+
+  // Without prefix recognition, the prefixes are garbage.
+  setLinePrefixFormat(nmea.LinePrefixFormats.NONE);
+  onNmeaFileDataLoaded(
+    "1451692799.750 " + ggaSentences[0] + "\n",
+    "input.nmea"
+  );
+  failIfConditionIsFalse(pointArray.length === 1);
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("Other/invalid sentences read: 1.") !== -1
+  );
+}
+
+function testGenerateNmeaDataWithReceiverProfiles() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  setStartDate(new Date(Date.UTC(2020, 0, 1, 12, 0, 0, 567)));
+  const sentenceIds = function(sentences) {
+    return sentences.map(function(sentence) {
+      return sentence.substring(1, sentence.indexOf(","));
+    });
+  };
+
+  // u-blox receivers write multi-GNSS sentences (except GSV) in their own
+  // order, with 5 decimals on the minutes and 2 decimals on the seconds.
+  setReceiverProfile("u-blox");
+  failIfConditionIsFalse($("#receiver-profile").val() === "u-blox");
+  failIfConditionIsFalse($("#delete-receiver-profile").prop("disabled"));
+  let sentences = generateNmeaData()
+    .trim()
+    .split("\n");
+  failIfConditionIsFalse(
+    sentenceIds(sentences).join() ===
+      "GNRMC,GNVTG,GNGGA,GNGSA,GPGSV,GPGSV,GPGSV,GNGLL"
+  );
+  failIfConditionIsFalse(
+    sentences[2].startsWith("$GNGGA,120000.56,5232.25150,N,01321.91344,E,")
+  );
+  failIfConditionIsFalse(
+    Object.keys(validateGeneratedData(sentences.join("\n"))).length === 0
+  );
+
+  // Garmin receivers add their estimated position errors (PGRME).
+  setReceiverProfile("Garmin");
+  sentences = generateNmeaData()
+    .trim()
+    .split("\n");
+  failIfConditionIsFalse(
+    sentenceIds(sentences).join() ===
+      "GPRMC,GPGGA,GPGSA,GPGSV,GPGSV,GPGSV,PGRME"
+  );
+  failIfConditionIsFalse(
+    sentences[1].startsWith("$GPGGA,120000,5232.2515,N,01321.9134,E,")
+  );
+  failIfConditionIsFalse(nmea.parse(sentences[6]).horizontalError > 0.0);
+
+  // Custom profiles are saved on the local storage.
+  setOutputSentenceTypes(["GLL", "GGA"]);
+  setTimePrecision(1);
+  $("#receiver-profile-name").val("Garmin");
+  $("#save-receiver-profile").click();
+  failIfConditionIsFalse($("#receiver-profile-name").hasClass("invalid-value"));
+  failIfConditionIsFalse(receiverProfile === "Garmin");
+  $("#receiver-profile-name").val("My receiver");
+  $("#save-receiver-profile").click();
+  failIfConditionIsFalse(receiverProfile === "My receiver");
+  failIfConditionIsFalse(!$("#delete-receiver-profile").prop("disabled"));
+  failIfConditionIsFalse(
+    JSON.parse(localStorage.getItem(customReceiverProfilesKey))["My receiver"]
+      .timePrecision === 1
+  );
+
+  setReceiverProfile("Generic");
+  failIfConditionIsFalse(
+    sentenceIds(
+      generateNmeaData()
+        .trim()
+        .split("\n")
+    ).join() === "GPGGA,GPGSA,GPRMC"
+  );
+  $("#receiver-profile")
+    .val("My receiver")
+    .change();
+  sentences = generateNmeaData()
+    .trim()
+    .split("\n");
+  failIfConditionIsFalse(sentenceIds(sentences).join() === "GPGLL,GPGGA");
+  failIfConditionIsFalse(sentences[1].startsWith("$GPGGA,120000.5,5232.2515,"));
+
+  $("#delete-receiver-profile").click();
+  failIfConditionIsFalse(receiverProfile === "Generic");
+  failIfConditionIsFalse($("#receiver-profile option").length === 4);
+  failIfConditionIsFalse(
+    localStorage.getItem(customReceiverProfilesKey) === "{}"
+  );
+
+  // Unreadable or invalid stored profiles are ignored.
+  localStorage.setItem(customReceiverProfilesKey, "{invalid");
+  failIfConditionIsFalse(
+    Object.keys(readCustomReceiverProfiles()).length === 0
+  );
+  localStorage.setItem(customReceiverProfilesKey, "null");
+  failIfConditionIsFalse(
+    Object.keys(readCustomReceiverProfiles()).length === 0
+  );
+  const validProfile = Object.assign({}, receiverProfiles.SiRF);
+  localStorage.setItem(
+    customReceiverProfilesKey,
+    JSON.stringify({
+      Valid: validProfile,
+      Generic: validProfile,
+      Empty: {},
+      "Bad talker": Object.assign({}, validProfile, { talkerId: "XX" }),
+      "Bad precision": Object.assign({}, validProfile, { timePrecision: "3" }),
+      "Bad sentences": Object.assign({}, validProfile, { sentenceTypes: "GGA" })
+    })
+  );
+  failIfConditionIsFalse(
+    Object.keys(readCustomReceiverProfiles()).join() === "Valid"
+  );
+
+  // Profiles can be saved (for this visit) even if the local storage cannot
+  // be written.
+  const setItem = Storage.prototype.setItem;
+  Storage.prototype.setItem = function() {
+    throw new Error("QuotaExceededError");
+  };
+  $("#receiver-profile-name").val("Unstored receiver");
+  $("#save-receiver-profile").click();
+  Storage.prototype.setItem = setItem;
+  failIfConditionIsFalse(receiverProfile === "Unstored receiver");
+  failIfConditionIsFalse("Unstored receiver" in customReceiverProfiles);
+  setCustomReceiverProfiles({});
+  setReceiverProfile("Generic");
+}
+
+function testGenerateUbxData() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  setGpsFrequency(2.0);
+  failIfConditionIsFalse(
+    $("#output-ubx-messages input:checked").length === ubxMessageNames.length
+  );
+
+  // Each point is written as a NAV-PVT frame (92 bytes of payload) followed by
+  // a NAV-SAT frame (12 satellites).
+  setOutputUbxMessages(["NAV-SAT", "NAV-PVT"]);
+  const ubxData = generateUbxData();
+  const frameLengths = [100, 160, 100, 160];
+  failIfConditionIsFalse(ubxData.length === 520);
+  let offset = 0;
+  const payloads = frameLengths.map(function(frameLength) {
+    const frame = ubxData.subarray(offset, offset + frameLength);
+    offset += frameLength;
+    const checksum = ubx.computeChecksum(frame.subarray(2, frameLength - 2));
+    failIfConditionIsFalse(frame[0] === 0xb5 && frame[1] === 0x62);
+    failIfConditionIsFalse(frame[4] + 256 * frame[5] === frameLength - 8);
+    failIfConditionIsFalse(frame[frameLength - 2] === checksum[0]);
+    failIfConditionIsFalse(frame[frameLength - 1] === checksum[1]);
+    return new DataView(ubxData.buffer, frame.byteOffset + 6, frameLength - 8);
+  });
+  failIfConditionIsFalse(ubxData[3] === ubx.MessageIds["NAV-PVT"].msgId);
+  failIfConditionIsFalse(ubxData[103] === ubx.MessageIds["NAV-SAT"].msgId);
+
+  // The times of the points are the same as on generated NMEA logs.
+  failIfConditionIsFalse(
+    payloads[0].getUint32(0, true) === ubx.timeOfWeek(getTimeForPoint(0))
+  );
+  failIfConditionIsFalse(
+    payloads[2].getUint32(0, true) - payloads[0].getUint32(0, true) === 500
+  );
+  failIfConditionIsFalse(payloads[0].getUint8(20) === 3);
+  failIfConditionIsFalse(payloads[0].getUint8(23) === numSatellites);
+  failIfConditionIsFalse(payloads[2].getInt32(24, true) === 133752240);
+  failIfConditionIsFalse(payloads[2].getInt32(28, true) === 525375250);
+  // Eastward motion (the velocity in north direction is due to the path
+  // following a great circle).
+  const speed = getSpeedAtPointMps(0);
+  const course = degreesToRadians(getPointBearing(0));
+  failIfConditionIsFalse(
+    payloads[0].getInt32(48, true) ===
+      Math.round(1000.0 * speed * Math.cos(course))
+  );
+  failIfConditionIsFalse(
+    payloads[0].getInt32(52, true) ===
+      Math.round(1000.0 * speed * Math.sin(course))
+  );
+  failIfConditionIsFalse(
+    payloads[0].getInt32(60, true) === Math.round(1000.0 * speed)
+  );
+  failIfConditionIsFalse(
+    payloads[0].getInt32(64, true) === Math.round(1e5 * getPointBearing(0))
+  );
+  failIfConditionIsFalse(payloads[1].getUint8(5) === numSatellites);
+
+  setOutputUbxMessages([]);
+  failIfConditionIsFalse(generateUbxData().length === 0);
+}
+
+function testLoadUbxData() {
+  const pvtFrames = [0, 1, 2].map(function(i) {
+    return ubx.encode("NAV-PVT", {
+      date: new Date(Date.UTC(2016, 0, 1, 23, 59, 59, 500 + 500 * i)),
+      fixType: i === 2 ? 0 : 3,
+      satellites: 12,
+      lat: 52.537525,
+      lon: 13.365224 + 0.001 * i,
+      pdop: 1.0
+    });
+  });
+  const posllhFrames = [0, 1].map(function(i) {
+    return ubx.encode("NAV-POSLLH", {
+      date: new Date(Date.UTC(2016, 0, 1, 12, 0, 0, 200 * i)),
+      lat: 52.537525,
+      lon: 13.365224 + 0.001 * i
+    });
+  });
+  const corruptFrame = pvtFrames[1].slice();
+  corruptFrame[40] ^= 0xff;
+
+  // The path is built from the NAV-PVT messages with a valid fix, skipping
+  // garbage and frames with checksum failures.
+  onUbxFileDataLoaded(
+    ubx.concat([
+      new Uint8Array([0x24, 0x47, 0x50]),
+      pvtFrames[0],
+      corruptFrame,
+      posllhFrames[0],
+      pvtFrames[1],
+      pvtFrames[2]
+    ]).buffer,
+    "input.ubx"
+  );
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(pointArray[1].getLatLng().lng === 13.366224);
+  failIfConditionIsFalse(gpsFrequency === 2.0);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2016, 0, 1, 23, 59, 59, 500)
+  );
+  const statusText = $("#status-messages p").text();
+  failIfConditionIsFalse(
+    statusText.indexOf("Valid UBX frames read: 4.") !== -1
+  );
+  failIfConditionIsFalse(
+    statusText.indexOf("NAV-PVT messages without a valid fix (skipped): 1.") !==
+      -1
+  );
+  failIfConditionIsFalse(
+    statusText.indexOf("Frames with checksum failures: 1.") !== -1
+  );
+  failIfConditionIsFalse(
+    statusText.indexOf("Bytes skipped (not part of a valid frame): 103.") !== -1
+  );
+
+  // Without NAV-PVT messages, the NAV-POSLLH messages give the positions and
+  // their times of day.
+  onUbxFileDataLoaded(ubx.concat(posllhFrames).buffer, "input.ubx");
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 5.0);
+  failIfConditionIsFalse(startDate.getTime() % 86400000 === 43200000);
+
+  // NAV-PVT messages without a fix still rule out the NAV-POSLLH fallback.
+  onUbxFileDataLoaded(
+    ubx.concat([pvtFrames[2]].concat(posllhFrames)).buffer,
+    "input.ubx"
+  );
+  failIfConditionIsFalse(pointArray.length === 0);
+}
+
+function testGpxData() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  userClickOnMap(L.latLng(52.547525, 13.375224));
+  setGpsFrequency(2.0);
+  setStartDate(new Date(Date.UTC(2016, 11, 25, 21, 59, 9, 285)));
+
+  // The path is exported as a track, with the times of the points (the drawn
+  // points are at sea level).
+  const gpxData = generateGpxData();
+  failIfConditionIsFalse(
+    gpxData.indexOf('<gpx version="1.1" creator="NMEA Generator"') !== -1
+  );
+  failIfConditionIsFalse(
+    gpxData.indexOf(
+      '<trkpt lat="52.547525" lon="13.375224">\n' +
+        "        <ele>0</ele>\n" +
+        "        <time>2016-12-25T21:59:10.285Z</time>"
+    ) !== -1
+  );
+  failIfConditionIsFalse(gpxData.split("<trkpt").length === 4);
+
+  // A file with a single track segment is loaded right away.
+  setGpsFrequency(1.0);
+  setStartDate(new Date());
+  userLoadGpxFile(gpxData);
+  failIfConditionIsFalse(pointArray.length === 3);
+  failIfConditionIsFalse(gpsFrequency === 2.0);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2016, 11, 25, 21, 59, 9, 285)
+  );
+  failIfConditionIsFalse(pointArray[2].getLatLng().lat === 52.547525);
+  failIfConditionIsFalse(generateGpxData() === gpxData);
+
+  // With multiple track segments, routes or waypoints, the user chooses the
+  // one to load (the current path is kept until then).
+  const multiSegmentData =
+    '<?xml version="1.0"?>\n' +
+    '<gpx version="1.0" xmlns="http://www.topografix.com/GPX/1/0">\n' +
+    '<wpt lat="52.5" lon="13.3"><name>Start</name></wpt>\n' +
+    "<trk><name>Run</name>\n" +
+    '<trkseg><trkpt lat="52.5" lon="13.3"/><trkpt lat="52.6" lon="13.3"/></trkseg>\n' +
+    '<trkseg><trkpt lat="52.7" lon="13.3"/></trkseg>\n' +
+    "</trk>\n" +
+    '<rte><rtept lat="52.5" lon="13.4"><ele>35.5</ele>' +
+    "<time>2017-01-01T00:00:00Z</time></rtept>" +
+    '<rtept lat="52.6" lon="13.4"><ele>36.5</ele>' +
+    "<time>2017-01-01T00:00:05Z</time></rtept>" +
+    '<rtept lat="invalid" lon="13.4"/></rte>\n' +
+    "</gpx>\n";
+  userLoadGpxFile(multiSegmentData);
+  failIfConditionIsFalse(pointArray.length === 3);
+  failIfConditionIsFalse(
+    $("#path-segments li")
+      .map(function() {
+        return $(this).text();
+      })
+      .get()
+      .join("|") ===
+      "Run (segment 1) (2 points)|Run (segment 2) (1 points)|" +
+        "Route 1 (2 points)|Waypoints (1 points)"
+  );
+  $("#path-segments li a")
+    .filter(function() {
+      return $(this).text() === "Route 1 (2 points)";
+    })
+    .click();
+  failIfConditionIsFalse($("#path-segments").length === 0);
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 0.2);
+  failIfConditionIsFalse(startDate.getTime() === Date.UTC(2017, 0, 1));
+  failIfConditionIsFalse(getPointElevation(1) === 36.5);
+  failIfConditionIsFalse(generateGpxData().indexOf("<ele>35.5</ele>") !== -1);
+
+  // The elevations are kept by "undo" and "redo" actions.
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.7, 13.4));
+  failIfConditionIsFalse(getPointElevation(2) === 0.0);
+  userClickUndo();
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(getPointElevation(0) === 35.5);
+
+  // Editing a point (e.g. its heading) keeps its elevation.
+  userSelectTool(ToolsEnum.EDITPOINT);
+  userClickPoint(pointArray[1]);
+  $("#selected-point-heading").focusin();
+  $("#selected-point-heading").val("270");
+  $("#selected-point-heading").focusout();
+  userClickOnMap(randomCoordinates());
+  failIfConditionIsFalse(pointArray[1].heading === 270.0);
+  failIfConditionIsFalse(getPointElevation(1) === 36.5);
+  failIfConditionIsFalse(generateGpxData().indexOf("<ele>36.5</ele>") !== -1);
+
+  userLoadGpxFile("<gpx><trk></gpx>");
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("The file is not a valid GPX file.") !== -1
+  );
+}
+
+function testZipArchives() {
+  failIfConditionIsFalse(computeCrc32(encodeUtf8("123456789")) === 0xcbf43926);
+  failIfConditionIsFalse(
+    decodeUtf8(encodeUtf8("Fahrt über Land ✓")) === "Fahrt über Land ✓"
+  );
+
+  // Archives are written without compression.
+  const files = [
+    { name: "doc.kml", data: encodeUtf8("<kml/>") },
+    { name: "files/empty.txt", data: new Uint8Array(0) }
+  ];
+  const archive = createZipArchive(files, new Date(2016, 11, 25, 21, 59, 9));
+  failIfConditionIsFalse(isZipArchive(archive));
+  // Each file has a local header (30 bytes) and a central directory header
+  // (46 bytes), both followed by its name.
+  failIfConditionIsFalse(
+    archive.length === 22 + (76 + 2 * 7 + 6) + (76 + 2 * 15)
+  );
+  // Modification time/date in MS-DOS format (two-second resolution).
+  failIfConditionIsFalse(archive[10] + 256 * archive[11] === 0xaf64);
+  failIfConditionIsFalse(archive[12] + 256 * archive[13] === 0x4999);
+  const readFiles = readZipArchive(archive);
+  failIfConditionIsFalse(readFiles.length === 2);
+  failIfConditionIsFalse(readFiles[0].name === "doc.kml");
+  failIfConditionIsFalse(decodeUtf8(readFiles[0].data) === "<kml/>");
+  failIfConditionIsFalse(readFiles[1].name === "files/empty.txt");
+  failIfConditionIsFalse(readFiles[1].data.length === 0);
+
+  // Corrupt files are detected with their CRC-32 checksums.
+  archive[30 + 7] ^= 0xff;
+  let thrown = false;
+  try {
+    readZipArchive(archive);
+  } catch (error) {
+    thrown = true;
+  }
+  failIfConditionIsFalse(thrown);
+  failIfConditionIsFalse(!isZipArchive(encodeUtf8("<kml/>")));
+}
+
+function testKmlData() {
+  userSelectTool(ToolsEnum.ADDPOINT);
+  userClickOnMap(L.latLng(52.537525, 13.365224));
+  userClickOnMap(L.latLng(52.537525, 13.375224));
+  userClickOnMap(L.latLng(52.547525, 13.375224));
+  setGpsFrequency(2.0);
+  setStartDate(new Date(Date.UTC(2016, 11, 25, 21, 59, 9, 285)));
+
+  // The path is exported as a line and as a track with the times of the points.
+  const kmlData = generateKmlData();
+  failIfConditionIsFalse(
+    kmlData.indexOf("          13.375224,52.547525,0\n") !== -1
+  );
+  failIfConditionIsFalse(
+    kmlData.indexOf(
+      "        <when>2016-12-25T21:59:10.285Z</when>\n" +
+        "        <gx:coord>13.365224 52.537525 0</gx:coord>\n"
+    ) !== -1
+  );
+
+  // Both the line and the track of the file can be loaded.
+  setGpsFrequency(1.0);
+  userLoadKmlFile(encodeUtf8(kmlData).buffer);
+  failIfConditionIsFalse(pointArray.length === 3);
+  failIfConditionIsFalse(
+    $("#path-segments li")
+      .text()
+      .indexOf("Path (3 points)Track (3 points)") !== -1
+  );
+  $("#path-segments li a")
+    .filter(function() {
+      return $(this).text() === "Track (3 points)";
+    })
+    .click();
+  failIfConditionIsFalse(gpsFrequency === 2.0);
+  failIfConditionIsFalse(
+    startDate.getTime() === Date.UTC(2016, 11, 25, 21, 59, 9, 285)
+  );
+  failIfConditionIsFalse(generateKmlData() === kmlData);
+
+  // KMZ files contain the KML file of the path.
+  const kmzData = generateKmzData();
+  const kmzFiles = readZipArchive(kmzData);
+  failIfConditionIsFalse(kmzFiles.length === 1);
+  failIfConditionIsFalse(kmzFiles[0].name === "doc.kml");
+  failIfConditionIsFalse(decodeUtf8(kmzFiles[0].data) === kmlData);
+  userLoadKmlFile(kmzData.buffer);
+  failIfConditionIsFalse($("#path-segments li").length === 2);
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("KML file read from the KMZ file: doc.kml.") !== -1
+  );
+
+  // The names of the files in a KMZ file are shown as text (not HTML).
+  const markupName = '<img id="kmz-entry-image" src="x">.kml';
+  userLoadKmlFile(
+    createZipArchive([{ name: markupName, data: kmzFiles[0].data }]).buffer
+  );
+  failIfConditionIsFalse($("#kmz-entry-image").length === 0);
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("KML file read from the KMZ file: " + markupName + ".") !== -1
+  );
+
+  // KMZ file created by another application, with compressed files and a
+  // placemark with a line (no times) and a track.
+  const otherKmzData = Uint8Array.from(
+    atob(
+      "UEsDBBQAAAAIAC+bU10AAAAAAgAAAAAAAAAGAAAAZmlsZXMvAwBQSwMEFAAAAAgAL5tTXdiF" +
+        "CpsXAQAA6wEAAAcAAABkb2Mua21sdZCxTsMwFEX3fIWVObUdl7QoenUXVJYiIVEWNpM+" +
+        "JVETu3JcEv6NjR/DMaJtVCF5ec/H10cX1kPbkA+0XW30Kk4pjwnqwuxrXa7i191mdh+v" +
+        "ZQQHT3lSd6u4cu6YM9b3PTVH1GXdUY2OeYIJKuJfLC+HCVkaUzZIC9MGEAcXYJ/8YIpT" +
+        "i9pJeG5Uga2yBwlatSg3qrKOfH+9oyVbpffAwhqeTo2rH9G06OynT9jWGl+c9cYSCmOs" +
+        "d1cOO5nO6TzJBM2SlJO/YZGIy7BM5hzY9RtgV2kRlEO+s6rwRn2FWgqeLmc89WfHeR7O" +
+        "G7Bw9S9ARXaGQmD4bpS7I6McSb3CeX0LLIiYAOzsFAGbVgHsqkJ2KXasXEY/UEsBAhQD" +
+        "FAAAAAgAL5tTXQAAAAACAAAAAAAAAAYAAAAAAAAAAAAQAP1BAAAAAGZpbGVzL1BLAQIU" +
+        "AxQAAAAIAC+bU13YhQqbFwEAAOsBAAAHAAAAAAAAAAAAAACAASYAAABkb2Mua21sUEsF" +
+        "BgAAAAACAAIAaQAAAGIBAAAAAA=="
+    ),
+    function(character) {
+      return character.charCodeAt(0);
+    }
+  );
+  userLoadKmlFile(otherKmzData.buffer);
+  $("#path-segments li a")
+    .filter(function() {
+      return $(this).text() === "Fahrt über Land (1) (3 points)";
+    })
+    .click();
+  failIfConditionIsFalse(pointArray.length === 3);
+  failIfConditionIsFalse(pointArray[2].getLatLng().lat === 52.7);
+  failIfConditionIsFalse(getPointElevation(2) === 30);
+  userLoadKmlFile(otherKmzData.buffer);
+  $("#path-segments li a")
+    .filter(function() {
+      return $(this).text() === "Fahrt über Land (2) (2 points)";
+    })
+    .click();
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(gpsFrequency === 4.0);
+  failIfConditionIsFalse(startDate.getTime() === Date.UTC(2017, 0, 1));
+
+  // Corrupt KMZ files are not loaded.
+  otherKmzData[150] ^= 0xff;
+  userLoadKmlFile(otherKmzData.buffer);
+  failIfConditionIsFalse(pointArray.length === 2);
+  failIfConditionIsFalse(
+    $("#status-messages p")
+      .text()
+      .indexOf("The KMZ file could not be read") !== -1
+  );
+}
+
+function testNmeaCodecInstances() {
+  const talkerId = nmea.getTalkerId();
+  const latitudePrecision = nmea.getLatitudePrecision();
+  const codec = nmea.createCodec();
+  const codecErrors = [];
+  codec.setTalkerId("GN");
+  codec.setLatitudePrecision(5);
+  codec.setErrorHandler(function(message, code) {
+    codecErrors.push(code);
+  });
+  failIfConditionIsFalse(
+    codec.encode("HDT", { heading: 90 }) === "$GNHDT,090.0,T*22"
+  );
+  failIfConditionIsFalse(codec.encodeLatitude(52.5) === "5230.00000,N");
+
+  // The settings of the default codec are not changed.
+  failIfConditionIsFalse(nmea.getTalkerId() === talkerId);
+  failIfConditionIsFalse(nmea.getLatitudePrecision() === latitudePrecision);
+  failIfConditionIsFalse(
+    nmea.encodeLatitude(52.5) === nmea.encodeLatitude(52.5, latitudePrecision)
+  );
+
+  // Each codec has its own error handler and parsers.
+  failIfConditionIsFalse(codec.parse("$GPXYZ,1,2*4F") === null);
+  failIfConditionIsFalse(codecErrors.join() === nmea.ErrorCodes.UNKNOWN_ID);
+  codec.addParser({
+    type: "XYZ",
+    parse: function(tokens) {
+      return { values: tokens.slice(1) };
+    }
+  });
+  failIfConditionIsFalse(codec.parse("$GPXYZ,1,2*4F").values.join() === "1,2");
+  failIfConditionIsFalse(
+    nmea.parse("$GPXYZ,1,2*4F", { structured: true }).error.code ===
+      nmea.ErrorCodes.UNKNOWN_ID
+  );
+  failIfConditionIsFalse(codecErrors.length === 1);
 }
 
 function runTests() {
@@ -799,9 +2502,38 @@ function runTests() {
     "Do multiple things, undo all": testMultipleActionsUndoAll,
     "Innocuous actions on empty map": testInnocuousActionsOnEmptyMap,
     "Load nmea data": testLoadNmeaData,
+    "Load multi-GNSS nmea data": testLoadMultiGnssNmeaData,
+    "Load GLL nmea data": testLoadGllNmeaData,
+    "Load ZDA nmea data": testLoadZdaNmeaData,
+    "Load GSA nmea data": testLoadGsaNmeaData,
+    "Load u-blox nmea data": testLoadUbloxNmeaData,
+    "Load nmea data without fix": testLoadNmeaDataWithoutFix,
+    "Load nmea data in chunks": testLoadNmeaDataInChunks,
+    "Load nmea data with errors": testLoadNmeaDataWithErrors,
     "Load CSV data": testLoadCsvData,
     "Load nmea data with corner cases": testLoadNmeaDataCornerCases,
-    "Generate nmea data": testGenerateNmeaData
+    "Generate nmea data": testGenerateNmeaData,
+    "Generate nmea data with VTG sentences": testGenerateNmeaDataWithVtg,
+    "Generate ZDA nmea data": testGenerateZdaNmeaData,
+    "Generate GSV nmea data": testGenerateGsvNmeaData,
+    "Generate multi-GNSS GSV nmea data": testGenerateMultiGnssGsvNmeaData,
+    "Generate nmea data from almanac": testGenerateNmeaDataFromAlmanac,
+    "Generate GST nmea data": testGenerateGstNmeaData,
+    "Generate heading nmea data": testGenerateHeadingNmeaData,
+    "Generate nmea data with different versions": testGenerateNmeaDataVersions,
+    "Load nmea data version": testLoadNmeaDataVersion,
+    "Generate AIS data": testGenerateAisData,
+    "Load AIS data": testLoadAisData,
+    "NMEA codec instances": testNmeaCodecInstances,
+    "Generate nmea data with validation": testGenerateNmeaDataWithValidation,
+    "Load and generate nmea data with TAG blocks": testNmeaDataWithTagBlocks,
+    "Load nmea data with line prefixes": testLoadNmeaDataWithLinePrefixes,
+    "Generate nmea data with receiver profiles": testGenerateNmeaDataWithReceiverProfiles,
+    "Generate UBX data": testGenerateUbxData,
+    "Load UBX data": testLoadUbxData,
+    "Load and generate GPX data": testGpxData,
+    "ZIP archives": testZipArchives,
+    "Load and generate KML/KMZ data": testKmlData
   };
 
   for (const [testName, testFunction] of Object.entries(tests)) {
@@ -0,0 +1,348 @@
+/**
+ * Tests of the UBX encoders (ubx.js) which run in Node.js, without a browser:
+ *
+ *   node src/js/ubx-tests.js
+ */
+
+const ubx = require("./ubx.js");
+
+// Time of all encoded messages (GPS time of week: 79167285 ms).
+const date = new Date(Date.UTC(2016, 11, 25, 21, 59, 9, 285));
+
+/**
+ * Throws an exception if a condition is false.
+ *
+ * @param {Boolean} condition Condition to check.
+ */
+function failIfConditionIsFalse(condition) {
+  if (!condition) {
+    throw new Error("condition failed");
+  }
+}
+
+/**
+ * Checks the sync chars, header and checksum of a UBX frame.
+ *
+ * @param {Uint8Array} frame UBX frame.
+ * @param {String} name Message name (see ubx.MessageIds).
+ * @param {Number} payloadLength Expected payload length.
+ * @return {DataView} Payload of the frame.
+ */
+function checkFrame(frame, name, payloadLength) {
+  failIfConditionIsFalse(frame.length === payloadLength + 8);
+  failIfConditionIsFalse(frame[0] === 0xb5 && frame[1] === 0x62);
+  failIfConditionIsFalse(frame[2] === ubx.MessageIds[name].msgClass);
+  failIfConditionIsFalse(frame[3] === ubx.MessageIds[name].msgId);
+  failIfConditionIsFalse(frame[4] + 256 * frame[5] === payloadLength);
+  const checksum = ubx.computeChecksum(frame.subarray(2, payloadLength + 6));
+  failIfConditionIsFalse(frame[payloadLength + 6] === checksum[0]);
+  failIfConditionIsFalse(frame[payloadLength + 7] === checksum[1]);
+  return new DataView(frame.buffer, frame.byteOffset + 6, payloadLength);
+}
+
+function testModuleExports() {
+  failIfConditionIsFalse(typeof ubx.encode === "function");
+  failIfConditionIsFalse(typeof ubx.createCodec === "function");
+  // The ES module exports the same (default) codec.
+  return import("./ubx.mjs").then(function(module) {
+    failIfConditionIsFalse(module.default === ubx);
+    failIfConditionIsFalse(module.createCodec === ubx.createCodec);
+    failIfConditionIsFalse(module.GnssIds === ubx.GnssIds);
+  });
+}
+
+function testFrames() {
+  // UBX-CFG-MSG message disabling the GLL sentences.
+  const frame = ubx.encodeFrame(0x06, 0x01, [0xf0, 0x01, 0x00]);
+  failIfConditionIsFalse(
+    Buffer.from(frame).toString("hex") === "b56206010300f00100fb11"
+  );
+  const frames = ubx.concat([frame, frame]);
+  failIfConditionIsFalse(frames.length === 22);
+  failIfConditionIsFalse(frames[11] === 0xb5 && frames[21] === 0x11);
+}
+
+function testTimeOfWeek() {
+  const codec = ubx.createCodec();
+  failIfConditionIsFalse(codec.getLeapSeconds() === 18);
+  failIfConditionIsFalse(codec.timeOfWeek(date) === 79167285);
+  codec.setLeapSeconds(17);
+  failIfConditionIsFalse(codec.timeOfWeek(date) === 79166285);
+  // The week starts on Sunday, 00:00:00 GPS time.
+  failIfConditionIsFalse(
+    codec.timeOfWeek(new Date(Date.UTC(2016, 11, 24, 23, 59, 43))) === 0
+  );
+  failIfConditionIsFalse(ubx.timeOfWeek(date) === 79167285);
+  failIfConditionIsFalse(ubx.timeOfDay(79167285) === 79149285);
+  // The first seconds of the GPS week are still on the previous UTC day.
+  failIfConditionIsFalse(ubx.timeOfDay(1000) === 86383000);
+}
+
+function testNavPosllh() {
+  const payload = checkFrame(
+    ubx.encode("NAV-POSLLH", {
+      date: date,
+      lat: 52.537525,
+      lon: -13.365224,
+      height: 45.5,
+      altitude: 0.0,
+      hAcc: 1.4142,
+      vAcc: 2.0
+    }),
+    "NAV-POSLLH",
+    28
+  );
+  failIfConditionIsFalse(payload.getUint32(0, true) === 79167285);
+  failIfConditionIsFalse(payload.getInt32(4, true) === -133652240);
+  failIfConditionIsFalse(payload.getInt32(8, true) === 525375250);
+  failIfConditionIsFalse(payload.getInt32(12, true) === 45500);
+  failIfConditionIsFalse(payload.getInt32(16, true) === 0);
+  failIfConditionIsFalse(payload.getUint32(20, true) === 1414);
+  failIfConditionIsFalse(payload.getUint32(24, true) === 2000);
+}
+
+function testNavPvt() {
+  const data = {
+    date: date,
+    fixType: 3,
+    satellites: 12,
+    lat: 52.537525,
+    lon: 13.365224,
+    height: 0.0,
+    altitude: 0.0,
+    hAcc: 1.4142,
+    vAcc: 2.0,
+    velN: -1.5,
+    velE: 2.0,
+    velD: 0.0,
+    speed: 2.5,
+    course: 126.87,
+    sAcc: 0.1,
+    headAcc: 1.0,
+    pdop: 1.25,
+    heading: null
+  };
+  let payload = checkFrame(ubx.encode("NAV-PVT", data), "NAV-PVT", 92);
+  failIfConditionIsFalse(payload.getUint32(0, true) === 79167285);
+  failIfConditionIsFalse(payload.getUint16(4, true) === 2016);
+  failIfConditionIsFalse(payload.getUint8(6) === 12);
+  failIfConditionIsFalse(payload.getUint8(7) === 25);
+  failIfConditionIsFalse(payload.getUint8(8) === 21);
+  failIfConditionIsFalse(payload.getUint8(9) === 59);
+  failIfConditionIsFalse(payload.getUint8(10) === 9);
+  failIfConditionIsFalse(payload.getUint8(11) === 0x07);
+  failIfConditionIsFalse(payload.getInt32(16, true) === 285000000);
+  failIfConditionIsFalse(payload.getUint8(20) === 3);
+  failIfConditionIsFalse(payload.getUint8(21) === 0x01);
+  failIfConditionIsFalse(payload.getUint8(23) === 12);
+  failIfConditionIsFalse(payload.getInt32(24, true) === 133652240);
+  failIfConditionIsFalse(payload.getInt32(28, true) === 525375250);
+  failIfConditionIsFalse(payload.getInt32(48, true) === -1500);
+  failIfConditionIsFalse(payload.getInt32(52, true) === 2000);
+  failIfConditionIsFalse(payload.getInt32(60, true) === 2500);
+  failIfConditionIsFalse(payload.getInt32(64, true) === 12687000);
+  failIfConditionIsFalse(payload.getUint16(76, true) === 125);
+  failIfConditionIsFalse(payload.getInt32(84, true) === 0);
+
+  // Without a fix and with the heading of the vehicle.
+  data.fixType = 0;
+  data.heading = 90.0;
+  payload = checkFrame(ubx.encode("NAV-PVT", data), "NAV-PVT", 92);
+  failIfConditionIsFalse(payload.getUint8(20) === 0);
+  failIfConditionIsFalse(payload.getUint8(21) === 0x20);
+  failIfConditionIsFalse(payload.getInt32(84, true) === 9000000);
+}
+
+function testNavVelned() {
+  const payload = checkFrame(
+    ubx.encode("NAV-VELNED", {
+      date: date,
+      velN: -1.5,
+      velE: 2.0,
+      velD: 0.0,
+      speed: 2.5,
+      gSpeed: 2.5,
+      course: 126.87,
+      sAcc: 0.1,
+      headAcc: 1.0
+    }),
+    "NAV-VELNED",
+    36
+  );
+  failIfConditionIsFalse(payload.getUint32(0, true) === 79167285);
+  failIfConditionIsFalse(payload.getInt32(4, true) === -150);
+  failIfConditionIsFalse(payload.getInt32(8, true) === 200);
+  failIfConditionIsFalse(payload.getUint32(16, true) === 250);
+  failIfConditionIsFalse(payload.getUint32(20, true) === 250);
+  failIfConditionIsFalse(payload.getInt32(24, true) === 12687000);
+  failIfConditionIsFalse(payload.getUint32(28, true) === 10);
+  failIfConditionIsFalse(payload.getUint32(32, true) === 100000);
+}
+
+function testNavSat() {
+  const payload = checkFrame(
+    ubx.encode("NAV-SAT", {
+      date: date,
+      satellites: [
+        {
+          gnssId: ubx.GnssIds.GPS,
+          svId: 5,
+          cno: 42,
+          elevation: 35,
+          azimuth: 270,
+          used: true
+        },
+        {
+          gnssId: ubx.GnssIds.GLONASS,
+          svId: 12,
+          cno: 30,
+          elevation: -2,
+          azimuth: 15,
+          used: false
+        }
+      ]
+    }),
+    "NAV-SAT",
+    32
+  );
+  failIfConditionIsFalse(payload.getUint32(0, true) === 79167285);
+  failIfConditionIsFalse(payload.getUint8(4) === 1);
+  failIfConditionIsFalse(payload.getUint8(5) === 2);
+  failIfConditionIsFalse(payload.getUint8(8) === ubx.GnssIds.GPS);
+  failIfConditionIsFalse(payload.getUint8(9) === 5);
+  failIfConditionIsFalse(payload.getUint8(10) === 42);
+  failIfConditionIsFalse(payload.getInt8(11) === 35);
+  failIfConditionIsFalse(payload.getInt16(12, true) === 270);
+  failIfConditionIsFalse(payload.getUint32(16, true) === 0x1c);
+  failIfConditionIsFalse(payload.getUint8(20) === ubx.GnssIds.GLONASS);
+  failIfConditionIsFalse(payload.getInt8(23) === -2);
+  failIfConditionIsFalse(payload.getUint32(28, true) === 0x14);
+}
+
+function testDecoding() {
+  const pvtData = {
+    date: date,
+    fixType: 3,
+    satellites: 12,
+    lat: 52.537525,
+    lon: 13.365224,
+    height: 45.5,
+    altitude: 0.0,
+    hAcc: 1.414,
+    vAcc: 2.0,
+    velN: -1.5,
+    velE: 2.0,
+    velD: 0.0,
+    speed: 2.5,
+    course: 126.87,
+    sAcc: 0.1,
+    headAcc: 1.0,
+    pdop: 1.25,
+    heading: 90.0
+  };
+  const pvtFrame = ubx.encode("NAV-PVT", pvtData);
+  const posllhFrame = ubx.encode("NAV-POSLLH", pvtData);
+  const otherFrame = ubx.encodeFrame(0x06, 0x01, [0xf0, 0x01, 0x00]);
+  const corruptFrame = pvtFrame.slice();
+  corruptFrame[30] ^= 0xff;
+
+  // Garbage, a corrupt frame and an incomplete last frame are skipped.
+  const result = ubx.decodeFrames(
+    ubx.concat([
+      new Uint8Array([0x00, 0xb5, 0x24]),
+      pvtFrame,
+      corruptFrame,
+      otherFrame,
+      posllhFrame,
+      pvtFrame.subarray(0, 50)
+    ]).buffer
+  );
+  failIfConditionIsFalse(result.frames.length === 3);
+  failIfConditionIsFalse(result.checksumErrors === 1);
+  failIfConditionIsFalse(result.skippedBytes === 3 + 100 + 50);
+
+  const pvt = ubx.decode(result.frames[0]);
+  failIfConditionIsFalse(pvt.name === "NAV-PVT");
+  failIfConditionIsFalse(pvt.date.getTime() === date.getTime());
+  failIfConditionIsFalse(pvt.timeOfWeek === 79167285);
+  failIfConditionIsFalse(pvt.validDate && pvt.validTime && pvt.gnssFixOk);
+  failIfConditionIsFalse(pvt.fixType === 3 && pvt.satellites === 12);
+  failIfConditionIsFalse(pvt.lat === 52.537525 && pvt.lon === 13.365224);
+  failIfConditionIsFalse(pvt.height === 45.5 && pvt.hAcc === 1.414);
+  failIfConditionIsFalse(pvt.velN === -1.5 && pvt.speed === 2.5);
+  failIfConditionIsFalse(pvt.course === 126.87 && pvt.pdop === 1.25);
+  failIfConditionIsFalse(pvt.heading === 90.0);
+
+  failIfConditionIsFalse(ubx.decode(result.frames[1]) === null);
+  failIfConditionIsFalse(ubx.messageName(result.frames[1]) === null);
+
+  const posllh = ubx.decode(result.frames[2]);
+  failIfConditionIsFalse(posllh.name === "NAV-POSLLH");
+  failIfConditionIsFalse(posllh.timeOfWeek === 79167285);
+  failIfConditionIsFalse(posllh.lat === 52.537525 && posllh.lon === 13.365224);
+  failIfConditionIsFalse(posllh.height === 45.5 && posllh.vAcc === 2.0);
+
+  // u-blox 7 receivers output NAV-PVT messages without the vehicle heading.
+  const shortPvt = ubx.decode({
+    msgClass: 0x01,
+    msgId: 0x07,
+    payload: pvtFrame.subarray(6, 90)
+  });
+  failIfConditionIsFalse(shortPvt.heading === null);
+  failIfConditionIsFalse(shortPvt.pdop === 1.25);
+}
+
+function testErrors() {
+  const codec = ubx.createCodec();
+  const errors = [];
+  codec.setErrorHandler(function(message) {
+    errors.push(message);
+  });
+  failIfConditionIsFalse(codec.encode("NAV-CLOCK", { date: date }) === null);
+  failIfConditionIsFalse(errors.length === 1);
+  failIfConditionIsFalse(
+    codec.decode({
+      msgClass: 0x01,
+      msgId: 0x02,
+      payload: new Uint8Array(20)
+    }) === null
+  );
+  failIfConditionIsFalse(errors.length === 2);
+
+  // The default handler throws an exception.
+  let thrown = false;
+  try {
+    ubx.encode("NAV-CLOCK", { date: date });
+  } catch (error) {
+    thrown = true;
+  }
+  failIfConditionIsFalse(thrown);
+}
+
+async function runTests() {
+  const tests = {
+    "Module exports": testModuleExports,
+    Frames: testFrames,
+    "Time of week": testTimeOfWeek,
+    "NAV-POSLLH messages": testNavPosllh,
+    "NAV-PVT messages": testNavPvt,
+    "NAV-VELNED messages": testNavVelned,
+    "NAV-SAT messages": testNavSat,
+    Decoding: testDecoding,
+    Errors: testErrors
+  };
+
+  for (const [testName, testFunction] of Object.entries(tests)) {
+    try {
+      await testFunction();
+      console.log("[PASS] " + testName + ".");
+    } catch (error) {
+      console.error("[FAIL] " + testName + " (" + error + ").");
+      console.error(error.stack);
+      process.exitCode = 1;
+      break;
+    }
+  }
+}
+
+runTests();
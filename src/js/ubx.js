@@ -0,0 +1,539 @@
+/** UBX codec (u-blox binary protocol)
+ * a UBX frame is made of the sync chars (0xB5 0x62), the message class and id,
+ * the payload length (2 bytes, little endian), the payload and an 8-bit
+ * Fletcher checksum (2 bytes) computed over the class, id, length and payload.
+ * all multi-byte values are little endian
+ */
+var createUbxCodec = function() {
+	/** UBX public API */
+	var ubx = {};
+
+	/** private codec variables */
+	var m_encoders = {};
+	var m_decoders = {};
+	var m_errorHandler = null;
+	// GPS-UTC offset (leap seconds) for computing the GPS time of week
+	var m_leapSeconds = 18;
+	// start of the GPS time scale (1980-01-06 00:00:00 UTC)
+	var m_gpsEpoch = Date.UTC(1980, 0, 6);
+	var m_msPerWeek = 7 * 86400000;
+
+	ubx.SYNC_CHAR_1 = 0xB5;
+	ubx.SYNC_CHAR_2 = 0x62;
+
+	/** class and id of the supported messages (by name) */
+	ubx.MessageIds = {
+		'NAV-POSLLH' : { msgClass : 0x01, msgId : 0x02 },
+		'NAV-PVT' : { msgClass : 0x01, msgId : 0x07 },
+		'NAV-VELNED' : { msgClass : 0x01, msgId : 0x12 },
+		'NAV-SAT' : { msgClass : 0x01, msgId : 0x35 }
+	};
+
+	/** GNSS identifiers (as used on NAV-SAT) */
+	ubx.GnssIds = {
+		GPS : 0,
+		SBAS : 1,
+		GALILEO : 2,
+		BEIDOU : 3,
+		QZSS : 5,
+		GLONASS : 6
+	};
+
+	// =============================================
+	// public API functions
+	// =============================================
+	/** create a new codec, independent of this one */
+	ubx.createCodec = function() {
+		return createUbxCodec();
+	};
+
+	/** set the number of leap seconds between GPS time and UTC */
+	ubx.setLeapSeconds = function(leapSeconds) {
+		m_leapSeconds = leapSeconds;
+	};
+
+	ubx.getLeapSeconds = function() {
+		return m_leapSeconds;
+	};
+
+	/** GPS time of week (in milliseconds) of a UTC date */
+	ubx.timeOfWeek = function(date) {
+		var t = date.getTime() + 1000 * m_leapSeconds - m_gpsEpoch;
+		return ((t % m_msPerWeek) + m_msPerWeek) % m_msPerWeek;
+	};
+
+	/** UTC time of day (in milliseconds) of a GPS time of week */
+	ubx.timeOfDay = function(timeOfWeek) {
+		var t = timeOfWeek - 1000 * m_leapSeconds;
+		return ((t % 86400000) + 86400000) % 86400000;
+	};
+
+	/** 8-bit Fletcher checksum of an array of bytes
+	 * output: [CK_A, CK_B]
+	 */
+	ubx.computeChecksum = function(bytes) {
+		var i;
+		var a = 0;
+		var b = 0;
+
+		for(i = 0; i < bytes.length; ++i) {
+			a = (a + bytes[i]) & 0xFF;
+			b = (b + a) & 0xFF;
+		}
+		return [a, b];
+	};
+
+	/** build a frame (sync chars, header, payload and checksum) */
+	ubx.encodeFrame = function(msgClass, msgId, payload) {
+		var frame = new Uint8Array(payload.length + 8);
+		var checksum;
+
+		frame[0] = ubx.SYNC_CHAR_1;
+		frame[1] = ubx.SYNC_CHAR_2;
+		frame[2] = msgClass;
+		frame[3] = msgId;
+		frame[4] = payload.length & 0xFF;
+		frame[5] = (payload.length >> 8) & 0xFF;
+		frame.set(payload, 6);
+		checksum = ubx.computeChecksum(frame.subarray(2, payload.length + 6));
+		frame[payload.length + 6] = checksum[0];
+		frame[payload.length + 7] = checksum[1];
+		return frame;
+	};
+
+	/** concatenate frames into a single array of bytes */
+	ubx.concat = function(frames) {
+		var i;
+		var offset = 0;
+		var length = 0;
+		var bytes;
+
+		for(i = 0; i < frames.length; ++i) {
+			length = length + frames[i].length;
+		}
+		bytes = new Uint8Array(length);
+		for(i = 0; i < frames.length; ++i) {
+			bytes.set(frames[i], offset);
+			offset = offset + frames[i].length;
+		}
+		return bytes;
+	};
+
+	// scaled values are rounded, missing (null) values are written as 0
+	var scale = function(v, factor) {
+		return (v == null) ? 0 : Math.round(v * factor);
+	};
+
+	// time fields common to all navigation messages (iTOW, in ms)
+	var setTimeOfWeek = function(view, date) {
+		view.setUint32(0, ubx.timeOfWeek(date), true);
+	};
+
+	// =============================================
+	// encoders
+	// =============================================
+
+	/**
+	 NAV-POSLLH encoder (geodetic position solution, 28 bytes)
+
+	 input data:
+	 {
+		date     : Date (UTC)
+		lat      : decimal degrees
+		lon      : decimal degrees
+		height   : decimal meters above ellipsoid
+		altitude : decimal meters above mean sea level
+		hAcc     : decimal meters (horizontal accuracy estimate)
+		vAcc     : decimal meters (vertical accuracy estimate)
+	 }
+	 */
+	m_encoders['NAV-POSLLH'] = function(data) {
+		var view = new DataView(new ArrayBuffer(28));
+
+		setTimeOfWeek(view, data.date);
+		view.setInt32(4, scale(data.lon, 1e7), true);
+		view.setInt32(8, scale(data.lat, 1e7), true);
+		view.setInt32(12, scale(data.height, 1e3), true);
+		view.setInt32(16, scale(data.altitude, 1e3), true);
+		view.setUint32(20, scale(data.hAcc, 1e3), true);
+		view.setUint32(24, scale(data.vAcc, 1e3), true);
+		return view;
+	};
+
+	/**
+	 NAV-PVT encoder (navigation position velocity time solution, 92 bytes)
+
+	 input data:
+	 {
+		date       : Date (UTC)
+		fixType    : integer (0 = no fix, 2 = 2D fix, 3 = 3D fix)
+		satellites : integer (satellites used in the fix)
+		lat        : decimal degrees
+		lon        : decimal degrees
+		height     : decimal meters above ellipsoid
+		altitude   : decimal meters above mean sea level
+		hAcc       : decimal meters (horizontal accuracy estimate)
+		vAcc       : decimal meters (vertical accuracy estimate)
+		velN       : decimal m/s (north velocity)
+		velE       : decimal m/s (east velocity)
+		velD       : decimal m/s (down velocity)
+		speed      : decimal m/s (ground speed)
+		course     : decimal degrees (heading of motion)
+		sAcc       : decimal m/s (speed accuracy estimate)
+		headAcc    : decimal degrees (heading accuracy estimate)
+		pdop       : decimal
+		heading    : decimal degrees (heading of vehicle) or null if not
+		             available
+	 }
+	 */
+	m_encoders['NAV-PVT'] = function(data) {
+		var view = new DataView(new ArrayBuffer(92));
+		var flags;
+
+		setTimeOfWeek(view, data.date);
+		view.setUint16(4, data.date.getUTCFullYear(), true);
+		view.setUint8(6, data.date.getUTCMonth() + 1);
+		view.setUint8(7, data.date.getUTCDate());
+		view.setUint8(8, data.date.getUTCHours());
+		view.setUint8(9, data.date.getUTCMinutes());
+		view.setUint8(10, data.date.getUTCSeconds());
+		// valid date, valid time, fully resolved
+		view.setUint8(11, 0x07);
+		// time accuracy estimate (ns) and fraction of second (ns)
+		view.setUint32(12, 50, true);
+		view.setInt32(16, data.date.getUTCMilliseconds() * 1000000, true);
+		view.setUint8(20, data.fixType);
+		// gnssFixOK and, if the heading is given, headVehValid
+		flags = (data.fixType >= 2) ? 0x01 : 0x00;
+		if(data.heading != null) {
+			flags = flags | 0x20;
+		}
+		view.setUint8(21, flags);
+		// confirmed date and time
+		view.setUint8(22, 0xE0);
+		view.setUint8(23, data.satellites);
+		view.setInt32(24, scale(data.lon, 1e7), true);
+		view.setInt32(28, scale(data.lat, 1e7), true);
+		view.setInt32(32, scale(data.height, 1e3), true);
+		view.setInt32(36, scale(data.altitude, 1e3), true);
+		view.setUint32(40, scale(data.hAcc, 1e3), true);
+		view.setUint32(44, scale(data.vAcc, 1e3), true);
+		view.setInt32(48, scale(data.velN, 1e3), true);
+		view.setInt32(52, scale(data.velE, 1e3), true);
+		view.setInt32(56, scale(data.velD, 1e3), true);
+		view.setInt32(60, scale(data.speed, 1e3), true);
+		view.setInt32(64, scale(data.course, 1e5), true);
+		view.setUint32(68, scale(data.sAcc, 1e3), true);
+		view.setUint32(72, scale(data.headAcc, 1e5), true);
+		view.setUint16(76, scale(data.pdop, 100), true);
+		// flags3 and reserved bytes (78-83) are left as 0
+		view.setInt32(84, scale(data.heading, 1e5), true);
+		// magnetic declination and its accuracy (88-91) are not available
+		return view;
+	};
+
+	/**
+	 NAV-VELNED encoder (velocity solution in NED frame, 36 bytes)
+
+	 input data:
+	 {
+		date    : Date (UTC)
+		velN    : decimal m/s (north velocity)
+		velE    : decimal m/s (east velocity)
+		velD    : decimal m/s (down velocity)
+		speed   : decimal m/s (3D speed)
+		gSpeed  : decimal m/s (ground speed)
+		course  : decimal degrees (heading of motion)
+		sAcc    : decimal m/s (speed accuracy estimate)
+		headAcc : decimal degrees (course accuracy estimate)
+	 }
+	 */
+	m_encoders['NAV-VELNED'] = function(data) {
+		var view = new DataView(new ArrayBuffer(36));
+
+		setTimeOfWeek(view, data.date);
+		view.setInt32(4, scale(data.velN, 100), true);
+		view.setInt32(8, scale(data.velE, 100), true);
+		view.setInt32(12, scale(data.velD, 100), true);
+		view.setUint32(16, scale(data.speed, 100), true);
+		view.setUint32(20, scale(data.gSpeed, 100), true);
+		view.setInt32(24, scale(data.course, 1e5), true);
+		view.setUint32(28, scale(data.sAcc, 100), true);
+		view.setUint32(32, scale(data.headAcc, 1e5), true);
+		return view;
+	};
+
+	/**
+	 NAV-SAT encoder (satellite information, 8 + 12 * number of satellites bytes)
+
+	 input data:
+	 {
+		date       : Date (UTC)
+		satellites : array of {
+			gnssId    : integer (see ubx.GnssIds)
+			svId      : integer (satellite number within its system)
+			cno       : integer dBHz (carrier to noise ratio)
+			elevation : integer degrees
+			azimuth   : integer degrees
+			used      : boolean (used in the navigation solution)
+		}
+	 }
+	 */
+	m_encoders['NAV-SAT'] = function(data) {
+		var view = new DataView(new ArrayBuffer(8 + 12 * data.satellites.length));
+		var i;
+		var offset;
+		var satellite;
+		var flags;
+
+		setTimeOfWeek(view, data.date);
+		// message version
+		view.setUint8(4, 1);
+		view.setUint8(5, data.satellites.length);
+		for(i = 0; i < data.satellites.length; ++i) {
+			satellite = data.satellites[i];
+			offset = 8 + 12 * i;
+			view.setUint8(offset, satellite.gnssId);
+			view.setUint8(offset + 1, satellite.svId);
+			view.setUint8(offset + 2, scale(satellite.cno, 1));
+			view.setInt8(offset + 3, scale(satellite.elevation, 1));
+			view.setInt16(offset + 4, scale(satellite.azimuth, 1), true);
+			// the pseudorange residual (offset + 6) is left as 0; the flags give
+			// the signal quality (code locked and time synchronized), whether the
+			// satellite is used and its health (healthy)
+			flags = 0x04 | 0x10;
+			if(satellite.used) {
+				flags = flags | 0x08;
+			}
+			view.setUint32(offset + 8, flags, true);
+		}
+		return view;
+	};
+
+	// =============================================
+	// decoders
+	// =============================================
+
+	/**
+	 NAV-POSLLH decoder (geodetic position solution, 28 bytes)
+
+	 output data:
+	 {
+		timeOfWeek : integer ms (GPS time of week, see ubx.timeOfDay())
+		lat        : decimal degrees
+		lon        : decimal degrees
+		height     : decimal meters above ellipsoid
+		altitude   : decimal meters above mean sea level
+		hAcc       : decimal meters (horizontal accuracy estimate)
+		vAcc       : decimal meters (vertical accuracy estimate)
+	 }
+	 */
+	m_decoders['NAV-POSLLH'] = {
+		minLength : 28,
+		decode : function(view) {
+			return {
+				timeOfWeek : view.getUint32(0, true),
+				lon : view.getInt32(4, true) / 1e7,
+				lat : view.getInt32(8, true) / 1e7,
+				height : view.getInt32(12, true) / 1e3,
+				altitude : view.getInt32(16, true) / 1e3,
+				hAcc : view.getUint32(20, true) / 1e3,
+				vAcc : view.getUint32(24, true) / 1e3
+			};
+		}
+	};
+
+	/**
+	 NAV-PVT decoder (navigation position velocity time solution, 92 bytes or
+	 84 bytes for u-blox 7 receivers, which do not have the vehicle heading)
+
+	 output data:
+	 {
+		timeOfWeek : integer ms (GPS time of week)
+		date       : Date (UTC)
+		validDate  : boolean (the date of the date field is valid)
+		validTime  : boolean (the time of the date field is valid)
+		fixType    : integer (0 = no fix, 2 = 2D fix, 3 = 3D fix)
+		gnssFixOk  : boolean (valid fix, i.e. within the accuracy masks)
+		satellites : integer (satellites used in the fix)
+		lat, lon, height, altitude, hAcc, vAcc, velN, velE, velD, speed,
+		course, sAcc, headAcc, pdop : as for the NAV-PVT encoder
+		heading    : decimal degrees (heading of vehicle) or null if not
+		             available
+	 }
+	 */
+	m_decoders['NAV-PVT'] = {
+		minLength : 84,
+		decode : function(view) {
+			var valid = view.getUint8(11);
+			var flags = view.getUint8(21);
+			var date = Date.UTC(view.getUint16(4, true), view.getUint8(6) - 1,
+				view.getUint8(7), view.getUint8(8), view.getUint8(9), view.getUint8(10));
+
+			// the fraction of second (ns) can be negative
+			date = new Date(date + Math.round(view.getInt32(16, true) / 1e6));
+			return {
+				timeOfWeek : view.getUint32(0, true),
+				date : date,
+				validDate : (valid & 0x01) !== 0,
+				validTime : (valid & 0x02) !== 0,
+				fixType : view.getUint8(20),
+				gnssFixOk : (flags & 0x01) !== 0,
+				satellites : view.getUint8(23),
+				lon : view.getInt32(24, true) / 1e7,
+				lat : view.getInt32(28, true) / 1e7,
+				height : view.getInt32(32, true) / 1e3,
+				altitude : view.getInt32(36, true) / 1e3,
+				hAcc : view.getUint32(40, true) / 1e3,
+				vAcc : view.getUint32(44, true) / 1e3,
+				velN : view.getInt32(48, true) / 1e3,
+				velE : view.getInt32(52, true) / 1e3,
+				velD : view.getInt32(56, true) / 1e3,
+				speed : view.getInt32(60, true) / 1e3,
+				course : view.getInt32(64, true) / 1e5,
+				sAcc : view.getUint32(68, true) / 1e3,
+				headAcc : view.getUint32(72, true) / 1e5,
+				pdop : view.getUint16(76, true) / 100,
+				heading : (view.byteLength >= 92 && (flags & 0x20) !== 0) ? view.getInt32(84, true) / 1e5 : null
+			};
+		}
+	};
+
+	// =============================================
+	// frame decoder
+	// =============================================
+
+	/** split binary data (ArrayBuffer or Uint8Array) into frames
+	 * the data is scanned for the sync chars; frames with a wrong checksum are
+	 * dropped and the scan resumes right after their sync chars (so a corrupt
+	 * length does not hide the frames which follow), any other bytes (garbage
+	 * or an incomplete last frame) are skipped
+	 *
+	 * output:
+	 * {
+	 *   frames         : array of { msgClass, msgId, payload (Uint8Array) }
+	 *   checksumErrors : number of frames with a wrong checksum
+	 *   skippedBytes   : number of bytes which are not part of a valid frame
+	 * }
+	 */
+	ubx.decodeFrames = function(data) {
+		var bytes = (data instanceof ArrayBuffer) ? new Uint8Array(data) : data;
+		var result = { frames : [], checksumErrors : 0, skippedBytes : 0 };
+		var i = 0;
+		var length;
+		var checksum;
+
+		while(i < bytes.length) {
+			if(bytes[i] !== ubx.SYNC_CHAR_1 || bytes[i + 1] !== ubx.SYNC_CHAR_2 || i + 8 > bytes.length) {
+				++result.skippedBytes;
+				++i;
+				continue;
+			}
+			length = bytes[i + 4] + 256 * bytes[i + 5];
+			if(i + length + 8 > bytes.length) {
+				++result.skippedBytes;
+				++i;
+				continue;
+			}
+			checksum = ubx.computeChecksum(bytes.subarray(i + 2, i + length + 6));
+			if(bytes[i + length + 6] !== checksum[0] || bytes[i + length + 7] !== checksum[1]) {
+				++result.checksumErrors;
+				result.skippedBytes += 2;
+				i += 2;
+				continue;
+			}
+			result.frames.push({
+				msgClass : bytes[i + 2],
+				msgId : bytes[i + 3],
+				payload : bytes.subarray(i + 6, i + length + 6)
+			});
+			i += length + 8;
+		}
+		return result;
+	};
+
+	/** name of the message of a frame (see ubx.MessageIds) or null if unknown */
+	ubx.messageName = function(frame) {
+		var name;
+
+		for(name in ubx.MessageIds) {
+			if(ubx.MessageIds[name].msgClass === frame.msgClass && ubx.MessageIds[name].msgId === frame.msgId) {
+				return name;
+			}
+		}
+		return null;
+	};
+
+	/** decode the payload of a frame (see ubx.decodeFrames())
+	 * output: decoded data (with the message name in name) or null if the
+	 * message cannot be decoded; only messages without a decoder are silently
+	 * ignored (logs usually contain many other messages)
+	 */
+	ubx.decode = function(frame) {
+		var data;
+		var name = ubx.messageName(frame);
+		var decoder = m_decoders[name];
+
+		if(name === null || decoder === undefined) {
+			return null;
+		}
+		if(frame.payload.length < decoder.minLength) {
+			ubx.error('invalid payload length : ' + name + ' (' + frame.payload.length + ' bytes)');
+			return null;
+		}
+		data = decoder.decode(new DataView(frame.payload.buffer, frame.payload.byteOffset, frame.payload.length));
+		data.name = name;
+		return data;
+	};
+
+	// =============================================
+	// master encoder
+	// =============================================
+
+	/** encode a message given by its name (e.g. 'NAV-PVT') into a frame
+	 * output: Uint8Array or null if the message is not supported
+	 */
+	ubx.encode = function(name, data) {
+		var payload;
+		var ids = ubx.MessageIds[name];
+
+		if(ids === undefined || m_encoders[name] === undefined) {
+			ubx.error('message not supported : ' + name);
+			return null;
+		}
+		payload = m_encoders[name](data);
+		return ubx.encodeFrame(ids.msgClass, ids.msgId, new Uint8Array(payload.buffer));
+	};
+
+	/** public function to print/handle errors */
+	ubx.error = function(msg) {
+		if(m_errorHandler !== null) {
+			m_errorHandler(msg);
+		}
+	};
+
+	/** public function to set error handler */
+	ubx.setErrorHandler = function(e) {
+		m_errorHandler = e;
+	};
+
+	// add the standard error handler
+	ubx.setErrorHandler(function(e) {
+		throw new Error('ERROR:' + e);
+	});
+
+	return ubx;
+};
+
+/** default codec */
+var ubx = createUbxCodec();
+
+// export the default codec when loaded as a module (e.g. in Node.js or by a
+// bundler), otherwise ubx is a global variable as in the single file build
+if(typeof module === 'object' && module.exports) {
+	module.exports = ubx;
+} else if(typeof define === 'function' && define.amd) {
+	define(function() {
+		return ubx;
+	});
+}
@@ -0,0 +1,6 @@
+/** ES module entry point of the UBX public API (see ubx.js) */
+import ubx from './ubx.js';
+
+export default ubx;
+export var createCodec = ubx.createCodec;
+export var GnssIds = ubx.GnssIds;
@@ -0,0 +1,576 @@
+/*******************************************************************************
+ *
+ *    GENERAL CONFIGURATION PARAMETERS
+ *
+ ******************************************************************************/
+
+// Signatures of the records of a ZIP archive.
+const zipLocalFileHeaderSignature = 0x04034b50;
+const zipCentralDirectoryHeaderSignature = 0x02014b50;
+const zipEndOfCentralDirectorySignature = 0x06054b50;
+
+// Compression methods supported when reading ZIP archives (archives are always
+// written without compression).
+const zipStoredMethod = 0;
+const zipDeflatedMethod = 8;
+
+// General purpose flags of ZIP archive entries: encrypted entry and file name
+// encoded in UTF-8.
+const zipEncryptedFlag = 0x0001;
+const zipUtf8Flag = 0x0800;
+
+// Order in which the code lengths of the code length alphabet are given in
+// dynamic Huffman blocks (DEFLATE).
+const deflateCodeLengthOrder = [
+  16,
+  17,
+  18,
+  0,
+  8,
+  7,
+  9,
+  6,
+  10,
+  5,
+  11,
+  4,
+  12,
+  3,
+  13,
+  2,
+  14,
+  1,
+  15
+];
+
+// Base values and number of extra bits of the DEFLATE length codes (257-285)
+// and distance codes (0-29). Each group of four length codes or two distance
+// codes has one more extra bit than the previous one.
+const deflateLengthCodes = (function() {
+  const codes = { bases: [], extraBits: [] };
+  let base = 3;
+  for (let i = 0; i < 28; ++i) {
+    codes.extraBits.push(Math.max(0, Math.floor(i / 4) - 1));
+    codes.bases.push(base);
+    base += 1 << codes.extraBits[i];
+  }
+  // The last length code (maximum length) has no extra bits.
+  codes.bases.push(258);
+  codes.extraBits.push(0);
+  return codes;
+})();
+const deflateDistanceCodes = (function() {
+  const codes = { bases: [], extraBits: [] };
+  let base = 1;
+  for (let i = 0; i < 30; ++i) {
+    codes.extraBits.push(Math.max(0, Math.floor(i / 2) - 1));
+    codes.bases.push(base);
+    base += 1 << codes.extraBits[i];
+  }
+  return codes;
+})();
+
+// Lookup table for computing CRC-32 checksums (one entry per byte value).
+const crc32Table = (function() {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; ++i) {
+    let value = i;
+    for (let bit = 0; bit < 8; ++bit) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[i] = value;
+  }
+  return table;
+})();
+
+/*******************************************************************************
+ *
+ *    TEXT ENCODING FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Encodes a string in UTF-8.
+ *
+ * @param {String} text String to encode.
+ * @return {Uint8Array} UTF-8 representation of the string.
+ */
+function encodeUtf8(text) {
+  const bytes = [];
+  for (const character of text) {
+    const codePoint = character.codePointAt(0);
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(
+        0xe0 | (codePoint >> 12),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+    } else {
+      bytes.push(
+        0xf0 | (codePoint >> 18),
+        0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Decodes a string encoded in UTF-8.
+ *
+ * @param {Uint8Array} bytes UTF-8 representation of the string.
+ * @return {String} Decoded string.
+ * @note Invalid byte sequences are replaced by the replacement character
+ *       (U+FFFD) and a byte order mark at the start of the data is skipped.
+ */
+function decodeUtf8(bytes) {
+  const codePoints = [];
+  let text = "";
+  let i = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 3 : 0;
+
+  while (i < bytes.length) {
+    const leadByte = bytes[i];
+    const length =
+      leadByte < 0x80 ? 1 : leadByte < 0xe0 ? 2 : leadByte < 0xf0 ? 3 : 4;
+    let codePoint = length === 1 ? leadByte : leadByte & (0xff >> (length + 1));
+    let valid = leadByte < 0x80 || (leadByte >= 0xc2 && leadByte < 0xf5);
+    for (let j = 1; j < length && valid; ++j) {
+      valid = i + j < bytes.length && (bytes[i + j] & 0xc0) === 0x80;
+      codePoint = (codePoint << 6) | (bytes[i + j] & 0x3f);
+    }
+    if (valid && codePoint <= 0x10ffff) {
+      codePoints.push(codePoint);
+      i += length;
+    } else {
+      codePoints.push(0xfffd);
+      ++i;
+    }
+    // Convert the code points in chunks (function arguments are limited).
+    if (codePoints.length === 8192) {
+      text += String.fromCodePoint.apply(null, codePoints);
+      codePoints.length = 0;
+    }
+  }
+  return text + String.fromCodePoint.apply(null, codePoints);
+}
+
+/*******************************************************************************
+ *
+ *    DEFLATE DECOMPRESSION FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Builds the table for decoding the symbols of a canonical Huffman code.
+ *
+ * @param {Number[]} codeLengths Code length of each symbol (0 if the symbol is
+ *     not used).
+ * @return {Object} Number of codes of each length ("counts") and symbols
+ *     sorted by code ("symbols").
+ */
+function buildHuffmanTable(codeLengths) {
+  const counts = new Array(16).fill(0);
+  const offsets = new Array(16).fill(0);
+  const symbols = [];
+
+  for (const codeLength of codeLengths) {
+    ++counts[codeLength];
+  }
+  counts[0] = 0;
+  for (let codeLength = 1; codeLength < 15; ++codeLength) {
+    offsets[codeLength + 1] = offsets[codeLength] + counts[codeLength];
+  }
+  codeLengths.forEach(function(codeLength, symbol) {
+    if (codeLength > 0) {
+      symbols[offsets[codeLength]++] = symbol;
+    }
+  });
+  return { counts: counts, symbols: symbols };
+}
+
+/**
+ * Decompresses data compressed with the DEFLATE algorithm (RFC 1951, without
+ * zlib or gzip headers), as done for the entries of ZIP archives.
+ *
+ * @param {Uint8Array} bytes Compressed data.
+ * @param {Number} outputLength Length of the decompressed data.
+ * @return {Uint8Array} Decompressed data.
+ * @note An exception is thrown if the compressed data is invalid or does not
+ *       have the given length once decompressed.
+ */
+function inflateRaw(bytes, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let outputPosition = 0;
+  let inputPosition = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  // Bits are read starting at the least significant bit of each byte.
+  const readBits = function(count) {
+    while (bitCount < count) {
+      if (inputPosition >= bytes.length) {
+        throw new Error("unexpected end of compressed data");
+      }
+      bitBuffer |= bytes[inputPosition++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  // Huffman codes are read one bit at a time, starting at their most
+  // significant bit.
+  const decodeSymbol = function(table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let codeLength = 1; codeLength < 16; ++codeLength) {
+      code |= readBits(1);
+      const count = table.counts[codeLength];
+      if (code - count < first) {
+        return table.symbols[index + code - first];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("invalid Huffman code");
+  };
+
+  const writeByte = function(value) {
+    if (outputPosition >= outputLength) {
+      throw new Error("decompressed data is too long");
+    }
+    output[outputPosition++] = value;
+  };
+
+  const inflateBlock = function(lengthTable, distanceTable) {
+    for (;;) {
+      const symbol = decodeSymbol(lengthTable);
+      if (symbol < 256) {
+        writeByte(symbol);
+      } else if (symbol === 256) {
+        return;
+      } else {
+        // Codes 286-287 (lengths) and 30-31 (distances) are never used.
+        const lengthCode = symbol - 257;
+        if (lengthCode > 28) {
+          throw new Error("invalid length code");
+        }
+        const length =
+          deflateLengthCodes.bases[lengthCode] +
+          readBits(deflateLengthCodes.extraBits[lengthCode]);
+        const distanceCode = decodeSymbol(distanceTable);
+        if (distanceCode > 29) {
+          throw new Error("invalid distance code");
+        }
+        const distance =
+          deflateDistanceCodes.bases[distanceCode] +
+          readBits(deflateDistanceCodes.extraBits[distanceCode]);
+        if (distance > outputPosition) {
+          throw new Error("invalid back reference");
+        }
+        for (let i = 0; i < length; ++i) {
+          writeByte(output[outputPosition - distance]);
+        }
+      }
+    }
+  };
+
+  const readDynamicTables = function() {
+    const lengthCodes = readBits(5) + 257;
+    const distanceCodes = readBits(5) + 1;
+    const codeLengthCodes = readBits(4) + 4;
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCodes; ++i) {
+      codeLengthLengths[deflateCodeLengthOrder[i]] = readBits(3);
+    }
+    const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+    // The code lengths of both alphabets are given as a single sequence, with
+    // run-length codes for repeated lengths (16) and zeros (17 and 18).
+    const codeLengths = [];
+    while (codeLengths.length < lengthCodes + distanceCodes) {
+      const symbol = decodeSymbol(codeLengthTable);
+      if (symbol < 16) {
+        codeLengths.push(symbol);
+      } else {
+        if (symbol === 16 && codeLengths.length === 0) {
+          throw new Error("invalid code lengths");
+        }
+        const repeatedLength =
+          symbol === 16 ? codeLengths[codeLengths.length - 1] : 0;
+        const repeatCount =
+          symbol === 16
+            ? 3 + readBits(2)
+            : symbol === 17
+            ? 3 + readBits(3)
+            : 11 + readBits(7);
+        for (let i = 0; i < repeatCount; ++i) {
+          codeLengths.push(repeatedLength);
+        }
+      }
+    }
+    if (codeLengths.length > lengthCodes + distanceCodes) {
+      throw new Error("invalid code lengths");
+    }
+    return {
+      lengthTable: buildHuffmanTable(codeLengths.slice(0, lengthCodes)),
+      distanceTable: buildHuffmanTable(codeLengths.slice(lengthCodes))
+    };
+  };
+
+  let lastBlock = false;
+  while (!lastBlock) {
+    lastBlock = readBits(1) === 1;
+    const blockType = readBits(2);
+    if (blockType === 0) {
+      // Stored blocks start at a byte boundary.
+      bitBuffer = 0;
+      bitCount = 0;
+      if (inputPosition + 4 > bytes.length) {
+        throw new Error("unexpected end of compressed data");
+      }
+      const length = bytes[inputPosition] | (bytes[inputPosition + 1] << 8);
+      inputPosition += 4;
+      if (inputPosition + length > bytes.length) {
+        throw new Error("unexpected end of compressed data");
+      }
+      for (let i = 0; i < length; ++i) {
+        writeByte(bytes[inputPosition++]);
+      }
+    } else if (blockType === 1) {
+      const lengthCodeLengths = new Array(288);
+      lengthCodeLengths.fill(8, 0, 144);
+      lengthCodeLengths.fill(9, 144, 256);
+      lengthCodeLengths.fill(7, 256, 280);
+      lengthCodeLengths.fill(8, 280, 288);
+      inflateBlock(
+        buildHuffmanTable(lengthCodeLengths),
+        buildHuffmanTable(new Array(30).fill(5))
+      );
+    } else if (blockType === 2) {
+      const tables = readDynamicTables();
+      inflateBlock(tables.lengthTable, tables.distanceTable);
+    } else {
+      throw new Error("invalid block type");
+    }
+  }
+
+  if (outputPosition !== outputLength) {
+    throw new Error("decompressed data is too short");
+  }
+  return output;
+}
+
+/*******************************************************************************
+ *
+ *    ZIP ARCHIVE FUNCTIONS
+ *
+ ******************************************************************************/
+
+/**
+ * Computes the CRC-32 checksum of some data (as used in ZIP archives).
+ *
+ * @param {Uint8Array} bytes Data.
+ * @return {Number} CRC-32 checksum (unsigned).
+ */
+function computeCrc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; ++i) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates a ZIP archive.
+ *
+ * @param {Object[]} files Files to store in the archive ("name" and "data"
+ *     properties, the data being a Uint8Array).
+ * @param {Date} date Modification time/date of the files.
+ * @return {Uint8Array} ZIP archive.
+ * @note The files are stored without compression, which every ZIP reader
+ *       supports.
+ */
+function createZipArchive(files, date = new Date()) {
+  // Times/dates are stored in MS-DOS format (local time, two-second
+  // resolution).
+  const dosTime =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    (date.getSeconds() >> 1);
+  const dosDate =
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  const entries = files.map(function(file) {
+    return {
+      name: encodeUtf8(file.name),
+      data: file.data,
+      crc: computeCrc32(file.data)
+    };
+  });
+  let archiveLength = 22;
+  for (const entry of entries) {
+    archiveLength += 30 + 46 + 2 * entry.name.length + entry.data.length;
+  }
+  const archive = new Uint8Array(archiveLength);
+  const view = new DataView(archive.buffer);
+  let position = 0;
+
+  // Fields which the local file headers and central directory headers share
+  // (from the version needed to extract the file to the file name length).
+  const writeCommonFields = function(offset, entry) {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, zipUtf8Flag, true);
+    view.setUint16(offset + 4, zipStoredMethod, true);
+    view.setUint16(offset + 6, dosTime, true);
+    view.setUint16(offset + 8, dosDate, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+  };
+
+  for (const entry of entries) {
+    entry.offset = position;
+    view.setUint32(position, zipLocalFileHeaderSignature, true);
+    writeCommonFields(position + 4, entry);
+    archive.set(entry.name, position + 30);
+    archive.set(entry.data, position + 30 + entry.name.length);
+    position += 30 + entry.name.length + entry.data.length;
+  }
+
+  const centralDirectoryOffset = position;
+  for (const entry of entries) {
+    view.setUint32(position, zipCentralDirectoryHeaderSignature, true);
+    view.setUint16(position + 4, 20, true);
+    writeCommonFields(position + 6, entry);
+    view.setUint32(position + 42, entry.offset, true);
+    archive.set(entry.name, position + 46);
+    position += 46 + entry.name.length;
+  }
+
+  view.setUint32(position, zipEndOfCentralDirectorySignature, true);
+  view.setUint16(position + 8, entries.length, true);
+  view.setUint16(position + 10, entries.length, true);
+  view.setUint32(position + 12, position - centralDirectoryOffset, true);
+  view.setUint32(position + 16, centralDirectoryOffset, true);
+  return archive;
+}
+
+/**
+ * Checks whether some data is a ZIP archive (by its first signature).
+ *
+ * @param {Uint8Array} bytes Data.
+ * @return {Boolean} True if the data starts like a ZIP archive, false
+ *     otherwise.
+ */
+function isZipArchive(bytes) {
+  return (
+    bytes.length >= 4 &&
+    new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true) ===
+      zipLocalFileHeaderSignature
+  );
+}
+
+/**
+ * Extracts the files of a ZIP archive.
+ *
+ * @param {Uint8Array} bytes ZIP archive.
+ * @return {Object[]} Files in the archive ("name" and "data" properties, the
+ *     data being a Uint8Array), in the order of the central directory.
+ * @note Only stored and deflated (the most common compression method) files
+ *       are supported; directories are left out. An exception is thrown if the
+ *       archive is invalid or has encrypted or corrupt files.
+ */
+function readZipArchive(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const files = [];
+
+  // The end of central directory record is followed by a comment of variable
+  // length, so it is searched backwards.
+  let endPosition = bytes.length - 22;
+  while (
+    endPosition >= 0 &&
+    view.getUint32(endPosition, true) !== zipEndOfCentralDirectorySignature
+  ) {
+    --endPosition;
+  }
+  if (endPosition < 0) {
+    throw new Error("end of central directory not found");
+  }
+
+  const entryCount = view.getUint16(endPosition + 10, true);
+  let position = view.getUint32(endPosition + 16, true);
+  for (let i = 0; i < entryCount; ++i) {
+    if (
+      position + 46 > bytes.length ||
+      view.getUint32(position, true) !== zipCentralDirectoryHeaderSignature
+    ) {
+      throw new Error("invalid central directory");
+    }
+    const flags = view.getUint16(position + 8, true);
+    const method = view.getUint16(position + 10, true);
+    const crc = view.getUint32(position + 16, true);
+    const compressedLength = view.getUint32(position + 20, true);
+    const length = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localHeaderOffset = view.getUint32(position + 42, true);
+    const name = decodeUtf8(
+      bytes.subarray(position + 46, position + 46 + nameLength)
+    );
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (/\/$/.test(name)) {
+      continue;
+    }
+    if (flags & zipEncryptedFlag) {
+      throw new Error("encrypted file: " + name);
+    }
+    if (
+      localHeaderOffset + 30 > bytes.length ||
+      view.getUint32(localHeaderOffset, true) !== zipLocalFileHeaderSignature
+    ) {
+      throw new Error("invalid local file header: " + name);
+    }
+    // The local file header may have another extra field.
+    const dataOffset =
+      localHeaderOffset +
+      30 +
+      view.getUint16(localHeaderOffset + 26, true) +
+      view.getUint16(localHeaderOffset + 28, true);
+    const compressedData = bytes.subarray(
+      dataOffset,
+      dataOffset + compressedLength
+    );
+    if (compressedData.length !== compressedLength) {
+      throw new Error("truncated file: " + name);
+    }
+
+    let data = null;
+    if (method === zipStoredMethod) {
+      data = compressedData.slice();
+    } else if (method === zipDeflatedMethod) {
+      data = inflateRaw(compressedData, length);
+    } else {
+      throw new Error("unsupported compression method: " + name);
+    }
+    if (data.length !== length || computeCrc32(data) !== crc) {
+      throw new Error("corrupt file: " + name);
+    }
+    files.push({ name: name, data: data });
+  }
+  return files;
+}